@@ -1,9 +1,28 @@
 const app = require('./src/app');
+const { iniciarWorkerOutbox } = require('./src/services/outbox');
+const { iniciarProgramador } = require('./src/services/programador');
+const { verificarLimitesComunales } = require('./src/services/geocodificacion');
+const { verificarUrlPublica } = require('./src/config/url_publica');
 
 async function main() {
+  // Los avisos en segundo plano necesitan la URL pública para los enlaces y los webhooks de Twilio
+  verificarUrlPublica();
+
+  // Advierte al iniciar si faltan los límites comunales; las alertas se crean igual, sin comuna
+  verificarLimitesComunales();
+
   app.listen(app.get('port'), () => {
     console.log(`Servidor corriendo en el puerto ${app.get('port')}`);
   });
+
+  // Worker que envía las notificaciones pendientes de la colección NOTIFICACION
+  iniciarWorkerOutbox();
+
+  // Tareas programadas (escalamiento de alertas), guardadas en TAREA_PROGRAMADA
+  iniciarProgramador();
 }
 
-main();
+main().catch(error => {
+  console.error('Error al iniciar el servidor:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+/**
+ * Migración: completa los tiempos de respuesta (ver src/services/sla.js) de las derivaciones registradas
+ * en ALERTA_DERIVADA antes de que se midieran. Por cada derivación sin `fecha_alerta` copia la fecha,
+ * la gravedad y la comuna de la alerta, y reconstruye los demás tiempos:
+ *   - `fecha_rederivacion`: fecha de la derivación siguiente de la misma alerta, si la hubo.
+ *   - `fecha_primera_accion`: primera acción sobre el caso (cambio de estado, asignación o nota)
+ *     mientras la derivación estaba vigente; si no la hubo y la alerta se rederivó, la fecha de la
+ *     rederivación.
+ *   - `fecha_cierre`: si es la derivación vigente, el primer cierre de la alerta posterior a la
+ *     derivación o, si no lo hay, el cierre del caso.
+ *
+ * Uso:
+ *   npm run migrar:tiempos-derivacion              completa las derivaciones
+ *   npm run migrar:tiempos-derivacion -- --simular solo informa cuántas derivaciones hay que completar
+ *
+ * Se puede ejecutar más de una vez: las derivaciones que ya tienen `fecha_alerta` no se modifican.
+ */
+const { admin, db } = require('../src/config/firebase');
+const { ESTADOS_FINALES } = require('../src/services/estado_alerta');
+
+// Documentos leídos por página (un batch de Firestore admite hasta 500 escrituras)
+const TAMANO_PAGINA = 400;
+
+/**
+ * Todas las derivaciones, agrupadas por alerta y ordenadas por fecha de derivación.
+ */
+async function derivacionesPorAlerta() {
+  const derivaciones = new Map();
+  let ultimoDoc = null;
+
+  for (;;) {
+    let consulta = db.collection('ALERTA_DERIVADA')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(TAMANO_PAGINA);
+    if (ultimoDoc) consulta = consulta.startAfter(ultimoDoc);
+
+    const snapshot = await consulta.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      const derivacion = { ...doc.data(), id_alerta_derivada: doc.id, ref: doc.ref };
+      if (!derivaciones.has(derivacion.id_alerta)) derivaciones.set(derivacion.id_alerta, []);
+      derivaciones.get(derivacion.id_alerta).push(derivacion);
+    }
+
+    ultimoDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  for (const lista of derivaciones.values()) {
+    lista.sort((a, b) => a.fecha_derivacion.toMillis() - b.fecha_derivacion.toMillis());
+  }
+  return derivaciones;
+}
+
+function primeraFecha(fechas) {
+  return fechas.reduce((primera, fecha) => (!primera || fecha.toMillis() < primera.toMillis() ? fecha : primera), null);
+}
+
+/**
+ * Tiempos de una derivación a partir de la alerta, el caso y la derivación siguiente (si la hubo).
+ */
+function tiemposDerivacion(derivacion, siguiente, alerta, caso) {
+  const desde = derivacion.fecha_derivacion.toMillis();
+  const hasta = siguiente ? siguiente.fecha_derivacion.toMillis() : Infinity;
+  const enVigencia = fecha => fecha && fecha.toMillis() >= desde && fecha.toMillis() < hasta;
+
+  const acciones = caso
+    ? [
+      // La entrada de rederivación es posterior a la derivación siguiente; para esta cuenta `siguiente`
+      ...(caso.historial || [])
+        .filter(entrada => !['creacion', 'rederivacion'].includes(entrada.accion))
+        .map(entrada => entrada.fecha),
+      ...(caso.notas || []).map(nota => nota.fecha),
+    ].filter(enVigencia)
+    : [];
+
+  const tiempos = {
+    fecha_alerta: alerta.fecha || null,
+    id_gravedad: alerta.id_gravedad || null,
+    id_comuna: alerta.id_comuna || null,
+    comuna: alerta.comuna || null,
+    fecha_primera_accion: primeraFecha(acciones) || (siguiente ? siguiente.fecha_derivacion : null),
+    fecha_cierre: null,
+  };
+
+  if (siguiente) {
+    tiempos.fecha_rederivacion = siguiente.fecha_derivacion;
+    return tiempos;
+  }
+
+  const cierreAlerta = (alerta.historial_estados || [])
+    .filter(cambio => ESTADOS_FINALES.includes(cambio.estado) && enVigencia(cambio.fecha))
+    .sort((a, b) => a.fecha.toMillis() - b.fecha.toMillis())[0];
+  if (cierreAlerta) {
+    tiempos.fecha_cierre = cierreAlerta.fecha;
+    tiempos.origen_cierre = `alerta_${cierreAlerta.estado}`;
+  } else if (caso && caso.fecha_cierre && caso.id_alerta_derivada === derivacion.id_alerta_derivada) {
+    tiempos.fecha_cierre = caso.fecha_cierre;
+    tiempos.origen_cierre = 'caso';
+  }
+
+  return tiempos;
+}
+
+async function main() {
+  const simular = process.argv.includes('--simular');
+  const resultado = { derivaciones: 0, completas: 0, completadas: 0, cerradas: 0 };
+
+  const porAlerta = await derivacionesPorAlerta();
+  const alertas = [...porAlerta.keys()];
+
+  for (let i = 0; i < alertas.length; i += TAMANO_PAGINA) {
+    const pagina = alertas.slice(i, i + TAMANO_PAGINA);
+    const alertasDocs = await db.getAll(...pagina.map(id_alerta => db.collection('ALERTA').doc(id_alerta)));
+    const casosDocs = await db.getAll(...pagina.map(id_alerta => db.collection('CASO').doc(id_alerta)));
+
+    let batch = db.batch();
+    let pendientes = 0;
+
+    for (const [indice, id_alerta] of pagina.entries()) {
+      const alerta = alertasDocs[indice].exists ? alertasDocs[indice].data() : {};
+      const caso = casosDocs[indice].exists ? casosDocs[indice].data() : null;
+      const derivaciones = porAlerta.get(id_alerta);
+
+      for (const [posicion, derivacion] of derivaciones.entries()) {
+        resultado.derivaciones++;
+        if (derivacion.fecha_alerta !== undefined) {
+          resultado.completas++;
+          continue;
+        }
+
+        const tiempos = tiemposDerivacion(derivacion, derivaciones[posicion + 1], alerta, caso);
+        if (tiempos.fecha_cierre) resultado.cerradas++;
+        resultado.completadas++;
+
+        batch.update(derivacion.ref, tiempos);
+        pendientes++;
+        if (pendientes === TAMANO_PAGINA) {
+          if (!simular) await batch.commit();
+          batch = db.batch();
+          pendientes = 0;
+        }
+      }
+    }
+
+    if (pendientes > 0 && !simular) {
+      await batch.commit();
+    }
+  }
+
+  const accion = simular ? 'por completar (simulación, no se modificó nada)' : 'completadas';
+  console.log(
+    `Derivaciones: ${resultado.derivaciones}. Ya tenían los tiempos: ${resultado.completas}. ` +
+    `Derivaciones ${accion}: ${resultado.completadas}, de ellas cerradas: ${resultado.cerradas}.`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error al completar los tiempos de las derivaciones:', error);
+    process.exit(1);
+  });
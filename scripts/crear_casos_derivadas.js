@@ -0,0 +1,110 @@
+/**
+ * Migración: crea el caso (colección CASO) de las alertas derivadas antes de que existieran los casos.
+ * Por cada alerta con registros en ALERTA_DERIVADA y sin caso, crea el caso para el departamento de la
+ * última derivación, sin funcionario asignado. Si la alerta ya está cerrada (resuelta, cancelada o
+ * falsa alarma), el caso se crea cerrado con el estado de la alerta como motivo de cierre.
+ *
+ * Uso:
+ *   npm run migrar:casos-derivadas              crea los casos
+ *   npm run migrar:casos-derivadas -- --simular solo informa cuántos casos hay que crear
+ *
+ * Se puede ejecutar más de una vez: las alertas que ya tienen caso no se modifican.
+ */
+const { admin, db } = require('../src/config/firebase');
+const { ESTADOS_CASO, datosCasoNuevo } = require('../src/services/casos');
+const { ESTADOS_FINALES, estadoDeAlerta } = require('../src/services/estado_alerta');
+
+// Documentos leídos por página (un batch de Firestore admite hasta 500 escrituras)
+const TAMANO_PAGINA = 400;
+
+/**
+ * Última derivación de cada alerta, según la fecha de derivación.
+ */
+async function ultimasDerivaciones() {
+  const derivaciones = new Map();
+  let ultimoDoc = null;
+
+  for (;;) {
+    let consulta = db.collection('ALERTA_DERIVADA')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(TAMANO_PAGINA);
+    if (ultimoDoc) consulta = consulta.startAfter(ultimoDoc);
+
+    const snapshot = await consulta.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      const derivacion = doc.data();
+      const anterior = derivaciones.get(derivacion.id_alerta);
+      if (!anterior || derivacion.fecha_derivacion.toMillis() > anterior.fecha_derivacion.toMillis()) {
+        derivaciones.set(derivacion.id_alerta, { ...derivacion, id_alerta_derivada: doc.id });
+      }
+    }
+
+    ultimoDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return derivaciones;
+}
+
+async function main() {
+  const simular = process.argv.includes('--simular');
+  const resultado = { alertas: 0, con_caso: 0, creados: 0, cerrados: 0 };
+
+  const derivaciones = [...(await ultimasDerivaciones()).values()];
+  resultado.alertas = derivaciones.length;
+
+  for (let i = 0; i < derivaciones.length; i += TAMANO_PAGINA) {
+    const pagina = derivaciones.slice(i, i + TAMANO_PAGINA);
+    const casosDocs = await db.getAll(...pagina.map(({ id_alerta }) => db.collection('CASO').doc(id_alerta)));
+    const alertasDocs = await db.getAll(...pagina.map(({ id_alerta }) => db.collection('ALERTA').doc(id_alerta)));
+
+    const batch = db.batch();
+    let pendientes = 0;
+
+    pagina.forEach((derivacion, indice) => {
+      if (casosDocs[indice].exists) {
+        resultado.con_caso++;
+        return;
+      }
+
+      const caso = datosCasoNuevo({
+        id_alerta: derivacion.id_alerta,
+        id_departamento: derivacion.id_departamento,
+        id_alerta_derivada: derivacion.id_alerta_derivada,
+        id_funcionario: derivacion.id_funcionario || null,
+        automatica: !!derivacion.automatica,
+        fecha: derivacion.fecha_derivacion,
+      });
+
+      const estadoAlerta = estadoDeAlerta(alertasDocs[indice].exists ? alertasDocs[indice].data() : null);
+      if (ESTADOS_FINALES.includes(estadoAlerta)) {
+        caso.estado = ESTADOS_CASO.CERRADO;
+        caso.motivo_cierre = `Alerta ${estadoAlerta} antes de crear el caso.`;
+        caso.fecha_cierre = admin.firestore.Timestamp.now();
+        resultado.cerrados++;
+      }
+
+      batch.create(casosDocs[indice].ref, caso);
+      pendientes++;
+    });
+
+    if (pendientes > 0 && !simular) {
+      await batch.commit();
+    }
+    resultado.creados += pendientes;
+  }
+
+  const accion = simular ? 'por crear (simulación, no se modificó nada)' : 'creados';
+  console.log(
+    `Alertas derivadas: ${resultado.alertas}. Ya tenían caso: ${resultado.con_caso}. ` +
+    `Casos ${accion}: ${resultado.creados}, de ellos cerrados porque la alerta ya estaba cerrada: ${resultado.cerrados}.`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error al crear los casos de las alertas derivadas:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+/**
+ * Migración: elimina el campo `password` de los documentos de PERFIL.
+ * Las contraseñas solo deben existir en Firebase Authentication.
+ *
+ * Uso:
+ *   npm run migrar:passwords-perfil              elimina las contraseñas guardadas
+ *   npm run migrar:passwords-perfil -- --simular solo informa cuántos perfiles las tienen
+ *
+ * Se puede ejecutar más de una vez: los perfiles sin contraseña no se modifican.
+ */
+const { admin, db } = require('../src/config/firebase');
+const { CAMPOS_SENSIBLES_PERFIL } = require('../src/utils/serializadores');
+
+// Documentos leídos por página (un batch de Firestore admite hasta 500 escrituras)
+const TAMANO_PAGINA = 400;
+
+async function main() {
+  const simular = process.argv.includes('--simular');
+  const eliminarCampos = Object.fromEntries(
+    CAMPOS_SENSIBLES_PERFIL.map(campo => [campo, admin.firestore.FieldValue.delete()])
+  );
+
+  let revisados = 0;
+  let modificados = 0;
+  let ultimoDoc = null;
+
+  for (;;) {
+    let consulta = db.collection('PERFIL')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(TAMANO_PAGINA);
+    if (ultimoDoc) consulta = consulta.startAfter(ultimoDoc);
+
+    const perfilesSnapshot = await consulta.get();
+    if (perfilesSnapshot.empty) break;
+
+    const batch = db.batch();
+    let pendientes = 0;
+
+    perfilesSnapshot.forEach(doc => {
+      const perfil = doc.data();
+      if (CAMPOS_SENSIBLES_PERFIL.some(campo => campo in perfil)) {
+        batch.update(doc.ref, eliminarCampos);
+        pendientes++;
+      }
+    });
+
+    if (pendientes > 0 && !simular) {
+      await batch.commit();
+    }
+
+    revisados += perfilesSnapshot.size;
+    modificados += pendientes;
+    ultimoDoc = perfilesSnapshot.docs[perfilesSnapshot.docs.length - 1];
+  }
+
+  const accion = simular ? 'tienen contraseña guardada (simulación, no se modificó nada)' : 'modificados';
+  console.log(`Perfiles revisados: ${revisados}. Perfiles ${accion}: ${modificados}.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error al eliminar las contraseñas de PERFIL:', error);
+    process.exit(1);
+  });
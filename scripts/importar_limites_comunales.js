@@ -0,0 +1,112 @@
+/**
+ * Importa los límites comunales que usa la geocodificación de las alertas (ver src/services/geocodificacion.js).
+ * Sin este archivo las alertas se crean sin `id_comuna` (salvo que Google informe la localidad).
+ *
+ * Origen de los datos: la capa "División político-administrativa" (comunas) de IDE Chile
+ * (https://www.ide.cl) o los límites comunales de la BCN (https://www.bcn.cl/siit/mapas_vectoriales),
+ * exportada a GeoJSON en coordenadas geográficas WGS84 (EPSG:4326). Si la capa viene como shapefile,
+ * se puede convertir con: ogr2ogr -f GeoJSON -t_srs EPSG:4326 comunas_origen.geojson comunas.shp
+ *
+ * Por cada comuna del archivo de origen:
+ *   - busca el nombre en sus propiedades (NOM_COMUNA, nombre, Comuna, ...) y lo asocia con la comuna
+ *     registrada en COMUNA con el mismo nombre (sin distinguir tildes ni mayúsculas);
+ *   - guarda solo el `id_comuna`, el nombre y el polígono, con las coordenadas redondeadas a 6 decimales.
+ * Informa las comunas del archivo que no están en COMUNA (se guardan sin `id_comuna`) y las comunas
+ * de COMUNA que no tienen límites en el archivo.
+ *
+ * Uso:
+ *   npm run importar:comunas -- <comunas_origen.geojson>            genera src/data/comunas.geojson
+ *   npm run importar:comunas -- <comunas_origen.geojson> --simular  solo informa cómo se asociarían las comunas
+ *
+ * El archivo se escribe en la ruta de COMUNAS_GEOJSON si está definida. Se puede ejecutar más de una
+ * vez: el archivo generado se reemplaza completo.
+ */
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../src/config/firebase');
+const { RUTA_COMUNAS, PROPIEDADES_NOMBRE } = require('../src/services/geocodificacion');
+const { normalizarTexto } = require('../src/utils/texto');
+
+// Decimales de las coordenadas guardadas (6 decimales son unos 10 cm)
+const DECIMALES = 6;
+
+function redondearCoordenadas(coordenadas) {
+  if (typeof coordenadas[0] === 'number') {
+    return coordenadas.slice(0, 2).map(valor => Number(valor.toFixed(DECIMALES)));
+  }
+  return coordenadas.map(redondearCoordenadas);
+}
+
+async function main() {
+  const simular = process.argv.includes('--simular');
+  const rutaOrigen = process.argv.slice(2).find(argumento => !argumento.startsWith('--'));
+  if (!rutaOrigen) {
+    throw new Error('Indica el archivo GeoJSON de origen: npm run importar:comunas -- <comunas_origen.geojson>');
+  }
+
+  const origen = JSON.parse(fs.readFileSync(rutaOrigen, 'utf8'));
+  if (origen.type !== 'FeatureCollection' || !Array.isArray(origen.features)) {
+    throw new Error(`El archivo ${rutaOrigen} no es un FeatureCollection de GeoJSON.`);
+  }
+
+  const comunasSnapshot = await db.collection('COMUNA').get();
+  const comunasPorNombre = new Map(comunasSnapshot.docs.map(doc => [normalizarTexto(doc.data().nombre), doc.id]));
+
+  const features = [];
+  const sinComuna = [];
+  const asociadas = new Set();
+
+  for (const feature of origen.features) {
+    if (!feature.geometry || !['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) continue;
+
+    const propiedades = feature.properties || {};
+    const nombre = PROPIEDADES_NOMBRE.map(propiedad => propiedades[propiedad]).find(Boolean) || null;
+    const id_comuna = propiedades.id_comuna || comunasPorNombre.get(normalizarTexto(nombre)) || null;
+
+    if (id_comuna) {
+      asociadas.add(id_comuna);
+    } else {
+      sinComuna.push(nombre || '(sin nombre)');
+    }
+
+    features.push({
+      type: 'Feature',
+      properties: { id_comuna, nombre },
+      geometry: { type: feature.geometry.type, coordinates: redondearCoordenadas(feature.geometry.coordinates) },
+    });
+  }
+
+  if (features.length === 0) {
+    throw new Error(`El archivo ${rutaOrigen} no tiene polígonos de comunas.`);
+  }
+
+  const sinLimites = comunasSnapshot.docs
+    .filter(doc => !asociadas.has(doc.id))
+    .map(doc => doc.data().nombre);
+
+  if (sinComuna.length > 0) {
+    console.warn(`Comunas del archivo que no están en COMUNA (se guardan sin id_comuna): ${sinComuna.join(', ')}`);
+  }
+  if (sinLimites.length > 0) {
+    console.warn(`Comunas de COMUNA sin límites en el archivo: ${sinLimites.join(', ')}`);
+  }
+
+  const resumen = `Comunas en el archivo: ${features.length}, asociadas a COMUNA: ${features.length - sinComuna.length}. ` +
+    `Comunas de COMUNA sin límites: ${sinLimites.length}.`;
+
+  if (simular) {
+    console.log(`${resumen} (simulación, no se escribió ${RUTA_COMUNAS})`);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(RUTA_COMUNAS), { recursive: true });
+  fs.writeFileSync(RUTA_COMUNAS, JSON.stringify({ type: 'FeatureCollection', features }));
+  console.log(`${resumen} Límites guardados en ${RUTA_COMUNAS}.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error al importar los límites comunales:', error);
+    process.exit(1);
+  });
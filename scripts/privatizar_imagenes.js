@@ -0,0 +1,104 @@
+/**
+ * Migración: deja privadas las imágenes de perfil y de grupo que se subieron como públicas.
+ * Por cada PERFIL con `imagen_usuario` y cada GRUPO con `imagen_url` que apunten al bucket de la
+ * aplicación, quita el acceso público del archivo, guarda su ruta en `ruta_imagen_usuario` o
+ * `ruta_imagen` y elimina la URL pública del documento.
+ *
+ * Uso:
+ *   npm run migrar:imagenes-privadas              migra las imágenes
+ *   npm run migrar:imagenes-privadas -- --simular solo informa cuántas imágenes hay que migrar
+ *
+ * Se puede ejecutar más de una vez: los documentos ya migrados no se modifican. Las URLs que no
+ * son del bucket se eliminan del documento sin tocar el archivo, porque no se pueden firmar.
+ */
+const { admin, db, bucket } = require('../src/config/firebase');
+const { rutaDesdeUrlPublica } = require('../src/services/imagenes');
+
+// Documentos leídos por página (un batch de Firestore admite hasta 500 escrituras)
+const TAMANO_PAGINA = 400;
+
+// Colecciones a migrar: campo con la URL pública y campo donde se guarda la ruta privada
+const COLECCIONES = [
+  { coleccion: 'PERFIL', campoUrl: 'imagen_usuario', campoRuta: 'ruta_imagen_usuario' },
+  { coleccion: 'GRUPO', campoUrl: 'imagen_url', campoRuta: 'ruta_imagen' },
+];
+
+/**
+ * Quita el acceso público del archivo. Retorna false si el archivo ya no existe en el bucket.
+ */
+async function hacerPrivado(ruta) {
+  try {
+    await bucket.file(ruta).makePrivate();
+    return true;
+  } catch (error) {
+    if (error.code === 404) return false;
+    throw error;
+  }
+}
+
+async function migrarColeccion({ coleccion, campoUrl, campoRuta }, simular) {
+  const resultado = { revisados: 0, migrados: 0, sin_archivo: 0, externos: 0 };
+  let ultimoDoc = null;
+
+  for (;;) {
+    let consulta = db.collection(coleccion)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(TAMANO_PAGINA);
+    if (ultimoDoc) consulta = consulta.startAfter(ultimoDoc);
+
+    const snapshot = await consulta.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let pendientes = 0;
+
+    for (const doc of snapshot.docs) {
+      const url = doc.data()[campoUrl];
+      if (url === undefined) continue;
+
+      let ruta = url ? rutaDesdeUrlPublica(url) : null;
+      if (url && !ruta) resultado.externos++;
+
+      if (ruta && !simular && !await hacerPrivado(ruta)) {
+        resultado.sin_archivo++;
+        ruta = null;
+      }
+
+      batch.update(doc.ref, {
+        [campoRuta]: ruta,
+        [campoUrl]: admin.firestore.FieldValue.delete(),
+      });
+      pendientes++;
+    }
+
+    if (pendientes > 0 && !simular) {
+      await batch.commit();
+    }
+
+    resultado.revisados += snapshot.size;
+    resultado.migrados += pendientes;
+    ultimoDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return resultado;
+}
+
+async function main() {
+  const simular = process.argv.includes('--simular');
+
+  for (const config of COLECCIONES) {
+    const { revisados, migrados, sin_archivo, externos } = await migrarColeccion(config, simular);
+    const accion = simular ? 'por migrar (simulación, no se modificó nada)' : 'migrados';
+    console.log(
+      `${config.coleccion}: documentos revisados: ${revisados}. Documentos ${accion}: ${migrados}. ` +
+      `Archivos que ya no existían: ${sin_archivo}. URLs fuera del bucket: ${externos}.`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error al migrar las imágenes a almacenamiento privado:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,125 @@
+/**
+ * Migración: prepara los contactos de emergencia (CONTACTO) guardados antes del consentimiento y de la
+ * verificación de celulares. Esos contactos no tienen `estado_consentimiento` ni `celular_verificado`,
+ * por lo que dejan de recibir alertas hasta que acepten (ver src/services/consentimiento.js).
+ * Por cada contacto sin consentimiento:
+ *   - normaliza el celular al formato E.164 y deja `celular_verificado` en false si no lo tenía;
+ *   - guarda `estado_consentimiento` pendiente (detenido si el número ya pidió STOP);
+ *   - envía la solicitud de consentimiento. Responder SI acepta las alertas y verifica el celular,
+ *     por lo que no se envía además un código de verificación.
+ * Se envía una sola solicitud por número a la vez: si el número tiene otra solicitud sin responder,
+ * el contacto queda pendiente y se le envía en una próxima ejecución. Los contactos con un celular
+ * inválido quedan pendientes y solo se informan; el usuario debe corregirlos con /editar-contacto.
+ *
+ * Uso:
+ *   npm run migrar:consentimiento-contactos              actualiza los contactos y envía las solicitudes
+ *   npm run migrar:consentimiento-contactos -- --simular solo informa cuántos contactos hay que actualizar
+ *
+ * Se puede ejecutar más de una vez: solo se procesan los contactos sin consentimiento y los pendientes
+ * a los que aún no se les envió la solicitud.
+ */
+const { admin, db } = require('../src/config/firebase');
+const {
+  ESTADOS_CONSENTIMIENTO,
+  estadoInicialConsentimiento,
+  enviarSolicitudConsentimiento,
+} = require('../src/services/consentimiento');
+const { datosTelefonoContacto } = require('../src/services/verificacion_telefono');
+
+// Documentos leídos por página
+const TAMANO_PAGINA = 400;
+
+/**
+ * Indica si el contacto falta por migrar: no tiene consentimiento o sigue pendiente sin solicitud enviada.
+ */
+function requiereMigracion(contacto) {
+  if (contacto.estado_consentimiento === undefined) return true;
+  return contacto.estado_consentimiento === ESTADOS_CONSENTIMIENTO.PENDIENTE && !contacto.fecha_solicitud_consentimiento;
+}
+
+async function main() {
+  const simular = process.argv.includes('--simular');
+  const resultado = { revisados: 0, actualizados: 0, enviadas: 0, en_espera: 0, fallidas: 0, invalidos: 0, detenidos: 0 };
+  let ultimoDoc = null;
+
+  for (;;) {
+    let consulta = db.collection('CONTACTO')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(TAMANO_PAGINA);
+    if (ultimoDoc) consulta = consulta.startAfter(ultimoDoc);
+
+    const snapshot = await consulta.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      resultado.revisados++;
+      const contacto = { ...doc.data(), id_contacto: doc.id };
+      if (!requiereMigracion(contacto)) continue;
+
+      let datosTelefono;
+      try {
+        datosTelefono = datosTelefonoContacto(contacto, contacto.celular);
+      } catch (error) {
+        console.warn(`El contacto ${doc.id} del usuario ${contacto.id_usuario} tiene un celular inválido: ${contacto.celular}`);
+        resultado.invalidos++;
+        datosTelefono = {};
+      }
+
+      const cambios = { ...datosTelefono };
+      if (contacto.estado_consentimiento === undefined) {
+        cambios.estado_consentimiento = datosTelefono.celular
+          ? await estadoInicialConsentimiento(datosTelefono.celular)
+          : ESTADOS_CONSENTIMIENTO.PENDIENTE;
+      }
+      if (typeof contacto.celular_verificado !== 'boolean') {
+        cambios.celular_verificado = false;
+      }
+
+      resultado.actualizados++;
+      const actualizado = { ...contacto, ...cambios };
+      if (actualizado.estado_consentimiento === ESTADOS_CONSENTIMIENTO.DETENIDO) resultado.detenidos++;
+
+      if (simular) continue;
+
+      await doc.ref.update(cambios);
+
+      if (!datosTelefono.celular || actualizado.estado_consentimiento !== ESTADOS_CONSENTIMIENTO.PENDIENTE) continue;
+
+      // Una respuesta SI o NO se aplica a la última solicitud del número; no se reemplaza una sin responder
+      const solicitudDoc = await db.collection('SOLICITUD_CONSENTIMIENTO').doc(actualizado.celular).get();
+      if (solicitudDoc.exists) {
+        resultado.en_espera++;
+        continue;
+      }
+
+      if (await enviarSolicitudConsentimiento(actualizado)) {
+        resultado.enviadas++;
+      } else {
+        resultado.fallidas++;
+      }
+    }
+
+    ultimoDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  if (simular) {
+    console.log(
+      `Contactos revisados: ${resultado.revisados}. Por actualizar (simulación, no se modificó nada): ${resultado.actualizados}, ` +
+      `de ellos con celular inválido: ${resultado.invalidos} y detenidos por STOP: ${resultado.detenidos}.`
+    );
+    return;
+  }
+
+  console.log(
+    `Contactos revisados: ${resultado.revisados}. Actualizados: ${resultado.actualizados}, de ellos con celular inválido: ` +
+    `${resultado.invalidos} y detenidos por STOP: ${resultado.detenidos}. Solicitudes de consentimiento enviadas: ` +
+    `${resultado.enviadas}, fallidas: ${resultado.fallidas}, en espera de otra solicitud al mismo número: ${resultado.en_espera}.`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error al solicitar el consentimiento de los contactos:', error);
+    process.exit(1);
+  });
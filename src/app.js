@@ -20,15 +20,26 @@ const swaggerOptions = {
     info: {
       title: "API Women Security App",
       version: "1.0.0",
-      description: "Documentación de la API"
+      description: "Documentación de la API. Salvo las rutas públicas, todas requieren un ID token de Firebase. Las rutas de funcionario requieren el rol funcionario o admin, y las de administración el rol admin."
     },
     servers: [
       {
         url: "https://api-women-security-app-544496114867.southamerica-west1.run.app",
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "ID token de Firebase Authentication obtenido en /login o /login-admin",
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
-  apis: ['./src/routes/usuario/*.js', './src/routes/funcionario/*.js', './src/routes/admin/*.js'],// Ajustar la ruta para que coincida con la estructura actual
+  apis: ['./src/routes/usuario/*.js', './src/routes/funcionario/*.js', './src/routes/admin/*.js', './src/routes/webhooks/*.js'],// Ajustar la ruta para que coincida con la estructura actual
 };
 
 
@@ -49,7 +60,59 @@ const admin_municipalidadRoutes = require('./routes/admin/admin_municipalidad.js
 const admin_departamentoRoutes = require('./routes/admin/admin_departamento.js');
 const admin_comunaRoutes = require('./routes/admin/admin_comuna.js');
 const admin_generoRoutes = require('./routes/admin/admin_genero.js');
+const admin_invitacionesRoutes = require('./routes/admin/admin_invitaciones.js');
+const admin_reglas_derivacionRoutes = require('./routes/admin/admin_reglas_derivacion.js');
 const ubicacion_actualRoutes = require('./routes/usuario/ubicacion_actual.js');
+const seguimientoRoutes = require('./routes/usuario/seguimiento.js');
+const acompanamientoRoutes = require('./routes/usuario/acompanamiento.js');
+const verificacion_telefonoRoutes = require('./routes/usuario/verificacion_telefono.js');
+const evidenciasRoutes = require('./routes/usuario/evidencias.js');
+const imagenesRoutes = require('./routes/usuario/imagenes.js');
+const evidencias_alertaRoutes = require('./routes/funcionario/evidencias_alerta.js');
+const casosRoutes = require('./routes/funcionario/casos.js');
+const metricas_slaRoutes = require('./routes/funcionario/metricas_sla.js');
+const webhook_twilioRoutes = require('./routes/webhooks/twilio.js');
+const { autenticar } = require('./middlewares/autenticacion');
+const { autorizar } = require('./middlewares/autorizacion');
+const { GRUPOS_RUTAS } = require('./config/roles');
+
+// Routers de cada grupo; los permisos de cada rol sobre los grupos se definen en config/roles.js
+const routersPorGrupo = {
+  [GRUPOS_RUTAS.USUARIO]: [
+    loginRoutes,
+    datos_usuarioRoutes,
+    alertaRoutes,
+    gestionar_clavesRoutes,
+    grupoRoutes,
+    ubicacion_actualRoutes,
+    seguimientoRoutes,
+    acompanamientoRoutes,
+    verificacion_telefonoRoutes,
+    evidenciasRoutes,
+    imagenesRoutes,
+  ],
+  [GRUPOS_RUTAS.FUNCIONARIO]: [
+    metricasRoutes,
+    derivar_alertasRoutes,
+    evidencias_alertaRoutes,
+    casosRoutes,
+    metricas_slaRoutes,
+  ],
+  [GRUPOS_RUTAS.ADMIN]: [
+    admin_gravedadRoutes,
+    admin_usuariosRoutes,
+    admin_municipalidadRoutes,
+    admin_departamentoRoutes,
+    admin_comunaRoutes,
+    admin_generoRoutes,
+    admin_invitacionesRoutes,
+    admin_reglas_derivacionRoutes,
+  ],
+};
+
+// Todas las rutas de la API requieren un ID token de Firebase, salvo las públicas definidas en el middleware,
+// y un rol con acceso al grupo de la ruta
+app.use('/api', autenticar, autorizar(routersPorGrupo));
 
 app.use('/api', loginRoutes);  // Rutas del archivo login.js
 app.use('/api', datos_usuarioRoutes);  // Rutas del archivo usuarios.js
@@ -64,7 +127,18 @@ app.use('/api', admin_municipalidadRoutes);
 app.use('/api', admin_departamentoRoutes);
 app.use('/api', admin_comunaRoutes);
 app.use('/api', admin_generoRoutes);
+app.use('/api', admin_invitacionesRoutes);
+app.use('/api', admin_reglas_derivacionRoutes);
 app.use('/api', ubicacion_actualRoutes);
+app.use('/api', seguimientoRoutes);
+app.use('/api', acompanamientoRoutes);
+app.use('/api', verificacion_telefonoRoutes);
+app.use('/api', evidenciasRoutes);
+app.use('/api', imagenesRoutes);
+app.use('/api', evidencias_alertaRoutes);
+app.use('/api', casosRoutes);
+app.use('/api', metricas_slaRoutes);
+app.use('/api', webhook_twilioRoutes);
 
 // Puerto del servidor
 app.set('port', process.env.PORT || 3000);
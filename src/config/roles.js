@@ -0,0 +1,43 @@
+// Roles de la plataforma. Cada PERFIL guarda en `tipo_usuario` el ID del documento de TIPO_USUARIO.
+const ROLES = {
+  USUARIO: 'usuario',
+  FUNCIONARIO: 'funcionario',
+  ADMIN: 'admin',
+};
+
+// ID del documento de TIPO_USUARIO de cada rol
+const TIPOS_USUARIO = {
+  [ROLES.USUARIO]: 'kwLQngxZFsGKG3a3K1xO',
+  [ROLES.ADMIN]: 'A0oH8hs2ZQzkcoAmiAR4',
+  [ROLES.FUNCIONARIO]: 'i2uxd503bDQo9OrcCZFP',
+};
+
+// Grupos de rutas, uno por carpeta de src/routes
+const GRUPOS_RUTAS = {
+  USUARIO: 'usuario',
+  FUNCIONARIO: 'funcionario',
+  ADMIN: 'admin',
+};
+
+// Grupos de rutas a los que puede acceder cada rol
+const PERMISOS = {
+  [ROLES.USUARIO]: [GRUPOS_RUTAS.USUARIO],
+  [ROLES.FUNCIONARIO]: [GRUPOS_RUTAS.USUARIO, GRUPOS_RUTAS.FUNCIONARIO],
+  [ROLES.ADMIN]: [GRUPOS_RUTAS.USUARIO, GRUPOS_RUTAS.FUNCIONARIO, GRUPOS_RUTAS.ADMIN],
+};
+
+/**
+ * Obtiene el rol asociado a un ID de TIPO_USUARIO, o null si no corresponde a ningún rol.
+ */
+function rolDeTipoUsuario(tipo_usuario) {
+  return Object.keys(TIPOS_USUARIO).find(rol => TIPOS_USUARIO[rol] === tipo_usuario) || null;
+}
+
+/**
+ * Indica si el rol puede acceder al grupo de rutas.
+ */
+function tienePermiso(rol, grupo) {
+  return (PERMISOS[rol] || []).includes(grupo);
+}
+
+module.exports = { ROLES, TIPOS_USUARIO, GRUPOS_RUTAS, PERMISOS, rolDeTipoUsuario, tienePermiso };
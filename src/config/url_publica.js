@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+// URL pública de la API (por ejemplo https://api.ejemplo.cl), sin "/" final. Con ella se arman los
+// enlaces de seguimiento que reciben los contactos y los webhooks de Twilio. Los avisos se envían en
+// segundo plano (programador de tareas y outbox), sin una solicitud de la que tomar el dominio.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '') || null;
+
+/**
+ * Lanza un error si PUBLIC_BASE_URL no está definida o no es una URL http(s). Se llama al iniciar el
+ * servidor, antes de los workers: sin ella los contactos recibirían enlaces que no funcionan.
+ */
+function verificarUrlPublica() {
+  let protocolo = null;
+  try {
+    protocolo = new URL(PUBLIC_BASE_URL).protocol;
+  } catch (error) {
+    // Sin definir o no es una URL
+  }
+
+  if (!['http:', 'https:'].includes(protocolo)) {
+    throw new Error("PUBLIC_BASE_URL debe ser la URL pública de la API, por ejemplo https://api.ejemplo.cl. Verifica tu archivo .env");
+  }
+}
+
+module.exports = { PUBLIC_BASE_URL, verificarUrlPublica };
@@ -0,0 +1,93 @@
+require('dotenv').config();
+const { admin } = require('../config/firebase');
+
+// Modo de verificación de los tokens:
+// - 'firebase' (por defecto): verifica el ID token con Firebase Authentication. Si FIREBASE_AUTH_EMULATOR_HOST
+//   está definida, firebase-admin acepta los tokens emitidos por el emulador local de Authentication.
+// - 'stub': acepta tokens con la forma `stub:<uid>` sin consultar a Firebase, para probar la API sin conexión.
+//   No se permite con NODE_ENV=production.
+const AUTH_MODO = process.env.AUTH_MODO || 'firebase';
+
+const PREFIJO_STUB = 'stub:';
+
+if (AUTH_MODO === 'stub' && process.env.NODE_ENV === 'production') {
+  throw new Error("AUTH_MODO=stub no está permitido con NODE_ENV=production.");
+}
+
+// Rutas (relativas a /api) que se pueden llamar sin token
+const RUTAS_PUBLICAS = [
+  { metodo: 'POST', ruta: /^\/register$/ },
+  { metodo: 'POST', ruta: /^\/login$/ },
+  { metodo: 'POST', ruta: /^\/login-admin$/ },
+  { metodo: 'POST', ruta: /^\/recuperar-password$/ },
+  { metodo: 'POST', ruta: /^\/verificar-correo$/ },
+  // Las invitaciones de personal se protegen con el token aleatorio del enlace enviado por correo
+  { metodo: 'GET', ruta: /^\/invitacion-personal\/[0-9a-f]+$/ },
+  { metodo: 'POST', ruta: /^\/aceptar-invitacion-personal$/ },
+  { metodo: 'GET', ruta: /^\/comunas$/ },
+  { metodo: 'GET', ruta: /^\/generos$/ },
+  { metodo: 'GET', ruta: /^\/municipalidades$/ },
+  // Los webhooks de Twilio se validan con su firma (middlewares/twilio.js)
+  { metodo: 'POST', ruta: /^\/twilio\// },
+  // El visor de seguimiento se protege con el token aleatorio del enlace
+  { metodo: 'GET', ruta: /^\/seguimiento\/[0-9a-f]+(\/datos)?$/ },
+];
+
+/**
+ * Respuesta para las solicitudes que no incluyen un token.
+ */
+function responderSinToken(res) {
+  return res.status(401).json({ message: "Se requiere un token de autenticación en el encabezado 'Authorization: Bearer <token>'." });
+}
+
+function esRutaPublica(req) {
+  return RUTAS_PUBLICAS.some(({ metodo, ruta }) => req.method === metodo && ruta.test(req.path));
+}
+
+/**
+ * Verifica el token y retorna la identidad del usuario. Lanza un error si el token no es válido.
+ */
+async function verificarToken(token) {
+  if (AUTH_MODO === 'stub') {
+    if (!token.startsWith(PREFIJO_STUB) || token.length === PREFIJO_STUB.length) {
+      throw new Error("El token no tiene la forma 'stub:<uid>'.");
+    }
+    const uid = token.slice(PREFIJO_STUB.length);
+    return { uid, email: null, token: { uid } };
+  }
+
+  // Con checkRevoked se rechazan los tokens de sesiones cerradas con /cerrar-sesiones y de cuentas deshabilitadas
+  const decodificado = await admin.auth().verifyIdToken(token, true);
+  return { uid: decodificado.uid, email: decodificado.email || null, token: decodificado };
+}
+
+/**
+ * Middleware que exige un ID token de Firebase en el encabezado `Authorization: Bearer <token>`
+ * y deja la identidad del usuario en `req.user` (`uid`, `email` y el token decodificado).
+ * Las rutas de RUTAS_PUBLICAS no requieren token.
+ */
+async function autenticar(req, res, next) {
+  if (req.method === 'OPTIONS' || esRutaPublica(req)) {
+    return next();
+  }
+
+  const encabezado = req.get('Authorization') || '';
+  const [esquema, token] = encabezado.split(' ');
+
+  if (esquema !== 'Bearer' || !token) {
+    return responderSinToken(res);
+  }
+
+  try {
+    req.user = await verificarToken(token);
+    return next();
+  } catch (error) {
+    console.warn(`Token rechazado en ${req.method} ${req.originalUrl}:`, error.message);
+    return res.status(401).json({
+      message: "El token de autenticación no es válido o expiró.",
+      error: error.message,
+    });
+  }
+}
+
+module.exports = { autenticar, esRutaPublica, responderSinToken };
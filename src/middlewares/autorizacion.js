@@ -0,0 +1,92 @@
+const { db } = require('../config/firebase');
+const { rolDeTipoUsuario, tienePermiso } = require('../config/roles');
+const { esRutaPublica, responderSinToken } = require('./autenticacion');
+
+/**
+ * Construye la lista de rutas de cada grupo a partir de los routers de Express que lo componen.
+ * `gruposRouters` es un objeto `{ [grupo]: [router, ...] }`.
+ */
+function construirRutas(gruposRouters) {
+  const rutas = [];
+  for (const [grupo, routers] of Object.entries(gruposRouters)) {
+    for (const router of routers) {
+      for (const layer of router.stack) {
+        if (layer.route) rutas.push({ grupo, layer });
+      }
+    }
+  }
+  return rutas;
+}
+
+/**
+ * Obtiene el grupo de la ruta que atenderá la solicitud, o null si ninguna ruta coincide.
+ */
+function grupoDeSolicitud(rutas, req) {
+  const metodo = req.method.toLowerCase();
+  const ruta = rutas.find(({ layer }) =>
+    layer.match(req.path) && (layer.route.methods[metodo] || layer.route.methods._all || (metodo === 'head' && layer.route.methods.get))
+  );
+  return ruta ? ruta.grupo : null;
+}
+
+/**
+ * Obtiene el rol y el estado del usuario desde su PERFIL.
+ */
+async function obtenerRolUsuario(uid) {
+  const perfilDoc = await db.collection('PERFIL').doc(uid).get();
+  if (!perfilDoc.exists) return null;
+
+  const perfil = perfilDoc.data();
+  return { rol: rolDeTipoUsuario(perfil.tipo_usuario), activo: perfil.estado !== false };
+}
+
+/**
+ * Crea el middleware que restringe cada grupo de rutas a los roles definidos en PERMISOS (config/roles.js).
+ * Debe montarse después de `autenticar`. Deja el rol del usuario en `req.user.rol`.
+ * Responde 403 si el usuario no tiene perfil, está desactivado o su rol no tiene acceso al grupo.
+ */
+function autorizar(gruposRouters) {
+  const rutas = construirRutas(gruposRouters);
+
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS' || esRutaPublica(req)) {
+      return next();
+    }
+
+    // Las rutas que no pertenecen a ningún grupo terminan en un 404 de Express
+    const grupo = grupoDeSolicitud(rutas, req);
+    if (!grupo) return next();
+
+    if (!req.user) {
+      return responderSinToken(res);
+    }
+
+    try {
+      const rolUsuario = await obtenerRolUsuario(req.user.uid);
+
+      if (!rolUsuario || !rolUsuario.rol) {
+        return res.status(403).json({ message: "El usuario no tiene un rol válido para acceder a la plataforma." });
+      }
+      if (!rolUsuario.activo) {
+        return res.status(403).json({ message: "El usuario tiene restringido el acceso a la plataforma." });
+      }
+
+      req.user.rol = rolUsuario.rol;
+
+      if (!tienePermiso(rolUsuario.rol, grupo)) {
+        console.warn(`Acceso denegado a ${req.method} ${req.originalUrl}: el rol '${rolUsuario.rol}' no tiene acceso a las rutas de '${grupo}'.`);
+        return res.status(403).json({ message: "El usuario no tiene permisos para realizar esta acción." });
+      }
+
+      return next();
+    } catch (error) {
+      console.error("Error al verificar los permisos del usuario:", error);
+      return res.status(500).json({
+        message: "Error al verificar los permisos del usuario.",
+        error: error.message,
+      });
+    }
+  };
+}
+
+module.exports = { autorizar };
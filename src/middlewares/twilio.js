@@ -0,0 +1,30 @@
+require('dotenv').config();
+const twilio = require('twilio');
+const { PUBLIC_BASE_URL } = require('../config/url_publica');
+
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+/**
+ * Middleware que valida la firma `X-Twilio-Signature` de los webhooks enviados por Twilio.
+ * La firma se calcula sobre la URL pública configurada en PUBLIC_BASE_URL, ya que detrás del
+ * balanceador la URL que ve Express no coincide con la que llamó Twilio.
+ * Puede desactivarse en desarrollo con TWILIO_VALIDAR_FIRMA=false.
+ */
+function validarFirmaTwilio(req, res, next) {
+  if (process.env.TWILIO_VALIDAR_FIRMA === 'false') {
+    return next();
+  }
+
+  const firma = req.get('X-Twilio-Signature');
+  const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl}${req.originalUrl}`;
+
+  if (!firma || !twilio.validateRequest(authToken, firma, url, req.body || {})) {
+    console.warn(`Webhook de Twilio rechazado por firma inválida: ${req.originalUrl}`);
+    return res.status(403).json({ message: "Firma de Twilio inválida." });
+  }
+
+  return next();
+}
+
+module.exports = { validarFirmaTwilio };
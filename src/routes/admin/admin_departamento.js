@@ -1,5 +1,6 @@
 const express = require('express');
 const { db } = require('../../config/firebase'); // Asegúrate de tener acceso a Firestore a través de `db`
+const { ROLES, rolDeTipoUsuario } = require('../../config/roles');
 const router = express.Router();
 
 /**
@@ -246,5 +247,97 @@ router.put('/cambiar-estado-departamento', async (req, res) => {
     }
   });
     
+/**
+ * @swagger
+ * /asignar-departamento-funcionario:
+ *   put:
+ *     tags: [admin_departamento]
+ *     summary: Asigna un funcionario a un departamento.
+ *     description: Guarda el departamento en el PERFIL del funcionario (`id_departamento`). El funcionario puede ver y gestionar los casos de las alertas derivadas a su departamento y recibir casos asignados. Con `id_departamento` en null se quita al funcionario del departamento; los casos que tenga asignados no cambian.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_persona
+ *               - id_departamento
+ *             properties:
+ *               id_persona:
+ *                 type: string
+ *                 description: ID del funcionario.
+ *                 example: "f3K9sdLq0wPz"
+ *               id_departamento:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID del departamento, o null para quitarlo.
+ *                 example: "RF1gx1AVP8zOG7WZMne5"
+ *     responses:
+ *       200:
+ *         description: Departamento del funcionario actualizado exitosamente.
+ *       400:
+ *         description: Faltan campos, el usuario no es funcionario o el departamento está desactivado.
+ *       404:
+ *         description: No se encontró el funcionario o el departamento.
+ *       500:
+ *         description: Error al asignar el departamento.
+ */
+router.put('/asignar-departamento-funcionario', async (req, res) => {
+    const { id_persona, id_departamento } = req.body;
+  
+    if (!id_persona || id_departamento === undefined) {
+      return res.status(400).json({
+        message: "Los campos 'id_persona' e 'id_departamento' son obligatorios."
+      });
+    }
+  
+    try {
+      const perfilRef = db.collection('PERFIL').doc(id_persona);
+      const perfilDoc = await perfilRef.get();
+  
+      if (!perfilDoc.exists) {
+        return res.status(404).json({
+          message: `No se encontró el perfil con el id: ${id_persona}`
+        });
+      }
+  
+      if (rolDeTipoUsuario(perfilDoc.data().tipo_usuario) !== ROLES.FUNCIONARIO) {
+        return res.status(400).json({
+          message: "Solo se pueden asignar departamentos a funcionarios."
+        });
+      }
+  
+      if (id_departamento !== null) {
+        const departamentoDoc = await db.collection('DEPARTAMENTO').doc(id_departamento).get();
+  
+        if (!departamentoDoc.exists) {
+          return res.status(404).json({
+            message: `No se encontró el departamento con el id: ${id_departamento}`
+          });
+        }
+  
+        if (departamentoDoc.data().estado === false) {
+          return res.status(400).json({
+            message: "El departamento está desactivado."
+          });
+        }
+      }
+  
+      await perfilRef.update({ id_departamento });
+  
+      return res.status(200).json({
+        message: "Departamento del funcionario actualizado exitosamente.",
+        id_persona,
+        id_departamento
+      });
+    } catch (error) {
+      console.error("Error al asignar el departamento al funcionario:", error);
+      return res.status(500).json({
+        message: "Error al asignar el departamento al funcionario.",
+        error: error.message
+      });
+    }
+  });
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,56 @@ const express = require('express');
 const { db } = require('../../config/firebase');
 const router = express.Router();
 
+// Campos opcionales que definen cómo se escalan las alertas de cada gravedad
+const CAMPOS_ESCALAMIENTO = [
+  'minutos_escalamiento_grupo',
+  'minutos_escalamiento_derivacion',
+  'id_departamento_escalamiento',
+  'llamada_voz',
+  'contactos_llamada_voz',
+];
+
+// Metas de tiempo de respuesta de los departamentos para las alertas derivadas de cada gravedad (ver /metricas-sla)
+const CAMPOS_SLA = [
+  'sla_minutos_primera_accion',
+  'sla_minutos_cierre',
+];
+
+/**
+ * Extrae del body los campos de escalamiento y las metas de SLA informados. Retorna un mensaje de error
+ * si los minutos no son números mayores o iguales a cero, si `llamada_voz` no es booleano, si
+ * `contactos_llamada_voz` no es un entero mayor o igual a 1 o si una meta de SLA no es un número mayor
+ * que cero (o null, para quitarla).
+ */
+function obtenerCamposEscalamiento(body) {
+  const campos = {};
+
+  for (const campo of [...CAMPOS_ESCALAMIENTO, ...CAMPOS_SLA]) {
+    if (body[campo] === undefined) continue;
+
+    if (CAMPOS_SLA.includes(campo)) {
+      if (body[campo] !== null && (typeof body[campo] !== 'number' || body[campo] <= 0)) {
+        return { error: `El campo '${campo}' debe ser un número mayor que 0, o null para quitar la meta.` };
+      }
+      campos[campo] = body[campo];
+      continue;
+    }
+
+    if (campo.startsWith('minutos_') && (typeof body[campo] !== 'number' || body[campo] < 0)) {
+      return { error: `El campo '${campo}' debe ser un número mayor o igual a 0.` };
+    }
+    if (campo === 'llamada_voz' && typeof body[campo] !== 'boolean') {
+      return { error: "El campo 'llamada_voz' debe ser true o false." };
+    }
+    if (campo === 'contactos_llamada_voz' && (!Number.isInteger(body[campo]) || body[campo] < 1)) {
+      return { error: "El campo 'contactos_llamada_voz' debe ser un número entero mayor o igual a 1." };
+    }
+    campos[campo] = body[campo];
+  }
+
+  return { campos };
+}
+
 /**
  * @swagger
  * /agregar-gravedad:
@@ -22,6 +72,36 @@ const router = express.Router();
  *                 type: string
  *                 description: Descripción de la gravedad.
  *                 example: "Acoso"
+ *               minutos_escalamiento_grupo:
+ *                 type: number
+ *                 description: Minutos sin confirmaciones de los contactos antes de notificar al grupo seleccionado.
+ *                 example: 5
+ *               minutos_escalamiento_derivacion:
+ *                 type: number
+ *                 description: Minutos sin confirmaciones tras avisar al grupo antes de derivar la alerta automáticamente.
+ *                 example: 10
+ *               id_departamento_escalamiento:
+ *                 type: string
+ *                 description: Departamento al que se deriva la alerta si nadie la confirma.
+ *                 example: "RF1gx1AVP8zOG7WZMe5"
+ *               llamada_voz:
+ *                 type: boolean
+ *                 description: Si es true, además de los mensajes se llama a los contactos de mayor prioridad, que confirman la alerta marcando 1. Pensado para la gravedad más alta.
+ *                 example: true
+ *               contactos_llamada_voz:
+ *                 type: integer
+ *                 description: Cantidad de contactos, en orden de prioridad, a los que se llama (ESCALAMIENTO_CONTACTOS_LLAMADA o 2 por defecto).
+ *                 example: 2
+ *               sla_minutos_primera_accion:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Meta de minutos entre la derivación y la primera acción del departamento sobre el caso.
+ *                 example: 15
+ *               sla_minutos_cierre:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Meta de minutos entre la derivación y el cierre del caso o de la alerta.
+ *                 example: 1440
  *     responses:
  *       201:
  *         description: Gravedad agregada exitosamente.
@@ -45,6 +125,8 @@ const router = express.Router();
  *                     estado:
  *                       type: boolean
  *                       example: true
+ *       400:
+ *         description: Falta la descripción o los campos de escalamiento o las metas de SLA no son válidos.
  *       500:
  *         description: Error al agregar la gravedad.
  */
@@ -57,6 +139,11 @@ router.post('/agregar-gravedad', async (req, res) => {
       });
     }
   
+    const { campos, error } = obtenerCamposEscalamiento(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+  
     try {
       const nuevaGravedadRef = db.collection('GRAVEDAD').doc();
       const id_gravedad = nuevaGravedadRef.id;
@@ -64,7 +151,8 @@ router.post('/agregar-gravedad', async (req, res) => {
       const nuevaGravedad = {
         id_gravedad,
         descripcion,
-        estado: true // Agregar estado como activo por defecto
+        estado: true, // Agregar estado como activo por defecto
+        ...campos,
       };
   
       await nuevaGravedadRef.set(nuevaGravedad);
@@ -88,7 +176,7 @@ router.post('/agregar-gravedad', async (req, res) => {
  *   put:
  *     tags: [admin_gravedad]
  *     summary: Edita los datos de una gravedad.
- *     description: Actualiza la descripción de una gravedad.
+ *     description: Actualiza la descripción de una gravedad y, opcionalmente, sus tiempos de escalamiento, las llamadas de voz y las metas de SLA. Una meta en null se quita.
  *     requestBody:
  *       required: true
  *       content:
@@ -107,9 +195,34 @@ router.post('/agregar-gravedad', async (req, res) => {
  *                 type: string
  *                 description: Nueva descripción de la gravedad.
  *                 example: "Robo"
+ *               minutos_escalamiento_grupo:
+ *                 type: number
+ *                 example: 5
+ *               minutos_escalamiento_derivacion:
+ *                 type: number
+ *                 example: 10
+ *               id_departamento_escalamiento:
+ *                 type: string
+ *                 example: "RF1gx1AVP8zOG7WZMe5"
+ *               llamada_voz:
+ *                 type: boolean
+ *                 example: true
+ *               contactos_llamada_voz:
+ *                 type: integer
+ *                 example: 2
+ *               sla_minutos_primera_accion:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 15
+ *               sla_minutos_cierre:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 1440
  *     responses:
  *       200:
  *         description: Gravedad actualizada exitosamente.
+ *       400:
+ *         description: Faltan campos o los campos de escalamiento o las metas de SLA no son válidos.
  *       404:
  *         description: No se encontró la gravedad.
  *       500:
@@ -124,6 +237,11 @@ router.put('/editar-gravedad', async (req, res) => {
       });
     }
   
+    const { campos, error } = obtenerCamposEscalamiento(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+  
     try {
       const gravedadRef = db.collection('GRAVEDAD').doc(id_gravedad);
       const gravedadDoc = await gravedadRef.get();
@@ -134,7 +252,7 @@ router.put('/editar-gravedad', async (req, res) => {
         });
       }
   
-      await gravedadRef.update({ descripcion });
+      await gravedadRef.update({ descripcion, ...campos });
   
       return res.status(200).json({
         message: "Gravedad actualizada exitosamente."
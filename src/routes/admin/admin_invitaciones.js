@@ -0,0 +1,179 @@
+const express = require('express');
+const {
+  ROLES_INVITABLES,
+  crearInvitacion,
+  listarInvitaciones,
+  revocarInvitacion,
+} = require('../../services/invitaciones');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: admin_invitaciones
+ *   description: Invitaciones para crear cuentas de funcionario y administrador
+ */
+
+/**
+ * @swagger
+ * /invitar-personal:
+ *   post:
+ *     tags: [admin_invitaciones]
+ *     summary: Invita a una persona a crear una cuenta de funcionario o administrador.
+ *     description: Envía por correo un enlace de un solo uso que vence a las INVITACION_DURACION_HORAS (72 por defecto). Los funcionarios quedan asociados a la municipalidad indicada. Si el correo no se pudo enviar, la invitación se crea igual y la respuesta incluye el enlace para entregarlo por otro medio. Una nueva invitación al mismo correo revoca las pendientes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *               - rol
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 example: "funcionaria@laflorida.cl"
+ *               rol:
+ *                 type: string
+ *                 enum: [funcionario, admin]
+ *                 example: "funcionario"
+ *               id_municipalidad:
+ *                 type: string
+ *                 description: Obligatorio si el rol es funcionario.
+ *                 example: "jLk6tks6WFngFWQ1Zf8B"
+ *     responses:
+ *       201:
+ *         description: Invitación creada.
+ *       400:
+ *         description: Faltan campos o el rol no es válido.
+ *       404:
+ *         description: La municipalidad no existe.
+ *       409:
+ *         description: Ya existe una cuenta con ese correo o la municipalidad está desactivada.
+ *       500:
+ *         description: Error al crear la invitación.
+ */
+router.post('/invitar-personal', async (req, res) => {
+  const { correo, rol, id_municipalidad } = req.body;
+
+  if (!correo || !rol) {
+    return res.status(400).json({
+      message: "Los campos 'correo' y 'rol' son obligatorios."
+    });
+  }
+
+  try {
+    const resultado = await crearInvitacion({
+      correo,
+      rol,
+      id_municipalidad,
+      creado_por: req.user.uid,
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+    });
+
+    return res.status(201).json({
+      message: resultado.correo_enviado
+        ? "Invitación enviada exitosamente."
+        : "La invitación se creó, pero no se pudo enviar el correo. Entrega el enlace por otro medio.",
+      ...resultado,
+    });
+  } catch (error) {
+    console.error("Error al crear la invitación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al crear la invitación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ver-invitaciones-personal:
+ *   get:
+ *     tags: [admin_invitaciones]
+ *     summary: Lista las invitaciones de personal, de la más reciente a la más antigua.
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, aceptada, revocada, vencida]
+ *     responses:
+ *       200:
+ *         description: Lista de invitaciones.
+ *       500:
+ *         description: Error al obtener las invitaciones.
+ */
+router.get('/ver-invitaciones-personal', async (req, res) => {
+  try {
+    const invitaciones = await listarInvitaciones({ estado: req.query.estado });
+
+    return res.status(200).json({
+      message: "Invitaciones obtenidas exitosamente.",
+      roles_invitables: ROLES_INVITABLES,
+      invitaciones,
+    });
+  } catch (error) {
+    console.error("Error al obtener las invitaciones:", error);
+    return res.status(500).json({
+      message: "Error al obtener las invitaciones.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /revocar-invitacion-personal:
+ *   put:
+ *     tags: [admin_invitaciones]
+ *     summary: Revoca una invitación pendiente. Su enlace deja de funcionar.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_invitacion
+ *             properties:
+ *               id_invitacion:
+ *                 type: string
+ *                 example: "Qm3kXo8Lr2VbN1sT9cYe"
+ *     responses:
+ *       200:
+ *         description: Invitación revocada.
+ *       404:
+ *         description: La invitación no existe.
+ *       409:
+ *         description: La invitación ya no está pendiente.
+ *       500:
+ *         description: Error al revocar la invitación.
+ */
+router.put('/revocar-invitacion-personal', async (req, res) => {
+  const { id_invitacion } = req.body;
+
+  if (!id_invitacion) {
+    return res.status(400).json({
+      message: "El campo 'id_invitacion' es obligatorio."
+    });
+  }
+
+  try {
+    await revocarInvitacion(id_invitacion);
+
+    return res.status(200).json({
+      message: "Invitación revocada exitosamente."
+    });
+  } catch (error) {
+    console.error("Error al revocar la invitación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al revocar la invitación.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
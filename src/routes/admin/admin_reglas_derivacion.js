@@ -0,0 +1,367 @@
+const express = require('express');
+const {
+  ZONA_HORARIA,
+  DIAS_PRUEBA_POR_DEFECTO,
+  crearRegla,
+  editarRegla,
+  cambiarEstadoRegla,
+  listarReglas,
+  obtenerDepartamentoPorDefecto,
+  configurarDepartamentoPorDefecto,
+  probarRegla,
+} = require('../../services/reglas_derivacion');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: admin_reglas_derivacion
+ *   description: Reglas que derivan las alertas nuevas a un departamento apenas se crean, según la comuna, la gravedad, la hora y palabras clave del mensaje. Las reglas activas se evalúan por prioridad (1 primero) y se aplica la primera que coincide; si ninguna coincide, la alerta se deriva al departamento por defecto, si hay uno configurado. Cada derivación registra la regla aplicada en ALERTA_DERIVADA (`regla`) y en el historial del caso. Las alertas derivadas por una regla no se escalan al grupo del usuario.
+ */
+
+/**
+ * @swagger
+ * /agregar-regla-derivacion:
+ *   post:
+ *     tags: [admin_reglas_derivacion]
+ *     summary: Agrega una regla de derivación.
+ *     description: "La regla se crea activa. Todas las condiciones informadas deben cumplirse; dentro de cada lista basta con que coincida un elemento. Debe tener al menos una condición. El horario se evalúa en la zona horaria ZONA_HORARIA (America/Santiago por defecto); si `desde` es mayor que `hasta`, cruza la medianoche. Las palabras clave se buscan como palabras completas en el mensaje del usuario, sin distinguir mayúsculas ni tildes."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *               - id_departamento
+ *               - prioridad
+ *               - condiciones
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: "Noche en Macul"
+ *               id_departamento:
+ *                 type: string
+ *                 example: "RF1gx1AVP8zOG7WZMne5"
+ *               prioridad:
+ *                 type: integer
+ *                 description: Orden de evaluación; 1 se evalúa primero. A igual prioridad, la regla más antigua primero.
+ *                 example: 1
+ *               condiciones:
+ *                 type: object
+ *                 properties:
+ *                   id_comunas:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: ["nT5aXhQ0pL2mB8vC1dEf"]
+ *                   id_gravedades:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: ["jCF8iApdZ0s5wdgkjQ2p"]
+ *                   horario:
+ *                     type: object
+ *                     properties:
+ *                       desde:
+ *                         type: string
+ *                         example: "22:00"
+ *                       hasta:
+ *                         type: string
+ *                         example: "06:00"
+ *                   palabras_clave:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: ["me siguen", "arma"]
+ *     responses:
+ *       201:
+ *         description: Regla agregada exitosamente.
+ *       400:
+ *         description: Faltan campos, las condiciones no son válidas o el departamento está desactivado.
+ *       404:
+ *         description: No se encontró el departamento, una comuna o una gravedad.
+ *       500:
+ *         description: Error al agregar la regla.
+ */
+router.post('/agregar-regla-derivacion', async (req, res) => {
+  try {
+    const regla = await crearRegla(req.body);
+    return res.status(201).json({ message: "Regla de derivación agregada exitosamente.", regla });
+  } catch (error) {
+    console.error("Error al agregar la regla de derivación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al agregar la regla de derivación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /editar-regla-derivacion:
+ *   put:
+ *     tags: [admin_reglas_derivacion]
+ *     summary: Edita una regla de derivación.
+ *     description: Reemplaza el nombre, el departamento, la prioridad y las condiciones de la regla, con las mismas validaciones que /agregar-regla-derivacion. No cambia su estado.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_regla
+ *               - nombre
+ *               - id_departamento
+ *               - prioridad
+ *               - condiciones
+ *             properties:
+ *               id_regla:
+ *                 type: string
+ *               nombre:
+ *                 type: string
+ *               id_departamento:
+ *                 type: string
+ *               prioridad:
+ *                 type: integer
+ *               condiciones:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Regla actualizada exitosamente.
+ *       400:
+ *         description: Faltan campos, las condiciones no son válidas o el departamento está desactivado.
+ *       404:
+ *         description: No se encontró la regla, el departamento, una comuna o una gravedad.
+ *       500:
+ *         description: Error al actualizar la regla.
+ */
+router.put('/editar-regla-derivacion', async (req, res) => {
+  const { id_regla, ...datos } = req.body;
+
+  if (!id_regla) {
+    return res.status(400).json({ message: "El campo 'id_regla' es obligatorio." });
+  }
+
+  try {
+    const regla = await editarRegla(id_regla, datos);
+    return res.status(200).json({ message: "Regla de derivación actualizada exitosamente.", regla });
+  } catch (error) {
+    console.error("Error al actualizar la regla de derivación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al actualizar la regla de derivación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ver-reglas-derivacion:
+ *   get:
+ *     tags: [admin_reglas_derivacion]
+ *     summary: Lista las reglas de derivación y el departamento por defecto.
+ *     description: Las reglas, activas e inactivas, se entregan en el orden en que se evalúan. `veces_aplicada` y `fecha_ultima_aplicacion` indican cuántas alertas derivó cada regla y cuándo fue la última.
+ *     responses:
+ *       200:
+ *         description: Reglas obtenidas exitosamente.
+ *       500:
+ *         description: Error al obtener las reglas.
+ */
+router.get('/ver-reglas-derivacion', async (req, res) => {
+  try {
+    const [reglas, id_departamento_por_defecto] = await Promise.all([
+      listarReglas(),
+      obtenerDepartamentoPorDefecto(),
+    ]);
+    return res.status(200).json({
+      message: "Reglas de derivación obtenidas exitosamente.",
+      zona_horaria: ZONA_HORARIA,
+      id_departamento_por_defecto,
+      reglas,
+    });
+  } catch (error) {
+    console.error("Error al obtener las reglas de derivación:", error);
+    return res.status(500).json({
+      message: "Error al obtener las reglas de derivación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /cambiar-estado-regla-derivacion:
+ *   put:
+ *     tags: [admin_reglas_derivacion]
+ *     summary: Activa o desactiva una regla de derivación.
+ *     description: Las reglas desactivadas no se aplican a las alertas nuevas. Las reglas cuyo departamento se desactivó tampoco se aplican.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_regla
+ *               - estado
+ *             properties:
+ *               id_regla:
+ *                 type: string
+ *               estado:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Estado de la regla actualizado exitosamente.
+ *       400:
+ *         description: Faltan campos o el estado no es booleano.
+ *       404:
+ *         description: No se encontró la regla.
+ *       500:
+ *         description: Error al actualizar el estado de la regla.
+ */
+router.put('/cambiar-estado-regla-derivacion', async (req, res) => {
+  const { id_regla, estado } = req.body;
+
+  if (!id_regla || estado === undefined) {
+    return res.status(400).json({ message: "Los campos 'id_regla' y 'estado' son obligatorios." });
+  }
+
+  try {
+    await cambiarEstadoRegla(id_regla, estado);
+    return res.status(200).json({ message: "Estado de la regla de derivación actualizado exitosamente." });
+  } catch (error) {
+    console.error("Error al actualizar el estado de la regla de derivación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al actualizar el estado de la regla de derivación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /configurar-departamento-por-defecto:
+ *   put:
+ *     tags: [admin_reglas_derivacion]
+ *     summary: Configura el departamento por defecto de la derivación automática.
+ *     description: Las alertas nuevas que no cumplen ninguna regla activa se derivan de inmediato a este departamento. Envía `id_departamento` en null para quitarlo; las alertas sin regla siguen entonces el escalamiento normal.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_departamento
+ *             properties:
+ *               id_departamento:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "RF1gx1AVP8zOG7WZMne5"
+ *     responses:
+ *       200:
+ *         description: Departamento por defecto actualizado.
+ *       400:
+ *         description: Falta el campo o el departamento está desactivado.
+ *       404:
+ *         description: No se encontró el departamento.
+ *       500:
+ *         description: Error al configurar el departamento por defecto.
+ */
+router.put('/configurar-departamento-por-defecto', async (req, res) => {
+  const { id_departamento } = req.body;
+
+  if (id_departamento === undefined) {
+    return res.status(400).json({ message: "El campo 'id_departamento' es obligatorio." });
+  }
+
+  try {
+    const id_departamento_por_defecto = await configurarDepartamentoPorDefecto(id_departamento);
+    return res.status(200).json({
+      message: id_departamento_por_defecto === null
+        ? "Se quitó el departamento por defecto. Las alertas que no cumplan ninguna regla seguirán el escalamiento normal."
+        : "Departamento por defecto actualizado exitosamente.",
+      id_departamento_por_defecto,
+    });
+  } catch (error) {
+    console.error("Error al configurar el departamento por defecto:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al configurar el departamento por defecto.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /probar-regla-derivacion:
+ *   post:
+ *     tags: [admin_reglas_derivacion]
+ *     summary: Prueba una regla contra las alertas de los últimos días, sin derivar nada.
+ *     description: "Se puede probar una regla guardada (`id_regla`, aunque esté desactivada) o unas condiciones nuevas (`condiciones` y opcionalmente `prioridad`; sin prioridad, la regla se evalúa después de todas las activas). Se revisan hasta 1000 alertas, las más recientes. `coincidencias` cuenta las alertas que cumplen las condiciones y `aplicaria` las que se derivarían con esta regla considerando las reglas activas de mayor prioridad; en cada alerta, `id_regla_previa` indica la regla que se aplicaría en su lugar. Se entregan hasta 100 alertas."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_regla:
+ *                 type: string
+ *               condiciones:
+ *                 type: object
+ *                 description: Mismo formato que en /agregar-regla-derivacion. Se ignora si se envía `id_regla`.
+ *               prioridad:
+ *                 type: integer
+ *                 example: 2
+ *               dias:
+ *                 type: integer
+ *                 description: Días hacia atrás a revisar, entre 1 y 180.
+ *                 example: 30
+ *     responses:
+ *       200:
+ *         description: Resultado de la prueba.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alertas_evaluadas:
+ *                   type: integer
+ *                 limite_alcanzado:
+ *                   type: boolean
+ *                 coincidencias:
+ *                   type: integer
+ *                 aplicaria:
+ *                   type: integer
+ *                 alertas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Faltan las condiciones o no son válidas, o los días están fuera de rango.
+ *       404:
+ *         description: No se encontró la regla, una comuna o una gravedad.
+ *       500:
+ *         description: Error al probar la regla.
+ */
+router.post('/probar-regla-derivacion', async (req, res) => {
+  const { id_regla, condiciones, prioridad, dias = DIAS_PRUEBA_POR_DEFECTO } = req.body;
+
+  try {
+    const resultado = await probarRegla({ id_regla, condiciones, prioridad, dias });
+    return res.status(200).json({ message: "Prueba de la regla de derivación realizada exitosamente.", ...resultado });
+  } catch (error) {
+    console.error("Error al probar la regla de derivación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al probar la regla de derivación.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
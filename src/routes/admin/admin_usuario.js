@@ -2,10 +2,13 @@ require('dotenv').config();
 const express = require('express');
 const router = express.Router();
 require('dotenv').config();
-const { admin, db, bucket } = require('../../config/firebase'); // Importamos admin, db y bucket desde firebase.js
+const { admin, db } = require('../../config/firebase'); // Importamos admin y db desde firebase.js
+const { ROLES, rolDeTipoUsuario } = require('../../config/roles');
+const { CARPETAS_IMAGEN, subirImagen, eliminarImagenAnterior, urlImagen, perfilConImagen } = require('../../services/imagenes');
+const { cerrarSesiones, exigirCorreoVerificado } = require('../../services/cuentas');
+const { datosTelefonoPersona } = require('../../services/verificacion_telefono');
 const multer = require('multer');
 const axios = require('axios');
-const path = require('path');
 
 // Aquí debes poner la API Key de tu proyecto Firebase
 const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
@@ -96,7 +99,7 @@ router.get('/listar-personas-perfil', async (req, res) => {
         nombre: personaData.nombre,
         apellido: personaData.apellido,
         correo: personaData.correo,
-        perfil: perfilData
+        perfil: await perfilConImagen(perfilData)
       });
     }
 
@@ -183,13 +186,65 @@ router.put('/desactivar-perfil', async (req, res) => {
     }
 });
   
+/**
+ * @swagger
+ * /cerrar-sesiones-usuario:
+ *   put:
+ *     tags: [admin_persona]
+ *     summary: Cierra todas las sesiones de un usuario.
+ *     description: Revoca los refresh tokens del usuario; los tokens ya emitidos dejan de ser aceptados. Se puede combinar con /desactivar-perfil para bloquear una cuenta comprometida.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_persona
+ *             properties:
+ *               id_persona:
+ *                 type: string
+ *                 example: "VuXGI9a1tnfXRhYOE77b6ZkZlP82"
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas.
+ *       404:
+ *         description: No existe una cuenta con ese id_persona.
+ *       500:
+ *         description: Error al cerrar las sesiones.
+ */
+router.put('/cerrar-sesiones-usuario', async (req, res) => {
+  const { id_persona } = req.body;
+
+  if (!id_persona) {
+    return res.status(400).json({
+      message: "El campo 'id_persona' es obligatorio."
+    });
+  }
+
+  try {
+    const fecha_revocacion = await cerrarSesiones(id_persona);
+
+    return res.status(200).json({
+      message: "Sesiones del usuario cerradas exitosamente.",
+      fecha_revocacion,
+    });
+  } catch (error) {
+    console.error("Error al cerrar las sesiones del usuario:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al cerrar las sesiones del usuario.",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /editar-perfil:
  *   put:
  *     tags: [admin_persona]
  *     summary: Modifica los datos del perfil del usuario (nombre, apellido, teléfono, dirección, correo, imagen, etc.).
- *     description: Permite actualizar el nombre, apellido, número de teléfono, dirección, correo, fecha de nacimiento, imagen de perfil del usuario y otros datos relevantes. Si se proporciona una imagen, esta se sube a Firebase Storage.
+ *     description: Permite actualizar el nombre, apellido, número de teléfono, dirección, correo, fecha de nacimiento, imagen de perfil del usuario y otros datos relevantes. Si se proporciona una imagen (JPEG, PNG, WebP o HEIC), se eliminan sus metadatos (incluida la ubicación GPS), se generan una versión de hasta 1080 px y una miniatura de hasta 256 px en WebP, y se suben a Firebase Storage de forma privada. El archivo original no se guarda.
  *     requestBody:
  *       required: true
  *       content:
@@ -211,8 +266,8 @@ router.put('/desactivar-perfil', async (req, res) => {
  *                 example: "Pérez"
  *               numero_telefono:
  *                 type: string
- *                 description: El nuevo número de teléfono del usuario. (Opcional)
- *                 example: "123456789"
+ *                 description: El nuevo número de teléfono del usuario; se guarda en formato E.164 y queda sin verificar. (Opcional)
+ *                 example: "912345678"
  *               direccion:
  *                 type: string
  *                 description: La nueva dirección del usuario. (Opcional)
@@ -251,10 +306,14 @@ router.put('/desactivar-perfil', async (req, res) => {
  *                   example: "Perfil actualizado exitosamente."
  *                 imageUrl:
  *                   type: string
- *                   description: URL pública de la nueva imagen (si se subió).
- *                   example: "https://storage.googleapis.com/your-bucket/profile-images/abc123.jpg"
+ *                   description: URL firmada de la nueva imagen (si se subió). Vence a los URL_FIRMADA_MINUTOS; después se obtiene una nueva con /url-imagen-usuario.
+ *                   example: "https://storage.googleapis.com/your-bucket/profile-images/abc123.webp?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=900"
+ *                 thumbnailUrl:
+ *                   type: string
+ *                   description: URL firmada de la miniatura de la nueva imagen (si se subió).
+ *                   example: "https://storage.googleapis.com/your-bucket/profile-images/abc123_miniatura.webp?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=900"
  *       400:
- *         description: No se proporcionaron campos válidos para actualizar o faltó el parámetro obligatorio 'id_persona'.
+ *         description: No se proporcionaron campos válidos para actualizar, faltó el parámetro obligatorio 'id_persona' o la imagen no es válida.
  *         content:
  *           application/json:
  *             schema:
@@ -303,7 +362,11 @@ router.put('/editar-perfil', upload.single('imagen_usuario'), async (req, res) =
     // Asignar datos a PERSONA
     if (nombre) updateDataPersona.nombre = nombre;
     if (apellido) updateDataPersona.apellido = apellido;
-    if (numero_telefono) updateDataPersona.numero_telefono = numero_telefono;
+    if (numero_telefono) {
+      // Un número nuevo se guarda normalizado y debe volver a verificarse por SMS
+      const personaDoc = await db.collection('PERSONA').doc(id_persona).get();
+      Object.assign(updateDataPersona, datosTelefonoPersona(personaDoc.data(), numero_telefono));
+    }
     if (direccion) updateDataPersona.direccion = direccion;
     if (fecha_nacimiento) updateDataPersona.fecha_nacimiento = fecha_nacimiento;
     if (correo) updateDataPerfil.correo = correo;
@@ -311,84 +374,63 @@ router.put('/editar-perfil', upload.single('imagen_usuario'), async (req, res) =
     // Asignar datos a PERFIL
     if (nombre_usuario) updateDataPerfil.nombre_usuario = nombre_usuario;
     if (correo) updateDataPerfil.correo = correo;
-    if (password) updateDataPerfil.password = password;
+    // La contraseña solo se guarda en Firebase Authentication
 
-    // Manejar la imagen de perfil
+    // La imagen se procesa (sin metadatos, en tamaño normalizado) y se guarda de forma privada;
+    // la respuesta incluye URLs firmadas de corta duración
+    let rutasImagenAnterior = [];
     if (req.file) {
-      const fileName = `profile-images/${id_persona}_${Date.now()}${path.extname(req.file.originalname)}`;
-      const file = bucket.file(fileName);
-
-      const stream = file.createWriteStream({
-        metadata: {
-          contentType: req.file.mimetype,
-        },
-      });
+      const perfilDoc = await db.collection('PERFIL').doc(id_persona).get();
+      const perfilActual = perfilDoc.exists ? perfilDoc.data() : {};
+      rutasImagenAnterior = [perfilActual.ruta_imagen_usuario, perfilActual.ruta_miniatura_usuario];
 
-      stream.on('error', (error) => {
-        console.error("Error al subir la imagen:", error);
-        return res.status(500).json({ message: "Error al subir la imagen.", error: error.message });
-      });
+      const imagen = await subirImagen(CARPETAS_IMAGEN.PERFIL, id_persona, req.file);
+      updateDataPerfil.ruta_imagen_usuario = imagen.ruta;
+      updateDataPerfil.ruta_miniatura_usuario = imagen.ruta_miniatura;
+    }
 
-      stream.on('finish', async () => {
-        await file.makePublic();
-        const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-        updateDataPerfil.imagen_usuario = publicUrl;
+    // Actualizar datos en Firebase Authentication si es necesario
+    if (correo || password) {
+      await updateAuthUser(id_persona, correo, password);
+    }
 
-        // Actualizar datos en Firebase Authentication si es necesario
-        if (correo || password) {
-          await updateAuthUser(id_persona, correo, password);
-        }
+    const promises = [];
 
-        // Actualizar las colecciones de Firestore
-        const personaPromise = Object.keys(updateDataPersona).length > 0
-          ? db.collection('PERSONA').doc(id_persona).update(updateDataPersona)
-          : Promise.resolve();
+    if (Object.keys(updateDataPersona).length > 0) {
+      promises.push(db.collection('PERSONA').doc(id_persona).update(updateDataPersona));
+    }
 
-        const perfilPromise = Object.keys(updateDataPerfil).length > 0
-          ? db.collection('PERFIL').doc(id_persona).update(updateDataPerfil)
-          : Promise.resolve();
+    if (Object.keys(updateDataPerfil).length > 0) {
+      promises.push(db.collection('PERFIL').doc(id_persona).update(updateDataPerfil));
+    }
 
-        await Promise.all([personaPromise, perfilPromise]);
+    if (promises.length > 0 || password) {
+      await Promise.all(promises);
 
+      if (req.file) {
+        await eliminarImagenAnterior(...rutasImagenAnterior);
         return res.status(200).json({
           message: 'Perfil actualizado exitosamente.',
-          imageUrl: publicUrl,
+          imageUrl: await urlImagen(updateDataPerfil.ruta_imagen_usuario),
+          thumbnailUrl: await urlImagen(updateDataPerfil.ruta_miniatura_usuario),
         });
-      });
-
-      stream.end(req.file.buffer);
-    } else {
-      // Actualizar datos en Firebase Authentication si es necesario
-      if (correo || password) {
-        await updateAuthUser(id_persona, correo, password);
       }
 
-      // Actualizar ambas colecciones si no hay imagen
-      const promises = [];
-
-      if (Object.keys(updateDataPersona).length > 0) {
-        promises.push(db.collection('PERSONA').doc(id_persona).update(updateDataPersona));
-      }
-
-      if (Object.keys(updateDataPerfil).length > 0) {
-        promises.push(db.collection('PERFIL').doc(id_persona).update(updateDataPerfil));
-      }
-
-      if (promises.length > 0) {
-        await Promise.all(promises);
-        return res.status(200).json({
-          message: 'Perfil actualizado exitosamente.',
-        });
-      } else {
-        console.log("No se proporcionaron datos para actualizar.")
-        return res.status(400).json({
-          message: 'No se proporcionaron datos para actualizar.',
-        });
-      }
+      return res.status(200).json({
+        message: 'Perfil actualizado exitosamente.',
+      });
+    } else {
+      console.log("No se proporcionaron datos para actualizar.")
+      return res.status(400).json({
+        message: 'No se proporcionaron datos para actualizar.',
+      });
     }
   } catch (error) {
     console.error("Error al actualizar el perfil:", error);
-    return res.status(500).json({ message: "Error al actualizar el perfil.", error: error.message });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al actualizar el perfil.",
+      error: error.message,
+    });
   }
 });
 
@@ -489,6 +531,7 @@ router.put('/activar-perfil', async (req, res) => {
  *   post:
  *     summary: Autentica al usuario con email y contraseña.
  *     tags: [login-admin]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -518,6 +561,20 @@ router.put('/activar-perfil', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Sesión iniciada exitosamente."
+ *                 token:
+ *                   type: string
+ *                   description: ID token de Firebase que se debe enviar como token Bearer en el encabezado Authorization.
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Token para obtener un nuevo ID token cuando el actual expire.
+ *                 expira_en:
+ *                   type: integer
+ *                   description: Segundos de validez del ID token.
+ *                   example: 3600
+ *                 rol:
+ *                   type: string
+ *                   description: Rol del usuario (admin o funcionario).
+ *                   example: "funcionario"
  *                 persona:
  *                   type: object
  *                   description: Datos del usuario de la colección PERSONA.
@@ -537,6 +594,8 @@ router.put('/activar-perfil', async (req, res) => {
  *                       example: "Usuario estándar"
  *       400:
  *         description: Error en la autenticación del usuario.
+ *       403:
+ *         description: El correo de la cuenta no está verificado (solo si LOGIN_REQUIERE_CORREO_VERIFICADO=true).
  */
 router.post('/login-admin', async (req, res) => {
   const { correo, password } = req.body;
@@ -558,6 +617,15 @@ router.post('/login-admin', async (req, res) => {
 
     const uid = response.data.localId; // El UID del usuario autenticado
 
+    await exigirCorreoVerificado(uid);
+
+    // Tokens que el cliente debe enviar en las siguientes solicitudes
+    const credenciales = {
+      token: response.data.idToken,
+      refresh_token: response.data.refreshToken,
+      expira_en: parseInt(response.data.expiresIn, 10),
+    };
+
     // Buscar los datos del usuario en las colecciones PERSONA y PERFIL
     const personaRef = db.collection('PERSONA').doc(uid);
     const perfilRef = db.collection('PERFIL').doc(uid);
@@ -596,21 +664,15 @@ router.post('/login-admin', async (req, res) => {
     const tipoUsuarioData = tipoUsuarioDoc.data();
     
     // Comprobar si es Admin o Funcionario
-    if (tipoUsuarioData.descripcion === 'admin') {
-      return res.status(200).json({
-        message: 'Sesión iniciada exitosamente.',
-        persona: personaDoc.data(),
-        perfil: {
-          ...perfilData,
-          tipo_usuario: tipoUsuarioData, // Incluir datos del tipo de usuario
-        },
-      });
-    } else if (tipoUsuarioData.descripcion === 'Funcionario') {
+    const rol = rolDeTipoUsuario(tipoUsuarioId);
+    if (rol === ROLES.ADMIN || rol === ROLES.FUNCIONARIO) {
       return res.status(200).json({
         message: 'Sesión iniciada exitosamente.',
+        ...credenciales,
+        rol,
         persona: personaDoc.data(),
         perfil: {
-          ...perfilData,
+          ...await perfilConImagen(perfilData),
           tipo_usuario: tipoUsuarioData, // Incluir datos del tipo de usuario
         },
       });
@@ -621,8 +683,8 @@ router.post('/login-admin', async (req, res) => {
     }
   } catch (error) {
     console.error('Error al iniciar sesión:', error);
-    return res.status(500).json({
-      message: 'Error al iniciar sesión.',
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Error al iniciar sesión.',
       error: error.response ? error.response.data.error.message : error.message,
     });
   }
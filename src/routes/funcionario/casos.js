@@ -0,0 +1,436 @@
+const express = require('express');
+const {
+  ESTADOS_CASO,
+  esEstadoCasoValido,
+  obtenerCaso,
+  listarCasosFuncionario,
+  listarCasosDepartamento,
+  cambiarEstadoCaso,
+  agregarNotaCaso,
+  asignarCaso,
+} = require('../../services/casos');
+const { rederivarAlerta } = require('../../services/derivacion');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: funcionario_casos
+ *   description: Seguimiento de las alertas derivadas. Cada alerta derivada abre un caso para el departamento, con un funcionario asignado, un estado (abierto, en_curso, contactada, cerrado), notas internas y un historial de asignaciones, derivaciones y cambios de estado. Un caso lo pueden ver y gestionar el funcionario asignado, los funcionarios del departamento (ver /asignar-departamento-funcionario) y los administradores.
+ */
+
+function validarFiltroEstado(estado) {
+  return !estado || esEstadoCasoValido(estado);
+}
+
+/**
+ * @swagger
+ * /mis-casos:
+ *   get:
+ *     tags: [funcionario_casos]
+ *     summary: Lista los casos asignados al funcionario autenticado.
+ *     description: Los casos se ordenan del actualizado más recientemente al más antiguo. No incluyen las notas ni el historial; para verlos se usa /ver-caso.
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [abierto, en_curso, contactada, cerrado]
+ *     responses:
+ *       200:
+ *         description: Casos asignados al funcionario.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 casos:
+ *                   type: array
+ *                   description: Casos sin notas ni historial, con `cantidad_notas`.
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: El estado no es válido.
+ *       500:
+ *         description: Error al obtener los casos.
+ */
+router.get('/mis-casos', async (req, res) => {
+  const { estado } = req.query;
+
+  if (!validarFiltroEstado(estado)) {
+    return res.status(400).json({ message: `El estado debe ser uno de: ${Object.values(ESTADOS_CASO).join(', ')}.` });
+  }
+
+  try {
+    const casos = await listarCasosFuncionario(req.user.uid, { estado });
+    return res.status(200).json({ message: "Casos obtenidos exitosamente.", casos });
+  } catch (error) {
+    console.error("Error al obtener los casos del funcionario:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener los casos del funcionario.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /casos-departamento:
+ *   get:
+ *     tags: [funcionario_casos]
+ *     summary: Lista los casos del departamento del funcionario autenticado.
+ *     description: Incluye los casos sin funcionario asignado. Los administradores pueden consultar cualquier departamento con `id_departamento`.
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [abierto, en_curso, contactada, cerrado]
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Solo para administradores.
+ *     responses:
+ *       200:
+ *         description: Casos del departamento.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_departamento:
+ *                   type: string
+ *                 casos:
+ *                   type: array
+ *                   description: Casos sin notas ni historial, con `cantidad_notas`.
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: El estado no es válido.
+ *       403:
+ *         description: Un funcionario pidió los casos de otro departamento.
+ *       409:
+ *         description: El funcionario no tiene un departamento asignado.
+ *       500:
+ *         description: Error al obtener los casos.
+ */
+router.get('/casos-departamento', async (req, res) => {
+  const { estado, id_departamento } = req.query;
+
+  if (!validarFiltroEstado(estado)) {
+    return res.status(400).json({ message: `El estado debe ser uno de: ${Object.values(ESTADOS_CASO).join(', ')}.` });
+  }
+
+  try {
+    const resultado = await listarCasosDepartamento(req.user.uid, { estado, id_departamento });
+    return res.status(200).json({ message: "Casos del departamento obtenidos exitosamente.", ...resultado });
+  } catch (error) {
+    console.error("Error al obtener los casos del departamento:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener los casos del departamento.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ver-caso:
+ *   get:
+ *     tags: [funcionario_casos]
+ *     summary: Obtiene un caso con sus notas, su historial y los datos principales de la alerta.
+ *     parameters:
+ *       - in: query
+ *         name: id_caso
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Caso encontrado. `historial` registra la creación, las asignaciones, las derivaciones a otros departamentos y los cambios de estado, con el funcionario y la fecha de cada uno.
+ *       400:
+ *         description: Falta el ID del caso.
+ *       403:
+ *         description: El caso no está asignado al funcionario ni a su departamento.
+ *       404:
+ *         description: No se encontró el caso.
+ *       500:
+ *         description: Error al obtener el caso.
+ */
+router.get('/ver-caso', async (req, res) => {
+  const { id_caso } = req.query;
+
+  if (!id_caso) {
+    return res.status(400).json({ message: "El campo 'id_caso' es obligatorio." });
+  }
+
+  try {
+    const caso = await obtenerCaso(id_caso, req.user.uid);
+    return res.status(200).json({ message: "Caso obtenido exitosamente.", caso });
+  } catch (error) {
+    console.error("Error al obtener el caso:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener el caso.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /estado-caso:
+ *   put:
+ *     tags: [funcionario_casos]
+ *     summary: Cambia el estado de un caso.
+ *     description: "Transiciones permitidas: abierto a en_curso, contactada o cerrado; en_curso a contactada o cerrado; contactada a en_curso o cerrado. Para cerrar el caso se exige `motivo_cierre`. Un caso cerrado no se puede modificar. Cerrar el caso resuelve la alerta, si sigue abierta. Si la alerta se cierra primero (resuelta, cancelada o falsa alarma), el sistema cierra el caso."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_caso
+ *               - estado
+ *             properties:
+ *               id_caso:
+ *                 type: string
+ *               estado:
+ *                 type: string
+ *                 enum: [abierto, en_curso, contactada, cerrado]
+ *               motivo_cierre:
+ *                 type: string
+ *                 description: Obligatorio al cerrar. Hasta 2000 caracteres.
+ *                 example: "Se contactó a la usuaria y se coordinó medida de protección."
+ *     responses:
+ *       200:
+ *         description: Estado del caso actualizado.
+ *       400:
+ *         description: Faltan campos, el estado no es válido o falta el motivo de cierre.
+ *       403:
+ *         description: El caso no está asignado al funcionario ni a su departamento.
+ *       404:
+ *         description: No se encontró el caso.
+ *       409:
+ *         description: El caso está cerrado, la transición no está permitida o la alerta cambió de estado mientras se cerraba el caso.
+ *       500:
+ *         description: Error al cambiar el estado del caso.
+ */
+router.put('/estado-caso', async (req, res) => {
+  const { id_caso, estado, motivo_cierre } = req.body;
+
+  if (!id_caso || !estado) {
+    return res.status(400).json({ message: "Los campos 'id_caso' y 'estado' son obligatorios." });
+  }
+
+  try {
+    const caso = await cambiarEstadoCaso({ id_caso, id_funcionario: req.user.uid, estado, motivo_cierre });
+    return res.status(200).json({
+      message: "Estado del caso actualizado exitosamente.",
+      id_caso,
+      estado: caso.estado,
+      motivo_cierre: caso.motivo_cierre,
+    });
+  } catch (error) {
+    console.error("Error al cambiar el estado del caso:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al cambiar el estado del caso.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /nota-caso:
+ *   post:
+ *     tags: [funcionario_casos]
+ *     summary: Agrega una nota interna a un caso.
+ *     description: Las notas solo las ven los funcionarios y administradores. Quedan registradas con el funcionario y la fecha, y no se pueden editar ni eliminar.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_caso
+ *               - texto
+ *             properties:
+ *               id_caso:
+ *                 type: string
+ *               texto:
+ *                 type: string
+ *                 description: Hasta 2000 caracteres.
+ *                 example: "Se llamó a la usuaria, no contestó. Se reintenta en 30 minutos."
+ *     responses:
+ *       201:
+ *         description: Nota agregada.
+ *       400:
+ *         description: Faltan campos o el texto es demasiado largo.
+ *       403:
+ *         description: El caso no está asignado al funcionario ni a su departamento.
+ *       404:
+ *         description: No se encontró el caso.
+ *       409:
+ *         description: El caso está cerrado.
+ *       500:
+ *         description: Error al agregar la nota.
+ */
+router.post('/nota-caso', async (req, res) => {
+  const { id_caso, texto } = req.body;
+
+  if (!id_caso || !texto) {
+    return res.status(400).json({ message: "Los campos 'id_caso' y 'texto' son obligatorios." });
+  }
+
+  try {
+    const nota = await agregarNotaCaso({ id_caso, id_funcionario: req.user.uid, texto });
+    return res.status(201).json({ message: "Nota agregada exitosamente.", nota });
+  } catch (error) {
+    console.error("Error al agregar la nota al caso:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al agregar la nota al caso.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /asignar-caso:
+ *   put:
+ *     tags: [funcionario_casos]
+ *     summary: Asigna o reasigna un caso a un funcionario del departamento.
+ *     description: El funcionario asignado debe estar activo y pertenecer al departamento del caso. La asignación anterior queda en el historial.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_caso
+ *               - id_funcionario
+ *             properties:
+ *               id_caso:
+ *                 type: string
+ *               id_funcionario:
+ *                 type: string
+ *                 description: Funcionario al que se asigna el caso.
+ *     responses:
+ *       200:
+ *         description: Caso asignado.
+ *       400:
+ *         description: Faltan campos, o el funcionario está desactivado o no pertenece al departamento del caso.
+ *       403:
+ *         description: El caso no está asignado al funcionario autenticado ni a su departamento.
+ *       404:
+ *         description: No se encontró el caso o el funcionario.
+ *       409:
+ *         description: El caso está cerrado o ya está asignado a ese funcionario.
+ *       500:
+ *         description: Error al asignar el caso.
+ */
+router.put('/asignar-caso', async (req, res) => {
+  const { id_caso, id_funcionario } = req.body;
+
+  if (!id_caso || !id_funcionario) {
+    return res.status(400).json({ message: "Los campos 'id_caso' e 'id_funcionario' son obligatorios." });
+  }
+
+  try {
+    const caso = await asignarCaso({ id_caso, id_funcionario: req.user.uid, id_funcionario_asignado: id_funcionario });
+    return res.status(200).json({
+      message: "Caso asignado exitosamente.",
+      id_caso,
+      id_funcionario_asignado: caso.id_funcionario_asignado,
+    });
+  } catch (error) {
+    console.error("Error al asignar el caso:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al asignar el caso.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /rederivar-caso:
+ *   post:
+ *     tags: [funcionario_casos]
+ *     summary: Deriva el caso a otro departamento.
+ *     description: La nueva derivación queda registrada en ALERTA_DERIVADA y en el historial del caso, junto con el departamento y el funcionario anteriores. El caso vuelve a 'abierto' y queda sin funcionario asignado, salvo que se indique `id_funcionario` del nuevo departamento. La alerta sigue en estado derivada.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_caso
+ *               - id_departamento
+ *             properties:
+ *               id_caso:
+ *                 type: string
+ *               id_departamento:
+ *                 type: string
+ *                 description: Departamento al que se deriva el caso.
+ *               motivo:
+ *                 type: string
+ *                 example: "Corresponde a la oficina de la mujer de la comuna."
+ *               id_funcionario:
+ *                 type: string
+ *                 description: Funcionario del nuevo departamento al que se asigna el caso (opcional).
+ *     responses:
+ *       201:
+ *         description: Caso derivado al nuevo departamento.
+ *       400:
+ *         description: Faltan campos, o el funcionario indicado no pertenece al nuevo departamento.
+ *       403:
+ *         description: El caso no está asignado al funcionario autenticado ni a su departamento.
+ *       404:
+ *         description: No se encontró el caso, el departamento activo o el funcionario.
+ *       409:
+ *         description: El caso está cerrado o ya pertenece a ese departamento.
+ *       500:
+ *         description: Error al derivar el caso.
+ */
+router.post('/rederivar-caso', async (req, res) => {
+  const { id_caso, id_departamento, motivo, id_funcionario } = req.body;
+
+  if (!id_caso || !id_departamento) {
+    return res.status(400).json({ message: "Los campos 'id_caso' e 'id_departamento' son obligatorios." });
+  }
+
+  try {
+    const { alerta_derivada, caso } = await rederivarAlerta({
+      id_caso,
+      id_departamento,
+      id_funcionario: req.user.uid,
+      motivo: motivo || null,
+      id_funcionario_asignado: id_funcionario || null,
+    });
+    return res.status(201).json({
+      message: "Caso derivado al nuevo departamento exitosamente.",
+      alertaDerivada: alerta_derivada,
+      id_caso,
+      id_departamento: caso.id_departamento,
+      id_funcionario_asignado: caso.id_funcionario_asignado,
+      estado: caso.estado,
+    });
+  } catch (error) {
+    console.error("Error al derivar el caso:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al derivar el caso.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
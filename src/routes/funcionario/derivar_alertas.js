@@ -1,5 +1,8 @@
 const express = require('express');
 const { admin, db } = require('../../config/firebase'); // Asegúrate de tener acceso a Firestore a través de `db`
+const { ESTADOS_ALERTA, esEstadoValido, estadoDeAlerta, cambiarEstadoAlerta } = require('../../services/estado_alerta');
+const { derivarAlerta } = require('../../services/derivacion');
+const { miembrosGrupo, obtenerAlertasDeUsuarios, detallarAlertas } = require('../../services/alertas');
 const router = express.Router();
 
 /**
@@ -16,6 +19,13 @@ const router = express.Router();
  *     tags: [funcionario_derivar_alerta]
  *     summary: Listar las alertas generadas hoy
  *     description: Obtiene todas las alertas que se han generado el día de hoy
+ *     parameters:
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filtra las alertas por estado (activa, reconocida, derivada, resuelta, cancelada o falsa_alarma).
  *     responses:
  *       200:
  *         description: Lista de alertas obtenida exitosamente
@@ -57,12 +67,21 @@ const router = express.Router();
  *                       mensaje:
  *                         type: string
  *                         example: "Mensaje de alerta..."
+ *                       estado:
+ *                         type: string
+ *                         example: "activa"
  *       404:
  *         description: No se encontraron alertas para el día de hoy
  *       500:
  *         description: Error al obtener las alertas del día de hoy
  */
 router.get('/listar-alertas-hoy', async (req, res) => {
+    const { estado } = req.query;
+
+    if (estado && !esEstadoValido(estado)) {
+      return res.status(400).json({ message: `El estado '${estado}' no es válido.` });
+    }
+
     try {
       // Obtener la fecha actual en formato de inicio y fin del día
       const inicioDia = new Date();
@@ -88,9 +107,15 @@ router.get('/listar-alertas-hoy', async (req, res) => {
   
       // Iterar por las alertas del día
       for (const alertaDoc of alertasSnapshot.docs) {
+        const alertaData = alertaDoc.data();
+
+        // Omitir las alertas que no coinciden con el estado solicitado
+        if (estado && estadoDeAlerta(alertaData) !== estado) continue;
+
         const alerta = {
           id_alerta: alertaDoc.id,
-          ...alertaDoc.data(),
+          ...alertaData,
+          estado: estadoDeAlerta(alertaData),
         };
   
         // Verificar si la alerta ha sido derivada
@@ -122,13 +147,92 @@ router.get('/listar-alertas-hoy', async (req, res) => {
     }
   });
 
+/**
+ * @swagger
+ * /listar-alertas:
+ *   get:
+ *     tags: [funcionario_derivar_alerta]
+ *     summary: Obtiene todas las alertas o una alerta específica junto con la ubicación y gravedad.
+ *     description: Sin filtros retorna todas las alertas de la plataforma. Los usuarios consultan solo sus alertas y las de sus grupos con /obtener-alertas.
+ *     parameters:
+ *       - name: id_alerta
+ *         in: query
+ *         required: false
+ *         description: ID de la alerta para buscar una alerta específica.
+ *         schema:
+ *           type: string
+ *       - name: id_usuario
+ *         in: query
+ *         required: false
+ *         description: Filtra las alertas generadas por un usuario.
+ *         schema:
+ *           type: string
+ *       - name: id_grupo
+ *         in: query
+ *         required: false
+ *         description: Filtra las alertas de los miembros de un grupo.
+ *         schema:
+ *           type: string
+ *       - name: estado
+ *         in: query
+ *         required: false
+ *         description: Filtra las alertas por estado (activa, reconocida, derivada, resuelta, cancelada o falsa_alarma).
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alerta(s) obtenida(s) exitosamente.
+ *       400:
+ *         description: El estado no es válido.
+ *       500:
+ *         description: Error al obtener las alertas.
+ */
+router.get('/listar-alertas', async (req, res) => {
+  const { id_alerta, id_usuario, id_grupo, estado } = req.query;
+
+  if (estado && !esEstadoValido(estado)) {
+    return res.status(400).json({ message: `El estado '${estado}' no es válido.` });
+  }
+
+  try {
+    let alertasDocs;
+
+    if (id_alerta) {
+      const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+      alertasDocs = alertaDoc.exists ? [alertaDoc] : [];
+    } else if (id_usuario) {
+      alertasDocs = await obtenerAlertasDeUsuarios([id_usuario]);
+    } else if (id_grupo) {
+      alertasDocs = await obtenerAlertasDeUsuarios(await miembrosGrupo(id_grupo));
+    } else {
+      alertasDocs = (await db.collection('ALERTA').get()).docs;
+    }
+
+    if (alertasDocs.length === 0) {
+      return res.status(200).json({
+        message: "No se encontraron alertas.",
+        alertas: [],
+      });
+    }
+
+    const alertas = await detallarAlertas(alertasDocs, { estado });
+    return res.status(200).json({ alertas });
+  } catch (error) {
+    console.error("Error al obtener las alertas:", error);
+    return res.status(500).json({
+      message: "Error al obtener las alertas.",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /derivar-alerta:
  *   post:
  *     tags: [funcionario_derivar_alerta]
  *     summary: Derivar una alerta a un departamento y funcionario
- *     description: Permite derivar una alerta existente a un departamento específico y asignar un funcionario encargado
+ *     description: Permite derivar una alerta existente a un departamento específico. La derivación queda registrada a nombre del funcionario autenticado y se abre el caso de la alerta para el departamento, sin funcionario asignado (ver /casos-departamento)
  *     requestBody:
  *       required: true
  *       content:
@@ -138,7 +242,6 @@ router.get('/listar-alertas-hoy', async (req, res) => {
  *             required:
  *               - id_alerta
  *               - id_departamento
- *               - id_funcionario
  *             properties:
  *               id_alerta:
  *                 type: string
@@ -148,10 +251,6 @@ router.get('/listar-alertas-hoy', async (req, res) => {
  *                 type: string
  *                 description: ID del departamento al que se derivará la alerta
  *                 example: "RF1gx1AVP8zOG7WZMe5"
- *               id_funcionario:
- *                 type: string
- *                 description: ID del funcionario asignado a la alerta derivada
- *                 example: "sDGtmassYHUbuMuUMGvHiyZk0Zlo1"
  *     responses:
  *       201:
  *         description: Alerta derivada exitosamente
@@ -178,17 +277,23 @@ router.get('/listar-alertas-hoy', async (req, res) => {
  *                     id_funcionario:
  *                       type: string
  *                       example: "sDGtmassYHUbuMuUMGvHiyZk0Zlo1"
+ *                     automatica:
+ *                       type: boolean
+ *                       example: false
  *       400:
  *         description: Campos faltantes
+ *       409:
+ *         description: La alerta ya fue derivada o se encuentra cerrada
  *       500:
  *         description: Error al derivar la alerta
  */
 router.post('/derivar-alerta', async (req, res) => {
-    const { id_alerta, id_departamento, id_funcionario } = req.body;
+    const { id_alerta, id_departamento } = req.body;
+    const id_funcionario = req.user.uid;
   
-    if (!id_alerta || !id_departamento || !id_funcionario) {
+    if (!id_alerta || !id_departamento) {
       return res.status(400).json({
-        message: "Los campos 'id_alerta', 'id_departamento' y 'id_funcionario' son obligatorios."
+        message: "Los campos 'id_alerta' e 'id_departamento' son obligatorios."
       });
     }
   
@@ -202,17 +307,7 @@ router.post('/derivar-alerta', async (req, res) => {
         });
       }
   
-      const nuevaAlertaDerivadaRef = db.collection('ALERTA_DERIVADA').doc();
-      const id_alerta_derivada = nuevaAlertaDerivadaRef.id;
-  
-      const nuevaAlertaDerivada = {
-        id_alerta,
-        id_alerta_derivada,
-        id_departamento,
-        id_funcionario,
-      };
-  
-      await nuevaAlertaDerivadaRef.set(nuevaAlertaDerivada);
+      const nuevaAlertaDerivada = await derivarAlerta({ id_alerta, id_departamento, id_funcionario });
   
       return res.status(201).json({
         message: "Alerta derivada exitosamente.",
@@ -220,13 +315,139 @@ router.post('/derivar-alerta', async (req, res) => {
       });
     } catch (error) {
       console.error("Error al derivar la alerta:", error);
-      return res.status(500).json({
-        message: "Error al derivar la alerta.",
+      return res.status(error.status || 500).json({
+        message: error.status ? error.message : "Error al derivar la alerta.",
         error: error.message,
       });
     }
   });
 
+/**
+ * @swagger
+ * /reconocer-alerta:
+ *   post:
+ *     tags: [funcionario_derivar_alerta]
+ *     summary: Marca una alerta como reconocida
+ *     description: Indica que un funcionario tomó conocimiento de la alerta. Solo es posible para alertas activas.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_alerta
+ *             properties:
+ *               id_alerta:
+ *                 type: string
+ *                 description: ID de la alerta
+ *                 example: "1bfjj6FN8VscsUt1ND24"
+ *     responses:
+ *       200:
+ *         description: Alerta reconocida exitosamente
+ *       400:
+ *         description: Campos faltantes
+ *       404:
+ *         description: No se encontró la alerta
+ *       409:
+ *         description: La alerta no se encuentra activa
+ *       500:
+ *         description: Error al reconocer la alerta
+ */
+router.post('/reconocer-alerta', async (req, res) => {
+  const { id_alerta } = req.body;
+  const id_funcionario = req.user.uid;
+
+  if (!id_alerta) {
+    return res.status(400).json({
+      message: "El campo 'id_alerta' es obligatorio."
+    });
+  }
+
+  try {
+    const alerta = await cambiarEstadoAlerta(id_alerta, ESTADOS_ALERTA.RECONOCIDA, { id_usuario: id_funcionario });
+
+    return res.status(200).json({
+      message: "Alerta reconocida exitosamente.",
+      id_alerta,
+      estado: alerta.estado,
+    });
+  } catch (error) {
+    console.error("Error al reconocer la alerta:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al reconocer la alerta.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /resolver-alerta:
+ *   post:
+ *     tags: [funcionario_derivar_alerta]
+ *     summary: Cierra una alerta como resuelta o como falsa alarma
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_alerta
+ *             properties:
+ *               id_alerta:
+ *                 type: string
+ *                 description: ID de la alerta
+ *                 example: "1bfjj6FN8VscsUt1ND24"
+ *               falsa_alarma:
+ *                 type: boolean
+ *                 description: Indica si la alerta se cierra como falsa alarma
+ *                 example: false
+ *               motivo:
+ *                 type: string
+ *                 description: Detalle de la resolución (opcional)
+ *                 example: "Se contactó a la víctima, se encuentra a salvo."
+ *     responses:
+ *       200:
+ *         description: Alerta cerrada exitosamente
+ *       400:
+ *         description: Campos faltantes
+ *       404:
+ *         description: No se encontró la alerta
+ *       409:
+ *         description: La alerta ya se encuentra cerrada
+ *       500:
+ *         description: Error al cerrar la alerta
+ */
+router.post('/resolver-alerta', async (req, res) => {
+  const { id_alerta, falsa_alarma, motivo } = req.body;
+  const id_funcionario = req.user.uid;
+
+  if (!id_alerta) {
+    return res.status(400).json({
+      message: "El campo 'id_alerta' es obligatorio."
+    });
+  }
+
+  try {
+    const nuevoEstado = falsa_alarma ? ESTADOS_ALERTA.FALSA_ALARMA : ESTADOS_ALERTA.RESUELTA;
+    const alerta = await cambiarEstadoAlerta(id_alerta, nuevoEstado, { id_usuario: id_funcionario, motivo: motivo || null });
+
+    return res.status(200).json({
+      message: "Alerta cerrada exitosamente.",
+      id_alerta,
+      estado: alerta.estado,
+    });
+  } catch (error) {
+    console.error("Error al cerrar la alerta:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al cerrar la alerta.",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /listar-departamentos:
@@ -0,0 +1,105 @@
+const express = require('express');
+const { listarEvidenciasDerivada, descargarEvidenciaDerivada } = require('../../services/evidencias');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: funcionario_evidencias_alerta
+ *   description: Consulta de las fotos y audios adjuntos a una alerta. Solo están disponibles cuando la alerta fue derivada a un departamento.
+ */
+
+/**
+ * @swagger
+ * /evidencias-alerta-derivada:
+ *   get:
+ *     tags: [funcionario_evidencias_alerta]
+ *     summary: Lista la evidencia de una alerta derivada.
+ *     description: Retorna los datos de cada archivo, incluido el hash SHA-256 registrado al subirlo y los accesos a la evidencia. Para descargar un archivo se usa /descargar-evidencia-derivada.
+ *     parameters:
+ *       - in: query
+ *         name: id_alerta
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evidencia de la alerta, de la más antigua a la más reciente.
+ *       400:
+ *         description: Falta el ID de la alerta.
+ *       403:
+ *         description: La alerta no ha sido derivada.
+ *       404:
+ *         description: No se encontró la alerta.
+ *       500:
+ *         description: Error al obtener la evidencia.
+ */
+router.get('/evidencias-alerta-derivada', async (req, res) => {
+  const { id_alerta } = req.query;
+
+  if (!id_alerta) {
+    return res.status(400).json({ message: "El campo 'id_alerta' es obligatorio." });
+  }
+
+  try {
+    const evidencias = await listarEvidenciasDerivada(id_alerta);
+    return res.status(200).json({ message: "Evidencia de la alerta obtenida exitosamente.", evidencias });
+  } catch (error) {
+    console.error("Error al obtener la evidencia de la alerta derivada:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener la evidencia de la alerta.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /descargar-evidencia-derivada:
+ *   get:
+ *     tags: [funcionario_evidencias_alerta]
+ *     summary: Genera una URL firmada para descargar una evidencia de una alerta derivada.
+ *     description: La URL vence a los URL_FIRMADA_MINUTOS (15 por defecto). La descarga queda registrada en los accesos de la evidencia con el usuario y su rol. El `sha256` de la respuesta permite comprobar que el archivo descargado no fue modificado.
+ *     parameters:
+ *       - in: query
+ *         name: id_evidencia
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: URL de descarga generada.
+ *       400:
+ *         description: Falta el ID de la evidencia.
+ *       403:
+ *         description: La alerta de la evidencia no ha sido derivada.
+ *       404:
+ *         description: No se encontró la evidencia.
+ *       500:
+ *         description: Error al generar la URL de descarga.
+ */
+router.get('/descargar-evidencia-derivada', async (req, res) => {
+  const { id_evidencia } = req.query;
+
+  if (!id_evidencia) {
+    return res.status(400).json({ message: "El campo 'id_evidencia' es obligatorio." });
+  }
+
+  try {
+    const descarga = await descargarEvidenciaDerivada({
+      id_evidencia,
+      id_usuario: req.user.uid,
+      rol: req.user.rol,
+    });
+
+    return res.status(200).json({ message: "URL de descarga generada exitosamente.", ...descarga });
+  } catch (error) {
+    console.error("Error al generar la URL de descarga de la evidencia derivada:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al generar la URL de descarga de la evidencia.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
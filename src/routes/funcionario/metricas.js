@@ -1,5 +1,6 @@
 const express = require('express');
 const { admin, db } = require('../../config/firebase'); // Asegúrate de tener acceso a Firestore a través de `db`
+const { normalizarTexto } = require('../../utils/texto');
 const router = express.Router();
 
 
@@ -179,7 +180,7 @@ router.get('/usuarios-por-comuna', async (req, res) => {
  *   get:
  *     summary: Obtiene el número total de alertas y alertas por comuna.
  *     tags: [funcionario_metricas]
- *     description: Retorna el número total de alertas y el número de alertas por comuna, incluyendo el nombre de la comuna.
+ *     description: Retorna el número total de alertas y el número de alertas por comuna, incluyendo el nombre de la comuna. Las alertas se agrupan por `id_comuna`; las alertas antiguas que no lo tienen se asocian a la comuna registrada con el mismo nombre.
  *     responses:
  *       200:
  *         description: Datos obtenidos exitosamente.
@@ -197,6 +198,10 @@ router.get('/usuarios-por-comuna', async (req, res) => {
  *                   items:
  *                     type: object
  *                     properties:
+ *                       id_comuna:
+ *                         type: string
+ *                         description: El ID de la comuna, o null si la comuna no se pudo identificar.
+ *                         example: "b3XkR9pQ2mZt7LwY1sVd"
  *                       nombre_comuna:
  *                         type: string
  *                         description: El nombre de la comuna.
@@ -218,28 +223,39 @@ router.get('/alertas-por-comuna', async (req, res) => {
   
       const totalAlertas = alertasSnapshot.size; // Número total de alertas
   
-      // 2. Crear un objeto para contar alertas por comuna
+      // 2. Obtener el nombre de cada comuna desde la colección `COMUNA`
+      const nombresComuna = {};
+      const idsPorNombre = {};
+      const comunasSnapshot = await db.collection('COMUNA').get();
+      comunasSnapshot.forEach(doc => {
+        nombresComuna[doc.id] = doc.data().nombre;
+        idsPorNombre[normalizarTexto(doc.data().nombre)] = doc.id;
+      });
+  
+      // 3. Contar alertas por id_comuna. Las alertas anteriores a la resolución por límites comunales
+      // no tienen id_comuna: se asocian a la comuna con el mismo nombre o se agrupan por el nombre guardado
       const alertasPorComuna = {};
   
-      // Iterar sobre las alertas y contar por comuna
       alertasSnapshot.forEach(doc => {
         const alerta = doc.data();
-        const comuna = alerta.comuna || 'Sin Comuna'; // Asegurarse de que tenga una comuna
+        const id_comuna = alerta.id_comuna || idsPorNombre[normalizarTexto(alerta.comuna)] || null;
+        const clave = id_comuna || `nombre:${alerta.comuna || 'Sin Comuna'}`;
   
-        if (alertasPorComuna[comuna]) {
-          alertasPorComuna[comuna].total_alertas++;
+        if (alertasPorComuna[clave]) {
+          alertasPorComuna[clave].total_alertas++;
         } else {
-          alertasPorComuna[comuna] = { total_alertas: 1, nombre_comuna: comuna }; // Inicializar con 1 alerta
+          alertasPorComuna[clave] = {
+            id_comuna,
+            nombre_comuna: nombresComuna[id_comuna] || alerta.comuna || 'Sin Comuna',
+            total_alertas: 1,
+          };
         }
       });
   
-      // 3. Convertir alertasPorComuna en un array para mayor claridad en el retorno
-      const alertasPorComunaArray = Object.keys(alertasPorComuna).map(comuna => ({
-        nombre_comuna: alertasPorComuna[comuna].nombre_comuna,
-        total_alertas: alertasPorComuna[comuna].total_alertas,
-      }));
+      // 4. Convertir alertasPorComuna en un array para mayor claridad en el retorno
+      const alertasPorComunaArray = Object.values(alertasPorComuna);
   
-      // 4. Devolver los resultados
+      // 5. Devolver los resultados
       return res.status(200).json({
         total_alertas: totalAlertas,
         alertas_por_comuna: alertasPorComunaArray,
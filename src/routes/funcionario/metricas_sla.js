@@ -0,0 +1,164 @@
+const express = require('express');
+const { obtenerMetricasSla, listarIncumplimientosSla } = require('../../services/sla');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: funcionario_metricas_sla
+ *   description: Tiempos de respuesta de las alertas derivadas y cumplimiento de las metas (SLA) de cada gravedad. Cada derivación registra cuándo se creó la alerta, cuándo se derivó, la primera acción del departamento sobre el caso y el cierre. Las metas se configuran en minutos por gravedad (`sla_minutos_primera_accion` y `sla_minutos_cierre`, ver /editar-gravedad); las gravedades sin meta no generan incumplimientos.
+ */
+
+/**
+ * @swagger
+ * /metricas-sla:
+ *   get:
+ *     tags: [funcionario_metricas_sla]
+ *     summary: Obtiene la mediana y el percentil 90 de los tiempos de respuesta de las alertas derivadas.
+ *     description: Considera las derivaciones hechas en el período (por defecto, los últimos 30 días). Los tiempos se informan en minutos desde la creación de la alerta hasta la derivación, desde la derivación hasta la primera acción y desde la derivación hasta el cierre, en general, por departamento y por comuna. Las derivaciones que siguen pendientes se cuentan aparte y no entran en la mediana ni en el percentil 90, pero sí cuentan como incumplimiento cuando ya superaron la meta.
+ *     parameters:
+ *       - in: query
+ *         name: desde
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-05-01"
+ *       - in: query
+ *         name: hasta
+ *         required: false
+ *         description: Fecha final del período, incluida.
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-05-31"
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: id_gravedad
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Métricas obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 metas:
+ *                   type: object
+ *                   description: Metas en minutos de cada gravedad (`primera_accion` y `cierre`).
+ *                 general:
+ *                   type: object
+ *                   description: Cantidad, `mediana_minutos` y `p90_minutos` de cada tiempo (`alerta_a_derivacion`, `derivacion_a_primera_accion`, `derivacion_a_cierre`), pendientes e incumplimientos.
+ *                 por_departamento:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 por_comuna:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: El período no es válido.
+ *       500:
+ *         description: Error al obtener las métricas.
+ */
+router.get('/metricas-sla', async (req, res) => {
+  const { desde, hasta, id_departamento, id_gravedad } = req.query;
+
+  try {
+    const metricas = await obtenerMetricasSla({ desde, hasta, id_departamento, id_gravedad });
+    return res.status(200).json({ message: "Métricas de tiempos de respuesta obtenidas exitosamente.", ...metricas });
+  } catch (error) {
+    console.error("Error al obtener las métricas de tiempos de respuesta:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener las métricas de tiempos de respuesta.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /casos-sla-incumplidos:
+ *   get:
+ *     tags: [funcionario_metricas_sla]
+ *     summary: Lista los casos que no cumplieron la meta de tiempo de su gravedad.
+ *     description: Considera las derivaciones hechas en el período (por defecto, los últimos 30 días). Un caso incumple la meta de primera acción si el departamento tardó más que la meta en actuar sobre él (o en cerrarlo o rederivarlo), y la meta de cierre si tardó más que la meta en cerrarse. Los casos pendientes que ya superaron la meta se incluyen con `pendiente` en true. Se ordenan del que más excedió la meta al que menos, con el total por departamento y por comuna.
+ *     parameters:
+ *       - in: query
+ *         name: desde
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: hasta
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: id_comuna
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tipo
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [primera_accion, cierre]
+ *     responses:
+ *       200:
+ *         description: Incumplimientos obtenidos exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 por_departamento:
+ *                   type: object
+ *                   description: Cantidad de incumplimientos por id de departamento.
+ *                 por_comuna:
+ *                   type: object
+ *                   description: Cantidad de incumplimientos por id de comuna.
+ *                 incumplimientos:
+ *                   type: array
+ *                   description: Cada incumplimiento con el caso, el departamento, la comuna, el `tipo`, la meta y los minutos excedidos.
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: El período o el tipo no son válidos.
+ *       500:
+ *         description: Error al obtener los incumplimientos.
+ */
+router.get('/casos-sla-incumplidos', async (req, res) => {
+  const { desde, hasta, id_departamento, id_comuna, tipo } = req.query;
+
+  try {
+    const resultado = await listarIncumplimientosSla({ desde, hasta, id_departamento, id_comuna, tipo });
+    return res.status(200).json({ message: "Incumplimientos obtenidos exitosamente.", ...resultado });
+  } catch (error) {
+    console.error("Error al obtener los incumplimientos de tiempos de respuesta:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener los incumplimientos de tiempos de respuesta.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
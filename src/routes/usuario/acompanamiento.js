@@ -0,0 +1,325 @@
+const express = require('express');
+const { db } = require('../../config/firebase');
+const {
+  ESTADOS_ACOMPANAMIENTO,
+  iniciarAcompanamiento,
+  extenderAcompanamiento,
+  finalizarAcompanamiento,
+} = require('../../services/acompanamiento');
+const router = express.Router();
+
+// Límite de minutos para iniciar o extender un acompañamiento
+const MAX_MINUTOS = 24 * 60;
+
+function minutosValidos(minutos) {
+  return Number.isInteger(minutos) && minutos > 0 && minutos <= MAX_MINUTOS;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: usuario_acompanamiento
+ *   description: Temporizador "acompáñame" que genera una alerta si el usuario no confirma su llegada
+ */
+
+/**
+ * @swagger
+ * /iniciar-acompanamiento:
+ *   post:
+ *     tags: [usuario_acompanamiento]
+ *     summary: Inicia un acompañamiento con un plazo para confirmar la llegada.
+ *     description: Si el usuario no completa ni extiende el acompañamiento antes de que venza el plazo, se genera automáticamente una alerta con su última ubicación registrada en UBICACION_ACTUAL (o la ubicación inicial si no tiene una) y su mensaje predeterminado. El plazo se guarda como tarea programada, por lo que se respeta aunque el servidor se reinicie.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minutos
+ *               - id_gravedad
+ *               - latitud
+ *               - longitud
+ *             properties:
+ *               minutos:
+ *                 type: integer
+ *                 description: Minutos para confirmar la llegada (máximo 1440).
+ *                 example: 25
+ *               id_gravedad:
+ *                 type: string
+ *                 description: Gravedad de la alerta que se genera si vence el plazo.
+ *                 example: "jCF8iApdZ0s5wdgkjQ2p"
+ *               latitud:
+ *                 type: number
+ *                 example: -33.6221678
+ *               longitud:
+ *                 type: number
+ *                 example: -70.6075504
+ *               destino:
+ *                 type: string
+ *                 example: "Casa"
+ *     responses:
+ *       201:
+ *         description: Acompañamiento iniciado exitosamente.
+ *       400:
+ *         description: Faltan campos o los minutos no son válidos.
+ *       409:
+ *         description: El usuario ya tiene un acompañamiento activo.
+ *       500:
+ *         description: Error al iniciar el acompañamiento.
+ */
+router.post('/iniciar-acompanamiento', async (req, res) => {
+  const { minutos, id_gravedad, latitud, longitud, destino } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (minutos === undefined || !id_gravedad || latitud === undefined || longitud === undefined) {
+    return res.status(400).json({
+      message: "Los campos 'minutos', 'id_gravedad', 'latitud' y 'longitud' son obligatorios."
+    });
+  }
+
+  if (!minutosValidos(minutos)) {
+    return res.status(400).json({ message: `El campo 'minutos' debe ser un número entero entre 1 y ${MAX_MINUTOS}.` });
+  }
+
+  try {
+    const acompanamiento = await iniciarAcompanamiento({ id_usuario, minutos, id_gravedad, latitud, longitud, destino });
+
+    return res.status(201).json({
+      message: "Acompañamiento iniciado exitosamente.",
+      acompanamiento,
+    });
+  } catch (error) {
+    console.error("Error al iniciar el acompañamiento:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al iniciar el acompañamiento.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /extender-acompanamiento:
+ *   post:
+ *     tags: [usuario_acompanamiento]
+ *     summary: Extiende el plazo de un acompañamiento activo.
+ *     description: Suma los minutos indicados al plazo actual (o a la hora actual si el plazo ya pasó y la alerta aún no se generó).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_acompanamiento
+ *               - minutos
+ *             properties:
+ *               id_acompanamiento:
+ *                 type: string
+ *                 example: "Xq3bT8s0kPzY7cVn2LmA"
+ *               minutos:
+ *                 type: integer
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: Plazo extendido exitosamente.
+ *       400:
+ *         description: Faltan campos o los minutos no son válidos.
+ *       403:
+ *         description: El acompañamiento no pertenece al usuario.
+ *       404:
+ *         description: No se encontró el acompañamiento.
+ *       409:
+ *         description: El acompañamiento ya terminó.
+ *       500:
+ *         description: Error al extender el acompañamiento.
+ */
+router.post('/extender-acompanamiento', async (req, res) => {
+  const { id_acompanamiento, minutos } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (!id_acompanamiento || minutos === undefined) {
+    return res.status(400).json({
+      message: "Los campos 'id_acompanamiento' y 'minutos' son obligatorios."
+    });
+  }
+
+  if (!minutosValidos(minutos)) {
+    return res.status(400).json({ message: `El campo 'minutos' debe ser un número entero entre 1 y ${MAX_MINUTOS}.` });
+  }
+
+  try {
+    const acompanamiento = await extenderAcompanamiento({ id_acompanamiento, id_usuario, minutos });
+
+    return res.status(200).json({
+      message: "Plazo del acompañamiento extendido exitosamente.",
+      acompanamiento,
+    });
+  } catch (error) {
+    console.error("Error al extender el acompañamiento:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al extender el acompañamiento.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /completar-acompanamiento:
+ *   post:
+ *     tags: [usuario_acompanamiento]
+ *     summary: Confirma que el usuario llegó a su destino.
+ *     description: Termina el acompañamiento sin generar una alerta.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_acompanamiento
+ *             properties:
+ *               id_acompanamiento:
+ *                 type: string
+ *                 example: "Xq3bT8s0kPzY7cVn2LmA"
+ *     responses:
+ *       200:
+ *         description: Acompañamiento completado exitosamente.
+ *       400:
+ *         description: Faltan campos obligatorios.
+ *       403:
+ *         description: El acompañamiento no pertenece al usuario.
+ *       404:
+ *         description: No se encontró el acompañamiento.
+ *       409:
+ *         description: El acompañamiento ya terminó.
+ *       500:
+ *         description: Error al completar el acompañamiento.
+ */
+router.post('/completar-acompanamiento', async (req, res) => {
+  const { id_acompanamiento } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (!id_acompanamiento) {
+    return res.status(400).json({ message: "El campo 'id_acompanamiento' es obligatorio." });
+  }
+
+  try {
+    const acompanamiento = await finalizarAcompanamiento({
+      id_acompanamiento,
+      id_usuario,
+      estado: ESTADOS_ACOMPANAMIENTO.COMPLETADO,
+    });
+
+    return res.status(200).json({
+      message: "Acompañamiento completado exitosamente.",
+      acompanamiento,
+    });
+  } catch (error) {
+    console.error("Error al completar el acompañamiento:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al completar el acompañamiento.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /cancelar-acompanamiento:
+ *   post:
+ *     tags: [usuario_acompanamiento]
+ *     summary: Cancela un acompañamiento activo.
+ *     description: Termina el acompañamiento sin generar una alerta.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_acompanamiento
+ *             properties:
+ *               id_acompanamiento:
+ *                 type: string
+ *                 example: "Xq3bT8s0kPzY7cVn2LmA"
+ *     responses:
+ *       200:
+ *         description: Acompañamiento cancelado exitosamente.
+ *       400:
+ *         description: Faltan campos obligatorios.
+ *       403:
+ *         description: El acompañamiento no pertenece al usuario.
+ *       404:
+ *         description: No se encontró el acompañamiento.
+ *       409:
+ *         description: El acompañamiento ya terminó.
+ *       500:
+ *         description: Error al cancelar el acompañamiento.
+ */
+router.post('/cancelar-acompanamiento', async (req, res) => {
+  const { id_acompanamiento } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (!id_acompanamiento) {
+    return res.status(400).json({ message: "El campo 'id_acompanamiento' es obligatorio." });
+  }
+
+  try {
+    const acompanamiento = await finalizarAcompanamiento({
+      id_acompanamiento,
+      id_usuario,
+      estado: ESTADOS_ACOMPANAMIENTO.CANCELADO,
+    });
+
+    return res.status(200).json({
+      message: "Acompañamiento cancelado exitosamente.",
+      acompanamiento,
+    });
+  } catch (error) {
+    console.error("Error al cancelar el acompañamiento:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al cancelar el acompañamiento.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /acompanamiento-activo:
+ *   get:
+ *     tags: [usuario_acompanamiento]
+ *     summary: Obtiene el acompañamiento activo del usuario autenticado.
+ *     responses:
+ *       200:
+ *         description: Acompañamiento activo del usuario, o null si no tiene uno.
+ *       500:
+ *         description: Error al obtener el acompañamiento.
+ */
+router.get('/acompanamiento-activo', async (req, res) => {
+  const id_usuario = req.user.uid;
+
+  try {
+    const activosSnapshot = await db.collection('ACOMPANAMIENTO')
+      .where('id_usuario', '==', id_usuario)
+      .where('estado', '==', ESTADOS_ACOMPANAMIENTO.ACTIVO)
+      .limit(1)
+      .get();
+
+    return res.status(200).json({
+      message: "Acompañamiento obtenido exitosamente.",
+      acompanamiento: activosSnapshot.empty ? null : activosSnapshot.docs[0].data(),
+    });
+  } catch (error) {
+    console.error("Error al obtener el acompañamiento:", error);
+    return res.status(500).json({
+      message: "Error al obtener el acompañamiento.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,37 @@
 require('dotenv').config();
 const express = require('express');
 const { admin, db } = require('../../config/firebase'); // Importamos db desde firebase.js
-const axios = require('axios');
+const { encolarNotificaciones, obtenerNotificacionesAlerta, obtenerDestinatariosNotificados } = require('../../services/outbox');
+const {
+  crearAlerta,
+  usuariosConAlertasVisibles,
+  miembrosGrupo,
+  obtenerAlertasDeUsuarios,
+  detallarAlertas,
+} = require('../../services/alertas');
+const { ESTADOS_ALERTA, esEstadoValido, estadoDeAlerta, cambiarEstadoAlerta } = require('../../services/estado_alerta');
+const { datosTelefonoContacto } = require('../../services/verificacion_telefono');
+const { MENSAJE_TELEFONO_INVALIDO, normalizarTelefono } = require('../../utils/telefono');
+const {
+  ESTADOS_CONSENTIMIENTO,
+  estadoConsentimiento,
+  estadoInicialConsentimiento,
+  enviarSolicitudConsentimiento,
+  reenviarSolicitudConsentimiento,
+} = require('../../services/consentimiento');
+const {
+  CANAL_POR_DEFECTO,
+  preferenciasContacto,
+  compararPorPrioridad,
+  validarPreferenciasContacto,
+  siguientePrioridad,
+  ordenarContactos,
+} = require('../../services/preferencias_contacto');
+const { ROLES } = require('../../config/roles');
 const router = express.Router();
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const client = require('twilio')(accountSid, authToken);
-
-// Clave de la API de Google Maps
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+// Roles que pueden ver el estado de entrega de cualquier alerta (para dar seguimiento a las derivadas)
+const ROLES_VER_ENTREGA = [ROLES.FUNCIONARIO, ROLES.ADMIN];
 
 /**
  * @swagger
@@ -17,7 +39,7 @@ const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
  *   post:
  *     tags: [usuario_alerta]
  *     summary: Guarda una ubicación y genera una alerta.
- *     description: Guarda una ubicación en la colección "UBICACION" y genera una alerta en la colección "ALERTA", obteniendo la comuna y dirección automáticamente usando la API de Google Maps.
+ *     description: Guarda una ubicación en la colección "UBICACION" y genera una alerta en la colección "ALERTA". La comuna (`id_comuna`) se obtiene a partir de los límites comunales guardados en el servidor; la dirección se consulta en Google Maps solo si hay una clave configurada. Los mensajes a los contactos se guardan en la colección "NOTIFICACION" y se envían en segundo plano con reintentos, en orden de prioridad y por el canal elegido para cada contacto; los contactos que eligieron gravedades solo reciben las alertas de esas gravedades. Si ningún contacto confirma dentro del plazo definido por la gravedad, la alerta se envía al grupo seleccionado y luego se deriva automáticamente a un departamento. Si la alerta cumple una regla de derivación, o hay un departamento por defecto configurado, se deriva de inmediato a ese departamento y no se escala al grupo.
  *     requestBody:
  *       required: true
  *       content:
@@ -25,16 +47,11 @@ const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
  *           schema:
  *             type: object
  *             required:
- *               - id_usuario
  *               - latitud
  *               - longitud
  *               - id_gravedad
  *               - mensaje
  *             properties:
- *               id_usuario:
- *                 type: string
- *                 description: El ID del usuario asociado con la ubicación.
- *                 example: "2ME9VRJaHwOvqitEOVAHATLy33e2"
  *               latitud:
  *                 type: number
  *                 description: Latitud de la ubicación.
@@ -61,7 +78,7 @@ const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Ubicación y alerta guardadas exitosamente."
+ *                   example: "Ubicación y alerta guardadas exitosamente. Mensajes de WhatsApp en proceso de envío a los contactos."
  *                 id_ubicacion:
  *                   type: string
  *                   description: El ID de la ubicación guardada.
@@ -70,120 +87,39 @@ const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
  *                   type: string
  *                   description: El ID de la alerta generada.
  *                   example: "GRgX8V2fKcC82eaP6Aov"
+ *                 url_seguimiento:
+ *                   type: string
+ *                   description: Enlace con la ubicación en tiempo real que reciben los contactos. La app debe enviar las nuevas posiciones a `/seguimiento/posicion`.
+ *                   example: "https://api.example.com/api/seguimiento/4f9c1e..."
  *       400:
  *         description: Error en la validación de los campos obligatorios.
  *       500:
  *         description: Error interno al guardar la ubicación o alerta.
  */
 router.post('/guardar-ubicacion', async (req, res) => {
-  const { id_usuario, latitud, longitud, id_gravedad, mensaje } = req.body;
+  const { latitud, longitud, id_gravedad, mensaje } = req.body;
+  const id_usuario = req.user.uid;
 
-  if (!id_usuario || !latitud || !longitud || !id_gravedad || !mensaje) {
+  if (!latitud || !longitud || !id_gravedad || !mensaje) {
     return res.status(400).json({
-      message: "Los campos 'id_usuario', 'latitud', 'longitud', 'id_gravedad' y 'mensaje' son obligatorios."
+      message: "Los campos 'latitud', 'longitud', 'id_gravedad' y 'mensaje' son obligatorios."
     });
   }
 
   try {
-    // Generar un ID para la ubicación
-    const nuevaUbicacionRef = db.collection('UBICACION').doc();
-    const id_ubicacion = nuevaUbicacionRef.id;
-
-    // Guardar la nueva ubicación
-    const nuevaUbicacion = {
-      id_ubicacion,
+    const { id_alerta, id_ubicacion, url_seguimiento } = await crearAlerta({
       id_usuario,
       latitud,
       longitud,
-    };
-    await nuevaUbicacionRef.set(nuevaUbicacion);
-
-    // Obtener comuna y dirección utilizando Google Maps
-    const geocodeResponse = await axios.get(`https://maps.googleapis.com/maps/api/geocode/json?latlng=${latitud},${longitud}&key=${GOOGLE_MAPS_API_KEY}`);
-    let comuna = '';
-    let direccion = '';
-    if (geocodeResponse.data.results.length > 0) {
-      const addressComponents = geocodeResponse.data.results[0].address_components;
-      const comunaComponent = addressComponents.find(component => component.types.includes('locality'));
-      if (comunaComponent) {
-        comuna = comunaComponent.long_name;
-      }
-      direccion = geocodeResponse.data.results[0].formatted_address;
-    }
-    if (!comuna) comuna = 'Comuna no disponible';
-    if (!direccion) direccion = 'Dirección no disponible';
-
-    // Guardar la alerta en Firestore
-    const nuevaAlertaRef = db.collection('ALERTA').doc();
-    const id_alerta = nuevaAlertaRef.id;
-    const googleMapsLink = `https://www.google.com/maps/search/?api=1&query=${latitud},${longitud}`;
-    const mensaje_nuevo = `${mensaje}. Mi ubicación actual es ${direccion} (latitud: ${latitud}, longitud: ${longitud}). Puedes ver mi ubicación en el siguiente enlace: ${googleMapsLink}`;
-
-    const nuevaAlerta = {
-      id_alerta,
-      comuna,
-      direccion,
-      fecha: admin.firestore.Timestamp.now(),
       id_gravedad,
-      id_ubicacion,
-      id_usuario,
-      mensaje: mensaje_nuevo,
-    };
-    await nuevaAlertaRef.set(nuevaAlerta);
-
-    // Buscar contactos personales del usuario
-    const contactosSnapshot = await db.collection('CONTACTO')
-      .where('id_usuario', '==', id_usuario)
-      .get();
-
-    let contactosTelefonos = contactosSnapshot.docs.map(doc => doc.data().celular);
-
-    // Buscar configuración de grupo en UBICACION_SELECCION
-    const ubicacionSnapshot = await db.collection('UBICACION_SELECCION')
-      .where('id_persona', '==', id_usuario)
-      .limit(1)
-      .get();
-
-    if (!ubicacionSnapshot.empty) {
-      const ubicacionData = ubicacionSnapshot.docs[0].data();
-
-      if (ubicacionData.grupo_buscar === 1) {
-        // Obtener los miembros del grupo desde GRUPO_PERSONA
-        const grupoMiembrosSnapshot = await db.collection('GRUPO_PERSONA')
-          .where('id_grupo', '==', ubicacionData.id_grupo)
-          .get();
-
-        const miembrosGrupoIds = grupoMiembrosSnapshot.docs.map(doc => doc.data().id_usuario);
-
-        // Conectar con PERSONA para obtener `numero_telefono` de cada miembro
-        for (const idPersona of miembrosGrupoIds) {
-          const personaDoc = await db.collection('PERSONA').doc(idPersona).get();
-          if (personaDoc.exists && personaDoc.data().numero_telefono) {
-            contactosTelefonos.push(personaDoc.data().numero_telefono);
-          }
-        }
-      }
-    }
-
-    // Eliminar números duplicados
-    const contactosUnicos = [...new Set(contactosTelefonos)];
-
-    // Enviar mensajes de WhatsApp a los números únicos
-    for (const telefono of contactosUnicos) {
-      if (telefono) {
-        await client.messages.create({
-          from: `whatsapp:+14155238886`,
-          to: `whatsapp:+56${telefono}`,
-          body: mensaje_nuevo,
-        });
-        console.log(`Mensaje de WhatsApp enviado a ${telefono}`);
-      }
-    }
+      mensaje,
+    });
 
     return res.status(200).json({
-      message: "Ubicación y alerta guardadas exitosamente. Mensajes de WhatsApp enviados a los contactos.",
+      message: "Ubicación y alerta guardadas exitosamente. Mensajes de WhatsApp en proceso de envío a los contactos.",
       id_ubicacion,
       id_alerta,
+      url_seguimiento,
     });
   } catch (error) {
     console.error("Error al guardar la ubicación y alerta:", error);
@@ -199,7 +135,8 @@ router.post('/guardar-ubicacion', async (req, res) => {
  * /obtener-alertas:
  *   get:
  *     tags: [usuario_alerta]
- *     summary: Obtiene todas las alertas o una alerta específica junto con la ubicación y gravedad.
+ *     summary: Obtiene las alertas propias y las de los grupos del usuario, junto con la ubicación y gravedad.
+ *     description: Sin filtros retorna las alertas del usuario autenticado y de los miembros de sus grupos. Solo se pueden consultar alertas propias o de personas que comparten un grupo con el usuario; los funcionarios y administradores consultan todas las alertas con /listar-alertas.
  *     parameters:
  *       - name: id_alerta
  *         in: query
@@ -210,95 +147,64 @@ router.post('/guardar-ubicacion', async (req, res) => {
  *       - name: id_grupo
  *         in: query
  *         required: false
+ *         description: ID de un grupo del usuario, para obtener solo las alertas de sus miembros.
+ *         schema:
+ *           type: string
+ *       - name: estado
+ *         in: query
+ *         required: false
+ *         description: Filtra las alertas por estado (activa, reconocida, derivada, resuelta, cancelada o falsa_alarma).
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Alerta(s) obtenida(s) exitosamente.
- *       404:
- *         description: No se encontraron alertas.
+ *       400:
+ *         description: El estado no es válido.
+ *       403:
+ *         description: La alerta o el grupo no pertenecen al usuario ni a sus grupos.
  *       500:
  *         description: Error al obtener las alertas.
  */
 router.get('/obtener-alertas', async (req, res) => {
-  const { id_alerta, id_grupo } = req.query;
+  const { id_alerta, id_grupo, estado } = req.query;
+  const id_usuario = req.user.uid;
+
+  if (estado && !esEstadoValido(estado)) {
+    return res.status(400).json({ message: `El estado '${estado}' no es válido.` });
+  }
 
   try {
-    let alertasSnapshot;
+    const { idGrupos, idUsuarios } = await usuariosConAlertasVisibles(id_usuario);
+    let alertasDocs;
 
     if (id_alerta) {
-      // Buscar una alerta específica por id_alerta
-      alertasSnapshot = await db.collection('ALERTA').where('id_alerta', '==', id_alerta).get();
-    } else if (id_grupo) {
-      // Si se proporciona id_grupo, filtrar por usuarios del grupo
-      const grupoPersonaSnapshot = await db.collection('GRUPO_PERSONA')
-        .where('id_grupo', '==', id_grupo)
-        .get();
-
-      if (grupoPersonaSnapshot.empty) {
-        return res.status(200).json({
-          message: `No se encontraron miembros para el grupo con id ${id_grupo}.`,
-          alertas: [],
-        });
+      // Buscar una alerta específica por id_alerta, solo si es propia o de un miembro de sus grupos
+      const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+      if (alertaDoc.exists && !idUsuarios.has(alertaDoc.data().id_usuario)) {
+        return res.status(403).json({ message: "Solo se pueden ver las alertas propias o de personas que comparten un grupo con el usuario." });
       }
-
-      // Obtener los id_usuario de los miembros del grupo
-      const idUsuarios = grupoPersonaSnapshot.docs.map(doc => doc.data().id_usuario);
-
-      if (idUsuarios.length === 0) {
-        return res.status(200).json({
-          message: `No hay miembros en el grupo con id ${id_grupo}.`,
-          alertas: [],
-        });
+      alertasDocs = alertaDoc.exists ? [alertaDoc] : [];
+    } else if (id_grupo) {
+      // Si se proporciona id_grupo, filtrar por los miembros del grupo
+      if (!idGrupos.includes(id_grupo)) {
+        return res.status(403).json({ message: `El usuario no pertenece al grupo con id ${id_grupo}.` });
       }
-
-      // Filtrar alertas por id_usuario dentro de los usuarios del grupo
-      alertasSnapshot = await db.collection('ALERTA')
-        .where('id_usuario', 'in', idUsuarios) // "in" permite buscar múltiples valores
-        .get();
+      alertasDocs = await obtenerAlertasDeUsuarios(await miembrosGrupo(id_grupo));
     } else {
-      // Obtener todas las alertas si no se proporciona id_alerta ni id_grupo
-      alertasSnapshot = await db.collection('ALERTA').get();
+      // Alertas propias y de los miembros de los grupos del usuario
+      alertasDocs = await obtenerAlertasDeUsuarios(idUsuarios);
     }
 
-    if (alertasSnapshot.empty) {
+    if (alertasDocs.length === 0) {
       return res.status(200).json({
         message: "No se encontraron alertas.",
         alertas: [],
       });
     }
 
-    const alertas = [];
-
-    for (const alertaDoc of alertasSnapshot.docs) {
-      const alertaData = alertaDoc.data();
-
-      // Obtener los detalles de la ubicación
-      const ubicacionDoc = await db.collection('UBICACION').doc(alertaData.id_ubicacion).get();
-      const ubicacion = ubicacionDoc.exists ? ubicacionDoc.data() : null;
-
-      // Obtener los detalles de la gravedad
-      const gravedadDoc = await db.collection('GRAVEDAD').doc(alertaData.id_gravedad).get();
-      const gravedad = gravedadDoc.exists ? gravedadDoc.data() : null;
-
-      // Agregar la alerta con los datos de ubicación y gravedad
-      alertas.push({
-        id_alerta: alertaData.id_alerta,
-        id_usuario: alertaData.id_usuario,
-        comuna: alertaData.comuna,
-        direccion: alertaData.direccion,
-        fecha: alertaData.fecha,
-        mensaje: alertaData.mensaje,
-        ubicacion: ubicacion ? {
-          latitud: ubicacion.latitud,
-          longitud: ubicacion.longitud,
-        } : 'Ubicación no encontrada',
-        gravedad: gravedad ? {
-          id_gravedad: gravedad.id_gravedad,
-          descripcion: gravedad.descripcion,
-        } : 'Gravedad no encontrada',
-      });
-    }
-
     // Devolver la lista de alertas con la información de ubicación y gravedad
+    const alertas = await detallarAlertas(alertasDocs, { estado });
     return res.status(200).json({ alertas: alertas });
   } catch (error) {
     console.error("Error al obtener las alertas:", error);
@@ -316,7 +222,7 @@ router.get('/obtener-alertas', async (req, res) => {
  *   post:
  *     tags: [usuario_alerta]
  *     summary: Guarda un contacto.
- *     description: Permite guardar un nuevo contacto para un usuario.
+ *     description: Permite guardar un nuevo contacto para un usuario. El celular se guarda en formato E.164 y se le envía al contacto un mensaje para que acepte (SI), rechace (NO) o detenga (STOP) las alertas del usuario. El contacto no recibe alertas hasta aceptar, salvo las de la gravedad crítica configurada en /configurar-gravedad-critica si su celular está verificado. Si el número ya pidió STOP, el contacto se guarda como detenido y no se le envía el mensaje.
  *     requestBody:
  *       required: true
  *       content:
@@ -328,7 +234,6 @@ router.get('/obtener-alertas', async (req, res) => {
  *               - apellidos
  *               - celular
  *               - email
- *               - id_usuario
  *             properties:
  *               nombres:
  *                 type: string
@@ -338,29 +243,52 @@ router.get('/obtener-alertas', async (req, res) => {
  *                 description: Apellidos del contacto.
  *               celular:
  *                 type: string
- *                 description: Celular del contacto.
+ *                 description: Celular del contacto. Número chileno de 9 dígitos o internacional con '+'.
+ *                 example: "+56912345678"
  *               email:
  *                 type: string
  *                 description: Email del contacto.
- *               id_usuario:
+ *               prioridad:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Orden del contacto (1 es el primero). Por defecto, después del último contacto.
+ *                 example: 1
+ *               canal:
  *                 type: string
- *                 description: ID del usuario que registra el contacto.
+ *                 enum: [whatsapp, sms, llamada]
+ *                 description: Canal por el que recibe las alertas. WhatsApp recurre a SMS si falla; la llamada también envía un SMS si no se puede realizar. Por defecto, whatsapp.
+ *                 example: "whatsapp"
+ *               gravedades:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs de las gravedades cuyas alertas recibe el contacto. Vacío o sin indicar, recibe todas.
+ *                 example: ["jCF8iApdZ0s5wdgkjQ2p"]
  *     responses:
  *       201:
- *         description: Contacto agregado exitosamente.
+ *         description: Contacto agregado exitosamente. `consentimiento_enviado` indica si se envió la solicitud de consentimiento.
  *       400:
- *         description: Error de validación.
+ *         description: Error de validación o alguna gravedad no existe.
  *       500:
  *         description: Error interno al agregar el contacto.
  */
 router.post('/guardar-contacto', async (req, res) => {
-  const { nombres, apellidos, celular, email, id_usuario } = req.body;
+  const { nombres, apellidos, celular, email, prioridad, canal, gravedades } = req.body;
+  const id_usuario = req.user.uid;
 
-  if (!nombres || !apellidos || !celular || !email || !id_usuario) {
+  if (!nombres || !apellidos || !celular || !email) {
     return res.status(400).json({ message: "Todos los campos son obligatorios" });
   }
 
+  // El celular se guarda en formato E.164; el contacto no recibe alertas hasta aceptar la solicitud de consentimiento
+  const celularNormalizado = normalizarTelefono(celular);
+  if (!celularNormalizado) {
+    return res.status(400).json({ message: MENSAJE_TELEFONO_INVALIDO });
+  }
+
   try {
+    const preferencias = await validarPreferenciasContacto({ prioridad, canal, gravedades });
+
     // Referencia a la colección "CONTACTO"
     const CONTACTORef = db.collection('CONTACTO');
 
@@ -373,21 +301,39 @@ router.post('/guardar-contacto', async (req, res) => {
       id_contacto,    // ID generado automáticamente
       nombres,
       apellidos,
-      celular,
+      celular: celularNormalizado,
+      celular_verificado: false,
+      estado_consentimiento: await estadoInicialConsentimiento(celularNormalizado),
       email,
       id_usuario,     // ID del usuario que está registrando el contacto
+      prioridad: preferencias.prioridad ?? await siguientePrioridad(id_usuario),
+      canal: preferencias.canal || CANAL_POR_DEFECTO,
+      gravedades: preferencias.gravedades || [],
     };
 
     // Insertar el documento en Firestore
     await nuevoContactoRef.set(nuevoContacto);
 
+    const consentimiento_enviado = await enviarSolicitudConsentimiento(nuevoContacto);
+
+    let message = "Contacto agregado exitosamente. Le enviamos un mensaje para que acepte recibir tus alertas.";
+    if (nuevoContacto.estado_consentimiento === ESTADOS_CONSENTIMIENTO.DETENIDO) {
+      message = "Contacto agregado, pero este número pidió no recibir mensajes de Women Security App (STOP). No recibirá tus alertas a menos que responda SI.";
+    } else if (!consentimiento_enviado) {
+      message = "Contacto agregado exitosamente, pero no se pudo enviar la solicitud de consentimiento. Reenvíala con /reenviar-consentimiento-contacto.";
+    }
+
     return res.status(201).json({
-      message: "Contacto agregado exitosamente",
-      contacto: nuevoContacto
+      message,
+      contacto: nuevoContacto,
+      consentimiento_enviado,
     });
   } catch (error) {
     console.error("Error al agregar el contacto:", error);
-    return res.status(500).json({ message: "Error al agregar el contacto", error });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al agregar el contacto",
+      error: error.message,
+    });
   }
 });
 
@@ -397,7 +343,7 @@ router.post('/guardar-contacto', async (req, res) => {
  *   put:
  *     tags: [usuario_alerta]
  *     summary: Edita un contacto existente.
- *     description: Actualiza los datos de un contacto existente.
+ *     description: Actualiza los datos de un contacto existente. Si cambia el celular, el contacto debe verificarse nuevamente y se le envía una nueva solicitud de consentimiento. Los campos `prioridad`, `canal` y `gravedades` son opcionales; si no se envían, se mantienen los actuales.
  *     requestBody:
  *       required: true
  *       content:
@@ -422,16 +368,33 @@ router.post('/guardar-contacto', async (req, res) => {
  *                 type: string
  *               email:
  *                 type: string
+ *               prioridad:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Orden del contacto (1 es el primero).
+ *               canal:
+ *                 type: string
+ *                 enum: [whatsapp, sms, llamada]
+ *                 description: Canal por el que recibe las alertas.
+ *               gravedades:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs de las gravedades cuyas alertas recibe el contacto. Una lista vacía hace que reciba todas.
  *     responses:
  *       200:
  *         description: Contacto actualizado exitosamente.
+ *       400:
+ *         description: Faltan campos, el celular o las preferencias no son válidos.
+ *       403:
+ *         description: El contacto no pertenece al usuario.
  *       404:
  *         description: Contacto no encontrado.
  *       500:
  *         description: Error al actualizar el contacto.
  */
 router.put('/editar-contacto', async (req, res) => {
-  const { nombres, apellidos, celular, email, id_contacto } = req.body;
+  const { nombres, apellidos, celular, email, id_contacto, prioridad, canal, gravedades } = req.body;
 
   if (!nombres || !apellidos || !celular || !email) {
     return res.status(400).json({ message: "Todos los campos (nombres, apellidos, celular, email) son obligatorios" });
@@ -445,17 +408,39 @@ router.put('/editar-contacto', async (req, res) => {
       return res.status(200).json({ message: `No se encontró el contacto con id: ${id_contacto}` });
     }
 
-    const datosActualizados = { nombres, apellidos, celular, email };
+    if (contactoDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({ message: "El contacto no pertenece al usuario." });
+    }
+
+    // Si cambió el celular, el contacto debe verificarse y aceptar las alertas nuevamente
+    const datosActualizados = {
+      nombres,
+      apellidos,
+      email,
+      ...datosTelefonoContacto(contactoDoc.data(), celular),
+      ...await validarPreferenciasContacto({ prioridad, canal, gravedades }),
+    };
+    const celularCambio = datosActualizados.celular !== contactoDoc.data().celular;
+    if (celularCambio) {
+      datosActualizados.estado_consentimiento = await estadoInicialConsentimiento(datosActualizados.celular);
+    }
 
     await contactoRef.update(datosActualizados);
 
+    const contacto = { ...contactoDoc.data(), ...datosActualizados, id_contacto };
+    const consentimiento_enviado = celularCambio ? await enviarSolicitudConsentimiento(contacto) : false;
+
     return res.status(200).json({
       message: 'Contacto actualizado exitosamente',
-      contacto: { id_contacto, ...datosActualizados }
+      contacto: { id_contacto, ...datosActualizados },
+      consentimiento_enviado,
     });
   } catch (error) {
     console.error("Error al actualizar el contacto:", error);
-    return res.status(500).json({ message: "Error al actualizar el contacto", error });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al actualizar el contacto",
+      error: error.message,
+    });
   }
 });
 
@@ -481,6 +466,8 @@ router.put('/editar-contacto', async (req, res) => {
  *     responses:
  *       200:
  *         description: Contacto eliminado exitosamente.
+ *       403:
+ *         description: El contacto no pertenece al usuario.
  *       404:
  *         description: Contacto no encontrado.
  *       500:
@@ -501,6 +488,10 @@ router.delete('/borrar-contacto', async (req, res) => {
       return res.status(200).json({ message: `No se encontró el contacto con id: ${id_contacto}` });
     }
 
+    if (contactoDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({ message: "El contacto no pertenece al usuario." });
+    }
+
     await contactoRef.delete();
 
     return res.status(200).json({ message: 'Contacto eliminado exitosamente' });
@@ -515,15 +506,8 @@ router.delete('/borrar-contacto', async (req, res) => {
  * /ver-contactos:
  *   get:
  *     tags: [usuario_alerta]
- *     summary: Obtiene los CONTACTO de un usuario.
- *     description: Devuelve todos los CONTACTO asociados con un usuario específico.
- *     parameters:
- *       - name: id_usuario
- *         in: query
- *         required: true
- *         description: El ID del usuario.
- *         schema:
- *           type: string
+ *     summary: Obtiene los CONTACTO del usuario autenticado.
+ *     description: Devuelve todos los CONTACTO asociados con el usuario autenticado, ordenados por `prioridad`. Cada contacto incluye `estado_consentimiento` (pendiente, aceptado, rechazado o detenido), `canal` (whatsapp, sms o llamada) y `gravedades` (vacío si recibe todas); solo los contactos aceptados reciben alertas.
  *     responses:
  *       200:
  *         description: CONTACTO obtenidos exitosamente.
@@ -533,11 +517,7 @@ router.delete('/borrar-contacto', async (req, res) => {
  *         description: Error al obtener los CONTACTO.
  */
 router.get('/ver-contactos', async (req, res) => {
-  const { id_usuario } = req.query;
-
-  if (!id_usuario) {
-    return res.status(400).json({ message: "El 'id_usuario' es requerido" });
-  }
+  const id_usuario = req.user.uid;
 
   try {
     // Filtrar los CONTACTO por id_usuario
@@ -549,10 +529,14 @@ router.get('/ver-contactos', async (req, res) => {
       return res.status(200).json({ message: `No se encontraron CONTACTO para el usuario con id: ${id_usuario}`, CONTACTO: [] });
     }
 
-    const CONTACTO = CONTACTOSnapshot.docs.map(doc => ({
-      id_contacto: doc.id,
-      ...doc.data()
-    }));
+    const CONTACTO = CONTACTOSnapshot.docs
+      .map(doc => ({
+        id_contacto: doc.id,
+        ...doc.data(),
+        ...preferenciasContacto(doc.data()),
+        estado_consentimiento: estadoConsentimiento(doc.data()),
+      }))
+      .sort(compararPorPrioridad);
 
     return res.status(200).json({
       message: 'CONTACTO obtenidos exitosamente',
@@ -564,20 +548,197 @@ router.get('/ver-contactos', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /ordenar-contactos:
+ *   put:
+ *     tags: [usuario_alerta]
+ *     summary: Cambia el orden de prioridad de los contactos.
+ *     description: Recibe los IDs de todos los contactos del usuario en el orden deseado; el primero queda con prioridad 1. Las alertas se envían a los contactos en ese orden.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids_contactos
+ *             properties:
+ *               ids_contactos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["5b2Jf8hLw0QpXz1cVnRt", "Qm7Xc2Lr9TzKp4WvBn1a"]
+ *     responses:
+ *       200:
+ *         description: Orden actualizado.
+ *       400:
+ *         description: La lista está vacía, tiene IDs repetidos o no coincide con los contactos del usuario.
+ *       500:
+ *         description: Error al ordenar los contactos.
+ */
+router.put('/ordenar-contactos', async (req, res) => {
+  const { ids_contactos } = req.body;
+
+  try {
+    const contactos = await ordenarContactos(req.user.uid, ids_contactos);
+
+    return res.status(200).json({
+      message: "Orden de los contactos actualizado exitosamente.",
+      contactos,
+    });
+  } catch (error) {
+    console.error("Error al ordenar los contactos:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al ordenar los contactos.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reenviar-consentimiento-contacto:
+ *   post:
+ *     tags: [usuario_alerta]
+ *     summary: Reenvía a un contacto la solicitud para aceptar recibir alertas.
+ *     description: Solo para contactos con el consentimiento pendiente o rechazado; un contacto que rechazó vuelve a quedar pendiente. Se puede reenviar una vez por hora. Los contactos que respondieron STOP solo se reactivan si ellos mismos responden SI.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_contacto
+ *             properties:
+ *               id_contacto:
+ *                 type: string
+ *                 example: "5b2Jf8hLw0QpXz1cVnRt"
+ *     responses:
+ *       200:
+ *         description: Solicitud reenviada.
+ *       400:
+ *         description: Falta el campo 'id_contacto'.
+ *       403:
+ *         description: El contacto no pertenece al usuario.
+ *       404:
+ *         description: Contacto no encontrado.
+ *       409:
+ *         description: El contacto ya aceptó o pidió no recibir más mensajes.
+ *       429:
+ *         description: La solicitud se reenvió hace menos de una hora.
+ *       502:
+ *         description: No se pudo enviar el mensaje.
+ */
+router.post('/reenviar-consentimiento-contacto', async (req, res) => {
+  const { id_contacto } = req.body;
+
+  if (!id_contacto) {
+    return res.status(400).json({ message: "El campo 'id_contacto' es obligatorio." });
+  }
+
+  try {
+    await reenviarSolicitudConsentimiento(req.user.uid, id_contacto);
+
+    return res.status(200).json({
+      message: "Solicitud de consentimiento reenviada exitosamente.",
+      id_contacto,
+      estado_consentimiento: ESTADOS_CONSENTIMIENTO.PENDIENTE,
+    });
+  } catch (error) {
+    console.error("Error al reenviar la solicitud de consentimiento:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al reenviar la solicitud de consentimiento.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /configurar-gravedad-critica:
+ *   put:
+ *     tags: [usuario_alerta]
+ *     summary: Elige la gravedad crítica del usuario.
+ *     description: Las alertas de esta gravedad también se envían a los contactos que no han aceptado recibir alertas (pendientes o que rechazaron), siempre que su celular esté verificado. Nunca se envían a los contactos que respondieron STOP. Se puede elegir una sola gravedad; envía `id_gravedad` en null para quitarla.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_gravedad
+ *             properties:
+ *               id_gravedad:
+ *                 type: string
+ *                 nullable: true
+ *                 description: El ID de la gravedad crítica, o null para quitarla.
+ *                 example: "jCF8iApdZ0s5wdgkjQ2p"
+ *     responses:
+ *       200:
+ *         description: Gravedad crítica actualizada.
+ *       400:
+ *         description: Falta el campo 'id_gravedad' o la gravedad está deshabilitada.
+ *       404:
+ *         description: Gravedad no encontrada.
+ *       500:
+ *         description: Error al configurar la gravedad crítica.
+ */
+router.put('/configurar-gravedad-critica', async (req, res) => {
+  const { id_gravedad } = req.body;
+
+  if (id_gravedad === undefined) {
+    return res.status(400).json({ message: "El campo 'id_gravedad' es obligatorio." });
+  }
+
+  try {
+    if (id_gravedad !== null) {
+      const gravedadDoc = await db.collection('GRAVEDAD').doc(String(id_gravedad)).get();
+
+      if (!gravedadDoc.exists) {
+        return res.status(404).json({ message: `No se encontró la gravedad con el id: ${id_gravedad}` });
+      }
+
+      if (gravedadDoc.data().estado === false) {
+        return res.status(400).json({ message: "La gravedad está deshabilitada." });
+      }
+    }
+
+    await db.collection('PERSONA').doc(req.user.uid).update({
+      id_gravedad_critica: id_gravedad === null ? null : String(id_gravedad),
+    });
+
+    return res.status(200).json({
+      message: id_gravedad === null
+        ? "Se quitó la gravedad crítica. Solo los contactos que aceptaron recibirán tus alertas."
+        : "Gravedad crítica actualizada exitosamente.",
+      id_gravedad_critica: id_gravedad === null ? null : String(id_gravedad),
+    });
+  } catch (error) {
+    console.error("Error al configurar la gravedad crítica:", error);
+    return res.status(500).json({
+      message: "Error al configurar la gravedad crítica.",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /alertas-usuario:
  *   get:
  *     tags: [usuario_alerta]
- *     summary: Obtiene todas las alertas de un usuario.
- *     description: Retorna todas las alertas generadas por un usuario en particular.
+ *     summary: Obtiene todas las alertas del usuario autenticado.
+ *     description: Retorna todas las alertas generadas por el usuario autenticado.
  *     parameters:
  *       - in: query
- *         name: id_usuario
+ *         name: estado
  *         schema:
  *           type: string
- *         required: true
- *         description: ID del usuario.
+ *         required: false
+ *         description: Filtra las alertas por estado (activa, reconocida, derivada, resuelta, cancelada o falsa_alarma).
  *     responses:
  *       200:
  *         description: Lista de alertas obtenida exitosamente.
@@ -618,6 +779,9 @@ router.get('/ver-contactos', async (req, res) => {
  *                       mensaje:
  *                         type: string
  *                         example: "Probando redirección de mensaje..."
+ *                       estado:
+ *                         type: string
+ *                         example: "activa"
  *       404:
  *         description: No se encontraron alertas para el usuario.
  *         content:
@@ -643,7 +807,12 @@ router.get('/ver-contactos', async (req, res) => {
  *                   example: "Descripción del error"
  */
 router.get('/alertas-usuario', async (req, res) => {
-  const { id_usuario } = req.query;
+  const { estado } = req.query;
+  const id_usuario = req.user.uid;
+
+  if (estado && !esEstadoValido(estado)) {
+    return res.status(400).json({ message: `El estado '${estado}' no es válido.` });
+  }
 
   try {
     // Consultar todas las alertas del usuario
@@ -660,9 +829,15 @@ router.get('/alertas-usuario', async (req, res) => {
     // Crear una lista de alertas del usuario
     const alertasUsuario = [];
     alertasSnapshot.forEach(doc => {
+      const alertaData = doc.data();
+
+      // Omitir las alertas que no coinciden con el estado solicitado
+      if (estado && estadoDeAlerta(alertaData) !== estado) return;
+
       alertasUsuario.push({
         id_alerta: doc.id,
-        ...doc.data(),
+        ...alertaData,
+        estado: estadoDeAlerta(alertaData),
       });
     });
 
@@ -680,4 +855,341 @@ router.get('/alertas-usuario', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /cancelar-alerta:
+ *   post:
+ *     tags: [usuario_alerta]
+ *     summary: Cancela una alerta propia.
+ *     description: Permite a la usuaria indicar que se encuentra a salvo (estado "cancelada") o que la alerta fue una falsa alarma (estado "falsa_alarma"). Se envía un mensaje de WhatsApp de seguimiento a los mismos contactos que recibieron la alerta.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_alerta
+ *             properties:
+ *               id_alerta:
+ *                 type: string
+ *                 description: ID de la alerta a cancelar.
+ *                 example: "GRgX8V2fKcC82eaP6Aov"
+ *               falsa_alarma:
+ *                 type: boolean
+ *                 description: Indica si la alerta fue una falsa alarma.
+ *                 example: false
+ *               motivo:
+ *                 type: string
+ *                 description: Motivo de la cancelación (opcional).
+ *                 example: "Ya estoy en casa."
+ *     responses:
+ *       200:
+ *         description: Alerta cancelada exitosamente.
+ *       400:
+ *         description: Faltan campos obligatorios.
+ *       403:
+ *         description: La alerta no pertenece al usuario.
+ *       404:
+ *         description: No se encontró la alerta.
+ *       409:
+ *         description: La alerta ya se encuentra cerrada.
+ *       500:
+ *         description: Error al cancelar la alerta.
+ */
+router.post('/cancelar-alerta', async (req, res) => {
+  const { id_alerta, falsa_alarma, motivo } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (!id_alerta) {
+    return res.status(400).json({ message: "El campo 'id_alerta' es obligatorio." });
+  }
+
+  try {
+    const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+
+    if (!alertaDoc.exists) {
+      return res.status(404).json({ message: `No se encontró la alerta con el id: ${id_alerta}` });
+    }
+
+    if (alertaDoc.data().id_usuario !== id_usuario) {
+      return res.status(403).json({ message: "La alerta no pertenece al usuario." });
+    }
+
+    const nuevoEstado = falsa_alarma ? ESTADOS_ALERTA.FALSA_ALARMA : ESTADOS_ALERTA.CANCELADA;
+    await cambiarEstadoAlerta(id_alerta, nuevoEstado, { id_usuario, motivo: motivo || null });
+
+    // Avisar a los mismos contactos que recibieron la alerta; a quienes no alcanzaron a recibirla no se les avisa
+    const personaDoc = await db.collection('PERSONA').doc(id_usuario).get();
+    const nombre = personaDoc.exists ? `${personaDoc.data().nombre} ${personaDoc.data().apellido}` : 'La persona';
+    const mensajeSeguimiento = falsa_alarma
+      ? `${nombre} informa que la alerta enviada anteriormente fue una falsa alarma. No es necesario acudir.`
+      : `${nombre} informa que se encuentra a salvo y canceló la alerta enviada anteriormente.`;
+
+    await encolarNotificaciones({
+      id_alerta,
+      destinatarios: await obtenerDestinatariosNotificados(id_alerta, { soloEnviados: true }),
+      mensaje: mensajeSeguimiento,
+      tipo: 'cancelacion',
+    });
+
+    return res.status(200).json({
+      message: "Alerta cancelada exitosamente.",
+      id_alerta,
+      estado: nuevoEstado,
+    });
+  } catch (error) {
+    console.error("Error al cancelar la alerta:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al cancelar la alerta.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /entrega-alerta:
+ *   get:
+ *     tags: [usuario_alerta]
+ *     summary: Obtiene el estado de entrega de una alerta por cada destinatario.
+ *     description: Indica, para cada contacto o miembro del grupo notificado, por qué canal se envió el mensaje (WhatsApp, SMS o llamada) y si fue entregado, leído o falló, según lo informado por Twilio. El usuario solo puede consultar sus propias alertas; los funcionarios y administradores pueden consultar cualquier alerta. Si la gravedad de la alerta tiene llamadas de voz, `llamadas` indica el resultado de cada llamada (iniciada, contestada, sin_respuesta, ocupado, fallida o confirmada).
+ *     parameters:
+ *       - in: query
+ *         name: id_alerta
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la alerta.
+ *     responses:
+ *       200:
+ *         description: Estado de entrega obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Estado de entrega obtenido exitosamente."
+ *                 resumen:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                       example: 3
+ *                     entregados:
+ *                       type: number
+ *                       example: 2
+ *                     leidos:
+ *                       type: number
+ *                       example: 1
+ *                     fallidos:
+ *                       type: number
+ *                       example: 0
+ *                 destinatarios:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       telefono:
+ *                         type: string
+ *                         example: "912345678"
+ *                       nombre:
+ *                         type: string
+ *                         example: "Ana Pérez"
+ *                       origen:
+ *                         type: string
+ *                         example: "contacto"
+ *                       estado_envio:
+ *                         type: string
+ *                         description: "pendiente, enviando, enviado, fallido o descartado (no se envió porque la alerta se cerró antes)."
+ *                         example: "enviado"
+ *                       canal:
+ *                         type: string
+ *                         example: "whatsapp"
+ *                       estado_entrega:
+ *                         type: string
+ *                         example: "delivered"
+ *       400:
+ *         description: Falta el parámetro 'id_alerta'.
+ *       403:
+ *         description: La alerta no pertenece al usuario y este no es funcionario ni administrador.
+ *       404:
+ *         description: No se encontró la alerta.
+ *       500:
+ *         description: Error al obtener el estado de entrega.
+ */
+router.get('/entrega-alerta', async (req, res) => {
+  const { id_alerta } = req.query;
+
+  if (!id_alerta) {
+    return res.status(400).json({ message: "El parámetro 'id_alerta' es obligatorio." });
+  }
+
+  try {
+    const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+
+    if (!alertaDoc.exists) {
+      return res.status(404).json({ message: `No se encontró la alerta con el id: ${id_alerta}` });
+    }
+
+    if (alertaDoc.data().id_usuario !== req.user.uid && !ROLES_VER_ENTREGA.includes(req.user.rol)) {
+      return res.status(403).json({ message: "La alerta no pertenece al usuario." });
+    }
+
+    const notificaciones = await obtenerNotificacionesAlerta(id_alerta, 'alerta');
+
+    const destinatarios = notificaciones.map(notificacion => ({
+      id_notificacion: notificacion.id_notificacion,
+      telefono: notificacion.telefono,
+      nombre: notificacion.nombre_destinatario,
+      origen: notificacion.origen,
+      estado_envio: notificacion.estado,
+      canal: notificacion.canal || null,
+      estado_entrega: notificacion.estado_entrega || null,
+      intentos: notificacion.intentos,
+      fecha_envio: notificacion.fecha_envio,
+      fecha_entrega: notificacion.fecha_entrega || null,
+      fecha_lectura: notificacion.fecha_lectura || null,
+      error: notificacion.ultimo_error || notificacion.codigo_error_entrega || null,
+    }));
+
+    const resumen = {
+      total: destinatarios.length,
+      entregados: destinatarios.filter(d => ['delivered', 'read'].includes(d.estado_entrega)).length,
+      leidos: destinatarios.filter(d => d.estado_entrega === 'read').length,
+      fallidos: destinatarios.filter(d => d.estado_envio === 'fallido' || d.estado_entrega === 'failed').length,
+    };
+
+    const llamadas = Object.values(alertaDoc.data().llamadas || {})
+      .sort((a, b) => a.fecha_inicio.toMillis() - b.fecha_inicio.toMillis())
+      .map(llamada => ({
+        id_llamada: llamada.id_llamada,
+        telefono: llamada.telefono,
+        nombre: llamada.nombre,
+        estado: llamada.estado,
+        duracion_segundos: llamada.duracion_segundos,
+        fecha_inicio: llamada.fecha_inicio,
+        fecha_confirmacion: llamada.fecha_confirmacion || null,
+        error: llamada.error,
+      }));
+
+    return res.status(200).json({
+      message: "Estado de entrega obtenido exitosamente.",
+      id_alerta,
+      resumen,
+      destinatarios,
+      llamadas,
+    });
+  } catch (error) {
+    console.error("Error al obtener el estado de entrega de la alerta:", error);
+    return res.status(500).json({
+      message: "Error al obtener el estado de entrega de la alerta.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /confirmaciones-alerta:
+ *   get:
+ *     tags: [usuario_alerta]
+ *     summary: Obtiene las confirmaciones de los contactos que respondieron a una alerta.
+ *     description: Devuelve los contactos o miembros del grupo que respondieron al mensaje de la alerta confirmando que van en camino. Pensado para que la app lo consulte periódicamente.
+ *     parameters:
+ *       - in: query
+ *         name: id_alerta
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la alerta.
+ *     responses:
+ *       200:
+ *         description: Confirmaciones obtenidas exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Confirmaciones obtenidas exitosamente."
+ *                 total:
+ *                   type: number
+ *                   example: 1
+ *                 confirmaciones:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       nombre:
+ *                         type: string
+ *                         example: "María González"
+ *                       telefono:
+ *                         type: string
+ *                         example: "912345678"
+ *                       origen:
+ *                         type: string
+ *                         example: "contacto"
+ *                       respuesta:
+ *                         type: string
+ *                         example: "Voy"
+ *                       texto:
+ *                         type: string
+ *                         example: "María González va en camino"
+ *       400:
+ *         description: Falta el parámetro 'id_alerta'.
+ *       403:
+ *         description: La alerta no pertenece al usuario.
+ *       404:
+ *         description: No se encontró la alerta.
+ *       500:
+ *         description: Error al obtener las confirmaciones.
+ */
+router.get('/confirmaciones-alerta', async (req, res) => {
+  const { id_alerta } = req.query;
+
+  if (!id_alerta) {
+    return res.status(400).json({ message: "El parámetro 'id_alerta' es obligatorio." });
+  }
+
+  try {
+    const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+
+    if (!alertaDoc.exists) {
+      return res.status(404).json({ message: `No se encontró la alerta con el id: ${id_alerta}` });
+    }
+
+    if (alertaDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({ message: "La alerta no pertenece al usuario." });
+    }
+
+    const confirmaciones = (alertaDoc.data().confirmaciones || []).map(confirmacion => ({
+      nombre: confirmacion.nombre,
+      telefono: confirmacion.telefono,
+      origen: confirmacion.origen,
+      canal: confirmacion.canal,
+      respuesta: confirmacion.respuesta,
+      fecha: confirmacion.fecha,
+      texto: `${confirmacion.nombre || confirmacion.telefono} va en camino`,
+    }));
+
+    return res.status(200).json({
+      message: "Confirmaciones obtenidas exitosamente.",
+      id_alerta,
+      estado: estadoDeAlerta(alertaDoc.data()),
+      total: confirmaciones.length,
+      confirmaciones,
+    });
+  } catch (error) {
+    console.error("Error al obtener las confirmaciones de la alerta:", error);
+    return res.status(500).json({
+      message: "Error al obtener las confirmaciones de la alerta.",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
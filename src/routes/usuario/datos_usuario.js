@@ -1,7 +1,8 @@
 const express = require('express');
-const { admin, db, bucket } = require('../../config/firebase'); // Importamos admin, db y bucket desde firebase.js
+const { admin, db } = require('../../config/firebase'); // Importamos admin y db desde firebase.js
+const { CARPETAS_IMAGEN, subirImagen, eliminarImagenAnterior, urlImagen, perfilConImagen } = require('../../services/imagenes');
+const { datosTelefonoPersona } = require('../../services/verificacion_telefono');
 const multer = require('multer');
-const path = require('path');
 const router = express.Router();
 
 // Configurar Multer para manejar la subida de archivos
@@ -18,7 +19,7 @@ const upload = multer({
  *   put:
  *     tags: [usuario_datos_usuario]
  *     summary: Modifica los datos del perfil del usuario (nombre, apellido, teléfono, dirección, correo, imagen, etc.).
- *     description: Permite actualizar el nombre, apellido, número de teléfono, dirección, correo, fecha de nacimiento, imagen de perfil del usuario y otros datos relevantes. Si se proporciona una imagen, esta se sube a Firebase Storage.
+ *     description: Permite actualizar el nombre, apellido, número de teléfono, dirección, correo, fecha de nacimiento, imagen de perfil del usuario autenticado y otros datos relevantes. Si se proporciona una imagen (JPEG, PNG, WebP o HEIC), se eliminan sus metadatos (incluida la ubicación GPS), se generan una versión de hasta 1080 px y una miniatura de hasta 256 px en WebP, y se suben a Firebase Storage de forma privada. El archivo original no se guarda.
  *     requestBody:
  *       required: true
  *       content:
@@ -26,10 +27,6 @@ const upload = multer({
  *           schema:
  *             type: object
  *             properties:
- *               uid:
- *                 type: string
- *                 description: El UID del usuario. (Requerido)
- *                 example: "abc123"
  *               nombre:
  *                 type: string
  *                 description: El nuevo nombre del usuario. (Opcional)
@@ -40,8 +37,8 @@ const upload = multer({
  *                 example: "Pérez"
  *               numero_telefono:
  *                 type: string
- *                 description: El nuevo número de teléfono del usuario. (Opcional)
- *                 example: "123456789"
+ *                 description: El nuevo número de teléfono del usuario; se guarda en formato E.164 y queda sin verificar. (Opcional)
+ *                 example: "912345678"
  *               direccion:
  *                 type: string
  *                 description: La nueva dirección del usuario. (Opcional)
@@ -80,18 +77,14 @@ const upload = multer({
  *                   example: "Perfil actualizado exitosamente."
  *                 imageUrl:
  *                   type: string
- *                   description: URL pública de la nueva imagen (si se subió).
- *                   example: "https://storage.googleapis.com/your-bucket/profile-images/abc123.jpg"
- *       400:
- *         description: No se proporcionaron campos válidos para actualizar o faltó el parámetro obligatorio 'uid'.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
+ *                   description: URL firmada de la nueva imagen (si se subió). Vence a los URL_FIRMADA_MINUTOS; después se obtiene una nueva con /url-imagen-usuario.
+ *                   example: "https://storage.googleapis.com/your-bucket/profile-images/abc123.webp?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=900"
+ *                 thumbnailUrl:
  *                   type: string
- *                   example: "El parámetro 'uid' es obligatorio."
+ *                   description: URL firmada de la miniatura de la nueva imagen (si se subió).
+ *                   example: "https://storage.googleapis.com/your-bucket/profile-images/abc123_miniatura.webp?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=900"
+ *       400:
+ *         description: No se proporcionaron campos válidos para actualizar o la imagen no es válida.
  *       500:
  *         description: Error al actualizar el perfil.
  *         content:
@@ -109,7 +102,6 @@ const upload = multer({
  */
 router.put('/update-profile', upload.single('imagen_usuario'), async (req, res) => {
   const {
-    uid, // ID del documento en Firestore
     nombre,
     apellido,
     numero_telefono,
@@ -119,10 +111,7 @@ router.put('/update-profile', upload.single('imagen_usuario'), async (req, res)
     correo,
     password
   } = req.body;
-
-  if (!uid) {
-    return res.status(400).json({ message: "El parámetro 'uid' es obligatorio." });
-  }
+  const uid = req.user.uid; // ID del documento en Firestore
 
   // Separar los datos para actualizar en cada colección
   const updateDataPersona = {};
@@ -132,7 +121,11 @@ router.put('/update-profile', upload.single('imagen_usuario'), async (req, res)
     // Asignar datos a PERSONA
     if (nombre) updateDataPersona.nombre = nombre;
     if (apellido) updateDataPersona.apellido = apellido;
-    if (numero_telefono) updateDataPersona.numero_telefono = numero_telefono;
+    if (numero_telefono) {
+      // Un número nuevo se guarda normalizado y debe volver a verificarse por SMS
+      const personaDoc = await db.collection('PERSONA').doc(uid).get();
+      Object.assign(updateDataPersona, datosTelefonoPersona(personaDoc.data(), numero_telefono));
+    }
     if (direccion) updateDataPersona.direccion = direccion;
     if (fecha_nacimiento) updateDataPersona.fecha_nacimiento = fecha_nacimiento;
     if (correo) updateDataPerfil.correo = correo;
@@ -140,86 +133,65 @@ router.put('/update-profile', upload.single('imagen_usuario'), async (req, res)
     // Asignar datos a PERFIL
     if (nombre_usuario) updateDataPerfil.nombre_usuario = nombre_usuario;
     if (correo) updateDataPerfil.correo = correo;
-    if (password) updateDataPerfil.password = password;
+    // La contraseña solo se guarda en Firebase Authentication
 
     const id_persona = uid
 
-    // Manejar la imagen de perfil
+    // La imagen se procesa (sin metadatos, en tamaño normalizado) y se guarda de forma privada;
+    // la respuesta incluye URLs firmadas de corta duración
+    let rutasImagenAnterior = [];
     if (req.file) {
-      const fileName = `profile-images/${id_persona}_${Date.now()}${path.extname(req.file.originalname)}`;
-      const file = bucket.file(fileName);
+      const perfilDoc = await db.collection('PERFIL').doc(id_persona).get();
+      const perfilActual = perfilDoc.exists ? perfilDoc.data() : {};
+      rutasImagenAnterior = [perfilActual.ruta_imagen_usuario, perfilActual.ruta_miniatura_usuario];
 
-      const stream = file.createWriteStream({
-        metadata: {
-          contentType: req.file.mimetype,
-        },
-      });
-
-      stream.on('error', (error) => {
-        console.error("Error al subir la imagen:", error);
-        return res.status(500).json({ message: "Error al subir la imagen.", error: error.message });
-      });
+      const imagen = await subirImagen(CARPETAS_IMAGEN.PERFIL, id_persona, req.file);
+      updateDataPerfil.ruta_imagen_usuario = imagen.ruta;
+      updateDataPerfil.ruta_miniatura_usuario = imagen.ruta_miniatura;
+    }
 
-      stream.on('finish', async () => {
-        await file.makePublic();
-        const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-        updateDataPerfil.imagen_usuario = publicUrl;
+    // Actualizar datos en Firebase Authentication si es necesario
+    if (correo || password) {
+      await updateAuthUser(id_persona, correo, password);
+    }
 
-        // Actualizar datos en Firebase Authentication si es necesario
-        if (correo || password) {
-          await updateAuthUser(id_persona, correo, password);
-        }
+    const promises = [];
 
-        // Actualizar las colecciones de Firestore
-        const personaPromise = Object.keys(updateDataPersona).length > 0
-          ? db.collection('PERSONA').doc(id_persona).update(updateDataPersona)
-          : Promise.resolve();
+    if (Object.keys(updateDataPersona).length > 0) {
+      promises.push(db.collection('PERSONA').doc(id_persona).update(updateDataPersona));
+    }
 
-        const perfilPromise = Object.keys(updateDataPerfil).length > 0
-          ? db.collection('PERFIL').doc(id_persona).update(updateDataPerfil)
-          : Promise.resolve();
+    if (Object.keys(updateDataPerfil).length > 0) {
+      promises.push(db.collection('PERFIL').doc(id_persona).update(updateDataPerfil));
+    }
 
-        await Promise.all([personaPromise, perfilPromise]);
+    if (promises.length > 0 || password) {
+      await Promise.all(promises);
 
+      if (req.file) {
+        await eliminarImagenAnterior(...rutasImagenAnterior);
         return res.status(200).json({
           message: 'Perfil actualizado exitosamente.',
-          imageUrl: publicUrl,
+          imageUrl: await urlImagen(updateDataPerfil.ruta_imagen_usuario),
+          thumbnailUrl: await urlImagen(updateDataPerfil.ruta_miniatura_usuario),
         });
-      });
-
-      stream.end(req.file.buffer);
-    } else {
-      // Actualizar datos en Firebase Authentication si es necesario
-      if (correo || password) {
-        await updateAuthUser(id_persona, correo, password);
       }
 
-      // Actualizar ambas colecciones si no hay imagen
-      const promises = [];
-
-      if (Object.keys(updateDataPersona).length > 0) {
-        promises.push(db.collection('PERSONA').doc(id_persona).update(updateDataPersona));
-      }
-
-      if (Object.keys(updateDataPerfil).length > 0) {
-        promises.push(db.collection('PERFIL').doc(id_persona).update(updateDataPerfil));
-      }
-
-      if (promises.length > 0) {
-        await Promise.all(promises);
-        return res.status(200).json({
-          message: 'Perfil actualizado exitosamente.',
-        });
-      } else {
-        console.log("No se proporcionaron datos para actualizar.")
-        return res.status(400).json({
-          message: 'No se proporcionaron datos para actualizar.',
-        });
-      }
+      return res.status(200).json({
+        message: 'Perfil actualizado exitosamente.',
+      });
+    } else {
+      console.log("No se proporcionaron datos para actualizar.")
+      return res.status(400).json({
+        message: 'No se proporcionaron datos para actualizar.',
+      });
     }
   } catch (error) {
     console.error("Error al actualizar el perfil:", error);
-    return res.status(500).json({ message: "Error al actualizar el perfil.", error: error.message });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al actualizar el perfil.",
+      error: error.message,
+    });
   }
 });
 
@@ -250,15 +222,7 @@ async function updateAuthUser(id_persona, correo, password) {
  *   get:
  *     tags: [usuario_datos_usuario]
  *     summary: Obtiene los datos combinados de las colecciones PERFIL y PERSONA.
- *     description: Retorna los datos de perfil y persona de un usuario en base a su UID.
- *     parameters:
- *       - name: uid
- *         in: query
- *         required: true
- *         description: El UID del usuario.
- *         schema:
- *           type: string
- *           example: abc123
+ *     description: Retorna los datos de perfil y persona del usuario autenticado.
  *     responses:
  *       200:
  *         description: Datos del usuario obtenidos exitosamente.
@@ -274,7 +238,8 @@ async function updateAuthUser(id_persona, correo, password) {
  *                     nombre: "Juan"
  *                     apellido: "Pérez"
  *                     correo: "juan.perez@example.com"
- *                     numero_telefono: "123456789"
+ *                     numero_telefono: "+56912345678"
+ *                     telefono_verificado: true
  *                     rut: "12345678-9"
  *                     fecha_nacimiento: "1990-05-15"
  *                     direccion: "Calle Falsa 123"
@@ -285,8 +250,8 @@ async function updateAuthUser(id_persona, correo, password) {
  *                   description: Datos de la colección PERFIL.
  *                   example:
  *                     correo: "juan.perez@example.com"
- *                     password: "password123"
- *                     imagen_usuario: "https://storage.googleapis.com/your-bucket/profile-images/abc123.jpg"
+ *                     imagen_usuario: "https://storage.googleapis.com/your-bucket/profile-images/abc123.webp?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=900"
+ *                     miniatura_usuario: "https://storage.googleapis.com/your-bucket/profile-images/abc123_miniatura.webp?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=900"
  *                     tipo_usuario: "kwLQngxZFsGKG3a3K1xO"
  *       404:
  *         description: Usuario no encontrado en alguna de las colecciones.
@@ -294,11 +259,7 @@ async function updateAuthUser(id_persona, correo, password) {
  *         description: Error al obtener los datos del usuario.
  */
 router.get('/user', async (req, res) => {
-  const { uid } = req.query; // Recibir el UID como parámetro de la query string
-
-  if (!uid) {
-    return res.status(400).json({ message: "El parámetro 'uid' es obligatorio." });
-  }
+  const { uid } = req.user; // UID del token de autenticación
 
   try {
     // Obtener datos de la colección PERSONA
@@ -337,7 +298,7 @@ router.get('/user', async (req, res) => {
     const usuarioData = {
       persona: personaDoc.data(),
       perfil: {
-        ...perfilData,
+        ...await perfilConImagen(perfilData),
         tipo_usuario: tipoUsuarioData, // Agregar la descripción completa del tipo de usuario
       },
     };
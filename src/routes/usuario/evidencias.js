@@ -0,0 +1,265 @@
+const express = require('express');
+const multer = require('multer');
+const {
+  MAX_MB,
+  TAMANO_MAXIMO_BYTES,
+  MAX_EVIDENCIAS_POR_ALERTA,
+  subirEvidencia,
+  listarEvidenciasPropias,
+  descargarEvidenciaPropia,
+} = require('../../services/evidencias');
+const router = express.Router();
+
+// Los archivos se reciben en memoria para calcular su hash antes de subirlos
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: TAMANO_MAXIMO_BYTES,
+    files: 1,
+  },
+});
+
+/**
+ * Recibe el archivo del campo `archivo` y responde 413 si supera el tamaño máximo.
+ */
+function recibirArchivo(req, res, next) {
+  upload.single('archivo')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `El archivo supera el tamaño máximo de ${TAMANO_MAXIMO_BYTES / (1024 * 1024)} MB.` });
+    }
+    return res.status(400).json({ message: "No se pudo leer el archivo enviado.", error: error.message });
+  });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: usuario_evidencias
+ *   description: Fotos y audios adjuntos a una alerta como evidencia. Los archivos se guardan de forma privada, con su hash SHA-256 calculado al recibirlos, y solo se descargan con una URL firmada que vence a los URL_FIRMADA_MINUTOS (15 por defecto). Cada descarga queda registrada en la evidencia.
+ */
+
+/**
+ * @swagger
+ * /subir-evidencia:
+ *   post:
+ *     tags: [usuario_evidencias]
+ *     summary: Adjunta una foto o un audio a una alerta del usuario.
+ *     description: El tipo se reconoce por el contenido del archivo. Se aceptan fotos JPEG, PNG, WebP o HEIC de hasta EVIDENCIA_FOTO_MAX_MB (10 por defecto) y audios M4A, MP3, AAC, OGG, WebM o WAV de hasta EVIDENCIA_AUDIO_MAX_MB (15 por defecto). Cada alerta admite hasta EVIDENCIA_MAX_POR_ALERTA archivos (20 por defecto).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_alerta
+ *               - archivo
+ *             properties:
+ *               id_alerta:
+ *                 type: string
+ *                 example: "1bfjj6FN8VscsUt1ND24"
+ *               descripcion:
+ *                 type: string
+ *                 example: "Audio grabado durante la alerta"
+ *               archivo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Evidencia guardada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Evidencia guardada exitosamente."
+ *                 evidencia:
+ *                   type: object
+ *                   properties:
+ *                     id_evidencia:
+ *                       type: string
+ *                       example: "Qm3v9xTgK1LpA8sW2eYz"
+ *                     id_alerta:
+ *                       type: string
+ *                       example: "1bfjj6FN8VscsUt1ND24"
+ *                     tipo:
+ *                       type: string
+ *                       enum: [foto, audio]
+ *                     content_type:
+ *                       type: string
+ *                       example: "audio/mp4"
+ *                     nombre_original:
+ *                       type: string
+ *                       example: "grabacion.m4a"
+ *                     tamano_bytes:
+ *                       type: integer
+ *                       example: 482113
+ *                     sha256:
+ *                       type: string
+ *                       example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *                     descripcion:
+ *                       type: string
+ *                     fecha_subida:
+ *                       type: object
+ *       400:
+ *         description: Faltan campos o el formato del archivo no está permitido.
+ *       403:
+ *         description: La alerta no pertenece al usuario.
+ *       404:
+ *         description: No se encontró la alerta.
+ *       409:
+ *         description: La alerta ya tiene el máximo de archivos de evidencia.
+ *       413:
+ *         description: El archivo supera el tamaño máximo para su tipo.
+ *       500:
+ *         description: Error al guardar la evidencia.
+ */
+router.post('/subir-evidencia', recibirArchivo, async (req, res) => {
+  const { id_alerta, descripcion } = req.body;
+
+  if (!id_alerta) {
+    return res.status(400).json({ message: "El campo 'id_alerta' es obligatorio." });
+  }
+  if (!req.file) {
+    return res.status(400).json({ message: "El campo 'archivo' es obligatorio." });
+  }
+
+  try {
+    const evidencia = await subirEvidencia({
+      id_usuario: req.user.uid,
+      id_alerta,
+      archivo: req.file,
+      descripcion,
+    });
+
+    return res.status(201).json({ message: "Evidencia guardada exitosamente.", evidencia });
+  } catch (error) {
+    console.error("Error al guardar la evidencia:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al guardar la evidencia.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /evidencias-alerta:
+ *   get:
+ *     tags: [usuario_evidencias]
+ *     summary: Lista la evidencia de una alerta del usuario.
+ *     description: Retorna los datos de cada archivo, incluido su hash SHA-256 y los accesos registrados. Para descargar un archivo se usa /descargar-evidencia.
+ *     parameters:
+ *       - in: query
+ *         name: id_alerta
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evidencia de la alerta, de la más antigua a la más reciente.
+ *       400:
+ *         description: Falta el ID de la alerta.
+ *       403:
+ *         description: La alerta no pertenece al usuario.
+ *       404:
+ *         description: No se encontró la alerta.
+ *       500:
+ *         description: Error al obtener la evidencia.
+ */
+router.get('/evidencias-alerta', async (req, res) => {
+  const { id_alerta } = req.query;
+
+  if (!id_alerta) {
+    return res.status(400).json({ message: "El campo 'id_alerta' es obligatorio." });
+  }
+
+  try {
+    const evidencias = await listarEvidenciasPropias(req.user.uid, id_alerta);
+
+    return res.status(200).json({
+      message: "Evidencia de la alerta obtenida exitosamente.",
+      maximo_por_alerta: MAX_EVIDENCIAS_POR_ALERTA,
+      tamano_maximo_mb: MAX_MB,
+      evidencias,
+    });
+  } catch (error) {
+    console.error("Error al obtener la evidencia de la alerta:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener la evidencia de la alerta.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /descargar-evidencia:
+ *   get:
+ *     tags: [usuario_evidencias]
+ *     summary: Genera una URL firmada para descargar una evidencia.
+ *     description: Solo el dueño de la alerta puede descargar su evidencia por esta ruta; los funcionarios usan /descargar-evidencia-derivada. La URL vence a los URL_FIRMADA_MINUTOS (15 por defecto) y la descarga queda registrada en los accesos de la evidencia.
+ *     parameters:
+ *       - in: query
+ *         name: id_evidencia
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: URL de descarga generada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_evidencia:
+ *                   type: string
+ *                 sha256:
+ *                   type: string
+ *                   description: Hash registrado al subir el archivo, para comprobar que no fue modificado.
+ *                 content_type:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                 expira:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Falta el ID de la evidencia.
+ *       403:
+ *         description: La evidencia es de otro usuario.
+ *       404:
+ *         description: No se encontró la evidencia.
+ *       500:
+ *         description: Error al generar la URL de descarga.
+ */
+router.get('/descargar-evidencia', async (req, res) => {
+  const { id_evidencia } = req.query;
+
+  if (!id_evidencia) {
+    return res.status(400).json({ message: "El campo 'id_evidencia' es obligatorio." });
+  }
+
+  try {
+    const descarga = await descargarEvidenciaPropia({
+      id_evidencia,
+      id_usuario: req.user.uid,
+      rol: req.user.rol,
+    });
+
+    return res.status(200).json({ message: "URL de descarga generada exitosamente.", ...descarga });
+  } catch (error) {
+    console.error("Error al generar la URL de descarga de la evidencia:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al generar la URL de descarga de la evidencia.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
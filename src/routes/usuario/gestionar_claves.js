@@ -1,5 +1,6 @@
 const express = require('express');
 const { admin, db } = require('../../config/firebase'); // Importamos db desde firebase.js
+const { detectarClave } = require('../../services/deteccion_clave');
 const router = express.Router();
 
 /**
@@ -65,16 +66,8 @@ router.get('/listar-gravedades', async (req, res) => {
  * /obtener-claves-usuario:
  *   get:
  *     tags: [usuario_gestionar_claves]
- *     summary: Lista las claves de un usuario junto con el mensaje y la gravedad.
- *     description: Retorna todas las claves en la colección "CLAVE" relacionadas con un usuario, junto con la información del mensaje y la gravedad.
- *     parameters:
- *       - name: id_usuario
- *         in: query
- *         required: true
- *         description: El UID del usuario para obtener sus claves.
- *         schema:
- *           type: string
- *           example: "2ME9VRJaHwOvqitEOVAHATLy33e2"
+ *     summary: Lista las claves del usuario autenticado junto con el mensaje y la gravedad.
+ *     description: Retorna todas las claves en la colección "CLAVE" relacionadas con el usuario autenticado, junto con la información del mensaje y la gravedad.
  *     responses:
  *       200:
  *         description: Lista de claves obtenidas exitosamente.
@@ -107,14 +100,7 @@ router.get('/listar-gravedades', async (req, res) => {
  *         description: Error al obtener las claves.
  */
 router.get('/obtener-claves-usuario', async (req, res) => {
-  const { id_usuario } = req.query;
-
-  // Validar que se proporcione el id_usuario
-  if (!id_usuario) {
-    return res.status(400).json({
-      message: "El parámetro 'id_usuario' es obligatorio."
-    });
-  }
+  const id_usuario = req.user.uid;
 
   try {
     // Obtener las claves relacionadas con el id_usuario
@@ -178,7 +164,6 @@ router.get('/obtener-claves-usuario', async (req, res) => {
  *             type: object
  *             required:
  *               - id_gravedad
- *               - id_usuario
  *               - palabra
  *               - id_mensaje
  *             properties:
@@ -186,10 +171,6 @@ router.get('/obtener-claves-usuario', async (req, res) => {
  *                 type: string
  *                 description: ID de la gravedad asociada a la clave.
  *                 example: "L0tZzpf0ILTVtA2gzNva"
- *               id_usuario:
- *                 type: string
- *                 description: ID del usuario que está guardando la clave.
- *                 example: "ctZ64VRuHSW8bPXyPGTnCEWZbsu2"
  *               palabra:
  *                 type: string
  *                 description: Palabra clave definida por el usuario.
@@ -205,12 +186,13 @@ router.get('/obtener-claves-usuario', async (req, res) => {
  *         description: Error al guardar la clave.
  */
 router.post('/guardar-clave', async (req, res) => {
-    const { id_gravedad, id_usuario, palabra, id_mensaje } = req.body;
+    const { id_gravedad, palabra, id_mensaje } = req.body;
+    const id_usuario = req.user.uid;
   
     // Validar que los campos obligatorios están presentes
-    if (!id_gravedad || !id_usuario || !palabra || !id_mensaje) {
+    if (!id_gravedad || !palabra || !id_mensaje) {
       return res.status(400).json({
-        message: "Los campos 'id_gravedad', 'id_usuario', 'palabra' e 'id_mensaje' son obligatorios."
+        message: "Los campos 'id_gravedad', 'palabra' e 'id_mensaje' son obligatorios."
       });
     }
   
@@ -286,6 +268,8 @@ router.post('/guardar-clave', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Clave actualizada exitosamente."
+ *       403:
+ *         description: La clave no pertenece al usuario.
  *       404:
  *         description: Clave no encontrada.
  *       500:
@@ -306,6 +290,12 @@ router.put('/editar-clave', async (req, res) => {
       });
     }
 
+    if (claveDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({
+        message: "La clave no pertenece al usuario."
+      });
+    }
+
     // Crear un objeto con los campos que se van a actualizar
     const actualizaciones = {};
     if (id_gravedad) actualizaciones.id_gravedad = id_gravedad;
@@ -357,6 +347,8 @@ router.put('/editar-clave', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Clave eliminada exitosamente."
+ *       403:
+ *         description: La clave no pertenece al usuario.
  *       404:
  *         description: Clave no encontrada.
  *       500:
@@ -377,6 +369,12 @@ router.delete('/eliminar-clave', async (req, res) => {
       });
     }
 
+    if (claveDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({
+        message: "La clave no pertenece al usuario."
+      });
+    }
+
     // Eliminar el documento
     await claveRef.delete();
 
@@ -398,16 +396,8 @@ router.delete('/eliminar-clave', async (req, res) => {
  * /obtener-mensajes:
  *   get:
  *     tags: [usuario_gestionar_claves]
- *     summary: Obtiene los mensajes asociados a una persona.
- *     description: Retorna todos los mensajes en la colección "MENSAJE" relacionados con el ID de una persona.
- *     parameters:
- *       - name: id_persona
- *         in: query
- *         required: true
- *         description: El UID de la persona para obtener sus mensajes.
- *         schema:
- *           type: string
- *           example: "2ME9VRJaHwOvqitEOVAHATLy33e2"
+ *     summary: Obtiene los mensajes del usuario autenticado.
+ *     description: Retorna todos los mensajes en la colección "MENSAJE" relacionados con el usuario autenticado.
  *     responses:
  *       200:
  *         description: Lista de mensajes obtenidos exitosamente.
@@ -436,14 +426,7 @@ router.delete('/eliminar-clave', async (req, res) => {
  *         description: Error al obtener los mensajes.
  */
 router.get('/obtener-mensajes', async (req, res) => {
-    const { id_persona } = req.query;
-  
-    // Validar que se proporcione el id_persona
-    if (!id_persona) {
-      return res.status(400).json({
-        message: "El parámetro 'id_persona' es obligatorio."
-      });
-    }
+    const id_persona = req.user.uid;
   
     try {
       // Consulta para obtener los mensajes relacionados con el id_persona
@@ -488,13 +471,8 @@ router.get('/obtener-mensajes', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - id_persona
  *               - mensaje
  *             properties:
- *               id_persona:
- *                 type: string
- *                 description: ID de la persona asociada al mensaje.
- *                 example: "2ME9VRJaHwOvqitEOVAHATLy33e2"
  *               mensaje:
  *                 type: string
  *                 description: Contenido del mensaje.
@@ -518,12 +496,13 @@ router.get('/obtener-mensajes', async (req, res) => {
  *         description: Error al insertar el mensaje.
  */
 router.post('/insertar-mensaje', async (req, res) => {
-  const { id_persona, mensaje } = req.body;
+  const { mensaje } = req.body;
+  const id_persona = req.user.uid;
 
   // Validar que los campos obligatorios están presentes
-  if (!id_persona || !mensaje) {
+  if (!mensaje) {
     return res.status(400).json({
-      message: "Los campos 'id_persona' y 'mensaje' son obligatorios."
+      message: "El campo 'mensaje' es obligatorio."
     });
   }
 
@@ -586,6 +565,8 @@ router.post('/insertar-mensaje', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Mensaje eliminado exitosamente."
+ *       403:
+ *         description: El mensaje no pertenece al usuario.
  *       404:
  *         description: Mensaje no encontrado.
  *       500:
@@ -606,6 +587,12 @@ router.delete('/eliminar-mensaje', async (req, res) => {
       });
     }
 
+    if (mensajeDoc.data().id_persona !== req.user.uid) {
+      return res.status(403).json({
+        message: "El mensaje no pertenece al usuario."
+      });
+    }
+
     // Obtener los datos del mensaje, incluido el id_persona
     const mensajeData = mensajeDoc.data();
     const { id_persona } = mensajeData;
@@ -691,6 +678,8 @@ router.delete('/eliminar-mensaje', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Mensaje actualizado exitosamente."
+ *       403:
+ *         description: El mensaje no pertenece al usuario.
  *       404:
  *         description: Mensaje no encontrado.
  *       500:
@@ -718,6 +707,12 @@ router.put('/editar-mensaje', async (req, res) => {
       });
     }
 
+    if (mensajeDoc.data().id_persona !== req.user.uid) {
+      return res.status(403).json({
+        message: "El mensaje no pertenece al usuario."
+      });
+    }
+
     // Actualizar solo el contenido del campo `mensaje`
     await mensajeRef.update({ mensaje });
 
@@ -734,4 +729,177 @@ router.put('/editar-mensaje', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /mensaje-predeterminado:
+ *   put:
+ *     tags: [usuario_gestionar_claves]
+ *     summary: Marca un mensaje como el predeterminado del usuario.
+ *     description: El mensaje predeterminado se usa en las alertas que se generan automáticamente, por ejemplo cuando vence un acompañamiento. Solo un mensaje por persona puede ser el predeterminado.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_mensaje
+ *             properties:
+ *               id_mensaje:
+ *                 type: string
+ *                 description: El ID del mensaje que será el predeterminado.
+ *                 example: "bkBakPjGxZIBr3FKOrFb"
+ *     responses:
+ *       200:
+ *         description: Mensaje predeterminado actualizado exitosamente.
+ *       400:
+ *         description: Falta el campo 'id_mensaje'.
+ *       403:
+ *         description: El mensaje no pertenece al usuario.
+ *       404:
+ *         description: Mensaje no encontrado.
+ *       500:
+ *         description: Error al actualizar el mensaje predeterminado.
+ */
+router.put('/mensaje-predeterminado', async (req, res) => {
+  const { id_mensaje } = req.body;
+
+  if (!id_mensaje) {
+    return res.status(400).json({
+      message: "El campo 'id_mensaje' es obligatorio."
+    });
+  }
+
+  try {
+    const mensajeDoc = await db.collection('MENSAJE').doc(id_mensaje).get();
+
+    if (!mensajeDoc.exists) {
+      return res.status(404).json({
+        message: "Mensaje no encontrado."
+      });
+    }
+
+    if (mensajeDoc.data().id_persona !== req.user.uid) {
+      return res.status(403).json({
+        message: "El mensaje no pertenece al usuario."
+      });
+    }
+
+    // Desmarcar los demás mensajes de la persona y marcar el seleccionado
+    const mensajesSnapshot = await db.collection('MENSAJE')
+      .where('id_persona', '==', mensajeDoc.data().id_persona)
+      .get();
+
+    const batch = db.batch();
+    mensajesSnapshot.forEach(doc => {
+      batch.update(doc.ref, { predeterminado: doc.id === id_mensaje });
+    });
+    await batch.commit();
+
+    return res.status(200).json({
+      message: "Mensaje predeterminado actualizado exitosamente."
+    });
+  } catch (error) {
+    console.error("Error al actualizar el mensaje predeterminado:", error);
+    return res.status(500).json({
+      message: "Error al actualizar el mensaje predeterminado.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /detectar-clave:
+ *   post:
+ *     tags: [usuario_gestionar_claves]
+ *     summary: Detecta las claves del usuario en una transcripción de voz y genera la alerta asociada.
+ *     description: Recibe el texto obtenido por el reconocimiento de voz del teléfono. Se ignoran tildes, mayúsculas y signos de puntuación, y se toleran pequeños errores de transcripción. Si alguna CLAVE del usuario coincide, se genera una alerta con el mensaje y la gravedad de esa clave. Mientras la alerta generada por una clave siga activa, las nuevas detecciones de los minutos siguientes no generan otra alerta.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transcripcion
+ *             properties:
+ *               transcripcion:
+ *                 type: string
+ *                 example: "oye quiero comprar unas manzanas verdes"
+ *               latitud:
+ *                 type: number
+ *                 description: Opcional. Si no se indica, se usa la última ubicación de UBICACION_ACTUAL.
+ *                 example: -33.6221678
+ *               longitud:
+ *                 type: number
+ *                 example: -70.6075504
+ *     responses:
+ *       200:
+ *         description: Transcripción analizada. Indica si se detectó una clave, cuál y con qué confianza.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 detectada:
+ *                   type: boolean
+ *                   example: true
+ *                 id_clave:
+ *                   type: string
+ *                   example: "a1b2c3d4e5"
+ *                 palabra:
+ *                   type: string
+ *                   example: "manzanas verdes"
+ *                 confianza:
+ *                   type: number
+ *                   description: Valor entre 0 y 1.
+ *                   example: 1
+ *                 id_alerta:
+ *                   type: string
+ *                   example: "GRgX8V2fKcC82eaP6Aov"
+ *                 alerta_existente:
+ *                   type: boolean
+ *                   description: true si la detección se asoció a una alerta generada hace pocos minutos por otra clave.
+ *                   example: false
+ *       400:
+ *         description: Faltan campos o no se conoce la ubicación del usuario.
+ *       500:
+ *         description: Error al detectar la clave.
+ */
+router.post('/detectar-clave', async (req, res) => {
+  const { transcripcion, latitud, longitud } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (!transcripcion) {
+    return res.status(400).json({
+      message: "El campo 'transcripcion' es obligatorio."
+    });
+  }
+
+  try {
+    const resultado = await detectarClave({
+      id_usuario,
+      transcripcion,
+      latitud,
+      longitud,
+    });
+
+    let message = "No se detectó ninguna clave.";
+    if (resultado.detectada) {
+      message = resultado.alerta_existente
+        ? "Clave detectada. Ya existe una alerta activa generada por una clave."
+        : "Clave detectada. Alerta generada.";
+    }
+
+    return res.status(200).json({ message, ...resultado });
+  } catch (error) {
+    console.error("Error al detectar la clave:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al detectar la clave.",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
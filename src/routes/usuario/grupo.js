@@ -1,8 +1,9 @@
 // Importaciones
 const express = require('express');
-const { admin, db, bucket } = require('../../config/firebase');
+const { admin, db } = require('../../config/firebase');
+const { CARPETAS_IMAGEN, subirImagen, eliminarImagenAnterior, perfilConImagen, grupoConImagen } = require('../../services/imagenes');
+const { MENSAJE_TELEFONO_INVALIDO, normalizarTelefono } = require('../../utils/telefono');
 const multer = require('multer');
-const path = require('path');
 const router = express.Router();
 
 // Configurar Multer para manejar la subida de archivos
@@ -13,6 +14,17 @@ const upload = multer({
   }
 });
 
+// Indica si el usuario pertenece al grupo
+async function esMiembroGrupo(id_grupo, id_usuario) {
+  const grupoPersonaSnapshot = await db.collection("GRUPO_PERSONA")
+    .where("id_grupo", "==", id_grupo)
+    .where("id_usuario", "==", id_usuario)
+    .limit(1)
+    .get();
+
+  return !grupoPersonaSnapshot.empty;
+}
+
 // Crear grupo
 /**
  * @swagger
@@ -20,7 +32,7 @@ const upload = multer({
  *   post:
  *     tags: [usuario_grupo]
  *     summary: Crea un nuevo grupo y agrega automáticamente al usuario creador al grupo.
- *     description: Este endpoint permite crear un nuevo grupo y automáticamente añadir al usuario creador al grupo. También permite especificar un color de grupo, una imagen opcional y una descripción del grupo.
+ *     description: Este endpoint permite crear un nuevo grupo y automáticamente añadir al usuario autenticado (creador) al grupo. También permite especificar un color de grupo, una imagen opcional y una descripción del grupo.
  *     requestBody:
  *       required: true
  *       content:
@@ -29,7 +41,6 @@ const upload = multer({
  *             type: object
  *             required:
  *               - nombre_grupo
- *               - id_usuario_creador
  *               - color_hex
  *               - descripcion
  *             properties:
@@ -37,10 +48,6 @@ const upload = multer({
  *                 type: string
  *                 description: El nombre del grupo a crear.
  *                 example: "Grupo de Amigos"
- *               id_usuario_creador:
- *                 type: string
- *                 description: El ID del usuario que está creando el grupo.
- *                 example: "2ME9VRJaHwOvqitEOVAHATLy33e2"
  *               color_hex:
  *                 type: string
  *                 description: El color que representará al grupo (en formato hexadecimal).
@@ -52,45 +59,38 @@ const upload = multer({
  *               imagen:
  *                 type: string
  *                 format: binary
- *                 description: Imagen que representará al grupo (opcional).
+ *                 description: Imagen que representará al grupo (opcional). Se aceptan JPEG, PNG, WebP o HEIC; se eliminan sus metadatos y se guardan una versión de hasta 1080 px y una miniatura de hasta 256 px en WebP, de forma privada.
  *     responses:
  *       201:
  *         description: Grupo creado exitosamente y usuario agregado al grupo.
  *       400:
- *         description: Error de validación, faltan campos obligatorios.
+ *         description: Error de validación, faltan campos obligatorios o la imagen no es válida.
  *       500:
  *         description: Error al crear el grupo o al agregar al usuario.
  */
 router.post("/crear-grupo", upload.single('imagen'), async (req, res) => {
-  const { nombre_grupo, id_usuario_creador, color_hex, descripcion } = req.body;
+  const { nombre_grupo, color_hex, descripcion } = req.body;
+  const id_usuario_creador = req.user.uid;
 
-  if (!nombre_grupo || !id_usuario_creador || !color_hex) {
-    return res.status(400).json({ message: "Los campos 'nombre_grupo', 'id_usuario_creador' y 'color_hex' son requeridos" });
+  if (!nombre_grupo || !color_hex) {
+    return res.status(400).json({ message: "Los campos 'nombre_grupo' y 'color_hex' son requeridos" });
   }
 
   try {
     const grupoRef = db.collection("GRUPO").doc(); // Genera un nuevo ID automáticamente
     const id_grupo = grupoRef.id;
 
-    let imagen_url = null;
-    if (req.file) {
-      const fileName = `grupos/${id_grupo}_${Date.now()}${path.extname(req.file.originalname)}`;
-      const file = bucket.file(fileName);
-
-      await file.save(req.file.buffer, {
-        metadata: { contentType: req.file.mimetype },
-      });
-
-      await file.makePublic();
-      imagen_url = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-    }
+    // La imagen se procesa (sin metadatos, en tamaño normalizado) y se guarda de forma privada;
+    // los miembros la ven con una URL firmada
+    const imagen = req.file ? await subirImagen(CARPETAS_IMAGEN.GRUPO, id_grupo, req.file) : null;
 
     const nuevoGrupo = {
       id_grupo,
       nombre_grupo,
       color_hex,
       descripcion,
-      imagen_url,
+      ruta_imagen: imagen ? imagen.ruta : null,
+      ruta_miniatura: imagen ? imagen.ruta_miniatura : null,
       estado: true,
       id_usuario: id_usuario_creador,
     };
@@ -108,12 +108,15 @@ router.post("/crear-grupo", upload.single('imagen'), async (req, res) => {
 
     return res.status(201).json({
       message: "Grupo creado exitosamente y usuario agregado al grupo",
-      grupo: nuevoGrupo,
+      grupo: await grupoConImagen(nuevoGrupo),
       grupoPersona
     });
   } catch (error) {
     console.error("Error al crear el grupo o al agregar al usuario:", error);
-    return res.status(500).json({ message: "Error al crear el grupo o al agregar al usuario", error });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al crear el grupo o al agregar al usuario",
+      error: error.message,
+    });
   }
 });
 
@@ -142,6 +145,8 @@ router.post("/crear-grupo", upload.single('imagen'), async (req, res) => {
  *         description: Grupo eliminado exitosamente.
  *       400:
  *         description: Error de validación, falta el ID del grupo.
+ *       403:
+ *         description: Solo el creador del grupo puede eliminarlo.
  *       404:
  *         description: No se encontró el grupo con el ID proporcionado.
  *       500:
@@ -162,6 +167,10 @@ router.delete("/eliminar-grupo", async (req, res) => {
       return res.status(200).json({ message: `No se encontró el grupo con id: ${id_grupo}` });
     }
 
+    if (grupoDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({ message: "Solo el creador del grupo puede eliminarlo." });
+    }
+
     // Cambiar el estado del grupo a `false`
     await grupoRef.update({ estado: false });
 
@@ -225,12 +234,14 @@ router.delete("/eliminar-grupo", async (req, res) => {
  *               imagen:
  *                 type: string
  *                 format: binary
- *                 description: La nueva imagen del grupo (opcional).
+ *                 description: La nueva imagen del grupo (opcional). Se procesa igual que en /crear-grupo y reemplaza a la anterior.
  *     responses:
  *       200:
  *         description: Grupo actualizado exitosamente.
  *       400:
- *         description: Error de validación, faltan campos obligatorios.
+ *         description: Error de validación, faltan campos obligatorios o la imagen no es válida.
+ *       403:
+ *         description: Solo el creador del grupo puede editarlo.
  *       404:
  *         description: Grupo no encontrado.
  *       500:
@@ -251,31 +262,36 @@ router.put('/editar-grupo', upload.single('imagen'), async (req, res) => {
       return res.status(200).json({ message: `No se encontró el grupo con id: ${id_grupo}` });
     }
 
-    let updateData = { nombre_grupo, color_hex, descripcion };
+    if (grupoDoc.data().id_usuario !== req.user.uid) {
+      return res.status(403).json({ message: "Solo el creador del grupo puede editarlo." });
+    }
 
-    await grupoRef.update(updateData);
+    let updateData = { nombre_grupo, color_hex, descripcion };
+    const { ruta_imagen = null, ruta_miniatura = null } = grupoDoc.data();
 
     if (req.file) {
-      const fileName = `grupos/${id_grupo}_${Date.now()}${path.extname(req.file.originalname)}`;
-      const file = bucket.file(fileName);
+      const imagen = await subirImagen(CARPETAS_IMAGEN.GRUPO, id_grupo, req.file);
+      updateData.ruta_imagen = imagen.ruta;
+      updateData.ruta_miniatura = imagen.ruta_miniatura;
+    }
 
-      await file.save(req.file.buffer, {
-        metadata: { contentType: req.file.mimetype },
-      });
+    await grupoRef.update(updateData);
 
-      await file.makePublic();
-      const imagen_url = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-      updateData.imagen_url = imagen_url;
+    if (req.file) {
+      await eliminarImagenAnterior(ruta_imagen, ruta_miniatura);
     }
 
     return res.status(200).json({
       message: 'Grupo actualizado exitosamente.',
-      grupo: { id_grupo, ...updateData },
+      grupo: await grupoConImagen({ id_grupo, ruta_imagen, ruta_miniatura, ...updateData }),
     });
 
   } catch (error) {
     console.error('Error al actualizar el grupo:', error);
-    return res.status(500).json({ message: 'Error al actualizar el grupo', error });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Error al actualizar el grupo',
+      error: error.message,
+    });
   }
 });
 
@@ -285,14 +301,7 @@ router.put('/editar-grupo', upload.single('imagen'), async (req, res) => {
  * /ver-grupos-creados:
  *   get:
  *     tags: [usuario_grupo]
- *     summary: Obtiene los grupos creados por un usuario.
- *     parameters:
- *       - in: query
- *         name: id_usuario
- *         required: true
- *         description: El ID del usuario que ha creado los grupos.
- *         schema:
- *           type: string
+ *     summary: Obtiene los grupos creados por el usuario autenticado.
  *     responses:
  *       200:
  *         description: Grupos activos obtenidos exitosamente.
@@ -302,7 +311,7 @@ router.put('/editar-grupo', upload.single('imagen'), async (req, res) => {
  *         description: Error al obtener los grupos.
  */
 router.get('/ver-grupos-creados', async (req, res) => {
-  const { id_usuario } = req.query;
+  const id_usuario = req.user.uid;
 
   try {
     const gruposSnapshot = await db.collection('GRUPO')
@@ -314,10 +323,10 @@ router.get('/ver-grupos-creados', async (req, res) => {
       return res.status(200).json({ message: 'No se encontraron grupos activos para este usuario.', grupos: [] });
     }
 
-    const grupos = gruposSnapshot.docs.map(doc => ({
+    const grupos = await Promise.all(gruposSnapshot.docs.map(doc => grupoConImagen({
       id_grupo: doc.id,
       ...doc.data()
-    }));
+    })));
 
     return res.status(200).json({
       message: 'Grupos activos obtenidos exitosamente.',
@@ -335,14 +344,7 @@ router.get('/ver-grupos-creados', async (req, res) => {
  * /ver-grupos-usuario:
  *   get:
  *     tags: [usuario_grupo]
- *     summary: Obtiene los grupos a los que pertenece un usuario.
- *     parameters:
- *       - in: query
- *         name: id_usuario
- *         required: true
- *         description: El ID del usuario para obtener los grupos.
- *         schema:
- *           type: string
+ *     summary: Obtiene los grupos a los que pertenece el usuario autenticado.
  *     responses:
  *       200:
  *         description: Grupos activos obtenidos exitosamente.
@@ -352,7 +354,7 @@ router.get('/ver-grupos-creados', async (req, res) => {
  *         description: Error al obtener los grupos.
  */
 router.get('/ver-grupos-usuario', async (req, res) => {
-  const { id_usuario } = req.query;
+  const id_usuario = req.user.uid;
 
   try {
     const grupoPersonaSnapshot = await db.collection('GRUPO_PERSONA')
@@ -378,10 +380,10 @@ router.get('/ver-grupos-usuario', async (req, res) => {
       return res.status(200).json({ message: 'No se encontraron grupos activos para este usuario.', gruposActivos: [] });
     }
 
-    const gruposActivos = gruposActivosSnapshot.docs.map(doc => ({
+    const gruposActivos = await Promise.all(gruposActivosSnapshot.docs.map(doc => grupoConImagen({
       id_grupo: doc.id,
       ...doc.data()
-    }));
+    })));
 
     return res.status(200).json({
       message: 'Grupos activos obtenidos exitosamente.',
@@ -410,6 +412,8 @@ router.get('/ver-grupos-usuario', async (req, res) => {
  *     responses:
  *       200:
  *         description: Información del grupo obtenida exitosamente.
+ *       403:
+ *         description: El usuario no pertenece al grupo.
  *       404:
  *         description: No se encontraron datos para el grupo.
  *       500:
@@ -418,7 +422,15 @@ router.get('/ver-grupos-usuario', async (req, res) => {
 router.get('/grupo-completo', async (req, res) => {
   const { id_grupo } = req.query;
 
+  if (!id_grupo) {
+    return res.status(400).json({ message: "El parámetro 'id_grupo' es requerido" });
+  }
+
   try {
+    if (!await esMiembroGrupo(id_grupo, req.user.uid)) {
+      return res.status(403).json({ message: "El usuario no pertenece a este grupo." });
+    }
+
     const grupoRef = db.collection('GRUPO').doc(id_grupo);
     const grupoDoc = await grupoRef.get();
 
@@ -453,7 +465,7 @@ router.get('/grupo-completo', async (req, res) => {
       return {
         id_usuario: idUsuario,
         persona: personaDoc.data(),
-        perfil: perfilDoc.exists ? perfilDoc.data() : {}
+        perfil: perfilDoc.exists ? await perfilConImagen(perfilDoc.data()) : {}
       };
     }));
 
@@ -461,7 +473,7 @@ router.get('/grupo-completo', async (req, res) => {
 
     return res.status(200).json({
       message: 'Información completa del grupo obtenida exitosamente.',
-      grupo: { id_grupo, ...grupoData },
+      grupo: await grupoConImagen({ id_grupo, ...grupoData }),
       miembros: miembrosFiltrados
     });
   } catch (error) {
@@ -477,7 +489,7 @@ router.get('/grupo-completo', async (req, res) => {
  *   post:
  *     tags: [usuario_grupo]
  *     summary: Invita a un usuario a un grupo mediante su número de teléfono.
- *     description: Permite invitar a un usuario a un grupo utilizando su número de teléfono.
+ *     description: Permite a un miembro del grupo invitar a otro usuario utilizando su número de teléfono. El número se normaliza a E.164 y solo se encuentran usuarios que verificaron su número.
  *     requestBody:
  *       required: true
  *       content:
@@ -487,7 +499,6 @@ router.get('/grupo-completo', async (req, res) => {
  *             required:
  *               - id_grupo
  *               - celular
- *               - id_usuario_emisor
  *             properties:
  *               id_grupo:
  *                 type: string
@@ -495,34 +506,45 @@ router.get('/grupo-completo', async (req, res) => {
  *               celular:
  *                 type: string
  *                 description: El número de teléfono del usuario a invitar.
- *               id_usuario_emisor:
- *                 type: string
- *                 description: El ID del usuario que envía la invitación.
+ *                 example: "912345678"
  *     responses:
  *       201:
  *         description: Invitación enviada exitosamente.
+ *       403:
+ *         description: El usuario que invita no pertenece al grupo.
  *       404:
  *         description: No se encontró un usuario con el número de teléfono proporcionado.
  *       400:
- *         description: Error de validación, el usuario ya pertenece al grupo o ya tiene una invitación pendiente.
+ *         description: Error de validación (p. ej. número no válido), el usuario ya pertenece al grupo o ya tiene una invitación pendiente.
  *       500:
  *         description: Error al enviar la invitación.
  */
 router.post("/invitar-usuario", upload.none(), async (req, res) => {
-  const { id_grupo, celular, id_usuario_emisor } = req.body;
+  const { id_grupo, celular } = req.body;
+  const id_usuario_emisor = req.user.uid;
 
-  if (!id_grupo || !celular || !id_usuario_emisor) {
-    return res.status(400).json({ message: "Los campos 'id_grupo', 'celular' y 'id_usuario_emisor' son requeridos" });
+  if (!id_grupo || !celular) {
+    return res.status(400).json({ message: "Los campos 'id_grupo' y 'celular' son requeridos" });
+  }
+
+  const telefono = normalizarTelefono(celular);
+  if (!telefono) {
+    return res.status(400).json({ message: MENSAJE_TELEFONO_INVALIDO });
   }
 
   try {
-    const usuarioSnapshot = await db.collection("PERSONA").where("numero_telefono", "==", celular).get();
+    if (!await esMiembroGrupo(id_grupo, id_usuario_emisor)) {
+      return res.status(403).json({ message: "Solo los miembros del grupo pueden invitar a otros usuarios." });
+    }
 
-    if (usuarioSnapshot.empty) {
+    // Solo se buscan números verificados: un número sin verificar podría pertenecer a otra persona
+    const usuarioSnapshot = await db.collection("PERSONA").where("numero_telefono", "==", telefono).get();
+    const usuarioDoc = usuarioSnapshot.docs.find(doc => doc.data().telefono_verificado === true);
+
+    if (!usuarioDoc) {
       return res.status(200).json({ message: "No se encontró un usuario con el número de teléfono proporcionado" });
     }
 
-    const usuarioDoc = usuarioSnapshot.docs[0];
     const id_usuario = usuarioDoc.id;
 
     const grupoPersonaSnapshot = await db.collection("GRUPO_PERSONA")
@@ -574,14 +596,7 @@ router.post("/invitar-usuario", upload.none(), async (req, res) => {
  * /ver-invitaciones:
  *   get:
  *     tags: [usuario_grupo]
- *     summary: Ver las invitaciones pendientes para un usuario.
- *     parameters:
- *       - in: query
- *         name: id_usuario
- *         required: true
- *         description: El ID del usuario para obtener las invitaciones pendientes.
- *         schema:
- *           type: string
+ *     summary: Ver las invitaciones pendientes del usuario autenticado.
  *     responses:
  *       200:
  *         description: Invitaciones obtenidas exitosamente.
@@ -591,11 +606,7 @@ router.post("/invitar-usuario", upload.none(), async (req, res) => {
  *         description: Error al obtener las invitaciones.
  */
 router.get('/ver-invitaciones', async (req, res) => {
-  const { id_usuario } = req.query;
-
-  if (!id_usuario) {
-    return res.status(400).json({ message: "El campo 'id_usuario' es requerido" });
-  }
+  const id_usuario = req.user.uid;
 
   try {
     // Obtener las invitaciones pendientes para el usuario
@@ -691,6 +702,8 @@ router.get('/ver-invitaciones', async (req, res) => {
  *     responses:
  *       200:
  *         description: Respuesta a la invitación procesada exitosamente.
+ *       403:
+ *         description: La invitación no está dirigida al usuario.
  *       404:
  *         description: No se encontró la invitación o ya fue utilizada.
  *       400:
@@ -715,6 +728,10 @@ router.post("/responder-invitacion", upload.none(), async (req, res) => {
 
     const invitacionData = invitacionDoc.data();
 
+    if (invitacionData.id_usuario !== req.user.uid) {
+      return res.status(403).json({ message: "La invitación no está dirigida a este usuario." });
+    }
+
     if (!invitacionData.estado || invitacionData.aceptado !== false) {
       return res.status(400).json({ message: "La invitación ya fue utilizada o está desactivada" });
     }
@@ -774,6 +791,7 @@ router.post("/responder-invitacion", upload.none(), async (req, res) => {
  *   post:
  *     tags: [usuario_grupo]
  *     summary: Elimina a un usuario de un grupo.
+ *     description: El creador del grupo puede eliminar a cualquier miembro; los demás miembros solo pueden salir del grupo indicando su propio ID.
  *     requestBody:
  *       required: true
  *       content:
@@ -793,6 +811,8 @@ router.post("/responder-invitacion", upload.none(), async (req, res) => {
  *     responses:
  *       200:
  *         description: Usuario eliminado del grupo exitosamente.
+ *       403:
+ *         description: Solo el creador del grupo puede eliminar a otros miembros.
  *       404:
  *         description: El usuario no pertenece al grupo o ya ha sido eliminado.
  *       500:
@@ -806,6 +826,13 @@ router.post("/grupo/eliminar-usuario", upload.none(), async (req, res) => {
   }
 
   try {
+    if (id_usuario !== req.user.uid) {
+      const grupoDoc = await db.collection("GRUPO").doc(id_grupo).get();
+      if (!grupoDoc.exists || grupoDoc.data().id_usuario !== req.user.uid) {
+        return res.status(403).json({ message: "Solo el creador del grupo puede eliminar a otros miembros." });
+      }
+    }
+
     const grupoPersonaSnapshot = await db.collection("GRUPO_PERSONA")
       .where("id_grupo", "==", id_grupo)
       .where("id_usuario", "==", id_usuario)
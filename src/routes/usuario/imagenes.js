@@ -0,0 +1,124 @@
+const express = require('express');
+const { obtenerUrlImagenUsuario, obtenerUrlImagenGrupo } = require('../../services/imagenes');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: usuario_imagenes
+ *   description: Las imágenes de perfil y de grupo se guardan de forma privada. Estas rutas entregan URLs firmadas que vencen a los URL_FIRMADA_MINUTOS (15 por defecto).
+ */
+
+/**
+ * @swagger
+ * /url-imagen-usuario:
+ *   get:
+ *     tags: [usuario_imagenes]
+ *     summary: Genera una URL firmada para la imagen de perfil de un usuario.
+ *     description: Pueden verla el propio usuario, quienes comparten algún grupo con él, los funcionarios y los administradores.
+ *     parameters:
+ *       - in: query
+ *         name: id_usuario
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Usuario dueño de la imagen. Si se omite, se usa el usuario autenticado.
+ *       - in: query
+ *         name: tamano
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [visualizacion, miniatura]
+ *           default: visualizacion
+ *         description: Versión de la imagen. La miniatura se recorta al centro, hasta 256 × 256 px.
+ *     responses:
+ *       200:
+ *         description: URL firmada generada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 expira:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: El tamaño no es válido.
+ *       403:
+ *         description: No tiene permiso para ver la imagen.
+ *       404:
+ *         description: El usuario no tiene imagen de perfil.
+ *       500:
+ *         description: Error al generar la URL.
+ */
+router.get('/url-imagen-usuario', async (req, res) => {
+  const id_usuario = req.query.id_usuario || req.user.uid;
+  const { tamano } = req.query;
+
+  try {
+    const imagen = await obtenerUrlImagenUsuario({ id_usuario: req.user.uid, rol: req.user.rol }, id_usuario, tamano);
+    return res.status(200).json({ message: "URL de la imagen generada exitosamente.", ...imagen });
+  } catch (error) {
+    console.error("Error al generar la URL de la imagen del usuario:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al generar la URL de la imagen del usuario.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /url-imagen-grupo:
+ *   get:
+ *     tags: [usuario_imagenes]
+ *     summary: Genera una URL firmada para la imagen de un grupo.
+ *     description: Pueden verla los miembros del grupo, los funcionarios y los administradores.
+ *     parameters:
+ *       - in: query
+ *         name: id_grupo
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tamano
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [visualizacion, miniatura]
+ *           default: visualizacion
+ *         description: Versión de la imagen. La miniatura se recorta al centro, hasta 256 × 256 px.
+ *     responses:
+ *       200:
+ *         description: URL firmada generada.
+ *       400:
+ *         description: Falta el ID del grupo o el tamaño no es válido.
+ *       403:
+ *         description: El usuario no pertenece al grupo.
+ *       404:
+ *         description: El grupo no tiene imagen.
+ *       500:
+ *         description: Error al generar la URL.
+ */
+router.get('/url-imagen-grupo', async (req, res) => {
+  const { id_grupo, tamano } = req.query;
+
+  if (!id_grupo) {
+    return res.status(400).json({ message: "El campo 'id_grupo' es obligatorio." });
+  }
+
+  try {
+    const imagen = await obtenerUrlImagenGrupo({ id_usuario: req.user.uid, rol: req.user.rol }, id_grupo, tamano);
+    return res.status(200).json({ message: "URL de la imagen generada exitosamente.", ...imagen });
+  } catch (error) {
+    console.error("Error al generar la URL de la imagen del grupo:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al generar la URL de la imagen del grupo.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,17 @@
 require('dotenv').config();
 const express = require('express');
 const { admin, db } = require('../../config/firebase'); // Importamos admin y db desde firebase.js
+const { ROLES, TIPOS_USUARIO } = require('../../config/roles');
+const { perfilConImagen } = require('../../services/imagenes');
+const {
+  crearCuenta,
+  enviarEnlaceRecuperacion,
+  enviarEnlaceVerificacion,
+  cerrarSesiones,
+  exigirCorreoVerificado,
+} = require('../../services/cuentas');
+const { obtenerDatosInvitacion, aceptarInvitacion } = require('../../services/invitaciones');
+const { MENSAJE_TELEFONO_INVALIDO, normalizarTelefono } = require('../../utils/telefono');
 const axios = require('axios');
 const router = express.Router();
 
@@ -12,7 +23,9 @@ const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
  * /register:
  *   post:
  *     tags: [login]
- *     summary: Registra un nuevo usuario en Firebase Authentication y guarda datos en Firestore.
+ *     security: []
+ *     summary: Registra un nuevo usuario estándar en Firebase Authentication y guarda datos en Firestore.
+ *     description: El registro público siempre crea un usuario estándar; si el cuerpo trae `tipo_usuario`, se ignora. Las cuentas de funcionario y administrador se crean con /aceptar-invitacion-personal.
  *     requestBody:
  *       required: true
  *       content:
@@ -52,8 +65,8 @@ const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
  *                 example: "1990-05-15"
  *               numero_telefono:
  *                 type: string
- *                 description: El número de teléfono del usuario. (Opcional)
- *                 example: "123456789"
+ *                 description: El número de teléfono del usuario; se guarda en formato E.164 y se verifica después con /solicitar-codigo-telefono. (Opcional)
+ *                 example: "912345678"
  *               rut:
  *                 type: string
  *                 description: El RUT o identificación del usuario. (Opcional)
@@ -66,18 +79,10 @@ const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
  *                 type: string
  *                 description: El ID de la comuna a la que pertenece el usuario.
  *                 example: "0uitcldou0fT6sADzScd"
- *               tipo_usuario:
- *                 type: number
- *                 description: Tipo de usuario. 1 = Usuario estándar, 2 = Admin, 3 = Funcionario
- *                 example: 1
  *               id_genero:
  *                 type: string
  *                 description: El ID del género del usuario.
  *                 example: "TZfnq567GbsAj9VcCFqt" 
- *               id_municipalidad:
- *                 type: string
- *                 description: El ID de la municipalidad del usuario (solo en caso de ser funcionario).
- *                 example: "jLk6tks6WFngFWQ1Zf8B" 
  *     responses:
  *       201:
  *         description: Usuario registrado exitosamente.
@@ -97,9 +102,7 @@ router.post('/register', async (req, res) => {
     rut,
     direccion,
     id_comuna,
-    tipo_usuario,
     id_genero,
-    id_municipalidad,
   } = req.body;
 
   // Validación de campos obligatorios
@@ -110,6 +113,12 @@ router.post('/register', async (req, res) => {
     });
   }
 
+  // El número se guarda en formato E.164 y queda pendiente de verificación por SMS
+  const telefonoNormalizado = numero_telefono ? normalizarTelefono(numero_telefono) : null;
+  if (numero_telefono && !telefonoNormalizado) {
+    return res.status(400).json({ message: MENSAJE_TELEFONO_INVALIDO });
+  }
+
   let uid = 0;
 
   try {
@@ -129,52 +138,18 @@ router.post('/register', async (req, res) => {
   }
 
   try {
-    // Guardar el perfil del usuario en la colección PERSONA
-    await db.collection('PERSONA').doc(uid).set({
-      nombre: nombre,
-      apellido: apellido,
-      correo: correo,
-      numero_telefono: numero_telefono || null,
-      rut: rut || null,
-      fecha_nacimiento: fecha_nacimiento, // Añadir el campo fecha de nacimiento
-      direccion: direccion, // Añadir el campo dirección
-      id_comuna: id_comuna, // Añadir el campo id_comuna
-      id_genero: id_genero, // Añadir el campo id_genero
-      id_persona: uid, // El UID de Firebase Authentication
-      id_municipalidad: id_municipalidad || null,
-    });
-
-    // Asignar tipo de usuario basado en el valor recibido
-    let tipoUsuarioAsignado = null;
-    if (tipo_usuario === 1) {
-      tipoUsuarioAsignado = 'kwLQngxZFsGKG3a3K1xO'; // Usuario estándar
-    } else if (tipo_usuario === 2) {
-      tipoUsuarioAsignado = 'A0oH8hs2ZQzkcoAmiAR4'; // Admin
-    } else if (tipo_usuario === 3) {
-      tipoUsuarioAsignado = 'i2uxd503bDQo9OrcCZFP'; // Funcionario
-    }
-
-    // Guardar en la colección PERFIL
-    await db.collection('PERFIL').doc(uid).set({
-      correo: correo,
-      password: password,
-      imagen_usuario: null, // Inicializado como null
-      tipo_usuario: tipoUsuarioAsignado, // Asignar el tipo de usuario correspondiente
-      id_persona: uid, // Relacionar el UID con PERSONA
-      nombre_usuario: null, // Inicializado como null
-      estado: true,
-    });
-
-    // Generar un nuevo ID para el mensaje
-    const id_mensaje = db.collection('MENSAJE').doc().id;
-
-    // Guardar en la colección MENSAJE
-    const mensaje = `¡Ayuda! ${nombre} ${apellido} está siendo acosada(o) y necesita asistencia inmediata.`;
-
-    await db.collection('MENSAJE').doc(id_mensaje).set({
-      id_mensaje: id_mensaje,
-      id_persona: uid,
-      mensaje: mensaje,
+    await crearCuenta(uid, {
+      nombre,
+      apellido,
+      correo,
+      numero_telefono: telefonoNormalizado,
+      rut,
+      fecha_nacimiento,
+      direccion,
+      id_comuna,
+      id_genero,
+      // El registro público solo crea usuarios estándar; las cuentas de funcionario y admin se crean por invitación
+      tipo_usuario: TIPOS_USUARIO[ROLES.USUARIO],
     });
 
     // Obtener los datos de PERSONA y PERFIL para la respuesta
@@ -186,7 +161,7 @@ router.post('/register', async (req, res) => {
       message: 'Usuario registrado exitosamente.',
       uid: uid,
       persona: persona.exists ? persona.data() : null,
-      perfil: perfil.exists ? perfil.data() : null,
+      perfil: perfil.exists ? await perfilConImagen(perfil.data()) : null,
     });
   } catch (error) {
     console.error('Error al registrar el usuario:', error);
@@ -198,11 +173,178 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /invitacion-personal/{token}:
+ *   get:
+ *     tags: [login]
+ *     security: []
+ *     summary: Obtiene los datos de una invitación de personal vigente.
+ *     description: La aplicación usa el token del enlace recibido por correo para mostrar el correo, el rol y la municipalidad antes de completar el registro con /aceptar-invitacion-personal.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Datos de la invitación.
+ *       404:
+ *         description: La invitación no existe.
+ *       410:
+ *         description: La invitación ya fue usada, fue revocada o venció.
+ *       500:
+ *         description: Error al obtener la invitación.
+ */
+router.get('/invitacion-personal/:token', async (req, res) => {
+  try {
+    const invitacion = await obtenerDatosInvitacion(req.params.token);
+
+    return res.status(200).json({
+      message: "Invitación vigente.",
+      invitacion,
+    });
+  } catch (error) {
+    console.error("Error al obtener la invitación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener la invitación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /aceptar-invitacion-personal:
+ *   post:
+ *     tags: [login]
+ *     security: []
+ *     summary: Crea una cuenta de funcionario o administrador a partir de una invitación.
+ *     description: El correo, el rol y la municipalidad se toman de la invitación. El enlace solo se puede usar una vez.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - nombre
+ *               - apellido
+ *               - password
+ *               - fecha_nacimiento
+ *               - direccion
+ *               - id_comuna
+ *               - id_genero
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token del enlace de invitación.
+ *               nombre:
+ *                 type: string
+ *                 example: "Ana"
+ *               apellido:
+ *                 type: string
+ *                 example: "Rojas"
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *               fecha_nacimiento:
+ *                 type: string
+ *                 format: date
+ *                 example: "1988-03-21"
+ *               numero_telefono:
+ *                 type: string
+ *                 example: "987654321"
+ *               rut:
+ *                 type: string
+ *                 example: "12345678-9"
+ *               direccion:
+ *                 type: string
+ *                 example: "Av. Vicuña Mackenna 1000"
+ *               id_comuna:
+ *                 type: string
+ *                 example: "0uitcldou0fT6sADzScd"
+ *               id_genero:
+ *                 type: string
+ *                 example: "TZfnq567GbsAj9VcCFqt"
+ *     responses:
+ *       201:
+ *         description: Cuenta creada exitosamente.
+ *       400:
+ *         description: Faltan campos o la contraseña no es válida.
+ *       404:
+ *         description: La invitación no existe.
+ *       409:
+ *         description: Ya existe una cuenta con el correo de la invitación.
+ *       410:
+ *         description: La invitación ya fue usada, fue revocada o venció.
+ *       500:
+ *         description: Error al crear la cuenta.
+ */
+router.post('/aceptar-invitacion-personal', async (req, res) => {
+  const {
+    token,
+    nombre,
+    apellido,
+    password,
+    fecha_nacimiento,
+    numero_telefono,
+    rut,
+    direccion,
+    id_comuna,
+    id_genero,
+  } = req.body;
+
+  if (!token || !nombre || !apellido || !password || !fecha_nacimiento || !direccion || !id_comuna || !id_genero) {
+    return res.status(400).json({
+      message:
+        "Los campos 'token', 'nombre', 'apellido', 'password', 'fecha_nacimiento', 'direccion', 'id_comuna' e 'id_genero' son obligatorios.",
+    });
+  }
+
+  // El número se guarda en formato E.164 y queda pendiente de verificación por SMS
+  const telefonoNormalizado = numero_telefono ? normalizarTelefono(numero_telefono) : null;
+  if (numero_telefono && !telefonoNormalizado) {
+    return res.status(400).json({ message: MENSAJE_TELEFONO_INVALIDO });
+  }
+
+  try {
+    const { uid, rol, persona, perfil } = await aceptarInvitacion(token, {
+      nombre,
+      apellido,
+      password,
+      fecha_nacimiento,
+      numero_telefono: telefonoNormalizado,
+      rut,
+      direccion,
+      id_comuna,
+      id_genero,
+    });
+
+    return res.status(201).json({
+      message: 'Cuenta creada exitosamente.',
+      uid,
+      rol,
+      persona,
+      perfil: await perfilConImagen(perfil),
+    });
+  } catch (error) {
+    console.error('Error al aceptar la invitación:', error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Error al crear la cuenta, fallo del sistema, contactar con soporte técnico',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /comunas:
  *   get:
  *     tags: [login]
+ *     security: []
  *     summary: Obtiene todas las comunas de la colección COMUNA.
  *     responses:
  *       200:
@@ -250,6 +392,7 @@ router.get('/comunas', async (req, res) => {
  * /generos:
  *   get:
  *     tags: [login]
+ *     security: []
  *     summary: Obtiene todos los géneros de la colección GENERO.
  *     responses:
  *       200:
@@ -298,6 +441,7 @@ router.get('/generos', async (req, res) => {
  *   get:
  *     summary: Obtiene todas las municipalidades.
  *     tags: [login]
+ *     security: []
  *     description: Retorna una lista de todas las municipalidades con sus respectivos campos.
  *     responses:
  *       200:
@@ -351,6 +495,7 @@ router.get('/municipalidades', async (req, res) => {
  *   post:
  *     summary: Autentica al usuario con email y contraseña.
  *     tags: [login]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -380,6 +525,16 @@ router.get('/municipalidades', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Sesión iniciada exitosamente."
+ *                 token:
+ *                   type: string
+ *                   description: ID token de Firebase que se debe enviar como token Bearer en el encabezado Authorization.
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Token para obtener un nuevo ID token cuando el actual expire.
+ *                 expira_en:
+ *                   type: integer
+ *                   description: Segundos de validez del ID token.
+ *                   example: 3600
  *                 persona:
  *                   type: object
  *                   description: Datos del usuario de la colección PERSONA.
@@ -399,7 +554,10 @@ router.get('/municipalidades', async (req, res) => {
  *                       example: "Usuario estándar"
  *       400:
  *         description: Error en la autenticación del usuario.
-
+ *       403:
+ *         description: El usuario tiene restringido el acceso, o su correo no está verificado y LOGIN_REQUIERE_CORREO_VERIFICADO=true.
+ *       404:
+ *         description: No se encontraron los datos del usuario.
  */
 router.post('/login', async (req, res) => {
   const { correo, password } = req.body;
@@ -421,6 +579,15 @@ router.post('/login', async (req, res) => {
 
     const uid = response.data.localId; // El UID del usuario autenticado
 
+    await exigirCorreoVerificado(uid);
+
+    // Tokens que el cliente debe enviar en las siguientes solicitudes
+    const credenciales = {
+      token: response.data.idToken,
+      refresh_token: response.data.refreshToken,
+      expira_en: parseInt(response.data.expiresIn, 10),
+    };
+
     // Buscar los datos del usuario en las colecciones PERSONA y PERFIL
     const personaRef = db.collection('PERSONA').doc(uid);
     const perfilRef = db.collection('PERFIL').doc(uid);
@@ -447,17 +614,152 @@ router.post('/login', async (req, res) => {
     // Si el estado es `true`, devolver los datos combinados de PERSONA y PERFIL
     return res.status(200).json({
       message: 'Sesión iniciada exitosamente.',
+      ...credenciales,
       persona: personaDoc.data(),
-      perfil: perfilData,
+      perfil: await perfilConImagen(perfilData),
     });
 
   } catch (error) {
     console.error('Error al iniciar sesión:', error);
-    return res.status(500).json({
-      message: 'Error al iniciar sesión.',
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Error al iniciar sesión.',
       error: error.response ? error.response.data.error.message : error.message,
     });
   }
 });
 
+/**
+ * @swagger
+ * /recuperar-password:
+ *   post:
+ *     tags: [login]
+ *     security: []
+ *     summary: Envía por correo un enlace para restablecer la contraseña.
+ *     description: La respuesta es la misma exista o no una cuenta con ese correo, para no revelar qué correos están registrados.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 example: "juan.perez@example.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida.
+ *       400:
+ *         description: Falta el correo.
+ *       500:
+ *         description: Error al enviar el enlace.
+ */
+router.post('/recuperar-password', async (req, res) => {
+  const { correo } = req.body;
+
+  if (!correo) {
+    return res.status(400).json({
+      message: "El campo 'correo' es obligatorio.",
+    });
+  }
+
+  try {
+    await enviarEnlaceRecuperacion(correo);
+
+    return res.status(200).json({
+      message: 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña.',
+    });
+  } catch (error) {
+    console.error('Error al enviar el enlace de recuperación:', error);
+    return res.status(500).json({
+      message: 'Error al enviar el enlace para restablecer la contraseña.',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /verificar-correo:
+ *   post:
+ *     tags: [login]
+ *     security: []
+ *     summary: Envía por correo un enlace para verificar el correo de la cuenta.
+ *     description: Es pública para que las cuentas sin verificar puedan pedir el enlace aunque el inicio de sesión las rechace. La respuesta es la misma exista o no la cuenta, o si el correo ya estaba verificado.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - correo
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 example: "juan.perez@example.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida.
+ *       400:
+ *         description: Falta el correo.
+ *       500:
+ *         description: Error al enviar el enlace.
+ */
+router.post('/verificar-correo', async (req, res) => {
+  const { correo } = req.body;
+
+  if (!correo) {
+    return res.status(400).json({
+      message: "El campo 'correo' es obligatorio.",
+    });
+  }
+
+  try {
+    await enviarEnlaceVerificacion(correo);
+
+    return res.status(200).json({
+      message: 'Si el correo está registrado y no ha sido verificado, recibirás un enlace para verificarlo.',
+    });
+  } catch (error) {
+    console.error('Error al enviar el enlace de verificación:', error);
+    return res.status(500).json({
+      message: 'Error al enviar el enlace para verificar el correo.',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /cerrar-sesiones:
+ *   post:
+ *     tags: [login]
+ *     summary: Cierra todas las sesiones del usuario en todos sus dispositivos.
+ *     description: Revoca los refresh tokens del usuario. Los tokens emitidos hasta ese momento, incluido el usado en esta solicitud, dejan de ser aceptados y se debe iniciar sesión nuevamente. Útil cuando se pierde o roban el teléfono.
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas.
+ *       500:
+ *         description: Error al cerrar las sesiones.
+ */
+router.post('/cerrar-sesiones', async (req, res) => {
+  try {
+    const fecha_revocacion = await cerrarSesiones(req.user.uid);
+
+    return res.status(200).json({
+      message: 'Se cerraron todas las sesiones. Debes iniciar sesión nuevamente.',
+      fecha_revocacion,
+    });
+  } catch (error) {
+    console.error('Error al cerrar las sesiones:', error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Error al cerrar las sesiones.',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const path = require('path');
+const { registrarPosicion, obtenerRecorridoPorToken } = require('../../services/seguimiento');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: usuario_seguimiento
+ *   description: Seguimiento en tiempo real de la ubicación durante una alerta
+ */
+
+/**
+ * @swagger
+ * /seguimiento/posicion:
+ *   post:
+ *     tags: [usuario_seguimiento]
+ *     summary: Agrega una posición al recorrido de una alerta activa.
+ *     description: La app envía periódicamente la ubicación del usuario mientras la alerta está activa. Cada posición se guarda en la subcolección "RECORRIDO" de la alerta. Cuando la alerta se resuelve, se cancela o vence el enlace, la sesión termina y se responde 409.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_alerta
+ *               - latitud
+ *               - longitud
+ *             properties:
+ *               id_alerta:
+ *                 type: string
+ *                 example: "1bfjj6FN8VscsUt1ND24"
+ *               latitud:
+ *                 type: number
+ *                 example: -33.6117
+ *               longitud:
+ *                 type: number
+ *                 example: -70.5758
+ *               precision:
+ *                 type: number
+ *                 description: Precisión de la posición en metros.
+ *                 example: 12
+ *     responses:
+ *       201:
+ *         description: Posición registrada.
+ *       400:
+ *         description: Faltan campos o las coordenadas no son válidas.
+ *       403:
+ *         description: La alerta no pertenece al usuario.
+ *       404:
+ *         description: La alerta no tiene una sesión de seguimiento.
+ *       409:
+ *         description: La sesión de seguimiento ya terminó.
+ *       500:
+ *         description: Error al registrar la posición.
+ */
+router.post('/seguimiento/posicion', async (req, res) => {
+  const { id_alerta, latitud, longitud, precision } = req.body;
+  const id_usuario = req.user.uid;
+
+  if (!id_alerta || latitud === undefined || longitud === undefined) {
+    return res.status(400).json({
+      message: "Los campos 'id_alerta', 'latitud' y 'longitud' son obligatorios."
+    });
+  }
+
+  if (typeof latitud !== 'number' || typeof longitud !== 'number' ||
+      Math.abs(latitud) > 90 || Math.abs(longitud) > 180) {
+    return res.status(400).json({ message: "Las coordenadas no son válidas." });
+  }
+
+  try {
+    const posicion = await registrarPosicion({
+      id_alerta,
+      id_usuario,
+      latitud,
+      longitud,
+      precision: typeof precision === 'number' ? precision : null,
+    });
+
+    return res.status(201).json({
+      message: "Posición registrada exitosamente.",
+      posicion,
+    });
+  } catch (error) {
+    console.error("Error al registrar la posición:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al registrar la posición.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /seguimiento/{token}:
+ *   get:
+ *     tags: [usuario_seguimiento]
+ *     security: []
+ *     summary: Página pública con el mapa del seguimiento de una alerta.
+ *     description: Enlace que reciben los contactos en el mensaje de la alerta. Muestra la última posición y el recorrido, y se actualiza automáticamente consultando `/seguimiento/{token}/datos`.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Página HTML con el mapa.
+ */
+router.get('/seguimiento/:token', (req, res) => {
+  res.set('Referrer-Policy', 'no-referrer');
+  return res.sendFile(path.join(__dirname, '../../views/seguimiento.html'));
+});
+
+/**
+ * @swagger
+ * /seguimiento/{token}/datos:
+ *   get:
+ *     tags: [usuario_seguimiento]
+ *     security: []
+ *     summary: Obtiene la última posición y el recorrido de una alerta a partir del token del enlace.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recorrido obtenido exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 estado_alerta:
+ *                   type: string
+ *                   example: "activa"
+ *                 expira_en:
+ *                   type: string
+ *                   example: "2024-09-19T16:19:02.921Z"
+ *                 ultima_posicion:
+ *                   type: object
+ *                   properties:
+ *                     latitud:
+ *                       type: number
+ *                       example: -33.6117
+ *                     longitud:
+ *                       type: number
+ *                       example: -70.5758
+ *                     fecha:
+ *                       type: string
+ *                       example: "2024-09-19T04:21:02.921Z"
+ *                 recorrido:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: El enlace no existe.
+ *       410:
+ *         description: El seguimiento terminó porque la alerta se cerró o el enlace venció.
+ *       500:
+ *         description: Error al obtener el recorrido.
+ */
+router.get('/seguimiento/:token/datos', async (req, res) => {
+  try {
+    const recorrido = await obtenerRecorridoPorToken(req.params.token);
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json(recorrido);
+  } catch (error) {
+    if (!error.status) console.error("Error al obtener el recorrido:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al obtener el recorrido.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,34 @@
 const express = require('express');
 const { admin, db } = require('../../config/firebase'); // Importamos db desde firebase.js
+const { urlImagen, perfilConImagen } = require('../../services/imagenes');
 const router = express.Router();
 
+/**
+ * Obtiene los id_usuario únicos de los miembros de los grupos indicados.
+ */
+async function obtenerMiembrosGrupos(idGrupos) {
+  const miembrosSet = new Set();
+  for (const idGrupo of idGrupos) {
+    const grupoPersonaSnapshot = await db.collection('GRUPO_PERSONA')
+      .where('id_grupo', '==', idGrupo)
+      .get();
+
+    grupoPersonaSnapshot.forEach(doc => {
+      miembrosSet.add(doc.data().id_usuario);
+    });
+  }
+  return miembrosSet;
+}
+
 /**
  * @swagger
  * /listar-ubicacion-actual:
  *   get:
  *     tags: [ubicacion]
  *     summary: Obtiene la ubicación actual de los miembros de los grupos de un usuario, con filtros opcionales.
- *     description: Devuelve la ubicación actual de los miembros de los grupos a los que pertenece el `id_persona` especificado. Se pueden aplicar filtros opcionales para obtener la ubicación de un grupo específico o de un usuario específico.
+ *     description: Devuelve la ubicación actual de los miembros de los grupos a los que pertenece el usuario autenticado. Se pueden aplicar filtros opcionales para obtener la ubicación de un grupo específico o de un usuario específico, siempre que compartan un grupo con el usuario.
  *     parameters:
  *       - in: query
- *         name: id_persona
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del usuario que realiza la solicitud y cuyos grupos se revisarán.
- *       - in: query
  *         name: id_grupo
  *         schema:
  *           type: string
@@ -90,16 +102,8 @@ const router = express.Router();
  *                           timestamp:
  *                             type: string
  *                             example: "2024-11-06T00:58:08Z"
- *       400:
- *         description: Falta el parámetro obligatorio id_persona.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "El parámetro 'id_persona' es obligatorio."
+ *       403:
+ *         description: El usuario no pertenece al grupo indicado o no comparte un grupo con la persona buscada.
  *       500:
  *         description: Error en el servidor al obtener los datos.
  *         content:
@@ -115,62 +119,44 @@ const router = express.Router();
  *                   example: "Error detallado del servidor."
  */
 router.get('/listar-ubicacion-actual', async (req, res) => {
-    const { id_persona, id_grupo, id_persona_buscar } = req.query;
-  
-    if (!id_persona) {
-      return res.status(400).json({ message: "El parámetro 'id_persona' es obligatorio." });
-    }
+    const { id_grupo, id_persona_buscar } = req.query;
+    const id_persona = req.user.uid;
   
     try {
       let idUsuarios = [];
+
+      // Obtener todos los grupos a los que pertenece el usuario autenticado
+      const gruposSnapshot = await db.collection('GRUPO_PERSONA')
+        .where('id_usuario', '==', id_persona)
+        .get();
+
+      // Obtener todos los id_grupo de los grupos a los que pertenece el usuario
+      const idGrupos = gruposSnapshot.docs.map(doc => doc.data().id_grupo);
   
       // Si `id_persona_buscar` está presente, limitamos los resultados a esta persona específica
       if (id_persona_buscar) {
+        const miembrosSet = await obtenerMiembrosGrupos(idGrupos);
+        if (!miembrosSet.has(id_persona_buscar)) {
+          return res.status(403).json({ message: "Solo se puede ver la ubicación de personas que comparten un grupo con el usuario." });
+        }
         idUsuarios = [id_persona_buscar];
       } else if (id_grupo) {
         // Si `id_grupo` está presente (y `id_persona_buscar` no está), obtenemos los miembros del grupo específico
-        const grupoPersonaSnapshot = await db.collection('GRUPO_PERSONA')
-          .where('id_grupo', '==', id_grupo)
-          .get();
-  
-        if (grupoPersonaSnapshot.empty) {
-          return res.status(200).json({
-            message: `El grupo con id ${id_grupo} no tiene miembros.`,
-            miembros: []
-          });
+        if (!idGrupos.includes(id_grupo)) {
+          return res.status(403).json({ message: `El usuario no pertenece al grupo con id ${id_grupo}.` });
         }
-  
-        idUsuarios = grupoPersonaSnapshot.docs.map(doc => doc.data().id_usuario);
+
+        idUsuarios = [...await obtenerMiembrosGrupos([id_grupo])];
       } else {
-        // Si no se especifica `id_grupo` ni `id_persona_buscar`, obtenemos todos los miembros de todos los grupos a los que pertenece `id_persona`
-        const gruposSnapshot = await db.collection('GRUPO_PERSONA')
-          .where('id_usuario', '==', id_persona)
-          .get();
-  
-        if (gruposSnapshot.empty) {
+        // Si no se especifica `id_grupo` ni `id_persona_buscar`, obtenemos todos los miembros de todos los grupos del usuario
+        if (idGrupos.length === 0) {
           return res.status(200).json({
             message: `El usuario con id ${id_persona} no pertenece a ningún grupo.`,
             miembros: []
           });
         }
-  
-        // Obtener todos los id_grupo de los grupos a los que pertenece el usuario
-        const idGrupos = gruposSnapshot.docs.map(doc => doc.data().id_grupo);
-  
-        // Usar un Set para recolectar id_usuario únicos de los miembros de esos grupos
-        const miembrosSet = new Set();
-        for (const idGrupo of idGrupos) {
-          const grupoPersonaSnapshot = await db.collection('GRUPO_PERSONA')
-            .where('id_grupo', '==', idGrupo)
-            .get();
-  
-          grupoPersonaSnapshot.forEach(doc => {
-            miembrosSet.add(doc.data().id_usuario);
-          });
-        }
-  
-        // Convertir el Set de miembros a un Array
-        idUsuarios = [...miembrosSet];
+
+        idUsuarios = [...await obtenerMiembrosGrupos(idGrupos)];
       }
   
       // Obtener las ubicaciones de cada miembro de manera individual
@@ -210,7 +196,7 @@ router.get('/listar-ubicacion-actual', async (req, res) => {
         const perfil = {
           correo: perfilData.correo,
           tipo_usuario: perfilData.tipo_usuario,
-          imagen: perfilData.imagen_usuario,
+          imagen: await urlImagen(perfilData.ruta_imagen_usuario),
         };
   
         // Obtener la ubicación desde el mapa de ubicaciones
@@ -246,7 +232,7 @@ router.get('/listar-ubicacion-actual', async (req, res) => {
  *   post:
  *     tags: [ubicacion_actual]
  *     summary: Actualiza la ubicación actual de un usuario.
- *     description: Recibe el `id_usuario`, `latitud`, y `longitud` para crear o actualizar el documento de ubicación en la colección "UBICACION_ACTUAL".
+ *     description: Recibe la `latitud` y `longitud` del usuario autenticado para crear o actualizar el documento de ubicación en la colección "UBICACION_ACTUAL".
  *     requestBody:
  *       required: true
  *       content:
@@ -254,14 +240,9 @@ router.get('/listar-ubicacion-actual', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - id_usuario
  *               - latitud
  *               - longitud
  *             properties:
- *               id_usuario:
- *                 type: string
- *                 description: El ID del usuario cuya ubicación se va a actualizar.
- *                 example: "KpUMbpgXPrPuQW3yBBiYcAWrbUn2"
  *               latitud:
  *                 type: string
  *                 description: Latitud de la ubicación actual.
@@ -299,7 +280,7 @@ router.get('/listar-ubicacion-actual', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Los campos 'id_usuario', 'latitud' y 'longitud' son obligatorios."
+ *                   example: "Los campos 'latitud' y 'longitud' son obligatorios."
  *       500:
  *         description: Error en el servidor al actualizar la ubicación.
  *         content:
@@ -316,11 +297,7 @@ router.get('/listar-ubicacion-actual', async (req, res) => {
  */
 router.post('/actualizar-ubicacion', async (req, res) => {
 
-    const { id_persona } = req.query;
-
-    if (!id_persona) {
-        return res.status(400).json({ message: "El parámetro 'id_persona' es obligatorio." });
-    }
+    const id_persona = req.user.uid;
 
     try {
         // Obtener todos los grupos a los que pertenece el usuario
@@ -426,7 +403,7 @@ router.post('/actualizar-ubicacion', async (req, res) => {
  *   post:
  *     tags: [ubicacion_seleccion]
  *     summary: Actualiza o crea un registro en la tabla UBICACION_SELECCION.
- *     description: Recibe `id_persona`, `tipo` y otros parámetros para actualizar o crear un documento en la colección "UBICACION_SELECCION".
+ *     description: Recibe `tipo` y otros parámetros para actualizar o crear el documento del usuario autenticado en la colección "UBICACION_SELECCION".
  *     requestBody:
  *       required: true
  *       content:
@@ -434,13 +411,8 @@ router.post('/actualizar-ubicacion', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - id_persona
  *               - tipo
  *             properties:
- *               id_persona:
- *                 type: string
- *                 description: El ID de la persona cuya ubicación se va a actualizar.
- *                 example: "KpUMbpgXPrPuQW3yBBiYcAWrbUn2"
  *               tipo:
  *                 type: integer
  *                 description: El tipo de búsqueda (1 para persona, 2 para grupo, 3 para todos).
@@ -466,14 +438,17 @@ router.post('/actualizar-ubicacion', async (req, res) => {
  *                   example: "Ubicación seleccionada actualizada exitosamente."
  *       400:
  *         description: Error de validación o faltan parámetros.
+ *       403:
+ *         description: El usuario no pertenece al grupo o no comparte un grupo con la persona seleccionada.
  *       500:
  *         description: Error en el servidor al actualizar o crear el registro.
  */
 router.post('/actualizar-ubicacion-seleccion', async (req, res) => {
-  const { id_persona, tipo, id_grupo, id_persona_buscar } = req.body;
+  const { tipo, id_grupo, id_persona_buscar } = req.body;
+  const id_persona = req.user.uid;
 
-  if (!id_persona || tipo === undefined) {
-      return res.status(400).json({ message: "Los campos 'id_persona' y 'tipo' son obligatorios." });
+  if (tipo === undefined) {
+      return res.status(400).json({ message: "El campo 'tipo' es obligatorio." });
   }
 
   // Validar si el tipo es válido (1: persona, 2: grupo, 3: todos, 4: ninguno)
@@ -512,6 +487,25 @@ router.post('/actualizar-ubicacion-seleccion', async (req, res) => {
   }
 
   try {
+      // Solo se pueden seleccionar grupos del usuario y personas que comparten un grupo con él
+      if (tipo === 1 || tipo === 2) {
+          const gruposSnapshot = await db.collection('GRUPO_PERSONA')
+              .where('id_usuario', '==', id_persona)
+              .get();
+          const idGrupos = gruposSnapshot.docs.map(doc => doc.data().id_grupo);
+
+          if (tipo === 2 && !idGrupos.includes(id_grupo)) {
+              return res.status(403).json({ message: `El usuario no pertenece al grupo con id ${id_grupo}.` });
+          }
+
+          if (tipo === 1 && ubicacionSeleccionData.id_persona_buscar !== id_persona) {
+              const miembrosSet = await obtenerMiembrosGrupos(idGrupos);
+              if (!miembrosSet.has(ubicacionSeleccionData.id_persona_buscar)) {
+                  return res.status(403).json({ message: "Solo se pueden seleccionar personas que comparten un grupo con el usuario." });
+              }
+          }
+      }
+
       // Comprobar si ya existe el registro en la colección UBICACION_SELECCION
       const ubicacionRef = db.collection('UBICACION_SELECCION').where('id_persona', '==', id_persona).limit(1);
       const ubicacionSnapshot = await ubicacionRef.get();
@@ -552,12 +546,6 @@ router.post('/actualizar-ubicacion-seleccion', async (req, res) => {
  *       - Si `persona_buscar` está activo (1), devuelve solo los datos de la persona buscada.
  *       - Si `grupo_buscar` está activo (1), devuelve los miembros del grupo.
  *       - Si `todos` está activo (1), devuelve todos los miembros de los grupos a los que pertenece la persona solicitante.
- *     parameters:
- *       - name: id_persona
- *         in: query
- *         description: "ID de la persona que hace la solicitud."
- *         required: true
- *         type: string
  *     responses:
  *       200:
  *         description: "Miembros obtenidos exitosamente."
@@ -591,14 +579,6 @@ router.post('/actualizar-ubicacion-seleccion', async (req, res) => {
  *                   imagen:
  *                     type: string
  *                     example: "https://example.com/images/imagen.jpg"
- *       400:
- *         description: "El parámetro 'id_persona' es obligatorio."
- *         schema:
- *           type: object
- *           properties:
- *             message:
- *               type: string
- *               example: "El parámetro 'id_persona' es obligatorio."
  *       404:
  *         description: "No se encontró el registro para la persona proporcionada."
  *         schema:
@@ -620,11 +600,7 @@ router.post('/actualizar-ubicacion-seleccion', async (req, res) => {
  *               example: "Error detallado del servidor."
  */
 router.get('/listar-ubicacion-seleccion', async (req, res) => {
-  const { id_persona } = req.query;
-
-  if (!id_persona) {
-    return res.status(400).json({ message: "El parámetro 'id_persona' es obligatorio." });
-  }
+  const id_persona = req.user.uid;
 
   try {
     // Obtener la configuración actual de UBICACION_SELECCION
@@ -735,7 +711,7 @@ router.get('/listar-ubicacion-seleccion', async (req, res) => {
       return {
         id_usuario: idUsuario,
         persona: personaDoc.data(),
-        perfil: perfilDoc.exists ? perfilDoc.data() : {}
+        perfil: perfilDoc.exists ? await perfilConImagen(perfilDoc.data()) : {}
       };
     }));
 
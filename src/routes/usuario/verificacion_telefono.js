@@ -0,0 +1,243 @@
+const express = require('express');
+const {
+  solicitarVerificacionPersona,
+  verificarTelefonoPersona,
+  solicitarVerificacionContacto,
+  verificarTelefonoContacto,
+} = require('../../services/verificacion_telefono');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: usuario_verificacion_telefono
+ *   description: Verificación de números de teléfono con un código de un solo uso. Solo los números verificados de los miembros del grupo reciben alertas y se usan para buscar personas en /invitar-usuario. Los contactos de emergencia, además, deben aceptar recibir alertas (ver /guardar-contacto).
+ */
+
+/**
+ * @swagger
+ * /solicitar-codigo-telefono:
+ *   post:
+ *     tags: [usuario_verificacion_telefono]
+ *     summary: Envía por SMS un código para verificar el número de teléfono del usuario.
+ *     description: Si se indica `numero_telefono`, se guarda como el nuevo número del usuario (sin verificar) antes de enviar el código. El código vence a los VERIFICACION_TELEFONO_MINUTOS (10 por defecto); pedir un código nuevo invalida el anterior.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               numero_telefono:
+ *                 type: string
+ *                 description: Número a verificar. Si se omite, se usa el número registrado.
+ *                 example: "+56912345678"
+ *     responses:
+ *       200:
+ *         description: Código enviado.
+ *       400:
+ *         description: El número no es válido o el usuario no tiene un número registrado.
+ *       404:
+ *         description: No se encontró a la persona.
+ *       409:
+ *         description: El número ya está verificado por este usuario o por otra cuenta.
+ *       429:
+ *         description: Se pidieron demasiados códigos en poco tiempo.
+ *       502:
+ *         description: No se pudo enviar el SMS.
+ */
+router.post('/solicitar-codigo-telefono', async (req, res) => {
+  const { numero_telefono } = req.body || {};
+
+  try {
+    const envio = await solicitarVerificacionPersona(req.user.uid, numero_telefono);
+
+    return res.status(200).json({
+      message: `Se envió un código de verificación al ${envio.telefono}.`,
+      ...envio,
+    });
+  } catch (error) {
+    console.error("Error al solicitar el código de verificación:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al solicitar el código de verificación.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /verificar-telefono:
+ *   post:
+ *     tags: [usuario_verificacion_telefono]
+ *     summary: Verifica el número de teléfono del usuario con el código recibido por SMS.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - codigo
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Número verificado.
+ *       400:
+ *         description: El código no es correcto.
+ *       404:
+ *         description: No hay un código pendiente.
+ *       409:
+ *         description: El número cambió después de pedir el código o ya está verificado por otra cuenta.
+ *       410:
+ *         description: El código venció.
+ *       429:
+ *         description: El código se bloqueó por demasiados intentos fallidos.
+ */
+router.post('/verificar-telefono', async (req, res) => {
+  const { codigo } = req.body;
+
+  if (!codigo) {
+    return res.status(400).json({ message: "El campo 'codigo' es obligatorio." });
+  }
+
+  try {
+    const { numero_telefono } = await verificarTelefonoPersona(req.user.uid, codigo);
+
+    return res.status(200).json({
+      message: "Número de teléfono verificado exitosamente.",
+      numero_telefono,
+    });
+  } catch (error) {
+    console.error("Error al verificar el número de teléfono:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al verificar el número de teléfono.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /solicitar-codigo-contacto:
+ *   post:
+ *     tags: [usuario_verificacion_telefono]
+ *     summary: Envía por SMS un código al celular de un contacto de emergencia.
+ *     description: El contacto recibe un mensaje que indica quién lo agregó y un código que debe entregarle al usuario. Verificar el celular no reemplaza el consentimiento del contacto; solo permite enviarle las alertas de la gravedad crítica del usuario mientras no acepte. Responder SI a la solicitud de consentimiento también verifica el celular.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_contacto
+ *             properties:
+ *               id_contacto:
+ *                 type: string
+ *                 example: "5b2Jf8hLw0QpXz1cVnRt"
+ *     responses:
+ *       200:
+ *         description: Código enviado.
+ *       400:
+ *         description: El celular del contacto no es válido.
+ *       403:
+ *         description: El contacto no pertenece al usuario.
+ *       404:
+ *         description: Contacto no encontrado.
+ *       409:
+ *         description: El celular ya está verificado o el contacto pidió no recibir más mensajes (STOP).
+ *       429:
+ *         description: Se pidieron demasiados códigos en poco tiempo.
+ *       502:
+ *         description: No se pudo enviar el SMS.
+ */
+router.post('/solicitar-codigo-contacto', async (req, res) => {
+  const { id_contacto } = req.body;
+
+  if (!id_contacto) {
+    return res.status(400).json({ message: "El campo 'id_contacto' es obligatorio." });
+  }
+
+  try {
+    const envio = await solicitarVerificacionContacto(req.user.uid, id_contacto);
+
+    return res.status(200).json({
+      message: `Se envió un código de verificación al ${envio.telefono}.`,
+      ...envio,
+    });
+  } catch (error) {
+    console.error("Error al solicitar el código del contacto:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al solicitar el código del contacto.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /verificar-contacto:
+ *   post:
+ *     tags: [usuario_verificacion_telefono]
+ *     summary: Verifica el celular de un contacto con el código que recibió por SMS.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_contacto
+ *               - codigo
+ *             properties:
+ *               id_contacto:
+ *                 type: string
+ *                 example: "5b2Jf8hLw0QpXz1cVnRt"
+ *               codigo:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Celular verificado.
+ *       400:
+ *         description: El código no es correcto.
+ *       403:
+ *         description: El contacto no pertenece al usuario.
+ *       404:
+ *         description: Contacto no encontrado o sin código pendiente.
+ *       409:
+ *         description: El celular cambió después de pedir el código.
+ *       410:
+ *         description: El código venció.
+ *       429:
+ *         description: El código se bloqueó por demasiados intentos fallidos.
+ */
+router.post('/verificar-contacto', async (req, res) => {
+  const { id_contacto, codigo } = req.body;
+
+  if (!id_contacto || !codigo) {
+    return res.status(400).json({ message: "Los campos 'id_contacto' y 'codigo' son obligatorios." });
+  }
+
+  try {
+    const { celular } = await verificarTelefonoContacto(req.user.uid, id_contacto, codigo);
+
+    return res.status(200).json({
+      message: "Celular del contacto verificado exitosamente.",
+      id_contacto,
+      celular,
+    });
+  } catch (error) {
+    console.error("Error al verificar el celular del contacto:", error);
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Error al verificar el celular del contacto.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const twilio = require('twilio');
+const { validarFirmaTwilio } = require('../../middlewares/twilio');
+const { registrarEstadoEntrega } = require('../../services/outbox');
+const { procesarMensajeEntrante } = require('../../services/confirmaciones');
+const { ESTADOS_CONSENTIMIENTO, procesarRespuestaConsentimiento } = require('../../services/consentimiento');
+const { registrarEstadoLlamada, procesarTeclaLlamada } = require('../../services/llamadas');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: webhook_twilio
+ *   description: Webhooks invocados por Twilio
+ */
+
+/**
+ * @swagger
+ * /twilio/estado-mensaje:
+ *   post:
+ *     tags: [webhook_twilio]
+ *     security: []
+ *     summary: Recibe el estado de entrega de un mensaje enviado por Twilio.
+ *     description: Twilio llama a este endpoint cada vez que cambia el estado de un mensaje (queued, sent, delivered, read, failed). La petición debe incluir una firma `X-Twilio-Signature` válida.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               MessageSid:
+ *                 type: string
+ *                 example: "SM1234567890abcdef1234567890abcdef"
+ *               MessageStatus:
+ *                 type: string
+ *                 example: "delivered"
+ *               ErrorCode:
+ *                 type: string
+ *                 example: "63016"
+ *     responses:
+ *       200:
+ *         description: Estado registrado.
+ *       400:
+ *         description: Faltan los campos 'MessageSid' o 'MessageStatus'.
+ *       403:
+ *         description: Firma de Twilio inválida.
+ *       500:
+ *         description: Error al registrar el estado.
+ */
+router.post('/twilio/estado-mensaje', validarFirmaTwilio, async (req, res) => {
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+  if (!MessageSid || !MessageStatus) {
+    return res.status(400).json({ message: "Los campos 'MessageSid' y 'MessageStatus' son obligatorios." });
+  }
+
+  try {
+    const registrado = await registrarEstadoEntrega(MessageSid, MessageStatus, ErrorCode || null);
+
+    if (!registrado) {
+      console.warn(`Estado '${MessageStatus}' recibido para un mensaje desconocido: ${MessageSid}`);
+    }
+
+    return res.status(200).json({ message: "Estado registrado." });
+  } catch (error) {
+    console.error("Error al registrar el estado del mensaje:", error);
+    return res.status(500).json({
+      message: "Error al registrar el estado del mensaje.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /twilio/mensaje-entrante:
+ *   post:
+ *     tags: [webhook_twilio]
+ *     security: []
+ *     summary: Recibe las respuestas de los contactos a un mensaje de alerta o a la solicitud de consentimiento.
+ *     description: Twilio llama a este endpoint cuando un contacto o miembro del grupo responde por WhatsApp o SMS. Primero, si el número fue notificado por una alerta vigente y la respuesta es una confirmación ("VOY", "OK", "SI", "En camino", etc.), se registra en el campo `confirmaciones` de la ALERTA. Si no lo es, se revisa si es una respuesta a la solicitud de consentimiento ("SI", "NO" o "STOP") y se actualiza el `estado_consentimiento` del contacto de la última solicitud enviada al número; STOP detiene los mensajes a todos los contactos con ese número. Los demás mensajes se ignoran y quedan registrados en el log. Responde con TwiML.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               From:
+ *                 type: string
+ *                 example: "whatsapp:+56912345678"
+ *               Body:
+ *                 type: string
+ *                 example: "Voy"
+ *     responses:
+ *       200:
+ *         description: Mensaje procesado. Si se registró una confirmación, el TwiML incluye una respuesta para el contacto.
+ *       400:
+ *         description: Falta el campo 'From'.
+ *       403:
+ *         description: Firma de Twilio inválida.
+ *       500:
+ *         description: Error al procesar el mensaje.
+ */
+router.post('/twilio/mensaje-entrante', validarFirmaTwilio, async (req, res) => {
+  const { From, Body } = req.body;
+
+  if (!From) {
+    return res.status(400).json({ message: "El campo 'From' es obligatorio." });
+  }
+
+  try {
+    const twiml = new twilio.twiml.MessagingResponse();
+
+    // Las confirmaciones de una alerta vigente tienen prioridad: "SI" también es una respuesta de consentimiento
+    const { resultado, telefono, notificacion } = await procesarMensajeEntrante({ remitente: From, texto: Body });
+
+    if (resultado === 'confirmada' || resultado === 'duplicada') {
+      console.log(resultado === 'duplicada'
+        ? `Confirmación repetida de ${telefono} para la alerta ${notificacion.id_alerta}`
+        : `Confirmación de ${telefono} registrada para la alerta ${notificacion.id_alerta}`);
+      twiml.message("Gracias por confirmar. Le avisamos a la persona que vas en camino.");
+      return res.status(200).type('text/xml').send(twiml.toString());
+    }
+
+    const consentimiento = await procesarRespuestaConsentimiento({ remitente: From, texto: Body });
+    if (consentimiento) {
+      console.log(`Consentimiento '${consentimiento.estado}' de ${consentimiento.telefono} registrado en ${consentimiento.contactos} contactos.`);
+
+      // Tras un STOP no se envía ninguna respuesta al número
+      if (consentimiento.estado === ESTADOS_CONSENTIMIENTO.ACEPTADO) {
+        twiml.message("Gracias. Desde ahora recibirás sus alertas de emergencia. Para dejar de recibirlas, responde STOP.");
+      } else if (consentimiento.estado === ESTADOS_CONSENTIMIENTO.RECHAZADO) {
+        twiml.message("Entendido. No recibirás sus alertas.");
+      }
+
+      return res.status(200).type('text/xml').send(twiml.toString());
+    }
+
+    if (resultado === 'sin_alerta') {
+      console.warn(`Mensaje ignorado de ${telefono}: no está vinculado a ninguna alerta vigente.`);
+    } else {
+      console.log(`Respuesta de ${telefono} a la alerta ${notificacion.id_alerta} no reconocida como confirmación: ${Body}`);
+    }
+
+    return res.status(200).type('text/xml').send(twiml.toString());
+  } catch (error) {
+    console.error("Error al procesar el mensaje entrante:", error);
+    return res.status(500).json({
+      message: "Error al procesar el mensaje entrante.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /twilio/estado-llamada:
+ *   post:
+ *     tags: [webhook_twilio]
+ *     security: []
+ *     summary: Recibe el estado de una llamada de escalamiento.
+ *     description: Twilio llama a este endpoint cuando la llamada se inicia, se contesta o termina. El estado se guarda en `llamadas` de la ALERTA (iniciada, contestada, sin_respuesta, ocupado o fallida); una llamada confirmada no cambia de estado. La petición debe incluir una firma `X-Twilio-Signature` válida.
+ *     parameters:
+ *       - in: query
+ *         name: id_alerta
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: id_llamada
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               CallStatus:
+ *                 type: string
+ *                 example: "no-answer"
+ *               CallDuration:
+ *                 type: string
+ *                 example: "32"
+ *     responses:
+ *       200:
+ *         description: Estado registrado.
+ *       400:
+ *         description: Faltan los campos 'id_alerta', 'id_llamada' o 'CallStatus'.
+ *       403:
+ *         description: Firma de Twilio inválida.
+ *       500:
+ *         description: Error al registrar el estado.
+ */
+router.post('/twilio/estado-llamada', validarFirmaTwilio, async (req, res) => {
+  const { id_alerta, id_llamada } = req.query;
+  const { CallStatus, CallDuration } = req.body;
+
+  if (!id_alerta || !id_llamada || !CallStatus) {
+    return res.status(400).json({ message: "Los campos 'id_alerta', 'id_llamada' y 'CallStatus' son obligatorios." });
+  }
+
+  try {
+    const estado = await registrarEstadoLlamada({ id_alerta, id_llamada, estadoTwilio: CallStatus, duracion: CallDuration });
+    console.log(`Llamada ${id_llamada} de la alerta ${id_alerta}: ${CallStatus} (${estado})`);
+
+    return res.status(200).json({ message: "Estado registrado." });
+  } catch (error) {
+    if (error.status === 404) {
+      console.warn(`Estado '${CallStatus}' recibido para una llamada desconocida: ${error.message}`);
+      return res.status(200).json({ message: "Estado registrado." });
+    }
+
+    console.error("Error al registrar el estado de la llamada:", error);
+    return res.status(500).json({
+      message: "Error al registrar el estado de la llamada.",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /twilio/llamada-respuesta:
+ *   post:
+ *     tags: [webhook_twilio]
+ *     security: []
+ *     summary: Recibe la tecla marcada en una llamada de escalamiento.
+ *     description: Twilio llama a este endpoint cuando el destinatario marca una tecla. Con 1, la llamada queda confirmada y se registra en `confirmaciones` de la ALERTA, lo que detiene el escalamiento; con otra tecla, el mensaje se vuelve a leer. Responde con TwiML.
+ *     parameters:
+ *       - in: query
+ *         name: id_alerta
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: id_llamada
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Digits:
+ *                 type: string
+ *                 example: "1"
+ *     responses:
+ *       200:
+ *         description: TwiML con la respuesta para el destinatario.
+ *       400:
+ *         description: Faltan los campos 'id_alerta' o 'id_llamada'.
+ *       403:
+ *         description: Firma de Twilio inválida.
+ *       500:
+ *         description: Error al procesar la tecla.
+ */
+router.post('/twilio/llamada-respuesta', validarFirmaTwilio, async (req, res) => {
+  const { id_alerta, id_llamada } = req.query;
+  const { Digits } = req.body;
+
+  if (!id_alerta || !id_llamada) {
+    return res.status(400).json({ message: "Los campos 'id_alerta' y 'id_llamada' son obligatorios." });
+  }
+
+  try {
+    const { confirmada, twiml } = await procesarTeclaLlamada({ id_alerta, id_llamada, tecla: Digits });
+    if (confirmada) {
+      console.log(`Llamada ${id_llamada} confirmada para la alerta ${id_alerta}`);
+    }
+
+    return res.status(200).type('text/xml').send(twiml);
+  } catch (error) {
+    if (error.status === 404) {
+      console.warn(`Tecla recibida para una llamada desconocida: ${error.message}`);
+      return res.status(200).type('text/xml').send(new twilio.twiml.VoiceResponse().toString());
+    }
+
+    console.error("Error al procesar la tecla de la llamada:", error);
+    return res.status(500).json({
+      message: "Error al procesar la tecla de la llamada.",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const { admin, db } = require('../config/firebase');
+const { registrarManejador, programarTarea, cancelarTarea } = require('./programador');
+const { crearAlerta, obtenerUltimaUbicacion, ORIGENES_ALERTA } = require('./alertas');
+
+const ESTADOS_ACOMPANAMIENTO = {
+  ACTIVO: 'activo',
+  COMPLETADO: 'completado',
+  CANCELADO: 'cancelado',
+  ALERTA_GENERADA: 'alerta_generada',
+};
+
+const TAREA_ACOMPANAMIENTO_VENCIDO = 'acompanamiento_vencido';
+
+// Mensaje usado si el usuario no tiene ningún MENSAJE registrado
+const MENSAJE_POR_DEFECTO = 'No llegué a mi destino a la hora indicada y no he respondido. Por favor comunícate conmigo';
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Obtiene el mensaje predeterminado del usuario: el marcado como `predeterminado` en MENSAJE o,
+ * si no hay ninguno marcado, el primero que tenga registrado.
+ */
+async function obtenerMensajePredeterminado(id_usuario) {
+  const mensajesSnapshot = await db.collection('MENSAJE')
+    .where('id_persona', '==', id_usuario)
+    .get();
+
+  if (mensajesSnapshot.empty) return MENSAJE_POR_DEFECTO;
+
+  const mensajes = mensajesSnapshot.docs.map(doc => doc.data());
+  const predeterminado = mensajes.find(mensaje => mensaje.predeterminado) || mensajes[0];
+  return predeterminado.mensaje;
+}
+
+/**
+ * Obtiene un acompañamiento activo del usuario. Lanza un error con `status` 404 si no existe,
+ * 403 si pertenece a otro usuario y 409 si ya terminó.
+ */
+async function obtenerAcompanamientoActivo(id_acompanamiento, id_usuario) {
+  const acompanamientoRef = db.collection('ACOMPANAMIENTO').doc(id_acompanamiento);
+  const acompanamientoDoc = await acompanamientoRef.get();
+
+  if (!acompanamientoDoc.exists) {
+    throw crearError(`No se encontró el acompañamiento con el id: ${id_acompanamiento}`, 404);
+  }
+
+  const acompanamiento = acompanamientoDoc.data();
+  if (acompanamiento.id_usuario !== id_usuario) {
+    throw crearError("El acompañamiento no pertenece al usuario.", 403);
+  }
+  if (acompanamiento.estado !== ESTADOS_ACOMPANAMIENTO.ACTIVO) {
+    throw crearError(`El acompañamiento ya se encuentra ${acompanamiento.estado}.`, 409);
+  }
+
+  return { acompanamientoRef, acompanamiento };
+}
+
+/**
+ * Inicia un acompañamiento: si el usuario no confirma su llegada antes de `minutos`, se genera una alerta.
+ * La ubicación inicial se usa si el usuario no tiene una ubicación en UBICACION_ACTUAL al vencer el plazo.
+ */
+async function iniciarAcompanamiento({ id_usuario, minutos, id_gravedad, latitud, longitud, destino = null }) {
+  const activosSnapshot = await db.collection('ACOMPANAMIENTO')
+    .where('id_usuario', '==', id_usuario)
+    .where('estado', '==', ESTADOS_ACOMPANAMIENTO.ACTIVO)
+    .limit(1)
+    .get();
+
+  if (!activosSnapshot.empty) {
+    throw crearError("El usuario ya tiene un acompañamiento activo.", 409);
+  }
+
+  const acompanamientoRef = db.collection('ACOMPANAMIENTO').doc();
+  const ahora = admin.firestore.Timestamp.now();
+  const fechaLimite = ahora.toMillis() + minutos * 60 * 1000;
+
+  const id_tarea = await programarTarea(TAREA_ACOMPANAMIENTO_VENCIDO, { id_acompanamiento: acompanamientoRef.id }, fechaLimite);
+
+  const acompanamiento = {
+    id_acompanamiento: acompanamientoRef.id,
+    id_usuario,
+    id_gravedad,
+    destino,
+    ubicacion_inicial: { latitud, longitud },
+    estado: ESTADOS_ACOMPANAMIENTO.ACTIVO,
+    fecha_inicio: ahora,
+    fecha_limite: admin.firestore.Timestamp.fromMillis(fechaLimite),
+    fecha_fin: null,
+    id_tarea,
+    id_alerta: null,
+    extensiones: 0,
+  };
+
+  await acompanamientoRef.set(acompanamiento);
+  return acompanamiento;
+}
+
+/**
+ * Extiende el plazo de un acompañamiento activo en `minutos`, contados desde el plazo actual
+ * o desde ahora si el plazo ya pasó.
+ */
+async function extenderAcompanamiento({ id_acompanamiento, id_usuario, minutos }) {
+  const { acompanamientoRef, acompanamiento } = await obtenerAcompanamientoActivo(id_acompanamiento, id_usuario);
+
+  const base = Math.max(acompanamiento.fecha_limite.toMillis(), Date.now());
+  const fechaLimite = base + minutos * 60 * 1000;
+
+  await cancelarTarea(acompanamiento.id_tarea);
+  const id_tarea = await programarTarea(TAREA_ACOMPANAMIENTO_VENCIDO, { id_acompanamiento }, fechaLimite);
+
+  const actualizacion = {
+    fecha_limite: admin.firestore.Timestamp.fromMillis(fechaLimite),
+    id_tarea,
+    extensiones: (acompanamiento.extensiones || 0) + 1,
+  };
+  await acompanamientoRef.update(actualizacion);
+
+  return { ...acompanamiento, ...actualizacion };
+}
+
+/**
+ * Termina un acompañamiento activo con el estado indicado (completado o cancelado).
+ */
+async function finalizarAcompanamiento({ id_acompanamiento, id_usuario, estado }) {
+  const { acompanamientoRef, acompanamiento } = await obtenerAcompanamientoActivo(id_acompanamiento, id_usuario);
+
+  await cancelarTarea(acompanamiento.id_tarea);
+
+  const actualizacion = { estado, fecha_fin: admin.firestore.Timestamp.now() };
+  await acompanamientoRef.update(actualizacion);
+
+  return { ...acompanamiento, ...actualizacion };
+}
+
+/**
+ * Reserva la alerta de un acompañamiento vencido dentro de una transacción: lo marca con el estado
+ * alerta_generada y el ID de la alerta que se va a crear, para que un reintento de la tarea no genere
+ * otra. Retorna el acompañamiento con el `id_alerta` reservado, o null si no hay que generar la alerta
+ * (el usuario extendió, completó o canceló el acompañamiento antes de que se ejecutara la tarea).
+ */
+async function reservarAlertaAcompanamiento(acompanamientoRef) {
+  return db.runTransaction(async (transaction) => {
+    const acompanamientoDoc = await transaction.get(acompanamientoRef);
+    if (!acompanamientoDoc.exists) return null;
+
+    const acompanamiento = acompanamientoDoc.data();
+
+    // Un intento anterior ya reservó la alerta
+    if (acompanamiento.estado === ESTADOS_ACOMPANAMIENTO.ALERTA_GENERADA && acompanamiento.id_alerta) {
+      return acompanamiento;
+    }
+    if (acompanamiento.estado !== ESTADOS_ACOMPANAMIENTO.ACTIVO || acompanamiento.fecha_limite.toMillis() > Date.now()) {
+      return null;
+    }
+
+    const reserva = {
+      estado: ESTADOS_ACOMPANAMIENTO.ALERTA_GENERADA,
+      fecha_fin: admin.firestore.Timestamp.now(),
+      id_alerta: db.collection('ALERTA').doc().id,
+    };
+    transaction.update(acompanamientoRef, reserva);
+
+    return { ...acompanamiento, ...reserva };
+  });
+}
+
+/**
+ * Se ejecuta al vencer el plazo: si el usuario no confirmó su llegada ni extendió el plazo,
+ * genera una alerta con su última ubicación conocida y su mensaje predeterminado. Si la tarea se
+ * reintenta, la alerta se crea solo si el intento anterior no alcanzó a guardarla: crearAlerta guarda
+ * la alerta junto con la tarea que avisa a los contactos, así que una alerta guardada ya tiene su aviso.
+ */
+async function acompanamientoVencido({ id_acompanamiento }) {
+  const acompanamientoRef = db.collection('ACOMPANAMIENTO').doc(id_acompanamiento);
+  const acompanamiento = await reservarAlertaAcompanamiento(acompanamientoRef);
+  if (!acompanamiento) return;
+
+  const { id_alerta } = acompanamiento;
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (alertaDoc.exists) {
+    console.log(`La alerta ${id_alerta} del acompañamiento ${id_acompanamiento} ya fue generada.`);
+    return;
+  }
+
+  const ubicacion = await obtenerUltimaUbicacion(acompanamiento.id_usuario) || acompanamiento.ubicacion_inicial;
+  const mensaje = await obtenerMensajePredeterminado(acompanamiento.id_usuario);
+
+  await crearAlerta({
+    id_usuario: acompanamiento.id_usuario,
+    latitud: ubicacion.latitud,
+    longitud: ubicacion.longitud,
+    id_gravedad: acompanamiento.id_gravedad,
+    mensaje,
+    origen: ORIGENES_ALERTA.ACOMPANAMIENTO,
+    id_alerta_reservado: id_alerta,
+  });
+
+  console.log(`Acompañamiento ${id_acompanamiento} vencido: se generó la alerta ${id_alerta}.`);
+}
+
+registrarManejador(TAREA_ACOMPANAMIENTO_VENCIDO, acompanamientoVencido);
+
+module.exports = {
+  ESTADOS_ACOMPANAMIENTO,
+  iniciarAcompanamiento,
+  extenderAcompanamiento,
+  finalizarAcompanamiento,
+};
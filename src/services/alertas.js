@@ -0,0 +1,211 @@
+const { admin, db } = require('../config/firebase');
+const { ESTADOS_ALERTA, estadoDeAlerta } = require('./estado_alerta');
+const { iniciarEscalamiento } = require('./escalamiento');
+const { adelantarTareasVencidas } = require('./programador');
+const { aplicarReglasDerivacion } = require('./reglas_derivacion');
+const { crearSeguimiento, urlSeguimiento } = require('./seguimiento');
+const { geocodificar } = require('./geocodificacion');
+
+// Máximo de valores que admite Firestore en un filtro 'in'
+const MAX_VALORES_IN = 30;
+
+// Formas en que se puede generar una alerta
+const ORIGENES_ALERTA = {
+  MANUAL: 'manual',
+  ACOMPANAMIENTO: 'acompanamiento',
+  CLAVE: 'clave',
+};
+
+/**
+ * Obtiene la última ubicación conocida del usuario desde UBICACION_ACTUAL, o null si no tiene.
+ */
+async function obtenerUltimaUbicacion(id_usuario) {
+  const ubicacionSnapshot = await db.collection('UBICACION_ACTUAL')
+    .where('id_usuario', '==', id_usuario)
+    .limit(1)
+    .get();
+
+  if (ubicacionSnapshot.empty) return null;
+
+  const ubicacion = ubicacionSnapshot.docs[0].data();
+  const latitud = parseFloat(ubicacion.latitud);
+  const longitud = parseFloat(ubicacion.longitud);
+
+  return Number.isNaN(latitud) || Number.isNaN(longitud) ? null : { latitud, longitud };
+}
+
+/**
+ * Genera una alerta: guarda la ubicación en UBICACION y la alerta en ALERTA, abre la sesión de
+ * seguimiento, programa el aviso a los contactos iniciando la cadena de escalamiento (ver escalamiento.js)
+ * y aplica las reglas de derivación (ver reglas_derivacion.js).
+ * La ubicación, el seguimiento, la alerta y la tarea del escalamiento se guardan en un solo batch: si la
+ * alerta quedó guardada, el aviso a los contactos también quedó programado.
+ * El enlace de seguimiento se arma con PUBLIC_BASE_URL; sin ella (fuera del servidor) el mensaje va sin enlace.
+ * `id_alerta_reservado` permite crear la alerta con un ID reservado antes, para que quien la genera en
+ * segundo plano pueda reintentar sin duplicarla.
+ */
+async function crearAlerta({ id_usuario, latitud, longitud, id_gravedad, mensaje, origen = ORIGENES_ALERTA.MANUAL, id_alerta_reservado = null }) {
+  // Comuna según los límites comunales locales; la dirección de Google es opcional
+  const { id_comuna, comuna, direccion } = await geocodificar(latitud, longitud);
+
+  const batch = db.batch();
+
+  // Guardar la nueva ubicación
+  const nuevaUbicacionRef = db.collection('UBICACION').doc();
+  const id_ubicacion = nuevaUbicacionRef.id;
+  batch.set(nuevaUbicacionRef, {
+    id_ubicacion,
+    id_usuario,
+    latitud,
+    longitud,
+  });
+
+  const nuevaAlertaRef = id_alerta_reservado ? db.collection('ALERTA').doc(id_alerta_reservado) : db.collection('ALERTA').doc();
+  const id_alerta = nuevaAlertaRef.id;
+  const googleMapsLink = `https://www.google.com/maps/search/?api=1&query=${latitud},${longitud}`;
+
+  // Sesión de seguimiento: los contactos reciben un enlace con la ubicación en tiempo real
+  const seguimiento = await crearSeguimiento({ id_alerta, id_usuario, latitud, longitud }, { batch });
+  const url_seguimiento = urlSeguimiento(seguimiento.token);
+
+  let mensaje_nuevo = `${mensaje}. Mi ubicación actual es ${direccion} (latitud: ${latitud}, longitud: ${longitud}). Puedes ver mi ubicación en el siguiente enlace: ${googleMapsLink}.`;
+  if (url_seguimiento) {
+    mensaje_nuevo += ` Sigue mi ubicación en tiempo real aquí: ${url_seguimiento}`;
+  }
+
+  const nuevaAlerta = {
+    id_alerta,
+    id_comuna,
+    comuna,
+    direccion,
+    fecha: admin.firestore.Timestamp.now(),
+    id_gravedad,
+    id_ubicacion,
+    id_usuario,
+    mensaje: mensaje_nuevo,
+    mensaje_usuario: mensaje,
+    origen,
+    estado: ESTADOS_ALERTA.ACTIVA,
+    historial_estados: [],
+    confirmaciones: [],
+    id_seguimiento: seguimiento.id_seguimiento,
+  };
+  batch.set(nuevaAlertaRef, nuevaAlerta);
+
+  // Programar el aviso a los contactos, el escalamiento al grupo y la derivación si nadie confirma.
+  // Los envíos y las llamadas se hacen en segundo plano, después de responder
+  await iniciarEscalamiento(nuevaAlerta, { batch });
+
+  await batch.commit();
+  adelantarTareasVencidas();
+
+  // Derivar de inmediato según las reglas de derivación. Un error no impide crear la alerta:
+  // si no se deriva, sigue el escalamiento normal
+  try {
+    await aplicarReglasDerivacion(nuevaAlerta);
+  } catch (error) {
+    console.error(`Error al aplicar las reglas de derivación a la alerta ${id_alerta}:`, error);
+  }
+
+  return { id_alerta, id_ubicacion, url_seguimiento };
+}
+
+/**
+ * Usuarios cuyas alertas puede ver un usuario: él mismo y los miembros de los grupos a los que pertenece.
+ * Retorna también los grupos del usuario.
+ */
+async function usuariosConAlertasVisibles(id_usuario) {
+  const gruposSnapshot = await db.collection('GRUPO_PERSONA')
+    .where('id_usuario', '==', id_usuario)
+    .get();
+  const idGrupos = [...new Set(gruposSnapshot.docs.map(doc => doc.data().id_grupo))];
+
+  const idUsuarios = new Set([id_usuario]);
+  for (const id_grupo of idGrupos) {
+    const miembrosSnapshot = await db.collection('GRUPO_PERSONA')
+      .where('id_grupo', '==', id_grupo)
+      .get();
+    miembrosSnapshot.forEach(doc => idUsuarios.add(doc.data().id_usuario));
+  }
+
+  return { idGrupos, idUsuarios };
+}
+
+/**
+ * Miembros de un grupo, según GRUPO_PERSONA.
+ */
+async function miembrosGrupo(id_grupo) {
+  const miembrosSnapshot = await db.collection('GRUPO_PERSONA')
+    .where('id_grupo', '==', id_grupo)
+    .get();
+  return [...new Set(miembrosSnapshot.docs.map(doc => doc.data().id_usuario))];
+}
+
+/**
+ * Documentos de ALERTA de los usuarios indicados. Consulta en bloques de MAX_VALORES_IN usuarios.
+ */
+async function obtenerAlertasDeUsuarios(idUsuarios) {
+  const ids = [...idUsuarios];
+  const alertasDocs = [];
+  for (let i = 0; i < ids.length; i += MAX_VALORES_IN) {
+    const alertasSnapshot = await db.collection('ALERTA')
+      .where('id_usuario', 'in', ids.slice(i, i + MAX_VALORES_IN))
+      .get();
+    alertasDocs.push(...alertasSnapshot.docs);
+  }
+  return alertasDocs;
+}
+
+/**
+ * Arma el detalle de las alertas con su ubicación y gravedad. Si se indica `estado`, omite las alertas
+ * que están en otro estado.
+ */
+async function detallarAlertas(alertasDocs, { estado } = {}) {
+  const alertas = [];
+
+  for (const alertaDoc of alertasDocs) {
+    const alertaData = alertaDoc.data();
+
+    // Omitir las alertas que no coinciden con el estado solicitado
+    if (estado && estadoDeAlerta(alertaData) !== estado) continue;
+
+    // Obtener los detalles de la ubicación
+    const ubicacionDoc = await db.collection('UBICACION').doc(alertaData.id_ubicacion).get();
+    const ubicacion = ubicacionDoc.exists ? ubicacionDoc.data() : null;
+
+    // Obtener los detalles de la gravedad
+    const gravedadDoc = await db.collection('GRAVEDAD').doc(alertaData.id_gravedad).get();
+    const gravedad = gravedadDoc.exists ? gravedadDoc.data() : null;
+
+    alertas.push({
+      id_alerta: alertaData.id_alerta,
+      id_usuario: alertaData.id_usuario,
+      comuna: alertaData.comuna,
+      direccion: alertaData.direccion,
+      fecha: alertaData.fecha,
+      mensaje: alertaData.mensaje,
+      estado: estadoDeAlerta(alertaData),
+      historial_estados: alertaData.historial_estados || [],
+      ubicacion: ubicacion ? {
+        latitud: ubicacion.latitud,
+        longitud: ubicacion.longitud,
+      } : 'Ubicación no encontrada',
+      gravedad: gravedad ? {
+        id_gravedad: gravedad.id_gravedad,
+        descripcion: gravedad.descripcion,
+      } : 'Gravedad no encontrada',
+    });
+  }
+
+  return alertas;
+}
+
+module.exports = {
+  ORIGENES_ALERTA,
+  obtenerUltimaUbicacion,
+  crearAlerta,
+  usuariosConAlertasVisibles,
+  miembrosGrupo,
+  obtenerAlertasDeUsuarios,
+  detallarAlertas,
+};
@@ -0,0 +1,62 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { bucket } = require('../config/firebase');
+
+// Minutos de validez de las URL firmadas para descargar archivos privados
+const URL_FIRMADA_MINUTOS = parseInt(process.env.URL_FIRMADA_MINUTOS, 10) || 15;
+
+/**
+ * Calcula el hash SHA-256 del contenido de un archivo, en hexadecimal.
+ */
+function calcularSha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Sube un archivo al bucket sin hacerlo público; solo se puede leer con una URL firmada.
+ * `metadatos` se guarda como metadata personalizada del objeto. Retorna la ruta y el hash SHA-256.
+ */
+async function subirArchivoPrivado({ ruta, buffer, contentType, metadatos = {} }) {
+  const sha256 = calcularSha256(buffer);
+
+  await bucket.file(ruta).save(buffer, {
+    resumable: false,
+    metadata: {
+      contentType,
+      cacheControl: 'private, max-age=0, no-store',
+      metadata: { ...metadatos, sha256 },
+    },
+  });
+
+  return { ruta, sha256 };
+}
+
+/**
+ * Genera una URL firmada de lectura para un archivo privado. Si se indica `nombreDescarga`, el
+ * navegador descarga el archivo con ese nombre. Retorna la URL y su fecha de expiración.
+ */
+async function generarUrlFirmada(ruta, { minutos = URL_FIRMADA_MINUTOS, nombreDescarga = null } = {}) {
+  const expira = Date.now() + minutos * 60 * 1000;
+  const opciones = { version: 'v4', action: 'read', expires: expira };
+  if (nombreDescarga) {
+    opciones.responseDisposition = `attachment; filename="${nombreDescarga.replace(/["\\\r\n]/g, '_')}"`;
+  }
+
+  const [url] = await bucket.file(ruta).getSignedUrl(opciones);
+  return { url, expira: new Date(expira).toISOString() };
+}
+
+/**
+ * Elimina un archivo del bucket. No falla si el archivo ya no existe.
+ */
+async function eliminarArchivo(ruta) {
+  await bucket.file(ruta).delete({ ignoreNotFound: true });
+}
+
+module.exports = {
+  URL_FIRMADA_MINUTOS,
+  calcularSha256,
+  subirArchivoPrivado,
+  generarUrlFirmada,
+  eliminarArchivo,
+};
@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { ROLES, rolDeTipoUsuario } = require('../config/roles');
+const { ESTADOS_ALERTA, ESTADOS_FINALES, estadoDeAlerta, cambiarEstadoAlerta } = require('./estado_alerta');
+
+// Estados del caso que abre cada alerta derivada
+const ESTADOS_CASO = {
+  ABIERTO: 'abierto',
+  EN_CURSO: 'en_curso',
+  CONTACTADA: 'contactada',
+  CERRADO: 'cerrado',
+};
+
+// Transiciones permitidas desde cada estado. Un caso cerrado no se puede modificar
+const TRANSICIONES_CASO = {
+  abierto: ['en_curso', 'contactada', 'cerrado'],
+  en_curso: ['contactada', 'cerrado'],
+  contactada: ['en_curso', 'cerrado'],
+  cerrado: [],
+};
+
+// Largo máximo de las notas internas y del motivo de cierre
+const MAX_LARGO_TEXTO = 2000;
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+function validarTexto(texto, campo) {
+  if (typeof texto !== 'string' || !texto.trim()) {
+    throw crearError(`El campo '${campo}' es obligatorio.`, 400);
+  }
+  if (texto.trim().length > MAX_LARGO_TEXTO) {
+    throw crearError(`El campo '${campo}' admite hasta ${MAX_LARGO_TEXTO} caracteres.`, 400);
+  }
+  return texto.trim();
+}
+
+/**
+ * Indica si el valor recibido corresponde a un estado de caso válido.
+ */
+function esEstadoCasoValido(estado) {
+  return Object.values(ESTADOS_CASO).includes(estado);
+}
+
+/**
+ * Datos del funcionario que consulta o modifica un caso: su rol y el departamento al que pertenece
+ * (`id_departamento` en su PERFIL, asignado por un administrador).
+ */
+async function obtenerFuncionario(id_usuario) {
+  const perfilDoc = await db.collection('PERFIL').doc(id_usuario).get();
+  const perfil = perfilDoc.exists ? perfilDoc.data() : {};
+
+  return {
+    id_usuario,
+    rol: rolDeTipoUsuario(perfil.tipo_usuario),
+    id_departamento: perfil.id_departamento || null,
+  };
+}
+
+/**
+ * Un caso lo pueden ver y gestionar el funcionario asignado, los funcionarios de su departamento
+ * y los administradores.
+ */
+function puedeGestionarCaso(caso, funcionario) {
+  return funcionario.rol === ROLES.ADMIN ||
+    caso.id_funcionario_asignado === funcionario.id_usuario ||
+    (!!funcionario.id_departamento && caso.id_departamento === funcionario.id_departamento);
+}
+
+/**
+ * Valida que el usuario pueda recibir casos del departamento: debe ser un funcionario activo de ese departamento.
+ */
+async function validarFuncionarioDepartamento(id_funcionario, id_departamento) {
+  const perfilDoc = await db.collection('PERFIL').doc(id_funcionario).get();
+  if (!perfilDoc.exists || rolDeTipoUsuario(perfilDoc.data().tipo_usuario) !== ROLES.FUNCIONARIO) {
+    throw crearError(`No se encontró el funcionario con el id: ${id_funcionario}`, 404);
+  }
+
+  const perfil = perfilDoc.data();
+  if (perfil.estado === false) {
+    throw crearError("El funcionario está desactivado.", 400);
+  }
+  if (perfil.id_departamento !== id_departamento) {
+    throw crearError("El funcionario no pertenece al departamento del caso.", 400);
+  }
+}
+
+/**
+ * Documento de un caso nuevo, abierto y sin funcionario asignado. El caso usa el mismo ID que la
+ * alerta: hay un caso por alerta derivada.
+ */
+function datosCasoNuevo({ id_alerta, id_departamento, id_alerta_derivada, id_funcionario = null, automatica = false, regla = null, fecha = admin.firestore.Timestamp.now() }) {
+  const creacion = { accion: 'creacion', id_funcionario, id_departamento, automatica, fecha };
+  // Regla de derivación que abrió el caso, si la derivación fue por reglas
+  if (regla) creacion.regla = regla;
+
+  return {
+    id_caso: id_alerta,
+    id_alerta,
+    id_departamento,
+    id_alerta_derivada,
+    id_funcionario_asignado: null,
+    estado: ESTADOS_CASO.ABIERTO,
+    motivo_cierre: null,
+    notas: [],
+    historial: [creacion],
+    fecha_creacion: fecha,
+    fecha_actualizacion: fecha,
+    fecha_cierre: null,
+  };
+}
+
+/**
+ * Aplica un cambio a un caso dentro de una transacción. `aplicar(caso)` retorna los campos a
+ * actualizar, la entrada del historial (o null si el cambio no se registra en el historial) y,
+ * opcionalmente, `derivacion`: los campos a actualizar en la derivación vigente (ALERTA_DERIVADA).
+ * La primera acción sobre el caso queda registrada en `fecha_primera_accion` de la derivación vigente.
+ * Lanza 404 si el caso no existe, 403 si el funcionario no puede gestionarlo y 409 si está cerrado.
+ */
+async function aplicarCambioCaso(transaction, id_caso, funcionario, aplicar) {
+  const casoRef = db.collection('CASO').doc(id_caso);
+  const casoDoc = await transaction.get(casoRef);
+  if (!casoDoc.exists) {
+    throw crearError(`No se encontró el caso con el id: ${id_caso}`, 404);
+  }
+
+  const caso = casoDoc.data();
+  if (!puedeGestionarCaso(caso, funcionario)) {
+    throw crearError("El caso no está asignado al funcionario ni a su departamento.", 403);
+  }
+  if (caso.estado === ESTADOS_CASO.CERRADO) {
+    throw crearError("El caso está cerrado y no se puede modificar.", 409);
+  }
+
+  const derivacionRef = db.collection('ALERTA_DERIVADA').doc(caso.id_alerta_derivada);
+  const derivacionDoc = await transaction.get(derivacionRef);
+
+  const fecha = admin.firestore.Timestamp.now();
+  const { cambios, historial, derivacion = {} } = aplicar(caso, fecha);
+  const actualizacion = { ...cambios, fecha_actualizacion: fecha };
+  if (historial) {
+    actualizacion.historial = admin.firestore.FieldValue.arrayUnion({ ...historial, id_funcionario: funcionario.id_usuario, fecha });
+  }
+
+  transaction.update(casoRef, actualizacion);
+
+  if (derivacionDoc.exists) {
+    // Los tiempos ya registrados no se sobrescriben (la alerta pudo cerrarse antes que el caso)
+    const derivacionActual = derivacionDoc.data();
+    const cambiosDerivacion = Object.fromEntries(Object.entries({ fecha_primera_accion: fecha, ...derivacion })
+      .filter(([campo]) => !derivacionActual[campo]));
+    if (Object.keys(cambiosDerivacion).length > 0) {
+      transaction.update(derivacionRef, cambiosDerivacion);
+    }
+  }
+
+  return { ...caso, ...cambios, fecha_actualizacion: fecha };
+}
+
+/**
+ * Aplica un cambio a un caso (ver `aplicarCambioCaso`) en su propia transacción.
+ */
+async function actualizarCaso(id_caso, id_funcionario, aplicar) {
+  const funcionario = await obtenerFuncionario(id_funcionario);
+  return db.runTransaction(transaction => aplicarCambioCaso(transaction, id_caso, funcionario, aplicar));
+}
+
+/**
+ * Cambia el estado de un caso. Para cerrarlo se exige `motivo_cierre`.
+ * Cerrar el caso resuelve la alerta: el departamento terminó de atenderla. El caso y la alerta se
+ * actualizan en la misma transacción; si la alerta ya estaba cerrada, solo se cierra el caso.
+ */
+async function cambiarEstadoCaso({ id_caso, id_funcionario, estado, motivo_cierre = null }) {
+  if (!esEstadoCasoValido(estado)) {
+    throw crearError(`El estado debe ser uno de: ${Object.values(ESTADOS_CASO).join(', ')}.`, 400);
+  }
+  const motivo = estado === ESTADOS_CASO.CERRADO ? validarTexto(motivo_cierre, 'motivo_cierre') : null;
+
+  const aplicar = (caso, fecha) => {
+    if (!TRANSICIONES_CASO[caso.estado].includes(estado)) {
+      throw crearError(`No se puede cambiar el caso de '${caso.estado}' a '${estado}'.`, 409);
+    }
+
+    const cambios = { estado };
+    if (estado === ESTADOS_CASO.CERRADO) {
+      cambios.motivo_cierre = motivo;
+      cambios.fecha_cierre = fecha;
+    }
+
+    return {
+      cambios,
+      historial: { accion: 'estado', estado_anterior: caso.estado, estado, motivo_cierre: motivo },
+      derivacion: estado === ESTADOS_CASO.CERRADO ? { fecha_cierre: fecha, origen_cierre: 'caso' } : {},
+    };
+  };
+
+  if (estado !== ESTADOS_CASO.CERRADO) {
+    return actualizarCaso(id_caso, id_funcionario, aplicar);
+  }
+
+  const funcionario = await obtenerFuncionario(id_funcionario);
+  const casoDoc = await db.collection('CASO').doc(id_caso).get();
+  const alertaDoc = casoDoc.exists ? await db.collection('ALERTA').doc(casoDoc.data().id_alerta).get() : null;
+
+  if (!alertaDoc || !alertaDoc.exists || ESTADOS_FINALES.includes(estadoDeAlerta(alertaDoc.data()))) {
+    return db.runTransaction(transaction => aplicarCambioCaso(transaction, id_caso, funcionario, aplicar));
+  }
+
+  let casoCerrado;
+  await cambiarEstadoAlerta(alertaDoc.id, ESTADOS_ALERTA.RESUELTA, {
+    id_usuario: id_funcionario,
+    motivo: `Caso cerrado: ${motivo}`,
+    enTransaccion: async (transaction) => {
+      casoCerrado = await aplicarCambioCaso(transaction, id_caso, funcionario, aplicar);
+    },
+  });
+  return casoCerrado;
+}
+
+/**
+ * Al cerrarse la alerta (resuelta, cancelada o falsa alarma) se cierra también su caso, si seguía
+ * abierto. El cierre queda en el historial como una acción del sistema, sin funcionario.
+ */
+async function cerrarCasoDeAlerta(id_alerta, estadoAlerta) {
+  const casoRef = db.collection('CASO').doc(id_alerta);
+
+  await db.runTransaction(async (transaction) => {
+    const casoDoc = await transaction.get(casoRef);
+    if (!casoDoc.exists || casoDoc.data().estado === ESTADOS_CASO.CERRADO) return;
+
+    const fecha = admin.firestore.Timestamp.now();
+    const motivo_cierre = `La alerta pasó a '${estadoAlerta}'.`;
+    transaction.update(casoRef, {
+      estado: ESTADOS_CASO.CERRADO,
+      motivo_cierre,
+      fecha_cierre: fecha,
+      fecha_actualizacion: fecha,
+      historial: admin.firestore.FieldValue.arrayUnion({
+        accion: 'estado',
+        estado_anterior: casoDoc.data().estado,
+        estado: ESTADOS_CASO.CERRADO,
+        motivo_cierre,
+        id_funcionario: null,
+        automatica: true,
+        fecha,
+      }),
+    });
+  });
+}
+
+/**
+ * Agrega una nota interna al caso, con su autor y fecha. Retorna la nota creada.
+ */
+async function agregarNotaCaso({ id_caso, id_funcionario, texto }) {
+  const textoNota = validarTexto(texto, 'texto');
+  const nota = {
+    id_nota: crypto.randomBytes(8).toString('hex'),
+    id_funcionario,
+    texto: textoNota,
+    fecha: admin.firestore.Timestamp.now(),
+  };
+
+  await actualizarCaso(id_caso, id_funcionario, () => ({
+    cambios: { notas: admin.firestore.FieldValue.arrayUnion(nota) },
+    historial: null,
+  }));
+  return nota;
+}
+
+/**
+ * Asigna (o reasigna) el caso a un funcionario de su departamento.
+ */
+async function asignarCaso({ id_caso, id_funcionario, id_funcionario_asignado }) {
+  const casoDoc = await db.collection('CASO').doc(id_caso).get();
+  if (casoDoc.exists) {
+    await validarFuncionarioDepartamento(id_funcionario_asignado, casoDoc.data().id_departamento);
+  }
+
+  return actualizarCaso(id_caso, id_funcionario, (caso) => {
+    if (caso.id_funcionario_asignado === id_funcionario_asignado) {
+      throw crearError("El caso ya está asignado a ese funcionario.", 409);
+    }
+    return {
+      cambios: { id_funcionario_asignado },
+      historial: {
+        accion: 'asignacion',
+        id_funcionario_anterior: caso.id_funcionario_asignado,
+        id_funcionario_asignado,
+      },
+    };
+  });
+}
+
+/**
+ * Traspasa el caso a otro departamento. El caso vuelve a 'abierto' y queda sin funcionario asignado,
+ * salvo que se indique uno del nuevo departamento. Lo llama `rederivarAlerta`, que registra la nueva derivación.
+ */
+async function cambiarDepartamentoCaso({ id_caso, id_funcionario, id_departamento, id_alerta_derivada, motivo = null, id_funcionario_asignado = null }) {
+  return actualizarCaso(id_caso, id_funcionario, (caso, fecha) => ({
+    cambios: {
+      id_departamento,
+      id_alerta_derivada,
+      id_funcionario_asignado,
+      estado: ESTADOS_CASO.ABIERTO,
+    },
+    historial: {
+      accion: 'rederivacion',
+      id_departamento_anterior: caso.id_departamento,
+      id_departamento,
+      id_funcionario_anterior: caso.id_funcionario_asignado,
+      id_funcionario_asignado,
+      estado_anterior: caso.estado,
+      motivo,
+    },
+    // La derivación anterior termina aquí; el nuevo departamento tiene su propia derivación
+    derivacion: { fecha_rederivacion: fecha },
+  }));
+}
+
+/**
+ * Valida que el caso exista, que el funcionario pueda gestionarlo y que no esté cerrado, antes de
+ * traspasarlo a otro departamento. También valida el departamento de destino y el funcionario a asignar.
+ */
+async function validarRederivacion({ id_caso, id_funcionario, id_departamento, id_funcionario_asignado = null }) {
+  const [casoDoc, departamentoDoc, funcionario] = await Promise.all([
+    db.collection('CASO').doc(id_caso).get(),
+    db.collection('DEPARTAMENTO').doc(id_departamento).get(),
+    obtenerFuncionario(id_funcionario),
+  ]);
+
+  if (!casoDoc.exists) {
+    throw crearError(`No se encontró el caso con el id: ${id_caso}`, 404);
+  }
+  const caso = casoDoc.data();
+  if (!puedeGestionarCaso(caso, funcionario)) {
+    throw crearError("El caso no está asignado al funcionario ni a su departamento.", 403);
+  }
+  if (caso.estado === ESTADOS_CASO.CERRADO) {
+    throw crearError("El caso está cerrado y no se puede modificar.", 409);
+  }
+  if (!departamentoDoc.exists || departamentoDoc.data().estado === false) {
+    throw crearError(`No se encontró un departamento activo con el id: ${id_departamento}`, 404);
+  }
+  if (caso.id_departamento === id_departamento) {
+    throw crearError("El caso ya está derivado a ese departamento.", 409);
+  }
+  if (id_funcionario_asignado) {
+    await validarFuncionarioDepartamento(id_funcionario_asignado, id_departamento);
+  }
+
+  return caso;
+}
+
+/**
+ * Obtiene un caso con los datos principales de su alerta. Lanza 404 si no existe y 403 si el
+ * funcionario no puede verlo.
+ */
+async function obtenerCaso(id_caso, id_funcionario) {
+  const [casoDoc, funcionario] = await Promise.all([
+    db.collection('CASO').doc(id_caso).get(),
+    obtenerFuncionario(id_funcionario),
+  ]);
+
+  if (!casoDoc.exists) {
+    throw crearError(`No se encontró el caso con el id: ${id_caso}`, 404);
+  }
+  const caso = casoDoc.data();
+  if (!puedeGestionarCaso(caso, funcionario)) {
+    throw crearError("El caso no está asignado al funcionario ni a su departamento.", 403);
+  }
+
+  const alertaDoc = await db.collection('ALERTA').doc(caso.id_alerta).get();
+  const alerta = alertaDoc.exists ? alertaDoc.data() : {};
+
+  return {
+    ...caso,
+    alerta: {
+      id_alerta: caso.id_alerta,
+      id_usuario: alerta.id_usuario || null,
+      estado: alerta.estado || null,
+      fecha: alerta.fecha || null,
+      id_gravedad: alerta.id_gravedad || null,
+      direccion: alerta.direccion || null,
+      comuna: alerta.comuna || null,
+      mensaje: alerta.mensaje_usuario || alerta.mensaje || null,
+    },
+  };
+}
+
+/**
+ * Resumen del caso para los listados: sin notas ni historial, con la cantidad de notas.
+ */
+function resumirCaso(caso) {
+  const { notas, historial, ...datos } = caso;
+  return { ...datos, cantidad_notas: (notas || []).length };
+}
+
+function ordenarPorActualizacion(casos) {
+  return casos.sort((a, b) => b.fecha_actualizacion.toMillis() - a.fecha_actualizacion.toMillis());
+}
+
+/**
+ * Casos asignados al funcionario, del más recientemente actualizado al más antiguo. Se puede filtrar por estado.
+ */
+async function listarCasosFuncionario(id_funcionario, { estado } = {}) {
+  const casosSnapshot = await db.collection('CASO')
+    .where('id_funcionario_asignado', '==', id_funcionario)
+    .get();
+
+  const casos = casosSnapshot.docs
+    .map(doc => doc.data())
+    .filter(caso => !estado || caso.estado === estado);
+
+  return ordenarPorActualizacion(casos).map(resumirCaso);
+}
+
+/**
+ * Casos del departamento del funcionario. Los administradores pueden indicar cualquier departamento.
+ * Lanza 409 si el funcionario no tiene departamento asignado.
+ */
+async function listarCasosDepartamento(id_funcionario, { estado, id_departamento } = {}) {
+  const funcionario = await obtenerFuncionario(id_funcionario);
+
+  let departamento = funcionario.id_departamento;
+  if (id_departamento && id_departamento !== departamento) {
+    if (funcionario.rol !== ROLES.ADMIN) {
+      throw crearError("Solo los administradores pueden ver los casos de otros departamentos.", 403);
+    }
+    departamento = id_departamento;
+  }
+  if (!departamento) {
+    throw crearError("El funcionario no tiene un departamento asignado.", 409);
+  }
+
+  const casosSnapshot = await db.collection('CASO')
+    .where('id_departamento', '==', departamento)
+    .get();
+
+  const casos = casosSnapshot.docs
+    .map(doc => doc.data())
+    .filter(caso => !estado || caso.estado === estado);
+
+  return { id_departamento: departamento, casos: ordenarPorActualizacion(casos).map(resumirCaso) };
+}
+
+module.exports = {
+  ESTADOS_CASO,
+  TRANSICIONES_CASO,
+  esEstadoCasoValido,
+  datosCasoNuevo,
+  cambiarEstadoCaso,
+  cerrarCasoDeAlerta,
+  agregarNotaCaso,
+  asignarCaso,
+  cambiarDepartamentoCaso,
+  validarRederivacion,
+  obtenerCaso,
+  listarCasosFuncionario,
+  listarCasosDepartamento,
+};
@@ -0,0 +1,122 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { formatearTelefono, PREFIJO_PAIS } = require('./mensajeria');
+const { estadoDeAlerta, ESTADOS_FINALES } = require('./estado_alerta');
+const { normalizarTexto } = require('../utils/texto');
+
+// Solo se aceptan respuestas a alertas enviadas dentro de esta ventana
+const VENTANA_HORAS = parseInt(process.env.CONFIRMACION_VENTANA_HORAS, 10) || 24;
+
+// Respuestas que se interpretan como "recibido, voy en camino"
+const RESPUESTAS_CONFIRMACION = [
+  'voy', 'ya voy', 'ahi voy', 'alla voy', 'voy en camino', 'en camino', 'voy para alla', 'estoy llegando', 'llego',
+  'ok', 'okay', 'okey', 'oki', 'vale', 'si', 'dale', 'listo', 'recibido', 'entendido', 'enterado',
+];
+
+/**
+ * Indica si la respuesta recibida confirma la alerta. Se acepta la frase sola o seguida de más
+ * texto ("voy en 10 minutos", "ok ya salgo").
+ */
+function esRespuestaConfirmacion(texto) {
+  if (String(texto || '').includes('👍')) return true;
+
+  const normalizado = normalizarTexto(texto);
+  return RESPUESTAS_CONFIRMACION.some(respuesta =>
+    normalizado === respuesta || normalizado.startsWith(`${respuesta} `)
+  );
+}
+
+/**
+ * Busca la notificación más reciente enviada al número indicado cuya alerta sigue abierta.
+ * Retorna null si el número no fue notificado por ninguna alerta vigente.
+ */
+async function buscarNotificacionVigente(telefono) {
+  const telefonoCompleto = formatearTelefono(telefono);
+  // Los números pueden estar guardados con o sin el prefijo de país
+  const variantes = [telefonoCompleto];
+  if (telefonoCompleto.startsWith(PREFIJO_PAIS)) variantes.push(telefonoCompleto.slice(PREFIJO_PAIS.length));
+
+  const notificacionesSnapshot = await db.collection('NOTIFICACION')
+    .where('telefono', 'in', variantes)
+    .get();
+
+  const limite = Date.now() - VENTANA_HORAS * 60 * 60 * 1000;
+
+  const candidatas = notificacionesSnapshot.docs
+    .map(doc => doc.data())
+    .filter(notificacion => notificacion.tipo === 'alerta' && notificacion.id_alerta)
+    .filter(notificacion => notificacion.fecha_creacion.toMillis() >= limite)
+    .sort((a, b) => b.fecha_creacion.toMillis() - a.fecha_creacion.toMillis());
+
+  for (const notificacion of candidatas) {
+    const alertaDoc = await db.collection('ALERTA').doc(notificacion.id_alerta).get();
+    if (alertaDoc.exists && !ESTADOS_FINALES.includes(estadoDeAlerta(alertaDoc.data()))) {
+      return notificacion;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Registra la confirmación de un destinatario en la alerta. Cada número se registra una sola vez.
+ * Retorna la confirmación y si ya existía.
+ */
+async function registrarConfirmacion(notificacion, { respuesta, canal }) {
+  const alertaRef = db.collection('ALERTA').doc(notificacion.id_alerta);
+
+  return db.runTransaction(async (transaction) => {
+    const alertaDoc = await transaction.get(alertaRef);
+    const confirmaciones = alertaDoc.data().confirmaciones || [];
+
+    const existente = confirmaciones.find(confirmacion => confirmacion.telefono === notificacion.telefono);
+    if (existente) {
+      return { confirmacion: existente, duplicada: true };
+    }
+
+    const confirmacion = {
+      id_notificacion: notificacion.id_notificacion,
+      telefono: notificacion.telefono,
+      nombre: notificacion.nombre_destinatario,
+      origen: notificacion.origen,
+      id_referencia: notificacion.id_referencia,
+      respuesta,
+      canal,
+      fecha: admin.firestore.Timestamp.now(),
+    };
+
+    transaction.update(alertaRef, {
+      confirmaciones: admin.firestore.FieldValue.arrayUnion(confirmacion),
+    });
+
+    return { confirmacion, duplicada: false };
+  });
+}
+
+/**
+ * Procesa un mensaje entrante. Retorna el resultado ('confirmada', 'duplicada', 'sin_alerta' o
+ * 'no_reconocida') junto con la notificación asociada, si existe.
+ */
+async function procesarMensajeEntrante({ remitente, texto }) {
+  const canal = String(remitente).startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+  const telefono = String(remitente).replace(/^whatsapp:/, '');
+
+  const notificacion = await buscarNotificacionVigente(telefono);
+  if (!notificacion) {
+    return { resultado: 'sin_alerta', telefono };
+  }
+
+  if (!esRespuestaConfirmacion(texto)) {
+    return { resultado: 'no_reconocida', telefono, notificacion };
+  }
+
+  const { confirmacion, duplicada } = await registrarConfirmacion(notificacion, { respuesta: texto, canal });
+
+  return { resultado: duplicada ? 'duplicada' : 'confirmada', telefono, notificacion, confirmacion };
+}
+
+module.exports = {
+  esRespuestaConfirmacion,
+  registrarConfirmacion,
+  procesarMensajeEntrante,
+};
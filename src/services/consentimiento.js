@@ -0,0 +1,221 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { enviarMensaje } = require('./mensajeria');
+const { normalizarTexto } = require('../utils/texto');
+const { normalizarTelefono } = require('../utils/telefono');
+
+// Minutos de espera antes de reenviar la solicitud de consentimiento a un contacto
+const ESPERA_REENVIO_MINUTOS = 60;
+
+const ESTADOS_CONSENTIMIENTO = {
+  PENDIENTE: 'pendiente',
+  ACEPTADO: 'aceptado',
+  RECHAZADO: 'rechazado',
+  DETENIDO: 'detenido',
+};
+
+// Respuestas del contacto a la solicitud. Las de DETENIDO incluyen las palabras de baja estándar de Twilio.
+const RESPUESTAS_CONSENTIMIENTO = {
+  [ESTADOS_CONSENTIMIENTO.ACEPTADO]: ['si', 'si acepto', 'acepto'],
+  [ESTADOS_CONSENTIMIENTO.RECHAZADO]: ['no', 'no acepto'],
+  [ESTADOS_CONSENTIMIENTO.DETENIDO]: ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'detener', 'baja'],
+};
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Estado de consentimiento de un contacto. Los contactos guardados antes de este flujo no tienen
+ * el campo y se consideran pendientes.
+ */
+function estadoConsentimiento(contacto) {
+  return contacto.estado_consentimiento || ESTADOS_CONSENTIMIENTO.PENDIENTE;
+}
+
+/**
+ * Interpreta la respuesta de un contacto. Retorna el nuevo estado de consentimiento o null si
+ * el texto no es una respuesta a la solicitud.
+ */
+function interpretarRespuesta(texto) {
+  const normalizado = normalizarTexto(texto);
+  const estado = Object.keys(RESPUESTAS_CONSENTIMIENTO).find(clave =>
+    RESPUESTAS_CONSENTIMIENTO[clave].includes(normalizado)
+  );
+  return estado || null;
+}
+
+/**
+ * Indica si el contacto debe recibir una alerta. Solo reciben alertas los contactos que aceptaron;
+ * si la alerta es de la gravedad crítica elegida por el usuario, también los que no respondieron o
+ * rechazaron, siempre que su celular esté verificado. Los que pidieron STOP nunca reciben mensajes.
+ */
+function contactoRecibeAlerta(contacto, { critica = false } = {}) {
+  const estado = estadoConsentimiento(contacto);
+  if (estado === ESTADOS_CONSENTIMIENTO.ACEPTADO) return true;
+  return critica && estado !== ESTADOS_CONSENTIMIENTO.DETENIDO && contacto.celular_verificado === true;
+}
+
+/**
+ * Estado con el que se guarda un contacto nuevo o con un celular nuevo: si el número ya pidió STOP
+ * desde el contacto de otro usuario, queda detenido y no se le envían mensajes.
+ */
+async function estadoInicialConsentimiento(celular) {
+  const contactosSnapshot = await db.collection('CONTACTO')
+    .where('celular', '==', celular)
+    .get();
+
+  const detenido = contactosSnapshot.docs.some(doc => estadoConsentimiento(doc.data()) === ESTADOS_CONSENTIMIENTO.DETENIDO);
+  return detenido ? ESTADOS_CONSENTIMIENTO.DETENIDO : ESTADOS_CONSENTIMIENTO.PENDIENTE;
+}
+
+/**
+ * Envía al contacto el mensaje que le pide aceptar (SI), rechazar (NO) o detener (STOP) las alertas
+ * del usuario. Retorna true si se envió; un fallo de envío no impide guardar el contacto.
+ */
+async function enviarSolicitudConsentimiento(contacto) {
+  if (estadoConsentimiento(contacto) === ESTADOS_CONSENTIMIENTO.DETENIDO) return false;
+
+  const personaDoc = await db.collection('PERSONA').doc(contacto.id_usuario).get();
+  const nombre = personaDoc.exists ? `${personaDoc.data().nombre} ${personaDoc.data().apellido}` : 'Una persona';
+
+  const mensaje = `${nombre} te agregó como contacto de emergencia en Women Security App. ` +
+    'Si aceptas recibir sus alertas, responde SI. Si no quieres recibirlas, responde NO. ' +
+    'Para no recibir más mensajes de Women Security App, responde STOP.';
+
+  try {
+    await enviarMensaje(contacto.celular, mensaje);
+  } catch (error) {
+    console.error(`No se pudo enviar la solicitud de consentimiento al contacto ${contacto.id_contacto}:`, error.message);
+    return false;
+  }
+
+  const fecha = admin.firestore.Timestamp.now();
+  await db.collection('CONTACTO').doc(contacto.id_contacto).update({
+    fecha_solicitud_consentimiento: fecha,
+  });
+  // La respuesta SI o NO del número se aplica solo al contacto de la última solicitud enviada
+  await db.collection('SOLICITUD_CONSENTIMIENTO').doc(contacto.celular).set({
+    telefono: contacto.celular,
+    id_contacto: contacto.id_contacto,
+    fecha,
+  });
+  return true;
+}
+
+/**
+ * Reenvía la solicitud de consentimiento de un contacto del usuario que aún no la ha aceptado.
+ */
+async function reenviarSolicitudConsentimiento(id_usuario, id_contacto) {
+  const contactoDoc = await db.collection('CONTACTO').doc(id_contacto).get();
+  if (!contactoDoc.exists) {
+    throw crearError(`No se encontró el contacto con id: ${id_contacto}`, 404);
+  }
+
+  const contacto = contactoDoc.data();
+  if (contacto.id_usuario !== id_usuario) {
+    throw crearError("El contacto no pertenece al usuario.", 403);
+  }
+
+  const estado = estadoConsentimiento(contacto);
+  if (estado === ESTADOS_CONSENTIMIENTO.ACEPTADO) {
+    throw crearError("El contacto ya aceptó recibir tus alertas.", 409);
+  }
+  if (estado === ESTADOS_CONSENTIMIENTO.DETENIDO) {
+    throw crearError("El contacto pidió no recibir más mensajes (STOP). Solo el contacto puede volver a activarlos respondiendo SI.", 409);
+  }
+
+  const ultimaSolicitud = contacto.fecha_solicitud_consentimiento;
+  if (ultimaSolicitud && ultimaSolicitud.toMillis() > Date.now() - ESPERA_REENVIO_MINUTOS * 60 * 1000) {
+    throw crearError(`Solo se puede reenviar la solicitud una vez cada ${ESPERA_REENVIO_MINUTOS} minutos.`, 429);
+  }
+
+  if (!await enviarSolicitudConsentimiento({ ...contacto, id_contacto })) {
+    throw crearError("No se pudo enviar la solicitud de consentimiento. Intenta nuevamente.", 502);
+  }
+
+  // Un contacto que rechazó vuelve a quedar pendiente mientras decide
+  if (estado === ESTADOS_CONSENTIMIENTO.RECHAZADO) {
+    await contactoDoc.ref.update({ estado_consentimiento: ESTADOS_CONSENTIMIENTO.PENDIENTE });
+  }
+}
+
+/**
+ * Procesa un mensaje entrante como respuesta a la solicitud de consentimiento.
+ * STOP se aplica a todos los contactos con ese número. SI y NO solo se aplican al contacto de la
+ * última solicitud enviada al número (SOLICITUD_CONSENTIMIENTO), si sigue pendiente, y la solicitud
+ * queda respondida; así la respuesta no cambia los contactos de otros usuarios con el mismo número.
+ * SI también reactiva un número detenido: el contacto de la última solicitud queda aceptado y los
+ * demás contactos detenidos del número vuelven a pendiente, para que sus usuarios puedan reenviar la
+ * solicitud. Responder SI desde el número confirma además que el celular es del contacto.
+ * Retorna null si el mensaje no es una respuesta de consentimiento.
+ */
+async function procesarRespuestaConsentimiento({ remitente, texto }) {
+  const nuevoEstado = interpretarRespuesta(texto);
+  if (!nuevoEstado) return null;
+
+  const canal = String(remitente).startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+  const telefono = normalizarTelefono(String(remitente).replace(/^whatsapp:/, ''));
+  if (!telefono) return null;
+
+  const contactosSnapshot = await db.collection('CONTACTO')
+    .where('celular', '==', telefono)
+    .get();
+
+  const ahora = admin.firestore.Timestamp.now();
+  const cambios = {
+    estado_consentimiento: nuevoEstado,
+    fecha_respuesta_consentimiento: ahora,
+    canal_respuesta_consentimiento: canal,
+  };
+  const batch = db.batch();
+
+  if (nuevoEstado === ESTADOS_CONSENTIMIENTO.DETENIDO) {
+    const afectados = contactosSnapshot.docs.filter(doc => estadoConsentimiento(doc.data()) !== ESTADOS_CONSENTIMIENTO.DETENIDO);
+    if (afectados.length === 0) return null;
+
+    afectados.forEach(doc => batch.update(doc.ref, cambios));
+    await batch.commit();
+    return { estado: nuevoEstado, telefono, contactos: afectados.length };
+  }
+
+  const solicitudRef = db.collection('SOLICITUD_CONSENTIMIENTO').doc(telefono);
+  const solicitudDoc = await solicitudRef.get();
+  if (!solicitudDoc.exists) return null;
+
+  const estadosAfectados = nuevoEstado === ESTADOS_CONSENTIMIENTO.ACEPTADO
+    ? [ESTADOS_CONSENTIMIENTO.PENDIENTE, ESTADOS_CONSENTIMIENTO.DETENIDO]
+    : [ESTADOS_CONSENTIMIENTO.PENDIENTE];
+
+  const contactoDoc = contactosSnapshot.docs.find(doc => doc.id === solicitudDoc.data().id_contacto);
+  if (!contactoDoc || !estadosAfectados.includes(estadoConsentimiento(contactoDoc.data()))) return null;
+
+  if (nuevoEstado === ESTADOS_CONSENTIMIENTO.ACEPTADO) {
+    cambios.celular_verificado = true;
+    cambios.fecha_verificacion_celular = ahora;
+
+    // El número deja de estar detenido para los contactos de los demás usuarios
+    contactosSnapshot.docs
+      .filter(doc => doc.id !== contactoDoc.id && estadoConsentimiento(doc.data()) === ESTADOS_CONSENTIMIENTO.DETENIDO)
+      .forEach(doc => batch.update(doc.ref, { estado_consentimiento: ESTADOS_CONSENTIMIENTO.PENDIENTE }));
+  }
+
+  batch.update(contactoDoc.ref, cambios);
+  batch.delete(solicitudRef);
+  await batch.commit();
+
+  return { estado: nuevoEstado, telefono, contactos: 1, id_contacto: contactoDoc.id };
+}
+
+module.exports = {
+  ESTADOS_CONSENTIMIENTO,
+  estadoConsentimiento,
+  interpretarRespuesta,
+  contactoRecibeAlerta,
+  estadoInicialConsentimiento,
+  enviarSolicitudConsentimiento,
+  reenviarSolicitudConsentimiento,
+  procesarRespuestaConsentimiento,
+};
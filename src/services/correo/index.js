@@ -0,0 +1,38 @@
+require('dotenv').config();
+const correoSendgrid = require('./sendgrid');
+const correoSmtp = require('./smtp');
+const { correoMock } = require('./mock');
+
+// Proveedor a utilizar: 'sendgrid' (por defecto), 'smtp', o 'mock' para pruebas y demostraciones sin credenciales
+// (con CORREO_MOCK_ARCHIVO los correos se guardan en un archivo local)
+const CORREO_PROVEEDOR = process.env.CORREO_PROVEEDOR || 'sendgrid';
+
+const proveedores = {
+  sendgrid: correoSendgrid,
+  smtp: correoSmtp,
+  mock: correoMock,
+};
+
+/**
+ * Devuelve el proveedor de correo configurado.
+ */
+function obtenerProveedor() {
+  const proveedor = proveedores[CORREO_PROVEEDOR];
+  if (!proveedor) {
+    throw new Error(`No existe el proveedor de correo '${CORREO_PROVEEDOR}'.`);
+  }
+  return proveedor;
+}
+
+/**
+ * Envía un correo con el proveedor configurado. Retorna el identificador del correo y el proveedor usado;
+ * si el envío falla, lanza el error del proveedor.
+ */
+async function enviarCorreo({ para, asunto, texto, html }) {
+  const proveedor = obtenerProveedor();
+  const { id } = await proveedor.enviar({ para, asunto, texto, html });
+  console.log(`Correo enviado a ${para}: ${asunto}`);
+  return { id, proveedor: proveedor.nombre };
+}
+
+module.exports = { enviarCorreo };
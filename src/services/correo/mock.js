@@ -0,0 +1,43 @@
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Correos "enviados" por el proveedor de prueba, en memoria
+const correos = [];
+
+/**
+ * Proveedor de correo de prueba. No envía nada: guarda los correos en memoria y, si se define
+ * CORREO_MOCK_ARCHIVO, los agrega como líneas JSON a ese archivo.
+ */
+const correoMock = {
+  nombre: 'mock',
+
+  async enviar({ para, asunto, texto, html }) {
+    const registro = {
+      id: `MOCK${crypto.randomBytes(12).toString('hex')}`,
+      para,
+      asunto,
+      texto,
+      html: html || null,
+      fecha: new Date().toISOString(),
+    };
+
+    correos.push(registro);
+
+    if (process.env.CORREO_MOCK_ARCHIVO) {
+      fs.appendFileSync(process.env.CORREO_MOCK_ARCHIVO, `${JSON.stringify(registro)}\n`);
+    }
+
+    console.log(`[mock] Correo a ${para}: ${asunto}`);
+    return { id: registro.id };
+  },
+};
+
+/**
+ * Limpia los correos registrados.
+ */
+function limpiar() {
+  correos.length = 0;
+}
+
+module.exports = { correoMock, correos, limpiar };
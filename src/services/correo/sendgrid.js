@@ -0,0 +1,35 @@
+require('dotenv').config();
+const axios = require('axios');
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+/**
+ * Proveedor de correo a través de la API de SendGrid. Requiere SENDGRID_API_KEY y un remitente
+ * verificado en CORREO_REMITENTE.
+ */
+const correoSendgrid = {
+  nombre: 'sendgrid',
+
+  async enviar({ para, asunto, texto, html }) {
+    if (!process.env.SENDGRID_API_KEY || !process.env.CORREO_REMITENTE) {
+      throw new Error('SENDGRID_API_KEY y CORREO_REMITENTE deben estar definidas. No es posible enviar correos.');
+    }
+
+    const contenido = [{ type: 'text/plain', value: texto }];
+    if (html) contenido.push({ type: 'text/html', value: html });
+
+    const respuesta = await axios.post(SENDGRID_URL, {
+      personalizations: [{ to: [{ email: para }] }],
+      from: { email: process.env.CORREO_REMITENTE },
+      subject: asunto,
+      content: contenido,
+    }, {
+      headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+      timeout: 10000,
+    });
+
+    return { id: respuesta.headers['x-message-id'] || null };
+  },
+};
+
+module.exports = correoSendgrid;
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+let transporte = null;
+
+/**
+ * Devuelve el transporte SMTP, creándolo la primera vez que se usa.
+ * Sin SMTP_USUARIO se conecta sin autenticación, como ocurre con un servidor de prueba local (p. ej. MailHog).
+ */
+function obtenerTransporte() {
+  if (!transporte) {
+    transporte = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PUERTO, 10) || 587,
+      secure: process.env.SMTP_SEGURO === 'true',
+      auth: process.env.SMTP_USUARIO
+        ? { user: process.env.SMTP_USUARIO, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporte;
+}
+
+/**
+ * Proveedor de correo a través de un servidor SMTP. Requiere SMTP_HOST y un remitente en CORREO_REMITENTE.
+ */
+const correoSmtp = {
+  nombre: 'smtp',
+
+  async enviar({ para, asunto, texto, html }) {
+    if (!process.env.SMTP_HOST || !process.env.CORREO_REMITENTE) {
+      throw new Error('SMTP_HOST y CORREO_REMITENTE deben estar definidas. No es posible enviar correos.');
+    }
+
+    const info = await obtenerTransporte().sendMail({
+      from: process.env.CORREO_REMITENTE,
+      to: para,
+      subject: asunto,
+      text: texto,
+      html: html || undefined,
+    });
+
+    return { id: info.messageId || null };
+  },
+};
+
+module.exports = correoSmtp;
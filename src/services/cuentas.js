@@ -0,0 +1,170 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { enviarCorreo } = require('./correo');
+
+// Página a la que Firebase redirige después de restablecer la contraseña o verificar el correo (opcional)
+const AUTH_URL_CONTINUAR = process.env.AUTH_URL_CONTINUAR;
+
+// Si es 'true', /login y /login-admin rechazan las cuentas cuyo correo no está verificado
+const LOGIN_REQUIERE_CORREO_VERIFICADO = process.env.LOGIN_REQUIERE_CORREO_VERIFICADO === 'true';
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+function configuracionAccion() {
+  return AUTH_URL_CONTINUAR ? { url: AUTH_URL_CONTINUAR } : undefined;
+}
+
+/**
+ * Obtiene la cuenta de Firebase Authentication de un correo, o null si no existe.
+ */
+async function obtenerCuentaPorCorreo(correo) {
+  try {
+    return await admin.auth().getUserByEmail(correo.trim().toLowerCase());
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+}
+
+/**
+ * Crea los documentos de PERSONA, PERFIL y el mensaje de alerta por defecto de una cuenta
+ * ya creada en Firebase Authentication, en un solo batch: si falla, no queda ninguno.
+ * `numero_telefono` debe venir normalizado (utils/telefono.js). Retorna los datos guardados de PERSONA y PERFIL.
+ */
+async function crearCuenta(uid, {
+  nombre,
+  apellido,
+  correo,
+  numero_telefono,
+  rut,
+  fecha_nacimiento,
+  direccion,
+  id_comuna,
+  id_genero,
+  id_municipalidad,
+  tipo_usuario,
+}) {
+  const persona = {
+    nombre: nombre,
+    apellido: apellido,
+    correo: correo,
+    numero_telefono: numero_telefono || null,
+    telefono_verificado: false, // Se verifica con /solicitar-codigo-telefono y /verificar-telefono
+    rut: rut || null,
+    fecha_nacimiento: fecha_nacimiento,
+    direccion: direccion,
+    id_comuna: id_comuna,
+    id_genero: id_genero,
+    id_persona: uid, // El UID de Firebase Authentication
+    id_municipalidad: id_municipalidad || null,
+  };
+
+  const perfil = {
+    correo: correo,
+    ruta_imagen_usuario: null, // Imagen privada; se entrega con URL firmada
+    tipo_usuario: tipo_usuario,
+    id_persona: uid, // Relacionar el UID con PERSONA
+    nombre_usuario: null,
+    estado: true,
+  };
+
+  const batch = db.batch();
+  batch.set(db.collection('PERSONA').doc(uid), persona);
+  batch.set(db.collection('PERFIL').doc(uid), perfil);
+
+  // Mensaje que se envía a los contactos cuando la persona activa una alerta
+  const id_mensaje = db.collection('MENSAJE').doc().id;
+  batch.set(db.collection('MENSAJE').doc(id_mensaje), {
+    id_mensaje: id_mensaje,
+    id_persona: uid,
+    mensaje: `¡Ayuda! ${nombre} ${apellido} está siendo acosada(o) y necesita asistencia inmediata.`,
+  });
+
+  await batch.commit();
+
+  return { persona, perfil };
+}
+
+/**
+ * Envía por correo un enlace de Firebase para restablecer la contraseña.
+ * Retorna false si no existe una cuenta con ese correo, sin enviar nada.
+ */
+async function enviarEnlaceRecuperacion(correo) {
+  const cuenta = await obtenerCuentaPorCorreo(correo);
+  if (!cuenta) return false;
+
+  const enlace = await admin.auth().generatePasswordResetLink(cuenta.email, configuracionAccion());
+
+  await enviarCorreo({
+    para: cuenta.email,
+    asunto: 'Restablece tu contraseña de Women Security App',
+    texto: [
+      'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+      `Para crear una nueva contraseña, ingresa al siguiente enlace: ${enlace}`,
+      'Si no solicitaste el cambio, ignora este correo; tu contraseña actual sigue siendo válida.',
+    ].join('\n\n'),
+  });
+  return true;
+}
+
+/**
+ * Envía por correo un enlace de Firebase para verificar el correo de la cuenta.
+ * Retorna false si la cuenta no existe o su correo ya está verificado, sin enviar nada.
+ */
+async function enviarEnlaceVerificacion(correo) {
+  const cuenta = await obtenerCuentaPorCorreo(correo);
+  if (!cuenta || cuenta.emailVerified) return false;
+
+  const enlace = await admin.auth().generateEmailVerificationLink(cuenta.email, configuracionAccion());
+
+  await enviarCorreo({
+    para: cuenta.email,
+    asunto: 'Verifica tu correo en Women Security App',
+    texto: [
+      'Para confirmar que este correo te pertenece, ingresa al siguiente enlace:',
+      enlace,
+      'Si no creaste una cuenta en Women Security App, ignora este correo.',
+    ].join('\n\n'),
+  });
+  return true;
+}
+
+/**
+ * Revoca los refresh tokens de la cuenta: todas las sesiones abiertas dejan de ser válidas,
+ * incluidos los ID tokens ya emitidos (el middleware de autenticación verifica la revocación).
+ */
+async function cerrarSesiones(uid) {
+  try {
+    await admin.auth().revokeRefreshTokens(uid);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      throw crearError("No existe una cuenta con ese id_persona.", 404);
+    }
+    throw error;
+  }
+  return admin.firestore.Timestamp.now();
+}
+
+/**
+ * Lanza 403 si LOGIN_REQUIERE_CORREO_VERIFICADO está activo y la cuenta no verificó su correo.
+ */
+async function exigirCorreoVerificado(uid) {
+  if (!LOGIN_REQUIERE_CORREO_VERIFICADO) return;
+
+  const cuenta = await admin.auth().getUser(uid);
+  if (!cuenta.emailVerified) {
+    throw crearError("Debes verificar tu correo antes de iniciar sesión. Solicita un nuevo enlace en /verificar-correo.", 403);
+  }
+}
+
+module.exports = {
+  crearCuenta,
+  enviarEnlaceRecuperacion,
+  enviarEnlaceVerificacion,
+  cerrarSesiones,
+  exigirCorreoVerificado,
+};
@@ -0,0 +1,153 @@
+const { admin, db } = require('../config/firebase');
+const { ESTADOS_ALERTA, cambiarEstadoAlerta, registrarAlCerrarAlerta } = require('./estado_alerta');
+const { datosCasoNuevo, validarRederivacion, cambiarDepartamentoCaso, cerrarCasoDeAlerta } = require('./casos');
+
+/**
+ * Arma el documento de una derivación en ALERTA_DERIVADA. Cada derivación guarda los tiempos con que se
+ * mide la respuesta del departamento (ver sla.js): `fecha_alerta`, `fecha_derivacion`,
+ * `fecha_primera_accion` (primera acción sobre el caso, ver casos.js) y `fecha_cierre`. Si el caso pasa
+ * a otro departamento, se registra `fecha_rederivacion`. También copia la gravedad y la comuna de la
+ * alerta, para agrupar las métricas.
+ */
+function datosDerivacion(alerta, { id_alerta, id_alerta_derivada, id_departamento, id_funcionario, automatica, motivo = null, rederivacion = false, regla = null, fecha = admin.firestore.Timestamp.now() }) {
+  const nuevaAlertaDerivada = {
+    id_alerta,
+    id_alerta_derivada,
+    id_departamento,
+    id_funcionario,
+    automatica,
+    id_gravedad: alerta.id_gravedad || null,
+    id_comuna: alerta.id_comuna || null,
+    comuna: alerta.comuna || null,
+    fecha_alerta: alerta.fecha || null,
+    fecha_derivacion: fecha,
+    fecha_primera_accion: null,
+    fecha_cierre: null,
+  };
+  if (regla) {
+    nuevaAlertaDerivada.regla = regla;
+  }
+  if (rederivacion) {
+    nuevaAlertaDerivada.rederivacion = true;
+    nuevaAlertaDerivada.motivo = motivo;
+  }
+  return nuevaAlertaDerivada;
+}
+
+/**
+ * Registra una derivación en ALERTA_DERIVADA y retorna el documento creado.
+ */
+async function registrarDerivacion({ id_alerta, ...datos }) {
+  const nuevaAlertaDerivadaRef = db.collection('ALERTA_DERIVADA').doc();
+
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  const alerta = alertaDoc.exists ? alertaDoc.data() : {};
+
+  const nuevaAlertaDerivada = datosDerivacion(alerta, { id_alerta, id_alerta_derivada: nuevaAlertaDerivadaRef.id, ...datos });
+  await nuevaAlertaDerivadaRef.set(nuevaAlertaDerivada);
+
+  return nuevaAlertaDerivada;
+}
+
+/**
+ * Deriva una alerta a un departamento: la marca como derivada, registra la derivación en ALERTA_DERIVADA
+ * y abre el caso de la alerta para el departamento (ver casos.js). Los tres documentos se guardan en una
+ * sola transacción: si algo falla, la alerta no queda derivada y la derivación se puede reintentar.
+ * `id_funcionario` es null cuando la derivación la hace el sistema (escalamiento automático o reglas de
+ * derivación). `regla` ({ id_regla, nombre }) identifica la regla de derivación que se aplicó.
+ * Lanza los mismos errores que `cambiarEstadoAlerta` si la alerta no existe o ya está cerrada.
+ */
+async function derivarAlerta({ id_alerta, id_departamento, id_funcionario = null, motivo = null, regla = null }) {
+  const automatica = !id_funcionario;
+  const casoRef = db.collection('CASO').doc(id_alerta);
+  let nuevaAlertaDerivada;
+
+  await cambiarEstadoAlerta(id_alerta, ESTADOS_ALERTA.DERIVADA, {
+    id_usuario: id_funcionario,
+    motivo,
+    enTransaccion: async (transaction, alerta, fecha) => {
+      const casoDoc = await transaction.get(casoRef);
+      const nuevaAlertaDerivadaRef = db.collection('ALERTA_DERIVADA').doc();
+
+      nuevaAlertaDerivada = datosDerivacion(alerta, {
+        id_alerta,
+        id_alerta_derivada: nuevaAlertaDerivadaRef.id,
+        id_departamento,
+        id_funcionario,
+        automatica,
+        regla,
+        fecha,
+      });
+      transaction.set(nuevaAlertaDerivadaRef, nuevaAlertaDerivada);
+
+      // Si la alerta ya tenía caso, no se modifica
+      if (!casoDoc.exists) {
+        transaction.set(casoRef, datosCasoNuevo({
+          id_alerta,
+          id_departamento,
+          id_alerta_derivada: nuevaAlertaDerivada.id_alerta_derivada,
+          id_funcionario,
+          automatica,
+          regla,
+          fecha,
+        }));
+      }
+    },
+  });
+
+  return nuevaAlertaDerivada;
+}
+
+/**
+ * Traspasa el caso de una alerta ya derivada a otro departamento. La alerta sigue en estado derivada;
+ * la nueva derivación queda en ALERTA_DERIVADA (con `rederivacion: true`) y en el historial del caso.
+ * Lanza 404 si el caso o el departamento no existen, 403 si el funcionario no puede gestionar el caso
+ * y 409 si el caso está cerrado o ya pertenece a ese departamento.
+ */
+async function rederivarAlerta({ id_caso, id_departamento, id_funcionario, motivo = null, id_funcionario_asignado = null }) {
+  const caso = await validarRederivacion({ id_caso, id_funcionario, id_departamento, id_funcionario_asignado });
+
+  const nuevaAlertaDerivada = await registrarDerivacion({
+    id_alerta: caso.id_alerta,
+    id_departamento,
+    id_funcionario,
+    automatica: false,
+    motivo,
+    rederivacion: true,
+  });
+
+  const casoActualizado = await cambiarDepartamentoCaso({
+    id_caso,
+    id_funcionario,
+    id_departamento,
+    id_alerta_derivada: nuevaAlertaDerivada.id_alerta_derivada,
+    motivo,
+    id_funcionario_asignado,
+  });
+
+  return { alerta_derivada: nuevaAlertaDerivada, caso: casoActualizado };
+}
+
+/**
+ * Al cerrarse la alerta (resuelta, cancelada o falsa alarma) se cierran también el caso y la derivación
+ * vigente, si el caso no se había cerrado antes.
+ */
+async function registrarCierreDerivacion(id_alerta, estado) {
+  const derivacionesSnapshot = await db.collection('ALERTA_DERIVADA')
+    .where('id_alerta', '==', id_alerta)
+    .get();
+
+  const fecha = admin.firestore.Timestamp.now();
+  for (const doc of derivacionesSnapshot.docs) {
+    const derivacion = doc.data();
+    if (derivacion.fecha_cierre || derivacion.fecha_rederivacion) continue;
+
+    await doc.ref.update({ fecha_cierre: fecha, origen_cierre: `alerta_${estado}` });
+  }
+
+  await cerrarCasoDeAlerta(id_alerta, estado);
+}
+
+registrarAlCerrarAlerta(registrarCierreDerivacion);
+
+module.exports = { derivarAlerta, rederivarAlerta };
@@ -0,0 +1,139 @@
+require('dotenv').config();
+const { db } = require('../config/firebase');
+const { normalizarTexto, similitud } = require('../utils/texto');
+const { ESTADOS_ALERTA, estadoDeAlerta } = require('./estado_alerta');
+const { crearAlerta, obtenerUltimaUbicacion, ORIGENES_ALERTA } = require('./alertas');
+
+// Confianza mínima para considerar que una palabra clave fue dicha
+const UMBRAL_CONFIANZA = parseFloat(process.env.CLAVE_UMBRAL_CONFIANZA) || 0.8;
+
+// Minutos durante los que una nueva detección reutiliza la alerta activa generada por una clave
+const MINUTOS_ENTRE_ALERTAS = parseInt(process.env.CLAVE_MINUTOS_ENTRE_ALERTAS, 10) || 5;
+
+// Las palabras cortas solo se aceptan exactas: con un error de transcripción coinciden con demasiadas palabras
+const LARGO_MINIMO_APROXIMADO = 5;
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Calcula qué tan probable es que la clave aparezca en la transcripción (entre 0 y 1).
+ * Una coincidencia exacta de la frase vale 1; si no, se compara la clave con cada grupo de
+ * palabras consecutivas de la transcripción (del mismo largo, una más o una menos).
+ */
+function confianzaClave(palabrasTranscripcion, clave) {
+  const transcripcion = palabrasTranscripcion.join(' ');
+  if (` ${transcripcion} `.includes(` ${clave} `)) return 1;
+  if (clave.replace(/ /g, '').length < LARGO_MINIMO_APROXIMADO) return 0;
+
+  const largoClave = clave.split(' ').length;
+  let mejor = 0;
+
+  for (let largo = Math.max(1, largoClave - 1); largo <= largoClave + 1; largo++) {
+    for (let inicio = 0; inicio + largo <= palabrasTranscripcion.length; inicio++) {
+      const ventana = palabrasTranscripcion.slice(inicio, inicio + largo).join(' ');
+      // También se comparan sin espacios, porque el reconocimiento de voz suele unir o separar palabras
+      mejor = Math.max(
+        mejor,
+        similitud(ventana, clave),
+        similitud(ventana.replace(/ /g, ''), clave.replace(/ /g, ''))
+      );
+    }
+  }
+
+  return mejor;
+}
+
+/**
+ * Busca en la transcripción la clave del usuario con mayor confianza.
+ * Retorna la clave y su confianza, o null si el usuario no tiene claves.
+ */
+async function buscarClave(id_usuario, transcripcion) {
+  const clavesSnapshot = await db.collection('CLAVE').where('id_usuario', '==', id_usuario).get();
+  const palabrasTranscripcion = normalizarTexto(transcripcion).split(' ').filter(Boolean);
+
+  let mejor = null;
+
+  for (const doc of clavesSnapshot.docs) {
+    const clave = doc.data();
+    const palabraNormalizada = normalizarTexto(clave.palabra);
+    if (!palabraNormalizada) continue;
+
+    const confianza = confianzaClave(palabrasTranscripcion, palabraNormalizada);
+
+    // Ante un empate se prefiere la clave más larga, que es más específica
+    if (!mejor || confianza > mejor.confianza ||
+        (confianza === mejor.confianza && palabraNormalizada.length > normalizarTexto(mejor.clave.palabra).length)) {
+      mejor = { clave, confianza };
+    }
+  }
+
+  return mejor;
+}
+
+/**
+ * Busca una alerta activa generada por una clave en los últimos MINUTOS_ENTRE_ALERTAS,
+ * para no generar una alerta por cada fragmento de transcripción que repita la clave.
+ */
+async function buscarAlertaReciente(id_usuario) {
+  const alertasSnapshot = await db.collection('ALERTA').where('id_usuario', '==', id_usuario).get();
+  const limite = Date.now() - MINUTOS_ENTRE_ALERTAS * 60 * 1000;
+
+  const alertaDoc = alertasSnapshot.docs.find(doc => {
+    const alerta = doc.data();
+    return alerta.origen === ORIGENES_ALERTA.CLAVE &&
+      estadoDeAlerta(alerta) === ESTADOS_ALERTA.ACTIVA &&
+      alerta.fecha.toMillis() >= limite;
+  });
+
+  return alertaDoc ? alertaDoc.data() : null;
+}
+
+/**
+ * Detecta si la transcripción contiene alguna clave del usuario y, si es así, genera una alerta
+ * con el mensaje y la gravedad asociados a la clave. Si no se indican coordenadas, se usa la
+ * última ubicación del usuario en UBICACION_ACTUAL.
+ */
+async function detectarClave({ id_usuario, transcripcion, latitud, longitud }) {
+  const resultado = await buscarClave(id_usuario, transcripcion);
+  const confianza = resultado ? Math.round(resultado.confianza * 100) / 100 : 0;
+
+  if (!resultado || resultado.confianza < UMBRAL_CONFIANZA) {
+    return { detectada: false, palabra: resultado ? resultado.clave.palabra : null, confianza };
+  }
+
+  const { clave } = resultado;
+  const respuesta = { detectada: true, id_clave: clave.id_clave, palabra: clave.palabra, confianza };
+
+  const alertaReciente = await buscarAlertaReciente(id_usuario);
+  if (alertaReciente) {
+    return { ...respuesta, id_alerta: alertaReciente.id_alerta, alerta_existente: true };
+  }
+
+  const ubicacion = latitud !== undefined && longitud !== undefined
+    ? { latitud, longitud }
+    : await obtenerUltimaUbicacion(id_usuario);
+
+  if (!ubicacion) {
+    throw crearError("No se indicó la ubicación y el usuario no tiene una ubicación actual registrada.", 400);
+  }
+
+  const mensajeDoc = await db.collection('MENSAJE').doc(clave.id_mensaje).get();
+  const mensaje = mensajeDoc.exists ? mensajeDoc.data().mensaje : `Alerta activada con la palabra clave "${clave.palabra}"`;
+
+  const { id_alerta, url_seguimiento } = await crearAlerta({
+    id_usuario,
+    latitud: ubicacion.latitud,
+    longitud: ubicacion.longitud,
+    id_gravedad: clave.id_gravedad,
+    mensaje,
+    origen: ORIGENES_ALERTA.CLAVE,
+  });
+
+  return { ...respuesta, id_alerta, url_seguimiento, alerta_existente: false };
+}
+
+module.exports = { detectarClave };
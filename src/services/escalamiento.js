@@ -0,0 +1,205 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { obtenerContactosUsuario, obtenerMiembrosGrupoSeleccionado, depurarDestinatarios } = require('./notificaciones');
+const { encolarNotificaciones, obtenerDestinatariosNotificados } = require('./outbox');
+const { ESTADOS_ALERTA, ESTADOS_FINALES, estadoDeAlerta } = require('./estado_alerta');
+const { derivarAlerta } = require('./derivacion');
+const { registrarManejador, programarTarea } = require('./programador');
+const { llamarDestinatarios } = require('./llamadas');
+
+// Tiempos por defecto, usados cuando la gravedad de la alerta no define los suyos
+const MINUTOS_GRUPO_POR_DEFECTO = parseInt(process.env.ESCALAMIENTO_MINUTOS_GRUPO, 10) || 10;
+const MINUTOS_DERIVACION_POR_DEFECTO = parseInt(process.env.ESCALAMIENTO_MINUTOS_DERIVACION, 10) || 15;
+const ID_DEPARTAMENTO_POR_DEFECTO = process.env.ESCALAMIENTO_ID_DEPARTAMENTO || null;
+const CONTACTOS_LLAMADA_POR_DEFECTO = parseInt(process.env.ESCALAMIENTO_CONTACTOS_LLAMADA, 10) || 2;
+
+// Niveles de la cadena de escalamiento, en el orden en que se recorren
+const NIVELES_ESCALAMIENTO = {
+  CONTACTOS: 'contactos',
+  LLAMADAS: 'llamadas',
+  GRUPO: 'grupo',
+  DERIVACION: 'derivacion',
+};
+
+const TAREA_ESCALAR_CONTACTOS = 'escalamiento_contactos';
+const TAREA_ESCALAR_GRUPO = 'escalamiento_grupo';
+const TAREA_ESCALAR_DERIVACION = 'escalamiento_derivacion';
+
+/**
+ * Obtiene los tiempos de escalamiento y el departamento de destino según la gravedad.
+ * Los campos de GRAVEDAD que no estén definidos toman los valores por defecto.
+ */
+async function obtenerPoliticaEscalamiento(id_gravedad) {
+  const gravedadDoc = id_gravedad ? await db.collection('GRAVEDAD').doc(id_gravedad).get() : null;
+  const gravedad = gravedadDoc && gravedadDoc.exists ? gravedadDoc.data() : {};
+
+  return {
+    minutos_grupo: gravedad.minutos_escalamiento_grupo ?? MINUTOS_GRUPO_POR_DEFECTO,
+    minutos_derivacion: gravedad.minutos_escalamiento_derivacion ?? MINUTOS_DERIVACION_POR_DEFECTO,
+    id_departamento: gravedad.id_departamento_escalamiento || ID_DEPARTAMENTO_POR_DEFECTO,
+    llamada_voz: gravedad.llamada_voz === true,
+    contactos_llamada: gravedad.contactos_llamada_voz ?? CONTACTOS_LLAMADA_POR_DEFECTO,
+  };
+}
+
+/**
+ * Indica si alguien ya se hizo cargo de la alerta: un contacto confirmó o la alerta dejó de estar activa.
+ */
+function alertaAtendida(alertaData) {
+  return estadoDeAlerta(alertaData) !== ESTADOS_ALERTA.ACTIVA || (alertaData.confirmaciones || []).length > 0;
+}
+
+/**
+ * Registra en la alerta el nivel de escalamiento alcanzado.
+ */
+async function registrarNivel(id_alerta, nivel, detalle = {}) {
+  await db.collection('ALERTA').doc(id_alerta).update({
+    nivel_escalamiento: nivel,
+    historial_escalamiento: admin.firestore.FieldValue.arrayUnion({
+      nivel,
+      ...detalle,
+      fecha: admin.firestore.Timestamp.now(),
+    }),
+  });
+}
+
+function minutosDesdeAhora(minutos) {
+  return Date.now() + minutos * 60 * 1000;
+}
+
+/**
+ * Inicia la cadena de escalamiento de una alerta recién creada. El aviso a los contactos se programa
+ * como una tarea que se ejecuta de inmediato (ver programador.js): así la alerta se responde apenas
+ * queda guardada y un error al enviar o llamar se reintenta en segundo plano, sin que el usuario vuelva
+ * a crear la alerta.
+ * Con `batch`, la tarea se guarda junto con la alerta (ver programarTarea).
+ */
+async function iniciarEscalamiento(alerta, { batch = null } = {}) {
+  return programarTarea(TAREA_ESCALAR_CONTACTOS, { id_alerta: alerta.id_alerta }, Date.now(), { batch });
+}
+
+/**
+ * Primer nivel: notifica a los contactos del usuario y programa el aviso al grupo para cuando venza el
+ * plazo sin confirmaciones. Si la gravedad tiene `llamada_voz`, además llama a los contactos de mayor
+ * prioridad para que confirmen marcando 1; un error en las llamadas no detiene el escalamiento.
+ * Si la tarea se reintenta después de notificar, no se vuelve a notificar ni a llamar a los contactos.
+ */
+async function escalarAContactos({ id_alerta }) {
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (!alertaDoc.exists) return;
+
+  const alerta = alertaDoc.data();
+  if (ESTADOS_FINALES.includes(estadoDeAlerta(alerta))) {
+    console.log(`Alerta ${id_alerta} cerrada antes de avisar a los contactos: no se escala.`);
+    return;
+  }
+
+  const politica = await obtenerPoliticaEscalamiento(alerta.id_gravedad);
+  const nivelContactos = (alerta.historial_escalamiento || []).find(nivel => nivel.nivel === NIVELES_ESCALAMIENTO.CONTACTOS);
+  let cantidadContactos = nivelContactos ? nivelContactos.destinatarios : 0;
+
+  if (!nivelContactos) {
+    const contactos = depurarDestinatarios(await obtenerContactosUsuario(alerta.id_usuario, { id_gravedad: alerta.id_gravedad }));
+    const contactosLlamada = politica.llamada_voz ? contactos.slice(0, politica.contactos_llamada) : [];
+    cantidadContactos = contactos.length;
+
+    // A quienes reciben la llamada interactiva no se les hace además la llamada del canal 'llamada': se les envía el SMS
+    const destinatarios = contactos.map(contacto => (
+      contactosLlamada.includes(contacto) && contacto.canales && contacto.canales[0] === 'llamada'
+        ? { ...contacto, canales: contacto.canales.filter(canal => canal !== 'llamada') }
+        : contacto
+    ));
+
+    await encolarNotificaciones({ id_alerta, destinatarios, mensaje: alerta.mensaje, tipo: 'alerta' });
+    await registrarNivel(id_alerta, NIVELES_ESCALAMIENTO.CONTACTOS, { destinatarios: contactos.length });
+
+    if (contactosLlamada.length > 0) {
+      try {
+        const llamadas = await llamarDestinatarios({ ...alerta, id_alerta }, contactosLlamada);
+        await registrarNivel(id_alerta, NIVELES_ESCALAMIENTO.LLAMADAS, { destinatarios: contactosLlamada.length, llamadas });
+      } catch (error) {
+        console.error(`Error al llamar a los contactos de la alerta ${id_alerta}:`, error);
+      }
+    }
+  }
+
+  // Si el usuario no tiene contactos no hay confirmaciones que esperar: se pasa de inmediato al grupo
+  const minutos = cantidadContactos > 0 ? politica.minutos_grupo : 0;
+  await programarTarea(TAREA_ESCALAR_GRUPO, { id_alerta }, minutosDesdeAhora(minutos));
+}
+
+/**
+ * Segundo nivel: si nadie confirmó, notifica al grupo seleccionado y programa la derivación automática.
+ */
+async function escalarAGrupo({ id_alerta }) {
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (!alertaDoc.exists) return;
+
+  const alerta = alertaDoc.data();
+  if (alertaAtendida(alerta)) {
+    console.log(`Alerta ${id_alerta} atendida: no se escala al grupo.`);
+    return;
+  }
+
+  const politica = await obtenerPoliticaEscalamiento(alerta.id_gravedad);
+
+  // No volver a notificar a quienes ya recibieron la alerta como contactos
+  const notificados = new Set((await obtenerDestinatariosNotificados(id_alerta)).map(destinatario => destinatario.telefono));
+  const miembros = depurarDestinatarios(await obtenerMiembrosGrupoSeleccionado(alerta.id_usuario))
+    .filter(miembro => !notificados.has(miembro.telefono));
+
+  if (miembros.length > 0) {
+    await encolarNotificaciones({ id_alerta, destinatarios: miembros, mensaje: alerta.mensaje, tipo: 'alerta' });
+    await registrarNivel(id_alerta, NIVELES_ESCALAMIENTO.GRUPO, { destinatarios: miembros.length });
+    console.log(`Alerta ${id_alerta} escalada al grupo (${miembros.length} miembros).`);
+  }
+
+  // Sin miembros a quienes avisar, la derivación se programa de inmediato
+  const minutos = miembros.length > 0 ? politica.minutos_derivacion : 0;
+  await programarTarea(TAREA_ESCALAR_DERIVACION, { id_alerta }, minutosDesdeAhora(minutos));
+}
+
+/**
+ * Último nivel: si nadie confirmó, deriva la alerta al departamento configurado para su gravedad.
+ */
+async function escalarADerivacion({ id_alerta }) {
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (!alertaDoc.exists) return;
+
+  const alerta = alertaDoc.data();
+  if (alertaAtendida(alerta)) {
+    console.log(`Alerta ${id_alerta} atendida: no se deriva automáticamente.`);
+    return;
+  }
+
+  const politica = await obtenerPoliticaEscalamiento(alerta.id_gravedad);
+  if (!politica.id_departamento) {
+    console.warn(`Alerta ${id_alerta} sin confirmar, pero su gravedad no tiene un departamento de escalamiento configurado.`);
+    return;
+  }
+
+  try {
+    await derivarAlerta({
+      id_alerta,
+      id_departamento: politica.id_departamento,
+      motivo: 'Derivación automática: ningún contacto confirmó la alerta.',
+    });
+  } catch (error) {
+    // La alerta cambió de estado mientras se procesaba la tarea
+    if (error.status === 409) return;
+    throw error;
+  }
+
+  await registrarNivel(id_alerta, NIVELES_ESCALAMIENTO.DERIVACION, { id_departamento: politica.id_departamento });
+  console.log(`Alerta ${id_alerta} derivada automáticamente al departamento ${politica.id_departamento}.`);
+}
+
+registrarManejador(TAREA_ESCALAR_CONTACTOS, escalarAContactos);
+registrarManejador(TAREA_ESCALAR_GRUPO, escalarAGrupo);
+registrarManejador(TAREA_ESCALAR_DERIVACION, escalarADerivacion);
+
+module.exports = {
+  NIVELES_ESCALAMIENTO,
+  obtenerPoliticaEscalamiento,
+  iniciarEscalamiento,
+};
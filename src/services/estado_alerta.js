@@ -0,0 +1,123 @@
+const { admin, db } = require('../config/firebase');
+
+// Estados posibles de una alerta a lo largo de su ciclo de vida
+const ESTADOS_ALERTA = {
+  ACTIVA: 'activa',
+  RECONOCIDA: 'reconocida',
+  DERIVADA: 'derivada',
+  RESUELTA: 'resuelta',
+  CANCELADA: 'cancelada',
+  FALSA_ALARMA: 'falsa_alarma',
+};
+
+// Transiciones permitidas desde cada estado
+const TRANSICIONES = {
+  activa: ['reconocida', 'derivada', 'resuelta', 'cancelada', 'falsa_alarma'],
+  reconocida: ['derivada', 'resuelta', 'cancelada', 'falsa_alarma'],
+  derivada: ['resuelta', 'cancelada', 'falsa_alarma'],
+  resuelta: [],
+  cancelada: [],
+  falsa_alarma: [],
+};
+
+// Estados en los que la alerta se considera cerrada
+const ESTADOS_FINALES = ['resuelta', 'cancelada', 'falsa_alarma'];
+
+// Funciones que se ejecutan cuando una alerta pasa a un estado final
+const alCerrarAlerta = [];
+
+/**
+ * Registra una función que se ejecuta cada vez que una alerta se cierra. Recibe el id de la alerta
+ * y el nuevo estado. Los errores de estas funciones se registran en el log sin afectar el cambio de estado.
+ */
+function registrarAlCerrarAlerta(fn) {
+  alCerrarAlerta.push(fn);
+}
+
+/**
+ * Devuelve el estado de una alerta. Las alertas creadas antes del ciclo de vida no tienen
+ * el campo `estado` y se consideran activas.
+ */
+function estadoDeAlerta(alertaData) {
+  return (alertaData && alertaData.estado) || ESTADOS_ALERTA.ACTIVA;
+}
+
+/**
+ * Indica si el valor recibido corresponde a un estado de alerta válido.
+ */
+function esEstadoValido(estado) {
+  return Object.values(ESTADOS_ALERTA).includes(estado);
+}
+
+/**
+ * Cambia el estado de una alerta validando la transición y registrando quién y cuándo lo hizo.
+ * Lanza un error con `status` 404 si la alerta no existe y 409 si la transición no está permitida.
+ * `enTransaccion(transaction, alertaData, fecha)` permite guardar otros documentos en la misma
+ * transacción que el cambio de estado (por ejemplo, la derivación y el caso); se llama después de
+ * validar la transición y antes de escribir la alerta, así que puede leer documentos con `transaction.get`.
+ */
+async function cambiarEstadoAlerta(id_alerta, nuevoEstado, { id_usuario = null, motivo = null, enTransaccion = null } = {}) {
+  const alertaRef = db.collection('ALERTA').doc(id_alerta);
+
+  const resultado = await db.runTransaction(async (transaction) => {
+    const alertaDoc = await transaction.get(alertaRef);
+
+    if (!alertaDoc.exists) {
+      const error = new Error(`No se encontró la alerta con el id: ${id_alerta}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const alertaData = alertaDoc.data();
+    const estadoActual = estadoDeAlerta(alertaData);
+
+    if (!TRANSICIONES[estadoActual].includes(nuevoEstado)) {
+      const error = new Error(`No se puede cambiar la alerta de '${estadoActual}' a '${nuevoEstado}'.`);
+      error.status = 409;
+      throw error;
+    }
+
+    const fecha = admin.firestore.Timestamp.now();
+    const cambio = {
+      estado_anterior: estadoActual,
+      estado: nuevoEstado,
+      id_usuario,
+      motivo,
+      fecha,
+    };
+
+    if (enTransaccion) {
+      await enTransaccion(transaction, alertaData, fecha);
+    }
+
+    transaction.update(alertaRef, {
+      estado: nuevoEstado,
+      fecha_estado: fecha,
+      historial_estados: admin.firestore.FieldValue.arrayUnion(cambio),
+    });
+
+    return { ...alertaData, estado: nuevoEstado, fecha_estado: fecha, cambio };
+  });
+
+  if (ESTADOS_FINALES.includes(nuevoEstado)) {
+    for (const fn of alCerrarAlerta) {
+      try {
+        await fn(id_alerta, nuevoEstado);
+      } catch (error) {
+        console.error(`Error al procesar el cierre de la alerta ${id_alerta}:`, error);
+      }
+    }
+  }
+
+  return resultado;
+}
+
+module.exports = {
+  ESTADOS_ALERTA,
+  ESTADOS_FINALES,
+  TRANSICIONES,
+  estadoDeAlerta,
+  esEstadoValido,
+  cambiarEstadoAlerta,
+  registrarAlCerrarAlerta,
+};
@@ -0,0 +1,250 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { subirArchivoPrivado, generarUrlFirmada } = require('./almacenamiento');
+
+const TIPOS_EVIDENCIA = {
+  FOTO: 'foto',
+  AUDIO: 'audio',
+};
+
+// Tamaño máximo de cada archivo según su tipo, en MB
+const MAX_MB = {
+  [TIPOS_EVIDENCIA.FOTO]: parseInt(process.env.EVIDENCIA_FOTO_MAX_MB, 10) || 10,
+  [TIPOS_EVIDENCIA.AUDIO]: parseInt(process.env.EVIDENCIA_AUDIO_MAX_MB, 10) || 15,
+};
+
+// Límite que se aplica al recibir el archivo, antes de conocer su tipo
+const TAMANO_MAXIMO_BYTES = Math.max(...Object.values(MAX_MB)) * 1024 * 1024;
+
+// Cantidad máxima de archivos por alerta
+const MAX_EVIDENCIAS_POR_ALERTA = parseInt(process.env.EVIDENCIA_MAX_POR_ALERTA, 10) || 20;
+
+// Formatos aceptados. El formato se reconoce por la firma del contenido, no por el nombre ni el tipo declarado
+const FORMATOS = [
+  { tipo: TIPOS_EVIDENCIA.FOTO, contentType: 'image/jpeg', extension: '.jpg', esFormato: b => inicia(b, [0xff, 0xd8, 0xff]) },
+  { tipo: TIPOS_EVIDENCIA.FOTO, contentType: 'image/png', extension: '.png', esFormato: b => inicia(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { tipo: TIPOS_EVIDENCIA.FOTO, contentType: 'image/webp', extension: '.webp', esFormato: b => texto(b, 0, 4) === 'RIFF' && texto(b, 8, 12) === 'WEBP' },
+  { tipo: TIPOS_EVIDENCIA.FOTO, contentType: 'image/heic', extension: '.heic', esFormato: b => marcaFtyp(b, ['heic', 'heix', 'heif', 'mif1', 'msf1']) },
+  { tipo: TIPOS_EVIDENCIA.AUDIO, contentType: 'audio/mp4', extension: '.m4a', esFormato: b => marcaFtyp(b, ['M4A ', 'mp42', 'isom', '3gp4', '3gp5', '3gp6']) },
+  { tipo: TIPOS_EVIDENCIA.AUDIO, contentType: 'audio/mpeg', extension: '.mp3', esFormato: b => texto(b, 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+  { tipo: TIPOS_EVIDENCIA.AUDIO, contentType: 'audio/aac', extension: '.aac', esFormato: b => b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  { tipo: TIPOS_EVIDENCIA.AUDIO, contentType: 'audio/ogg', extension: '.ogg', esFormato: b => texto(b, 0, 4) === 'OggS' },
+  { tipo: TIPOS_EVIDENCIA.AUDIO, contentType: 'audio/webm', extension: '.webm', esFormato: b => inicia(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { tipo: TIPOS_EVIDENCIA.AUDIO, contentType: 'audio/wav', extension: '.wav', esFormato: b => texto(b, 0, 4) === 'RIFF' && texto(b, 8, 12) === 'WAVE' },
+];
+
+const MENSAJE_FORMATO_INVALIDO =
+  'Formato de archivo no permitido. Se aceptan fotos JPEG, PNG, WebP o HEIC y audios M4A, MP3, AAC, OGG, WebM o WAV.';
+
+function inicia(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+}
+
+function texto(buffer, desde, hasta) {
+  return buffer.length >= hasta ? buffer.toString('latin1', desde, hasta) : '';
+}
+
+function marcaFtyp(buffer, marcas) {
+  return texto(buffer, 4, 8) === 'ftyp' && marcas.includes(texto(buffer, 8, 12));
+}
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reconoce el formato de un archivo por sus primeros bytes. Retorna null si no es un formato aceptado.
+ */
+function detectarFormato(buffer) {
+  return FORMATOS.find(formato => formato.esFormato(buffer)) || null;
+}
+
+/**
+ * Datos de la evidencia que se entregan en las respuestas. La ruta en el bucket no se expone.
+ */
+function serializarEvidencia(evidencia) {
+  const { ruta_almacenamiento, ...datos } = evidencia;
+  return { ...datos, accesos: datos.accesos || [] };
+}
+
+/**
+ * Obtiene una alerta del usuario. Lanza 404 si no existe y 403 si pertenece a otro usuario.
+ */
+async function obtenerAlertaPropia(id_usuario, id_alerta) {
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (!alertaDoc.exists) {
+    throw crearError(`No se encontró la alerta con el id: ${id_alerta}`, 404);
+  }
+  if (alertaDoc.data().id_usuario !== id_usuario) {
+    throw crearError("La alerta no pertenece al usuario.", 403);
+  }
+  return alertaDoc.data();
+}
+
+/**
+ * Obtiene una alerta que fue derivada a un departamento. Lanza 404 si no existe y 403 si nunca se derivó.
+ */
+async function obtenerAlertaDerivada(id_alerta) {
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (!alertaDoc.exists) {
+    throw crearError(`No se encontró la alerta con el id: ${id_alerta}`, 404);
+  }
+
+  const derivacionSnapshot = await db.collection('ALERTA_DERIVADA')
+    .where('id_alerta', '==', id_alerta)
+    .limit(1)
+    .get();
+
+  if (derivacionSnapshot.empty) {
+    throw crearError("La alerta no ha sido derivada; su evidencia solo está disponible para el usuario.", 403);
+  }
+  return alertaDoc.data();
+}
+
+/**
+ * Guarda un archivo de evidencia de la alerta en el bucket, de forma privada, y lo registra en EVIDENCIA
+ * con su hash SHA-256 calculado al recibirlo. Solo el usuario dueño de la alerta puede subir evidencia.
+ */
+async function subirEvidencia({ id_usuario, id_alerta, archivo, descripcion = null }) {
+  await obtenerAlertaPropia(id_usuario, id_alerta);
+
+  const formato = detectarFormato(archivo.buffer);
+  if (!formato) {
+    throw crearError(MENSAJE_FORMATO_INVALIDO, 400);
+  }
+
+  if (archivo.size > MAX_MB[formato.tipo] * 1024 * 1024) {
+    throw crearError(`El archivo supera el tamaño máximo de ${MAX_MB[formato.tipo]} MB para el tipo '${formato.tipo}'.`, 413);
+  }
+
+  const evidenciasSnapshot = await db.collection('EVIDENCIA')
+    .where('id_alerta', '==', id_alerta)
+    .get();
+
+  if (evidenciasSnapshot.size >= MAX_EVIDENCIAS_POR_ALERTA) {
+    throw crearError(`La alerta ya tiene el máximo de ${MAX_EVIDENCIAS_POR_ALERTA} archivos de evidencia.`, 409);
+  }
+
+  const evidenciaRef = db.collection('EVIDENCIA').doc();
+  const id_evidencia = evidenciaRef.id;
+  const ruta = `evidencias/${id_alerta}/${id_evidencia}${formato.extension}`;
+
+  const { sha256 } = await subirArchivoPrivado({
+    ruta,
+    buffer: archivo.buffer,
+    contentType: formato.contentType,
+    metadatos: { id_alerta, id_evidencia, id_usuario },
+  });
+
+  const evidencia = {
+    id_evidencia,
+    id_alerta,
+    id_usuario,
+    tipo: formato.tipo,
+    content_type: formato.contentType,
+    nombre_original: archivo.originalname || null,
+    tamano_bytes: archivo.size,
+    sha256,
+    descripcion: descripcion || null,
+    ruta_almacenamiento: ruta,
+    fecha_subida: admin.firestore.Timestamp.now(),
+    accesos: [],
+  };
+
+  await evidenciaRef.set(evidencia);
+  return serializarEvidencia(evidencia);
+}
+
+/**
+ * Lista la evidencia de una alerta, de la más antigua a la más reciente.
+ */
+async function listarEvidencias(id_alerta) {
+  const evidenciasSnapshot = await db.collection('EVIDENCIA')
+    .where('id_alerta', '==', id_alerta)
+    .get();
+
+  return evidenciasSnapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.fecha_subida.toMillis() - b.fecha_subida.toMillis())
+    .map(serializarEvidencia);
+}
+
+/**
+ * Lista la evidencia de una alerta propia.
+ */
+async function listarEvidenciasPropias(id_usuario, id_alerta) {
+  await obtenerAlertaPropia(id_usuario, id_alerta);
+  return listarEvidencias(id_alerta);
+}
+
+/**
+ * Lista la evidencia de una alerta derivada, para los funcionarios.
+ */
+async function listarEvidenciasDerivada(id_alerta) {
+  await obtenerAlertaDerivada(id_alerta);
+  return listarEvidencias(id_alerta);
+}
+
+async function obtenerEvidencia(id_evidencia) {
+  const evidenciaDoc = await db.collection('EVIDENCIA').doc(id_evidencia).get();
+  if (!evidenciaDoc.exists) {
+    throw crearError(`No se encontró la evidencia con el id: ${id_evidencia}`, 404);
+  }
+  return evidenciaDoc.data();
+}
+
+/**
+ * Genera una URL firmada para descargar la evidencia y registra el acceso en ella (cadena de custodia).
+ */
+async function generarDescarga(evidencia, { id_usuario, rol }) {
+  const extension = evidencia.ruta_almacenamiento.slice(evidencia.ruta_almacenamiento.lastIndexOf('.'));
+  const { url, expira } = await generarUrlFirmada(evidencia.ruta_almacenamiento, {
+    nombreDescarga: `${evidencia.id_alerta}_${evidencia.id_evidencia}${extension}`,
+  });
+
+  await db.collection('EVIDENCIA').doc(evidencia.id_evidencia).update({
+    accesos: admin.firestore.FieldValue.arrayUnion({
+      id_usuario,
+      rol: rol || null,
+      accion: 'descarga',
+      fecha: admin.firestore.Timestamp.now(),
+    }),
+  });
+
+  return { id_evidencia: evidencia.id_evidencia, sha256: evidencia.sha256, content_type: evidencia.content_type, url, expira };
+}
+
+/**
+ * Descarga de una evidencia por el dueño de la alerta. Lanza 403 si la evidencia es de otro usuario.
+ */
+async function descargarEvidenciaPropia({ id_evidencia, id_usuario, rol }) {
+  const evidencia = await obtenerEvidencia(id_evidencia);
+  if (evidencia.id_usuario !== id_usuario) {
+    throw crearError("La evidencia no pertenece al usuario.", 403);
+  }
+  return generarDescarga(evidencia, { id_usuario, rol });
+}
+
+/**
+ * Descarga de una evidencia por un funcionario. Lanza 403 si la alerta de la evidencia no fue derivada.
+ */
+async function descargarEvidenciaDerivada({ id_evidencia, id_usuario, rol }) {
+  const evidencia = await obtenerEvidencia(id_evidencia);
+  await obtenerAlertaDerivada(evidencia.id_alerta);
+  return generarDescarga(evidencia, { id_usuario, rol });
+}
+
+module.exports = {
+  TIPOS_EVIDENCIA,
+  MAX_MB,
+  TAMANO_MAXIMO_BYTES,
+  MAX_EVIDENCIAS_POR_ALERTA,
+  detectarFormato,
+  subirEvidencia,
+  listarEvidenciasPropias,
+  listarEvidenciasDerivada,
+  descargarEvidenciaPropia,
+  descargarEvidenciaDerivada,
+};
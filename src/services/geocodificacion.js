@@ -0,0 +1,210 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { db } = require('../config/firebase');
+const { normalizarTexto } = require('../utils/texto');
+
+// Límites comunales en GeoJSON (FeatureCollection de Polygon/MultiPolygon con coordenadas [longitud, latitud]).
+// El archivo se genera con `npm run importar:comunas` (ver scripts/importar_limites_comunales.js)
+// a partir de la capa "División político-administrativa" de IDE Chile o de la BCN, exportada a GeoJSON.
+// Cada feature debe traer en `properties` el `id_comuna` de la colección COMUNA o el nombre de la comuna.
+const RUTA_COMUNAS = process.env.COMUNAS_GEOJSON || path.join(__dirname, '../data/comunas.geojson');
+
+// Propiedades en las que se busca el nombre de la comuna dentro de cada feature
+const PROPIEDADES_NOMBRE = ['nombre', 'NOM_COMUNA', 'Comuna', 'comuna', 'name'];
+
+// La geocodificación de Google es opcional: solo se usa para la dirección si hay una clave configurada
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+
+// Tiempo durante el que se reutiliza la lista de COMUNA antes de volver a leerla
+const CACHE_COMUNAS_MS = 10 * 60 * 1000;
+
+let limites = null;
+let comunasCache = null;
+let comunasCacheHasta = 0;
+
+/**
+ * Calcula el rectángulo que contiene un polígono, para descartar rápidamente los puntos que están fuera.
+ */
+function calcularCaja(poligonos) {
+  const caja = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const poligono of poligonos) {
+    for (const [lon, lat] of poligono[0]) {
+      caja[0] = Math.min(caja[0], lon);
+      caja[1] = Math.min(caja[1], lat);
+      caja[2] = Math.max(caja[2], lon);
+      caja[3] = Math.max(caja[3], lat);
+    }
+  }
+  return caja;
+}
+
+/**
+ * Carga los límites comunales desde el archivo GeoJSON una sola vez.
+ * Si el archivo no existe o no se puede leer, la resolución por polígonos queda desactivada y las
+ * alertas usan la comuna informada por Google, si está disponible.
+ */
+function cargarLimites() {
+  if (limites) return limites;
+
+  if (!fs.existsSync(RUTA_COMUNAS)) {
+    console.warn(
+      `No se encontró el archivo de límites comunales (${RUTA_COMUNAS}). Las alertas usarán la comuna informada ` +
+      "por Google, si está disponible. Genéralo con 'npm run importar:comunas -- <archivo.geojson>'."
+    );
+    limites = [];
+    return limites;
+  }
+
+  try {
+    const geojson = JSON.parse(fs.readFileSync(RUTA_COMUNAS, 'utf8'));
+
+    limites = geojson.features
+      .filter(feature => feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+      .map(feature => {
+        const poligonos = feature.geometry.type === 'Polygon'
+          ? [feature.geometry.coordinates]
+          : feature.geometry.coordinates;
+        const propiedades = feature.properties || {};
+        const nombre = PROPIEDADES_NOMBRE.map(propiedad => propiedades[propiedad]).find(Boolean) || null;
+
+        return { id_comuna: propiedades.id_comuna || null, nombre, poligonos, caja: calcularCaja(poligonos) };
+      });
+  } catch (error) {
+    console.warn(`No se pudo leer el archivo de límites comunales (${RUTA_COMUNAS}). Las alertas usarán la comuna informada por Google, si está disponible:`, error.message);
+    limites = [];
+    return limites;
+  }
+
+  console.log(`Límites comunales cargados: ${limites.length} comunas.`);
+  return limites;
+}
+
+/**
+ * Carga los límites comunales al iniciar el servidor, para advertir de inmediato si faltan. Sin ellos
+ * las alertas se crean igual, pero sin `id_comuna` salvo que Google informe la localidad, y no se
+ * aplican las reglas de derivación por comuna.
+ */
+function verificarLimitesComunales() {
+  cargarLimites();
+}
+
+/**
+ * Indica si el punto está dentro del anillo (algoritmo de ray casting).
+ */
+function puntoEnAnillo(lon, lat, anillo) {
+  let dentro = false;
+  for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+    const [xi, yi] = anillo[i];
+    const [xj, yj] = anillo[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      dentro = !dentro;
+    }
+  }
+  return dentro;
+}
+
+/**
+ * Indica si el punto está dentro del polígono: dentro del anillo exterior y fuera de sus agujeros.
+ */
+function puntoEnPoligono(lon, lat, poligono) {
+  if (!puntoEnAnillo(lon, lat, poligono[0])) return false;
+  return !poligono.slice(1).some(agujero => puntoEnAnillo(lon, lat, agujero));
+}
+
+/**
+ * Obtiene las comunas registradas en COMUNA, reutilizando la lista por CACHE_COMUNAS_MS.
+ */
+async function obtenerComunas() {
+  if (comunasCache && Date.now() < comunasCacheHasta) return comunasCache;
+
+  const comunasSnapshot = await db.collection('COMUNA').get();
+  comunasCache = comunasSnapshot.docs.map(doc => ({ id_comuna: doc.id, nombre: doc.data().nombre }));
+  comunasCacheHasta = Date.now() + CACHE_COMUNAS_MS;
+  return comunasCache;
+}
+
+/**
+ * Busca en COMUNA la comuna con el id o el nombre indicados (sin distinguir tildes ni mayúsculas).
+ */
+async function buscarComuna({ id_comuna = null, nombre = null }) {
+  const comunas = await obtenerComunas();
+  if (id_comuna) {
+    const porId = comunas.find(comuna => comuna.id_comuna === id_comuna);
+    if (porId) return porId;
+  }
+  if (nombre) {
+    const nombreNormalizado = normalizarTexto(nombre);
+    return comunas.find(comuna => normalizarTexto(comuna.nombre) === nombreNormalizado) || null;
+  }
+  return null;
+}
+
+/**
+ * Resuelve la comuna en la que se encuentran las coordenadas usando los límites comunales locales.
+ * Retorna `{ id_comuna, nombre }` o null si el punto no está dentro de ninguna comuna conocida.
+ */
+async function resolverComuna(latitud, longitud) {
+  const lat = parseFloat(latitud);
+  const lon = parseFloat(longitud);
+
+  const limite = cargarLimites().find(({ caja, poligonos }) =>
+    lon >= caja[0] && lat >= caja[1] && lon <= caja[2] && lat <= caja[3] &&
+    poligonos.some(poligono => puntoEnPoligono(lon, lat, poligono))
+  );
+
+  if (!limite) return null;
+
+  const comuna = await buscarComuna(limite);
+  return comuna || { id_comuna: limite.id_comuna, nombre: limite.nombre };
+}
+
+/**
+ * Obtiene la dirección y la localidad de unas coordenadas usando Google Maps.
+ * Retorna null si no hay clave configurada o si la consulta falla.
+ */
+async function obtenerDireccionGoogle(latitud, longitud) {
+  if (!GOOGLE_MAPS_API_KEY) return null;
+
+  try {
+    const geocodeResponse = await axios.get(`https://maps.googleapis.com/maps/api/geocode/json?latlng=${latitud},${longitud}&key=${GOOGLE_MAPS_API_KEY}`);
+    if (geocodeResponse.data.results.length === 0) return null;
+
+    const addressComponents = geocodeResponse.data.results[0].address_components;
+    const comunaComponent = addressComponents.find(component => component.types.includes('locality'));
+
+    return {
+      direccion: geocodeResponse.data.results[0].formatted_address,
+      localidad: comunaComponent ? comunaComponent.long_name : null,
+    };
+  } catch (error) {
+    console.warn("No se pudo obtener la dirección desde Google Maps:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Obtiene la comuna (con su `id_comuna`) y la dirección de unas coordenadas.
+ * La comuna se resuelve con los límites locales; si el punto no cae en ninguno, se intenta
+ * asociar la localidad informada por Google con una comuna registrada.
+ */
+async function geocodificar(latitud, longitud) {
+  const [comunaLocal, google] = await Promise.all([
+    resolverComuna(latitud, longitud),
+    obtenerDireccionGoogle(latitud, longitud),
+  ]);
+
+  let comuna = comunaLocal;
+  if (!comuna && google && google.localidad) {
+    comuna = await buscarComuna({ nombre: google.localidad }) || { id_comuna: null, nombre: google.localidad };
+  }
+
+  return {
+    id_comuna: comuna ? comuna.id_comuna : null,
+    comuna: (comuna && comuna.nombre) || 'Comuna no disponible',
+    direccion: (google && google.direccion) || 'Dirección no disponible',
+  };
+}
+
+module.exports = { RUTA_COMUNAS, PROPIEDADES_NOMBRE, verificarLimitesComunales, resolverComuna, geocodificar };
@@ -0,0 +1,190 @@
+const { db, bucket } = require('../config/firebase');
+const { ROLES } = require('../config/roles');
+const { serializarPerfil } = require('../utils/serializadores');
+const { subirArchivoPrivado, generarUrlFirmada, eliminarArchivo } = require('./almacenamiento');
+const { TAMANOS_IMAGEN, FORMATO_SALIDA, procesarImagen } = require('./procesamiento_imagen');
+
+// Carpetas del bucket donde se guardan las imágenes
+const CARPETAS_IMAGEN = {
+  PERFIL: 'profile-images',
+  GRUPO: 'grupos',
+};
+
+// Roles que pueden ver la imagen de cualquier usuario o grupo
+const ROLES_VER_IMAGENES = [ROLES.FUNCIONARIO, ROLES.ADMIN];
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+// Tamaños que se pueden pedir en /url-imagen-usuario y /url-imagen-grupo
+const TAMANOS_URL = Object.keys(TAMANOS_IMAGEN);
+
+/**
+ * Procesa una imagen de perfil o de grupo (ver procesamiento_imagen) y sube sus dos tamaños al bucket
+ * sin hacerlos públicos. El original no se guarda. Retorna las rutas que se guardan en Firestore:
+ * `ruta` para la imagen de visualización y `ruta_miniatura` para la miniatura.
+ * Lanza un error 400 si el archivo no es una imagen aceptada.
+ */
+async function subirImagen(carpeta, id, archivo) {
+  const tamanos = await procesarImagen(archivo.buffer);
+  const base = `${carpeta}/${id}_${Date.now()}`;
+  const rutas = {
+    ruta: `${base}${FORMATO_SALIDA.extension}`,
+    ruta_miniatura: `${base}_miniatura${FORMATO_SALIDA.extension}`,
+  };
+
+  await Promise.all([
+    subirArchivoPrivado({ ruta: rutas.ruta, buffer: tamanos.visualizacion, contentType: FORMATO_SALIDA.contentType, metadatos: { id } }),
+    subirArchivoPrivado({ ruta: rutas.ruta_miniatura, buffer: tamanos.miniatura, contentType: FORMATO_SALIDA.contentType, metadatos: { id } }),
+  ]);
+  return rutas;
+}
+
+/**
+ * Elimina los archivos de la imagen anterior después de reemplazarla. Un fallo solo se registra: la imagen nueva ya quedó guardada.
+ */
+async function eliminarImagenAnterior(...rutas) {
+  for (const ruta of rutas.filter(Boolean)) {
+    try {
+      await eliminarArchivo(ruta);
+    } catch (error) {
+      console.error(`No se pudo eliminar la imagen anterior ${ruta}:`, error.message);
+    }
+  }
+}
+
+/**
+ * URL firmada de corta duración para una imagen, o null si no hay imagen o no se pudo firmar.
+ */
+async function urlImagen(ruta) {
+  if (!ruta) return null;
+  try {
+    const { url } = await generarUrlFirmada(ruta);
+    return url;
+  } catch (error) {
+    console.error(`No se pudo generar la URL firmada de ${ruta}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Perfil listo para la respuesta: sin campos sensibles y con `imagen_usuario` y `miniatura_usuario`
+ * como URLs firmadas. Solo se usa en respuestas para quienes pueden ver la imagen (el propio usuario,
+ * sus compañeros de grupo, funcionarios y administradores). Las imágenes subidas antes de generar
+ * miniaturas usan la imagen completa como miniatura.
+ */
+async function perfilConImagen(perfil) {
+  const { ruta_imagen_usuario, ruta_miniatura_usuario, ...datos } = serializarPerfil(perfil);
+  return {
+    ...datos,
+    imagen_usuario: await urlImagen(ruta_imagen_usuario),
+    miniatura_usuario: await urlImagen(ruta_miniatura_usuario || ruta_imagen_usuario),
+  };
+}
+
+/**
+ * Grupo listo para la respuesta, con `imagen_url` y `miniatura_url` como URLs firmadas. Solo para miembros del grupo.
+ */
+async function grupoConImagen(grupo) {
+  const { ruta_imagen, ruta_miniatura, ...datos } = grupo;
+  return {
+    ...datos,
+    imagen_url: await urlImagen(ruta_imagen),
+    miniatura_url: await urlImagen(ruta_miniatura || ruta_imagen),
+  };
+}
+
+function validarTamano(tamano) {
+  if (!TAMANOS_URL.includes(tamano)) {
+    throw crearError(`El campo 'tamano' debe ser uno de: ${TAMANOS_URL.join(', ')}.`, 400);
+  }
+}
+
+async function gruposDeUsuario(id_usuario) {
+  const grupoPersonaSnapshot = await db.collection('GRUPO_PERSONA')
+    .where('id_usuario', '==', id_usuario)
+    .get();
+
+  return new Set(grupoPersonaSnapshot.docs.map(doc => doc.data().id_grupo));
+}
+
+/**
+ * Indica si el usuario que consulta puede ver la imagen de otro usuario: es él mismo, comparten
+ * algún grupo o tiene rol de funcionario o administrador.
+ */
+async function puedeVerImagenUsuario({ id_usuario, rol }, id_usuario_imagen) {
+  if (id_usuario === id_usuario_imagen || ROLES_VER_IMAGENES.includes(rol)) {
+    return true;
+  }
+
+  const [gruposPropios, gruposOtro] = await Promise.all([
+    gruposDeUsuario(id_usuario),
+    gruposDeUsuario(id_usuario_imagen),
+  ]);
+  return [...gruposPropios].some(id_grupo => gruposOtro.has(id_grupo));
+}
+
+/**
+ * Genera una URL firmada para la imagen de perfil de un usuario, en el tamaño indicado. Lanza 400 si
+ * el tamaño no existe, 403 si quien consulta no puede verla y 404 si el usuario no existe o no tiene imagen.
+ */
+async function obtenerUrlImagenUsuario(solicitante, id_usuario, tamano = 'visualizacion') {
+  validarTamano(tamano);
+  if (!await puedeVerImagenUsuario(solicitante, id_usuario)) {
+    throw crearError("No tienes permiso para ver la imagen de este usuario.", 403);
+  }
+
+  const perfilDoc = await db.collection('PERFIL').doc(id_usuario).get();
+  if (!perfilDoc.exists || !perfilDoc.data().ruta_imagen_usuario) {
+    throw crearError("El usuario no tiene imagen de perfil.", 404);
+  }
+
+  const { ruta_imagen_usuario, ruta_miniatura_usuario } = perfilDoc.data();
+  return generarUrlFirmada(tamano === 'miniatura' ? ruta_miniatura_usuario || ruta_imagen_usuario : ruta_imagen_usuario);
+}
+
+/**
+ * Genera una URL firmada para la imagen de un grupo, en el tamaño indicado. Pueden verla los miembros
+ * del grupo, los funcionarios y los administradores. Lanza 400 si el tamaño no existe, 403 si quien
+ * consulta no puede verla y 404 si el grupo no existe o no tiene imagen.
+ */
+async function obtenerUrlImagenGrupo({ id_usuario, rol }, id_grupo, tamano = 'visualizacion') {
+  validarTamano(tamano);
+  if (!ROLES_VER_IMAGENES.includes(rol) && !(await gruposDeUsuario(id_usuario)).has(id_grupo)) {
+    throw crearError("El usuario no pertenece a este grupo.", 403);
+  }
+
+  const grupoDoc = await db.collection('GRUPO').doc(id_grupo).get();
+  if (!grupoDoc.exists || !grupoDoc.data().ruta_imagen) {
+    throw crearError("El grupo no tiene imagen.", 404);
+  }
+
+  const { ruta_imagen, ruta_miniatura } = grupoDoc.data();
+  return generarUrlFirmada(tamano === 'miniatura' ? ruta_miniatura || ruta_imagen : ruta_imagen);
+}
+
+/**
+ * Ruta en el bucket de una URL pública de Storage (https://storage.googleapis.com/<bucket>/<ruta>),
+ * o null si la URL no corresponde al bucket de la aplicación. Se usa para migrar las imágenes públicas.
+ */
+function rutaDesdeUrlPublica(url) {
+  const prefijo = `https://storage.googleapis.com/${bucket.name}/`;
+  if (typeof url !== 'string' || !url.startsWith(prefijo)) return null;
+  return decodeURIComponent(url.slice(prefijo.length).split('?')[0]);
+}
+
+module.exports = {
+  CARPETAS_IMAGEN,
+  TAMANOS_URL,
+  subirImagen,
+  eliminarImagenAnterior,
+  urlImagen,
+  perfilConImagen,
+  grupoConImagen,
+  obtenerUrlImagenUsuario,
+  obtenerUrlImagenGrupo,
+  rutaDesdeUrlPublica,
+};
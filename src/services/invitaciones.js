@@ -0,0 +1,333 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { ROLES, TIPOS_USUARIO } = require('../config/roles');
+const { crearCuenta } = require('./cuentas');
+const { enviarCorreo } = require('./correo');
+
+// Horas durante las que el enlace de invitación es válido
+const DURACION_HORAS = parseInt(process.env.INVITACION_DURACION_HORAS, 10) || 72;
+
+// Página de la aplicación web donde se completa el registro; recibe el token como parámetro `token`
+const INVITACION_URL = process.env.INVITACION_URL;
+
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+
+// Roles que solo se pueden asignar mediante una invitación
+const ROLES_INVITABLES = [ROLES.FUNCIONARIO, ROLES.ADMIN];
+
+const ESTADOS_INVITACION = {
+  PENDIENTE: 'pendiente',
+  ACEPTADA: 'aceptada',
+  REVOCADA: 'revocada',
+};
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * En INVITACION_PERSONAL solo se guarda el hash del token; el token en claro viaja únicamente en el correo.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Construye el enlace de la invitación. Si no está definida INVITACION_URL, apunta a la ruta pública
+ * de la API que muestra los datos de la invitación.
+ */
+function urlInvitacion(baseUrl, token) {
+  if (INVITACION_URL) {
+    return `${INVITACION_URL}?token=${token}`;
+  }
+  return `${PUBLIC_BASE_URL || baseUrl}/api/invitacion-personal/${token}`;
+}
+
+/**
+ * Datos de la invitación que se pueden mostrar (sin el hash del token).
+ */
+function serializarInvitacion(invitacion) {
+  const { token_hash, ...datos } = invitacion;
+  return datos;
+}
+
+/**
+ * Indica si la invitación ya venció.
+ */
+function invitacionVencida(invitacion) {
+  return invitacion.expira_en.toMillis() <= Date.now();
+}
+
+async function existeCuentaConCorreo(correo) {
+  try {
+    await admin.auth().getUserByEmail(correo);
+    return true;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return false;
+    throw error;
+  }
+}
+
+/**
+ * Verifica que la municipalidad exista y esté activa.
+ */
+async function validarMunicipalidad(id_municipalidad) {
+  const municipalidadDoc = await db.collection('MUNICIPALIDAD').doc(id_municipalidad).get();
+  if (!municipalidadDoc.exists) {
+    throw crearError("La municipalidad no existe.", 404);
+  }
+  if (municipalidadDoc.data().estado === false) {
+    throw crearError("La municipalidad está desactivada.", 409);
+  }
+  return municipalidadDoc.data();
+}
+
+/**
+ * Revoca las invitaciones pendientes enviadas a un correo. Se usa al crear una nueva invitación,
+ * para que solo el último enlace enviado sea válido.
+ */
+async function revocarPendientesDeCorreo(correo) {
+  const invitacionesSnapshot = await db.collection('INVITACION_PERSONAL')
+    .where('correo', '==', correo)
+    .get();
+
+  const pendientes = invitacionesSnapshot.docs.filter(doc => doc.data().estado === ESTADOS_INVITACION.PENDIENTE);
+  if (pendientes.length === 0) return;
+
+  const batch = db.batch();
+  pendientes.forEach(doc => batch.update(doc.ref, {
+    estado: ESTADOS_INVITACION.REVOCADA,
+    fecha_revocacion: admin.firestore.Timestamp.now(),
+  }));
+  await batch.commit();
+}
+
+/**
+ * Envía el correo con el enlace de la invitación. Retorna true si se envió.
+ */
+async function enviarCorreoInvitacion(invitacion, enlace, municipalidad) {
+  const cargo = invitacion.rol === ROLES.ADMIN
+    ? 'administrador(a)'
+    : `funcionario(a) de ${municipalidad.nombre_municipalidad}`;
+
+  const texto = [
+    `Has sido invitado(a) a Women Security App como ${cargo}.`,
+    `Para crear tu cuenta, ingresa al siguiente enlace: ${enlace}`,
+    `El enlace vence el ${invitacion.expira_en.toDate().toISOString()}. Si no esperabas esta invitación, ignora este correo.`,
+  ].join('\n\n');
+
+  try {
+    await enviarCorreo({
+      para: invitacion.correo,
+      asunto: 'Invitación a Women Security App',
+      texto,
+    });
+    return true;
+  } catch (error) {
+    console.error(`No se pudo enviar la invitación a ${invitacion.correo}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Crea una invitación para una cuenta de funcionario o admin y envía el enlace por correo.
+ * Los funcionarios requieren `id_municipalidad`. Si el correo no se pudo enviar, la invitación
+ * queda creada y se retorna el enlace para que el administrador lo entregue por otro medio.
+ */
+async function crearInvitacion({ correo, rol, id_municipalidad, creado_por, baseUrl }) {
+  if (!ROLES_INVITABLES.includes(rol)) {
+    throw crearError(`El rol debe ser uno de: ${ROLES_INVITABLES.join(', ')}.`, 400);
+  }
+  if (rol === ROLES.FUNCIONARIO && !id_municipalidad) {
+    throw crearError("El campo 'id_municipalidad' es obligatorio para invitar a un funcionario.", 400);
+  }
+
+  const correoNormalizado = correo.trim().toLowerCase();
+
+  const municipalidad = rol === ROLES.FUNCIONARIO ? await validarMunicipalidad(id_municipalidad) : null;
+
+  if (await existeCuentaConCorreo(correoNormalizado)) {
+    throw crearError("Ya existe una cuenta registrada con ese correo.", 409);
+  }
+
+  await revocarPendientesDeCorreo(correoNormalizado);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitacionRef = db.collection('INVITACION_PERSONAL').doc();
+  const ahora = admin.firestore.Timestamp.now();
+
+  const invitacion = {
+    id_invitacion: invitacionRef.id,
+    correo: correoNormalizado,
+    rol,
+    id_municipalidad: rol === ROLES.FUNCIONARIO ? id_municipalidad : null,
+    token_hash: hashToken(token),
+    estado: ESTADOS_INVITACION.PENDIENTE,
+    creado_por,
+    fecha_creacion: ahora,
+    expira_en: admin.firestore.Timestamp.fromMillis(ahora.toMillis() + DURACION_HORAS * 60 * 60 * 1000),
+    id_persona: null,
+    fecha_aceptacion: null,
+  };
+
+  await invitacionRef.set(invitacion);
+
+  const enlace = urlInvitacion(baseUrl, token);
+  const correo_enviado = await enviarCorreoInvitacion(invitacion, enlace, municipalidad);
+
+  return {
+    invitacion: serializarInvitacion(invitacion),
+    correo_enviado,
+    enlace: correo_enviado ? null : enlace,
+  };
+}
+
+/**
+ * Obtiene el documento de la invitación a partir del token del enlace. Lanza 404 si no existe
+ * y 410 si ya fue usada, revocada o venció.
+ */
+async function obtenerInvitacionVigente(token) {
+  const invitacionesSnapshot = await db.collection('INVITACION_PERSONAL')
+    .where('token_hash', '==', hashToken(token))
+    .limit(1)
+    .get();
+
+  if (invitacionesSnapshot.empty) {
+    throw crearError("La invitación no existe.", 404);
+  }
+
+  const invitacionDoc = invitacionesSnapshot.docs[0];
+  const invitacion = invitacionDoc.data();
+
+  if (invitacion.estado !== ESTADOS_INVITACION.PENDIENTE) {
+    throw crearError(`La invitación ya fue ${invitacion.estado}.`, 410);
+  }
+  if (invitacionVencida(invitacion)) {
+    throw crearError("La invitación venció. Solicita una nueva a un administrador.", 410);
+  }
+
+  return invitacionDoc;
+}
+
+/**
+ * Datos públicos de una invitación vigente, para que la aplicación muestre el formulario de registro.
+ */
+async function obtenerDatosInvitacion(token) {
+  const invitacion = (await obtenerInvitacionVigente(token)).data();
+  return {
+    correo: invitacion.correo,
+    rol: invitacion.rol,
+    id_municipalidad: invitacion.id_municipalidad,
+    expira_en: invitacion.expira_en,
+  };
+}
+
+/**
+ * Crea la cuenta invitada con el rol y la municipalidad de la invitación, y la marca como aceptada.
+ * La invitación se reserva en una transacción antes de crear la cuenta, de modo que un mismo enlace
+ * no pueda usarse dos veces; si la creación falla, vuelve a quedar pendiente.
+ */
+async function aceptarInvitacion(token, datosPersona) {
+  const invitacionDoc = await obtenerInvitacionVigente(token);
+
+  const invitacion = await db.runTransaction(async transaction => {
+    const actual = await transaction.get(invitacionDoc.ref);
+    if (actual.data().estado !== ESTADOS_INVITACION.PENDIENTE) {
+      throw crearError(`La invitación ya fue ${actual.data().estado}.`, 410);
+    }
+    transaction.update(invitacionDoc.ref, {
+      estado: ESTADOS_INVITACION.ACEPTADA,
+      fecha_aceptacion: admin.firestore.Timestamp.now(),
+    });
+    return actual.data();
+  });
+
+  let uid = null;
+  try {
+    // El correo queda verificado: la persona recibió el enlace de la invitación en esa casilla
+    const userRecord = await admin.auth().createUser({
+      email: invitacion.correo,
+      password: datosPersona.password,
+      emailVerified: true,
+    });
+    uid = userRecord.uid;
+
+    const cuenta = await crearCuenta(uid, {
+      ...datosPersona,
+      correo: invitacion.correo,
+      id_municipalidad: invitacion.id_municipalidad,
+      tipo_usuario: TIPOS_USUARIO[invitacion.rol],
+    });
+
+    await invitacionDoc.ref.update({ id_persona: uid });
+
+    return { uid, rol: invitacion.rol, ...cuenta };
+  } catch (error) {
+    if (uid) {
+      await admin.auth().deleteUser(uid).catch(errorBorrado =>
+        console.error(`No se pudo eliminar la cuenta ${uid} tras el fallo del registro:`, errorBorrado.message)
+      );
+    }
+    await invitacionDoc.ref.update({ estado: ESTADOS_INVITACION.PENDIENTE, fecha_aceptacion: null });
+
+    if (error.code === 'auth/email-already-exists') {
+      throw crearError("Ya existe una cuenta registrada con ese correo.", 409);
+    }
+    if (error.code === 'auth/invalid-password') {
+      throw crearError("La contraseña debe tener al menos 6 caracteres.", 400);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lista las invitaciones, opcionalmente filtradas por estado. Las pendientes vencidas se informan
+ * con estado 'vencida'.
+ */
+async function listarInvitaciones({ estado } = {}) {
+  const invitacionesSnapshot = await db.collection('INVITACION_PERSONAL').get();
+
+  return invitacionesSnapshot.docs
+    .map(doc => {
+      const invitacion = serializarInvitacion(doc.data());
+      if (invitacion.estado === ESTADOS_INVITACION.PENDIENTE && invitacionVencida(invitacion)) {
+        invitacion.estado = 'vencida';
+      }
+      return invitacion;
+    })
+    .filter(invitacion => !estado || invitacion.estado === estado)
+    .sort((a, b) => b.fecha_creacion.toMillis() - a.fecha_creacion.toMillis());
+}
+
+/**
+ * Revoca una invitación pendiente; su enlace deja de funcionar.
+ */
+async function revocarInvitacion(id_invitacion) {
+  const invitacionRef = db.collection('INVITACION_PERSONAL').doc(id_invitacion);
+  const invitacionDoc = await invitacionRef.get();
+
+  if (!invitacionDoc.exists) {
+    throw crearError("La invitación no existe.", 404);
+  }
+  if (invitacionDoc.data().estado !== ESTADOS_INVITACION.PENDIENTE) {
+    throw crearError(`La invitación ya fue ${invitacionDoc.data().estado}.`, 409);
+  }
+
+  await invitacionRef.update({
+    estado: ESTADOS_INVITACION.REVOCADA,
+    fecha_revocacion: admin.firestore.Timestamp.now(),
+  });
+}
+
+module.exports = {
+  ROLES_INVITABLES,
+  ESTADOS_INVITACION,
+  crearInvitacion,
+  obtenerDatosInvitacion,
+  aceptarInvitacion,
+  listarInvitaciones,
+  revocarInvitacion,
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { admin, db } = require('../config/firebase');
+const { IDIOMA_VOZ, realizarLlamada } = require('./voz');
+const { registrarConfirmacion } = require('./confirmaciones');
+const { PUBLIC_BASE_URL } = require('../config/url_publica');
+
+// Segundos que se espera a que el destinatario marque una tecla
+const SEGUNDOS_ESPERA_TECLA = 8;
+
+// Tecla que confirma la alerta
+const TECLA_CONFIRMACION = '1';
+
+const ESTADOS_LLAMADA = {
+  INICIADA: 'iniciada',
+  CONTESTADA: 'contestada',
+  SIN_RESPUESTA: 'sin_respuesta',
+  OCUPADO: 'ocupado',
+  FALLIDA: 'fallida',
+  CONFIRMADA: 'confirmada',
+};
+
+// Estado de la llamada según el CallStatus informado por Twilio
+const ESTADOS_TWILIO = {
+  queued: ESTADOS_LLAMADA.INICIADA,
+  initiated: ESTADOS_LLAMADA.INICIADA,
+  ringing: ESTADOS_LLAMADA.INICIADA,
+  'in-progress': ESTADOS_LLAMADA.CONTESTADA,
+  completed: ESTADOS_LLAMADA.CONTESTADA,
+  'no-answer': ESTADOS_LLAMADA.SIN_RESPUESTA,
+  busy: ESTADOS_LLAMADA.OCUPADO,
+  failed: ESTADOS_LLAMADA.FALLIDA,
+  canceled: ESTADOS_LLAMADA.FALLIDA,
+};
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+function urlWebhook(baseUrl, ruta, { id_alerta, id_llamada }) {
+  const parametros = new URLSearchParams({ id_alerta, id_llamada });
+  return `${baseUrl}/api/twilio/${ruta}?${parametros.toString()}`;
+}
+
+/**
+ * Genera el TwiML de la llamada: lee el nombre del usuario, su mensaje y la dirección de la alerta,
+ * y pide marcar 1 para confirmar. Si no se marca nada, el mensaje se repite una vez.
+ * Sin `accion` (la URL que recibe la tecla marcada) el mensaje solo se lee, sin pedir confirmación.
+ */
+function generarTwimlLlamada({ nombre, mensaje, direccion, accion }) {
+  const respuesta = new twilio.twiml.VoiceResponse();
+  const texto = `Alerta de emergencia de Women Security App. ${nombre} necesita ayuda. ` +
+    `Su mensaje es: ${mensaje}. ` +
+    `Su ubicación es: ${direccion || 'no disponible; revisa el mensaje que te enviamos'}. `;
+
+  if (!accion) {
+    respuesta.say({ language: IDIOMA_VOZ }, `${texto}Revisa el mensaje que te enviamos con la ubicación.`);
+    return respuesta.toString();
+  }
+
+  for (let intento = 0; intento < 2; intento++) {
+    const gather = respuesta.gather({ numDigits: 1, timeout: SEGUNDOS_ESPERA_TECLA, action: accion, method: 'POST' });
+    gather.say({ language: IDIOMA_VOZ }, `${texto}Marca 1 para confirmar que vas a ayudar.`);
+  }
+
+  respuesta.say({ language: IDIOMA_VOZ }, 'No recibimos tu confirmación. Revisa el mensaje que te enviamos con la ubicación.');
+  return respuesta.toString();
+}
+
+/**
+ * Datos que se leen en la llamada: nombre del usuario, su mensaje y la dirección de la alerta.
+ */
+async function datosLlamada(alerta) {
+  const personaDoc = await db.collection('PERSONA').doc(alerta.id_usuario).get();
+  const nombre = personaDoc.exists ? `${personaDoc.data().nombre} ${personaDoc.data().apellido}` : 'Una persona';
+
+  return {
+    nombre,
+    mensaje: alerta.mensaje_usuario || alerta.mensaje,
+    direccion: alerta.direccion,
+  };
+}
+
+/**
+ * Llama a los destinatarios indicados ({ telefono, nombre, origen, id_referencia }) para que confirmen
+ * la alerta marcando 1. Cada llamada se registra en el campo `llamadas` de la ALERTA, con su estado.
+ * Un fallo al llamar a un destinatario no impide llamar a los demás. Retorna la cantidad de llamadas realizadas.
+ */
+async function llamarDestinatarios(alerta, destinatarios) {
+  if (!PUBLIC_BASE_URL) {
+    console.warn(`PUBLIC_BASE_URL no está definida: la llamada de la alerta ${alerta.id_alerta} no podrá registrar la confirmación.`);
+  }
+
+  const alertaRef = db.collection('ALERTA').doc(alerta.id_alerta);
+  const datos = await datosLlamada(alerta);
+  let realizadas = 0;
+
+  for (const destinatario of destinatarios) {
+    const id_llamada = crypto.randomBytes(8).toString('hex');
+    const ids = { id_alerta: alerta.id_alerta, id_llamada };
+    const ahora = admin.firestore.Timestamp.now();
+
+    const llamada = {
+      id_llamada,
+      telefono: destinatario.telefono,
+      nombre: destinatario.nombre || null,
+      origen: destinatario.origen || null,
+      id_referencia: destinatario.id_referencia || null,
+      estado: ESTADOS_LLAMADA.INICIADA,
+      sid_llamada: null,
+      proveedor: null,
+      error: null,
+      duracion_segundos: null,
+      fecha_inicio: ahora,
+      fecha_actualizacion: ahora,
+    };
+
+    try {
+      const { sid, proveedor } = await realizarLlamada({
+        telefono: destinatario.telefono,
+        twiml: generarTwimlLlamada({ ...datos, accion: PUBLIC_BASE_URL ? urlWebhook(PUBLIC_BASE_URL, 'llamada-respuesta', ids) : null }),
+        statusCallback: PUBLIC_BASE_URL ? urlWebhook(PUBLIC_BASE_URL, 'estado-llamada', ids) : undefined,
+      });
+      llamada.sid_llamada = sid;
+      llamada.proveedor = proveedor;
+      realizadas++;
+    } catch (error) {
+      console.error(`No se pudo llamar a ${destinatario.telefono} por la alerta ${alerta.id_alerta}:`, error.message);
+      llamada.estado = ESTADOS_LLAMADA.FALLIDA;
+      llamada.error = error.message;
+    }
+
+    await alertaRef.update({ [`llamadas.${id_llamada}`]: llamada });
+  }
+
+  return realizadas;
+}
+
+/**
+ * Obtiene una llamada registrada en la alerta. Lanza 404 si la alerta o la llamada no existen.
+ */
+async function obtenerLlamada(id_alerta, id_llamada) {
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  const llamada = alertaDoc.exists ? (alertaDoc.data().llamadas || {})[id_llamada] : null;
+
+  if (!llamada) {
+    throw crearError(`No se encontró la llamada ${id_llamada} de la alerta ${id_alerta}.`, 404);
+  }
+
+  return { alerta: alertaDoc.data(), llamada };
+}
+
+/**
+ * Registra el estado de una llamada informado por Twilio. Una llamada confirmada no cambia de estado.
+ */
+async function registrarEstadoLlamada({ id_alerta, id_llamada, estadoTwilio, duracion = null }) {
+  const { llamada } = await obtenerLlamada(id_alerta, id_llamada);
+  const estado = ESTADOS_TWILIO[estadoTwilio];
+
+  const cambios = { [`llamadas.${id_llamada}.fecha_actualizacion`]: admin.firestore.Timestamp.now() };
+  if (estado && llamada.estado !== ESTADOS_LLAMADA.CONFIRMADA) {
+    cambios[`llamadas.${id_llamada}.estado`] = estado;
+  }
+  if (duracion !== null && duracion !== undefined) {
+    cambios[`llamadas.${id_llamada}.duracion_segundos`] = parseInt(duracion, 10) || 0;
+  }
+
+  await db.collection('ALERTA').doc(id_alerta).update(cambios);
+  return estado || llamada.estado;
+}
+
+/**
+ * Procesa la tecla marcada durante la llamada. Con 1, la llamada queda confirmada y se registra una
+ * confirmación en la alerta, lo que detiene el escalamiento. Retorna el TwiML con la respuesta.
+ */
+async function procesarTeclaLlamada({ id_alerta, id_llamada, tecla }) {
+  const { alerta, llamada } = await obtenerLlamada(id_alerta, id_llamada);
+  const datos = await datosLlamada(alerta);
+
+  // Otra tecla: se vuelve a leer el mensaje. Aquí Twilio resuelve la URL relativa a la de este webhook
+  if (tecla !== TECLA_CONFIRMACION) {
+    const accion = urlWebhook(PUBLIC_BASE_URL || '', 'llamada-respuesta', { id_alerta, id_llamada });
+    return { confirmada: false, twiml: generarTwimlLlamada({ ...datos, accion }) };
+  }
+
+  const ahora = admin.firestore.Timestamp.now();
+  await db.collection('ALERTA').doc(id_alerta).update({
+    [`llamadas.${id_llamada}.estado`]: ESTADOS_LLAMADA.CONFIRMADA,
+    [`llamadas.${id_llamada}.fecha_confirmacion`]: ahora,
+    [`llamadas.${id_llamada}.fecha_actualizacion`]: ahora,
+  });
+
+  await registrarConfirmacion(
+    {
+      id_alerta,
+      id_notificacion: null,
+      telefono: llamada.telefono,
+      nombre_destinatario: llamada.nombre,
+      origen: llamada.origen,
+      id_referencia: llamada.id_referencia,
+    },
+    { respuesta: `Tecla ${TECLA_CONFIRMACION}`, canal: 'llamada' }
+  );
+
+  const respuesta = new twilio.twiml.VoiceResponse();
+  respuesta.say({ language: IDIOMA_VOZ }, `Gracias. Le avisamos a ${datos.nombre} que vas en camino.`);
+  return { confirmada: true, twiml: respuesta.toString() };
+}
+
+module.exports = {
+  ESTADOS_LLAMADA,
+  generarTwimlLlamada,
+  llamarDestinatarios,
+  registrarEstadoLlamada,
+  procesarTeclaLlamada,
+};
@@ -0,0 +1,17 @@
+require('dotenv').config();
+const twilio = require('twilio');
+
+let client = null;
+
+/**
+ * Devuelve el cliente de Twilio, creándolo la primera vez que se usa.
+ * Se crea de forma diferida para que el proveedor de prueba funcione sin credenciales.
+ */
+function obtenerClienteTwilio() {
+  if (!client) {
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+module.exports = { obtenerClienteTwilio };
@@ -0,0 +1,94 @@
+require('dotenv').config();
+const whatsappTwilio = require('./whatsapp_twilio');
+const smsTwilio = require('./sms_twilio');
+const llamadaTwilio = require('./llamada_twilio');
+const { crearProveedorMock } = require('./mock');
+const { normalizarTelefono } = require('../../utils/telefono');
+const { PUBLIC_BASE_URL } = require('../../config/url_publica');
+
+// Proveedor a utilizar: 'twilio' (por defecto) o 'mock' para pruebas y demostraciones sin credenciales
+const MENSAJERIA_PROVEEDOR = process.env.MENSAJERIA_PROVEEDOR || 'twilio';
+
+// Prefijo que se antepone a los números guardados sin código de país
+const PREFIJO_PAIS = process.env.MENSAJERIA_PREFIJO_PAIS || '+56';
+
+// Orden de canales a intentar: si WhatsApp falla, se recurre a SMS
+const CANALES_POR_DEFECTO = ['whatsapp', 'sms'];
+
+// Orden de canales según el canal preferido de un contacto. Las llamadas recurren a SMS para que el
+// contacto tenga el mensaje por escrito si no contesta o la llamada falla.
+const CANALES_POR_PREFERENCIA = {
+  whatsapp: CANALES_POR_DEFECTO,
+  sms: ['sms'],
+  llamada: ['llamada', 'sms'],
+};
+
+const proveedores = MENSAJERIA_PROVEEDOR === 'mock'
+  ? { whatsapp: crearProveedorMock('whatsapp'), sms: crearProveedorMock('sms'), llamada: crearProveedorMock('llamada') }
+  : { whatsapp: whatsappTwilio, sms: smsTwilio, llamada: llamadaTwilio };
+
+/**
+ * Devuelve el proveedor configurado para un canal.
+ */
+function obtenerProveedor(canal) {
+  const proveedor = proveedores[canal];
+  if (!proveedor) {
+    throw new Error(`No existe un proveedor de mensajería para el canal '${canal}'.`);
+  }
+  return proveedor;
+}
+
+/**
+ * Devuelve el orden de canales a intentar para el canal preferido de un contacto.
+ * Si no tiene un canal preferido, se usan los canales por defecto.
+ */
+function canalesPorPreferencia(canal) {
+  return CANALES_POR_PREFERENCIA[canal] || CANALES_POR_DEFECTO;
+}
+
+/**
+ * Normaliza el número a E.164 (utils/telefono.js). Si no se reconoce como válido, se limpia y se le
+ * agrega el prefijo de país cuando no lo tiene.
+ */
+function formatearTelefono(telefono) {
+  const normalizado = normalizarTelefono(telefono);
+  if (normalizado) return normalizado;
+
+  const limpio = String(telefono).replace(/[\s-]/g, '');
+  return limpio.startsWith('+') ? limpio : `${PREFIJO_PAIS}${limpio}`;
+}
+
+/**
+ * Envía un mensaje probando los canales en orden hasta que uno funcione.
+ * Retorna el identificador del mensaje, el canal y el proveedor usados; si todos fallan,
+ * lanza un error con el detalle de cada intento.
+ */
+async function enviarMensaje(telefono, mensaje, { canales = CANALES_POR_DEFECTO } = {}) {
+  const destino = formatearTelefono(telefono);
+  const statusCallback = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/api/twilio/estado-mensaje` : undefined;
+  const errores = [];
+
+  for (const canal of canales) {
+    const proveedor = obtenerProveedor(canal);
+
+    try {
+      const { sid } = await proveedor.enviar({ telefono: destino, mensaje, statusCallback });
+      console.log(`Mensaje enviado por ${canal} a ${telefono}`);
+      return { sid, canal, proveedor: proveedor.nombre };
+    } catch (error) {
+      console.warn(`No se pudo enviar por ${canal} a ${telefono}: ${error.message}`);
+      errores.push(`${canal}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No se pudo enviar el mensaje a ${telefono} (${errores.join('; ')})`);
+}
+
+module.exports = {
+  PREFIJO_PAIS,
+  CANALES_POR_PREFERENCIA,
+  obtenerProveedor,
+  canalesPorPreferencia,
+  formatearTelefono,
+  enviarMensaje,
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+const twilio = require('twilio');
+const { vozTwilio, IDIOMA_VOZ } = require('../voz/twilio');
+
+/**
+ * Proveedor del canal 'llamada' a través de Twilio: llama al número y lee el mensaje dos veces.
+ * Las llamadas interactivas del escalamiento usan directamente services/voz.
+ */
+const llamadaTwilio = {
+  nombre: 'twilio',
+  canal: 'llamada',
+
+  async enviar({ telefono, mensaje }) {
+    const respuesta = new twilio.twiml.VoiceResponse();
+    respuesta.say({ language: IDIOMA_VOZ }, mensaje);
+    respuesta.pause({ length: 1 });
+    respuesta.say({ language: IDIOMA_VOZ }, mensaje);
+
+    return vozTwilio.llamar({ telefono, twiml: respuesta.toString() });
+  },
+};
+
+module.exports = llamadaTwilio;
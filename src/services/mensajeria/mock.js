@@ -0,0 +1,64 @@
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Mensajes "enviados" por el proveedor de prueba, en memoria
+const mensajes = [];
+
+// Combinaciones canal:telefono que deben fallar, para simular errores de entrega
+// (p. ej. MENSAJERIA_MOCK_FALLAR=whatsapp:+56911111111,sms:+56922222222)
+const fallos = new Set(
+  (process.env.MENSAJERIA_MOCK_FALLAR || '').split(',').map(valor => valor.trim()).filter(Boolean)
+);
+
+/**
+ * Crea un proveedor de prueba para el canal indicado. No envía nada: guarda los mensajes en memoria
+ * y, si se define MENSAJERIA_MOCK_ARCHIVO, los agrega como líneas JSON a ese archivo.
+ */
+function crearProveedorMock(canal) {
+  return {
+    nombre: 'mock',
+    canal,
+
+    async enviar({ telefono, mensaje, statusCallback }) {
+      if (fallos.has(`${canal}:${telefono}`) || fallos.has(`${canal}:*`)) {
+        throw new Error(`Fallo simulado al enviar por ${canal} a ${telefono}.`);
+      }
+
+      const registro = {
+        sid: `MOCK${crypto.randomBytes(12).toString('hex')}`,
+        canal,
+        telefono,
+        mensaje,
+        statusCallback: statusCallback || null,
+        fecha: new Date().toISOString(),
+      };
+
+      mensajes.push(registro);
+
+      if (process.env.MENSAJERIA_MOCK_ARCHIVO) {
+        fs.appendFileSync(process.env.MENSAJERIA_MOCK_ARCHIVO, `${JSON.stringify(registro)}\n`);
+      }
+
+      console.log(`[mock] Mensaje por ${canal} a ${telefono}: ${mensaje}`);
+      return { sid: registro.sid };
+    },
+  };
+}
+
+/**
+ * Hace que los envíos por `canal` a `telefono` fallen ('*' aplica a todos los teléfonos).
+ */
+function simularFallo(canal, telefono = '*') {
+  fallos.add(`${canal}:${telefono}`);
+}
+
+/**
+ * Limpia los mensajes registrados y los fallos simulados.
+ */
+function limpiar() {
+  mensajes.length = 0;
+  fallos.clear();
+}
+
+module.exports = { crearProveedorMock, mensajes, simularFallo, limpiar };
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const { obtenerClienteTwilio } = require('./cliente_twilio');
+
+/**
+ * Proveedor de SMS a través de Twilio. Requiere un número remitente en TWILIO_SMS_FROM.
+ */
+const smsTwilio = {
+  nombre: 'twilio',
+  canal: 'sms',
+
+  async enviar({ telefono, mensaje, statusCallback }) {
+    if (!process.env.TWILIO_SMS_FROM) {
+      throw new Error('TWILIO_SMS_FROM no está definida. No es posible enviar SMS.');
+    }
+
+    const opciones = {
+      from: process.env.TWILIO_SMS_FROM,
+      to: telefono,
+      body: mensaje,
+    };
+    if (statusCallback) opciones.statusCallback = statusCallback;
+
+    const mensajeTwilio = await obtenerClienteTwilio().messages.create(opciones);
+    return { sid: mensajeTwilio.sid };
+  },
+};
+
+module.exports = smsTwilio;
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const { obtenerClienteTwilio } = require('./cliente_twilio');
+
+// Número remitente de WhatsApp (por defecto, el sandbox de Twilio)
+const WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM || '+14155238886';
+
+/**
+ * Proveedor de mensajes de WhatsApp a través de Twilio.
+ */
+const whatsappTwilio = {
+  nombre: 'twilio',
+  canal: 'whatsapp',
+
+  async enviar({ telefono, mensaje, statusCallback }) {
+    const opciones = {
+      from: `whatsapp:${WHATSAPP_FROM}`,
+      to: `whatsapp:${telefono}`,
+      body: mensaje,
+    };
+    if (statusCallback) opciones.statusCallback = statusCallback;
+
+    const mensajeTwilio = await obtenerClienteTwilio().messages.create(opciones);
+    return { sid: mensajeTwilio.sid };
+  },
+};
+
+module.exports = whatsappTwilio;
@@ -0,0 +1,117 @@
+const { db } = require('../config/firebase');
+const { contactoRecibeAlerta } = require('./consentimiento');
+const { preferenciasContacto, compararPorPrioridad, contactoRecibeGravedad } = require('./preferencias_contacto');
+const { canalesPorPreferencia } = require('./mensajeria');
+
+/**
+ * Obtiene los contactos personales (CONTACTO) del usuario como destinatarios de una alerta,
+ * ordenados por prioridad y con los canales según el canal preferido de cada uno.
+ * Solo se incluyen los contactos que aceptaron recibir alertas; si `id_gravedad` es la gravedad
+ * crítica configurada por el usuario (PERSONA.id_gravedad_critica), también los contactos con el
+ * celular verificado que aún no aceptan, salvo los que pidieron STOP. Los contactos que eligieron
+ * gravedades solo reciben las alertas de esas gravedades.
+ */
+async function obtenerContactosUsuario(id_usuario, { id_gravedad } = {}) {
+  const contactosSnapshot = await db.collection('CONTACTO')
+    .where('id_usuario', '==', id_usuario)
+    .get();
+
+  let critica = false;
+  if (id_gravedad) {
+    const personaDoc = await db.collection('PERSONA').doc(id_usuario).get();
+    critica = personaDoc.exists && personaDoc.data().id_gravedad_critica === id_gravedad;
+  }
+
+  const habilitados = contactosSnapshot.docs.filter(doc => contactoRecibeAlerta(doc.data(), { critica }));
+  if (habilitados.length < contactosSnapshot.size) {
+    console.warn(`El usuario ${id_usuario} tiene ${contactosSnapshot.size - habilitados.length} contactos sin consentimiento que no recibirán la alerta.`);
+  }
+
+  return habilitados
+    .map(doc => ({ ...doc.data(), id_contacto: doc.id }))
+    .filter(contacto => contactoRecibeGravedad(contacto, id_gravedad))
+    .sort(compararPorPrioridad)
+    .map(contacto => {
+      const { prioridad, canal } = preferenciasContacto(contacto);
+      return {
+        telefono: contacto.celular,
+        nombre: `${contacto.nombres || ''} ${contacto.apellidos || ''}`.trim(),
+        origen: 'contacto',
+        id_referencia: contacto.id_contacto,
+        prioridad,
+        canales: canalesPorPreferencia(canal),
+      };
+    });
+}
+
+/**
+ * Obtiene los miembros del grupo que el usuario seleccionó en UBICACION_SELECCION, con su número verificado.
+ * Retorna una lista vacía si el usuario no tiene un grupo seleccionado.
+ */
+async function obtenerMiembrosGrupoSeleccionado(id_usuario) {
+  const destinatarios = [];
+
+  // Buscar configuración de grupo en UBICACION_SELECCION
+  const ubicacionSnapshot = await db.collection('UBICACION_SELECCION')
+    .where('id_persona', '==', id_usuario)
+    .limit(1)
+    .get();
+
+  if (ubicacionSnapshot.empty) return destinatarios;
+
+  const ubicacionData = ubicacionSnapshot.docs[0].data();
+  if (ubicacionData.grupo_buscar !== 1) return destinatarios;
+
+  // Obtener los miembros del grupo desde GRUPO_PERSONA
+  const grupoMiembrosSnapshot = await db.collection('GRUPO_PERSONA')
+    .where('id_grupo', '==', ubicacionData.id_grupo)
+    .get();
+
+  const miembrosGrupoIds = grupoMiembrosSnapshot.docs.map(doc => doc.data().id_usuario);
+
+  // Conectar con PERSONA para obtener `numero_telefono` de cada miembro; solo se usan los números verificados
+  for (const idPersona of miembrosGrupoIds) {
+    const personaDoc = await db.collection('PERSONA').doc(idPersona).get();
+    if (personaDoc.exists && personaDoc.data().numero_telefono && personaDoc.data().telefono_verificado === true) {
+      const persona = personaDoc.data();
+      destinatarios.push({
+        telefono: persona.numero_telefono,
+        nombre: `${persona.nombre || ''} ${persona.apellido || ''}`.trim(),
+        origen: 'grupo',
+        id_referencia: idPersona,
+      });
+    }
+  }
+
+  return destinatarios;
+}
+
+/**
+ * Elimina números duplicados y vacíos, conservando el primer destinatario de cada número.
+ */
+function depurarDestinatarios(destinatarios) {
+  const telefonosVistos = new Set();
+  return destinatarios.filter(destinatario => {
+    if (!destinatario.telefono || telefonosVistos.has(destinatario.telefono)) return false;
+    telefonosVistos.add(destinatario.telefono);
+    return true;
+  });
+}
+
+/**
+ * Obtiene todos los destinatarios a los que se puede notificar una alerta del usuario:
+ * sus contactos personales y los miembros del grupo seleccionado.
+ * Cada destinatario incluye su teléfono, nombre y origen ('contacto' o 'grupo').
+ */
+async function obtenerDestinatariosAlerta(id_usuario, { id_gravedad } = {}) {
+  const contactos = await obtenerContactosUsuario(id_usuario, { id_gravedad });
+  const miembros = await obtenerMiembrosGrupoSeleccionado(id_usuario);
+  return depurarDestinatarios([...contactos, ...miembros]);
+}
+
+module.exports = {
+  obtenerContactosUsuario,
+  obtenerMiembrosGrupoSeleccionado,
+  depurarDestinatarios,
+  obtenerDestinatariosAlerta,
+};
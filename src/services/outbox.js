@@ -0,0 +1,282 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { enviarMensaje } = require('./mensajeria');
+const { ESTADOS_FINALES, estadoDeAlerta } = require('./estado_alerta');
+
+// Configuración del worker de notificaciones
+const INTERVALO_MS = parseInt(process.env.OUTBOX_INTERVALO_MS, 10) || 5000;
+const MAX_INTENTOS = parseInt(process.env.OUTBOX_MAX_INTENTOS, 10) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS, 10) || 5000;
+const BLOQUEO_MS = 60 * 1000; // Tiempo que una notificación queda reservada mientras se envía
+const LOTE = 50;
+
+const ESTADOS_NOTIFICACION = {
+  PENDIENTE: 'pendiente',
+  ENVIANDO: 'enviando',
+  ENVIADO: 'enviado',
+  FALLIDO: 'fallido',
+  DESCARTADO: 'descartado',
+};
+
+// Estados de entrega informados por Twilio, ordenados según su avance
+const ORDEN_ENTREGA = ['queued', 'sent', 'delivered', 'read'];
+
+let procesando = false;
+let intervalo = null;
+
+/**
+ * Guarda un registro pendiente en la colección NOTIFICACION por cada destinatario
+ * ({ telefono, nombre, origen, id_referencia, prioridad, canales }). Si el destinatario no indica
+ * `canales`, se envía por los canales por defecto de la mensajería.
+ * El envío real lo realiza el worker, por lo que esta función retorna apenas se guardan los registros.
+ */
+async function encolarNotificaciones({ id_alerta = null, destinatarios, mensaje, tipo = 'alerta' }) {
+  const ahora = admin.firestore.Timestamp.now();
+  const batch = db.batch();
+  const ids = [];
+
+  for (const destinatario of destinatarios) {
+    const notificacionRef = db.collection('NOTIFICACION').doc();
+    ids.push(notificacionRef.id);
+
+    batch.set(notificacionRef, {
+      id_notificacion: notificacionRef.id,
+      id_alerta,
+      tipo,
+      telefono: destinatario.telefono,
+      nombre_destinatario: destinatario.nombre || null,
+      origen: destinatario.origen || null,
+      id_referencia: destinatario.id_referencia || null,
+      prioridad: destinatario.prioridad ?? null,
+      canales: destinatario.canales || null,
+      mensaje,
+      estado: ESTADOS_NOTIFICACION.PENDIENTE,
+      intentos: 0,
+      proximo_intento: ahora,
+      ultimo_error: null,
+      fecha_creacion: ahora,
+      fecha_envio: null,
+      estado_entrega: null,
+      historial_entrega: [],
+    });
+  }
+
+  if (ids.length > 0) {
+    await batch.commit();
+    // Intentar el envío de inmediato sin esperar al siguiente ciclo del worker
+    setImmediate(() => procesarPendientes().catch(error => console.error("Error en el worker de notificaciones:", error)));
+  }
+
+  return ids;
+}
+
+/**
+ * Reserva una notificación dentro de una transacción para que no sea enviada dos veces.
+ * Retorna los datos de la notificación o null si ya no está disponible.
+ * El aviso de una alerta que se cerró (resuelta, cancelada o falsa alarma) mientras esperaba su envío
+ * queda descartado sin enviarse, como en escalamiento.js. Los avisos de cancelación sí se envían.
+ */
+async function reservarNotificacion(notificacionRef) {
+  return db.runTransaction(async (transaction) => {
+    const notificacionDoc = await transaction.get(notificacionRef);
+    if (!notificacionDoc.exists) return null;
+
+    const notificacion = notificacionDoc.data();
+    const ahora = Date.now();
+
+    const disponible =
+      (notificacion.estado === ESTADOS_NOTIFICACION.PENDIENTE && notificacion.proximo_intento.toMillis() <= ahora) ||
+      (notificacion.estado === ESTADOS_NOTIFICACION.ENVIANDO && notificacion.bloqueado_hasta.toMillis() <= ahora);
+
+    if (!disponible) return null;
+
+    if (notificacion.tipo === 'alerta' && notificacion.id_alerta) {
+      const alertaDoc = await transaction.get(db.collection('ALERTA').doc(notificacion.id_alerta));
+      const estadoAlerta = alertaDoc.exists ? estadoDeAlerta(alertaDoc.data()) : null;
+
+      if (ESTADOS_FINALES.includes(estadoAlerta)) {
+        transaction.update(notificacionRef, {
+          estado: ESTADOS_NOTIFICACION.DESCARTADO,
+          motivo_descarte: `La alerta pasó a '${estadoAlerta}' antes del envío.`,
+          fecha_descarte: admin.firestore.Timestamp.fromMillis(ahora),
+        });
+        return null;
+      }
+    }
+
+    transaction.update(notificacionRef, {
+      estado: ESTADOS_NOTIFICACION.ENVIANDO,
+      bloqueado_hasta: admin.firestore.Timestamp.fromMillis(ahora + BLOQUEO_MS),
+    });
+
+    return notificacion;
+  });
+}
+
+/**
+ * Envía una notificación y registra el resultado. Si falla, la reprograma con backoff exponencial
+ * hasta alcanzar el máximo de intentos.
+ */
+async function procesarNotificacion(notificacionRef) {
+  const notificacion = await reservarNotificacion(notificacionRef);
+  if (!notificacion) return;
+
+  const intentos = notificacion.intentos + 1;
+
+  try {
+    // Se intenta por los canales del destinatario en orden; por defecto, WhatsApp y luego SMS
+    const opciones = notificacion.canales ? { canales: notificacion.canales } : {};
+    const mensajeEnviado = await enviarMensaje(notificacion.telefono, notificacion.mensaje, opciones);
+
+    await notificacionRef.update({
+      estado: ESTADOS_NOTIFICACION.ENVIADO,
+      intentos,
+      sid_mensaje: mensajeEnviado.sid,
+      canal: mensajeEnviado.canal,
+      proveedor: mensajeEnviado.proveedor,
+      fecha_envio: admin.firestore.Timestamp.now(),
+      ultimo_error: null,
+    });
+  } catch (error) {
+    console.error(`Error al enviar la notificación ${notificacionRef.id} a ${notificacion.telefono}:`, error.message);
+
+    const agotado = intentos >= MAX_INTENTOS;
+    const espera = BACKOFF_BASE_MS * Math.pow(2, intentos - 1);
+
+    await notificacionRef.update({
+      estado: agotado ? ESTADOS_NOTIFICACION.FALLIDO : ESTADOS_NOTIFICACION.PENDIENTE,
+      intentos,
+      proximo_intento: admin.firestore.Timestamp.fromMillis(Date.now() + espera),
+      ultimo_error: error.message,
+    });
+  }
+}
+
+/**
+ * Procesa las notificaciones pendientes cuyo próximo intento ya venció, además de las que
+ * quedaron reservadas por un worker que se detuvo a mitad del envío. Las consultas filtran por
+ * fecha para que las notificaciones reprogramadas a futuro no ocupen el lote; requieren los índices
+ * compuestos de NOTIFICACION definidos en firestore.indexes.json.
+ */
+async function procesarPendientes() {
+  if (procesando) return;
+  procesando = true;
+
+  try {
+    const ahora = admin.firestore.Timestamp.now();
+
+    const [pendientesSnapshot, enviandoSnapshot] = await Promise.all([
+      db.collection('NOTIFICACION')
+        .where('estado', '==', ESTADOS_NOTIFICACION.PENDIENTE)
+        .where('proximo_intento', '<=', ahora)
+        .orderBy('proximo_intento')
+        .limit(LOTE)
+        .get(),
+      db.collection('NOTIFICACION')
+        .where('estado', '==', ESTADOS_NOTIFICACION.ENVIANDO)
+        .where('bloqueado_hasta', '<=', ahora)
+        .orderBy('bloqueado_hasta')
+        .limit(LOTE)
+        .get(),
+    ]);
+
+    const vencidas = [...pendientesSnapshot.docs, ...enviandoSnapshot.docs];
+
+    // Cada destinatario se procesa por separado: un número inválido no bloquea a los demás
+    await Promise.all(vencidas.map(doc => procesarNotificacion(doc.ref)));
+  } finally {
+    procesando = false;
+  }
+}
+
+/**
+ * Registra el estado de entrega informado por Twilio para el mensaje indicado.
+ * Los estados que llegan desordenados no hacen retroceder el estado de entrega.
+ * Retorna false si el mensaje no corresponde a ninguna notificación.
+ */
+async function registrarEstadoEntrega(sid_mensaje, estadoTwilio, codigoError = null) {
+  const notificacionSnapshot = await db.collection('NOTIFICACION')
+    .where('sid_mensaje', '==', sid_mensaje)
+    .limit(1)
+    .get();
+
+  if (notificacionSnapshot.empty) return false;
+
+  const notificacionRef = notificacionSnapshot.docs[0].ref;
+  const estado = estadoTwilio === 'undelivered' ? 'failed' : estadoTwilio;
+  const fecha = admin.firestore.Timestamp.now();
+
+  await db.runTransaction(async (transaction) => {
+    const notificacionDoc = await transaction.get(notificacionRef);
+    const estadoActual = notificacionDoc.data().estado_entrega;
+
+    const actualizacion = {
+      historial_entrega: admin.firestore.FieldValue.arrayUnion({ estado: estadoTwilio, codigo_error: codigoError, fecha }),
+    };
+
+    const avanza = ORDEN_ENTREGA.indexOf(estado) > ORDEN_ENTREGA.indexOf(estadoActual);
+    if (estado === 'failed' || (ORDEN_ENTREGA.includes(estado) && avanza && estadoActual !== 'failed')) {
+      actualizacion.estado_entrega = estado;
+    }
+    if (estado === 'delivered') actualizacion.fecha_entrega = fecha;
+    if (estado === 'read') actualizacion.fecha_lectura = fecha;
+    if (estado === 'failed') actualizacion.codigo_error_entrega = codigoError;
+
+    transaction.update(notificacionRef, actualizacion);
+  });
+
+  return true;
+}
+
+/**
+ * Obtiene las notificaciones de una alerta, opcionalmente filtradas por tipo.
+ */
+async function obtenerNotificacionesAlerta(id_alerta, tipo = null) {
+  let query = db.collection('NOTIFICACION').where('id_alerta', '==', id_alerta);
+  if (tipo) query = query.where('tipo', '==', tipo);
+
+  const notificacionesSnapshot = await query.get();
+  return notificacionesSnapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Obtiene los destinatarios a los que se avisó de una alerta. Con `soloEnviados`, solo quienes recibieron
+ * el aviso o lo están recibiendo: los avisos pendientes de una alerta cerrada se descartan sin enviarse.
+ */
+async function obtenerDestinatariosNotificados(id_alerta, { soloEnviados = false } = {}) {
+  const notificaciones = (await obtenerNotificacionesAlerta(id_alerta, 'alerta'))
+    .filter(notificacion => !soloEnviados ||
+      [ESTADOS_NOTIFICACION.ENVIANDO, ESTADOS_NOTIFICACION.ENVIADO].includes(notificacion.estado));
+
+  return notificaciones.map(notificacion => ({
+    telefono: notificacion.telefono,
+    nombre: notificacion.nombre_destinatario,
+    origen: notificacion.origen,
+    id_referencia: notificacion.id_referencia,
+    prioridad: notificacion.prioridad ?? null,
+    canales: notificacion.canales || null,
+  }));
+}
+
+/**
+ * Inicia el ciclo periódico del worker de notificaciones.
+ */
+function iniciarWorkerOutbox() {
+  if (intervalo) return;
+
+  intervalo = setInterval(() => {
+    procesarPendientes().catch(error => console.error("Error en el worker de notificaciones:", error));
+  }, INTERVALO_MS);
+
+  console.log(`Worker de notificaciones iniciado (cada ${INTERVALO_MS} ms)`);
+}
+
+module.exports = {
+  ESTADOS_NOTIFICACION,
+  encolarNotificaciones,
+  procesarPendientes,
+  registrarEstadoEntrega,
+  obtenerNotificacionesAlerta,
+  obtenerDestinatariosNotificados,
+  iniciarWorkerOutbox,
+};
@@ -0,0 +1,141 @@
+const { db } = require('../config/firebase');
+const { CANALES_POR_PREFERENCIA } = require('./mensajeria');
+
+// Canales que un contacto puede elegir para recibir las alertas
+const CANALES_CONTACTO = Object.keys(CANALES_POR_PREFERENCIA);
+const CANAL_POR_DEFECTO = 'whatsapp';
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Preferencias de un contacto con sus valores por defecto. Los contactos guardados antes de estos
+ * campos no tienen prioridad (se ordenan al final), usan WhatsApp y reciben todas las gravedades.
+ */
+function preferenciasContacto(contacto) {
+  return {
+    prioridad: Number.isInteger(contacto.prioridad) ? contacto.prioridad : null,
+    canal: CANALES_CONTACTO.includes(contacto.canal) ? contacto.canal : CANAL_POR_DEFECTO,
+    gravedades: Array.isArray(contacto.gravedades) ? contacto.gravedades : [],
+  };
+}
+
+/**
+ * Compara dos contactos por prioridad (1 es la más alta). Los contactos sin prioridad van al final.
+ */
+function compararPorPrioridad(a, b) {
+  const prioridadA = preferenciasContacto(a).prioridad ?? Infinity;
+  const prioridadB = preferenciasContacto(b).prioridad ?? Infinity;
+  if (prioridadA === prioridadB) return 0;
+  return prioridadA < prioridadB ? -1 : 1;
+}
+
+/**
+ * Indica si el contacto debe recibir las alertas de la gravedad indicada. Un contacto sin
+ * gravedades elegidas recibe todas.
+ */
+function contactoRecibeGravedad(contacto, id_gravedad) {
+  const { gravedades } = preferenciasContacto(contacto);
+  return gravedades.length === 0 || !id_gravedad || gravedades.includes(id_gravedad);
+}
+
+/**
+ * Valida los campos `prioridad`, `canal` y `gravedades` enviados al guardar o editar un contacto.
+ * Solo se validan los campos presentes; retorna un objeto con los que se deben guardar.
+ * Lanza un error 400 si algún valor no es válido o una gravedad no existe.
+ */
+async function validarPreferenciasContacto({ prioridad, canal, gravedades }) {
+  const preferencias = {};
+
+  if (prioridad !== undefined) {
+    const valor = Number(prioridad);
+    if (!Number.isInteger(valor) || valor < 1) {
+      throw crearError("El campo 'prioridad' debe ser un número entero mayor o igual a 1.", 400);
+    }
+    preferencias.prioridad = valor;
+  }
+
+  if (canal !== undefined) {
+    if (!CANALES_CONTACTO.includes(canal)) {
+      throw crearError(`El campo 'canal' debe ser uno de: ${CANALES_CONTACTO.join(', ')}.`, 400);
+    }
+    preferencias.canal = canal;
+  }
+
+  if (gravedades !== undefined) {
+    if (!Array.isArray(gravedades) || gravedades.some(id => typeof id !== 'string' || !id)) {
+      throw crearError("El campo 'gravedades' debe ser una lista de IDs de gravedad.", 400);
+    }
+
+    const unicas = [...new Set(gravedades)];
+    const gravedadesDocs = await Promise.all(unicas.map(id => db.collection('GRAVEDAD').doc(id).get()));
+    const inexistente = gravedadesDocs.find(doc => !doc.exists);
+    if (inexistente) {
+      throw crearError(`No se encontró la gravedad con el id: ${inexistente.id}`, 400);
+    }
+    preferencias.gravedades = unicas;
+  }
+
+  return preferencias;
+}
+
+/**
+ * Prioridad que se asigna a un contacto nuevo cuando no se indica: después del último contacto del usuario.
+ */
+async function siguientePrioridad(id_usuario) {
+  const contactosSnapshot = await db.collection('CONTACTO')
+    .where('id_usuario', '==', id_usuario)
+    .get();
+
+  const prioridades = contactosSnapshot.docs
+    .map(doc => preferenciasContacto(doc.data()).prioridad)
+    .filter(prioridad => prioridad !== null);
+
+  return prioridades.length > 0 ? Math.max(...prioridades) + 1 : 1;
+}
+
+/**
+ * Reordena los contactos del usuario según la lista de IDs recibida: el primero queda con prioridad 1.
+ * La lista debe incluir todos los contactos del usuario, sin repetir.
+ */
+async function ordenarContactos(id_usuario, ids_contactos) {
+  if (!Array.isArray(ids_contactos) || ids_contactos.length === 0) {
+    throw crearError("El campo 'ids_contactos' debe ser una lista con los IDs de los contactos.", 400);
+  }
+
+  const contactosSnapshot = await db.collection('CONTACTO')
+    .where('id_usuario', '==', id_usuario)
+    .get();
+
+  const idsUsuario = new Set(contactosSnapshot.docs.map(doc => doc.id));
+  const idsRecibidos = new Set(ids_contactos);
+
+  if (idsRecibidos.size !== ids_contactos.length) {
+    throw crearError("La lista de contactos tiene IDs repetidos.", 400);
+  }
+  if (idsRecibidos.size !== idsUsuario.size || ids_contactos.some(id => !idsUsuario.has(id))) {
+    throw crearError("La lista debe incluir todos los contactos del usuario y solo esos.", 400);
+  }
+
+  const batch = db.batch();
+  ids_contactos.forEach((id, indice) => {
+    batch.update(db.collection('CONTACTO').doc(id), { prioridad: indice + 1 });
+  });
+  await batch.commit();
+
+  return ids_contactos.map((id_contacto, indice) => ({ id_contacto, prioridad: indice + 1 }));
+}
+
+module.exports = {
+  CANALES_CONTACTO,
+  CANAL_POR_DEFECTO,
+  preferenciasContacto,
+  compararPorPrioridad,
+  contactoRecibeGravedad,
+  validarPreferenciasContacto,
+  siguientePrioridad,
+  ordenarContactos,
+};
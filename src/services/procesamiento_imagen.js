@@ -0,0 +1,67 @@
+const sharp = require('sharp');
+
+// Formatos de entrada aceptados, según el contenido real del archivo (no el tipo declarado)
+const FORMATOS_ENTRADA = ['jpeg', 'png', 'webp', 'heif'];
+
+// Tamaños que se generan de cada imagen. La miniatura se recorta al centro; la de visualización conserva la
+// proporción. Las imágenes más pequeñas no se agrandan
+const TAMANOS_IMAGEN = {
+  visualizacion: { ancho: 1080, alto: 1080, ajuste: 'inside' },
+  miniatura: { ancho: 256, alto: 256, ajuste: 'cover' },
+};
+
+// Todas las imágenes se guardan en WebP, que conserva la transparencia de los PNG
+const FORMATO_SALIDA = { contentType: 'image/webp', extension: '.webp', calidad: 80 };
+
+// Máximo de píxeles de la imagen de entrada, para no procesar imágenes diseñadas para agotar la memoria
+const MAX_PIXELES_ENTRADA = 50 * 1000 * 1000;
+
+const MENSAJE_IMAGEN_INVALIDA = 'El archivo no es una imagen válida. Se aceptan imágenes JPEG, PNG, WebP o HEIC.';
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Valida que el buffer sea una imagen de un formato aceptado y genera sus tamaños normalizados.
+ * La imagen se endereza según su orientación EXIF y se descartan todos sus metadatos (EXIF con
+ * la ubicación GPS, ICC, XMP). Retorna un objeto con un buffer WebP por cada tamaño de TAMANOS_IMAGEN.
+ * Lanza un error 400 si el archivo no es una imagen aceptada.
+ */
+async function procesarImagen(buffer) {
+  let metadatos;
+  try {
+    metadatos = await sharp(buffer, { limitInputPixels: MAX_PIXELES_ENTRADA }).metadata();
+  } catch (error) {
+    throw crearError(MENSAJE_IMAGEN_INVALIDA, 400);
+  }
+
+  if (!FORMATOS_ENTRADA.includes(metadatos.format)) {
+    throw crearError(MENSAJE_IMAGEN_INVALIDA, 400);
+  }
+
+  const tamanos = {};
+  try {
+    for (const [nombre, { ancho, alto, ajuste }] of Object.entries(TAMANOS_IMAGEN)) {
+      // sharp no copia los metadatos a la salida salvo que se pida con withMetadata()
+      tamanos[nombre] = await sharp(buffer, { limitInputPixels: MAX_PIXELES_ENTRADA })
+        .rotate()
+        .resize(ancho, alto, { fit: ajuste, withoutEnlargement: true })
+        .webp({ quality: FORMATO_SALIDA.calidad })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw crearError(MENSAJE_IMAGEN_INVALIDA, 400);
+  }
+
+  return tamanos;
+}
+
+module.exports = {
+  FORMATOS_ENTRADA,
+  TAMANOS_IMAGEN,
+  FORMATO_SALIDA,
+  procesarImagen,
+};
@@ -0,0 +1,216 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+
+// Configuración del programador de tareas
+const INTERVALO_MS = parseInt(process.env.PROGRAMADOR_INTERVALO_MS, 10) || 15000;
+const MAX_INTENTOS = parseInt(process.env.PROGRAMADOR_MAX_INTENTOS, 10) || 3;
+const REINTENTO_MS = 60 * 1000; // Espera base antes de reintentar una tarea que falló
+const BLOQUEO_MS = 5 * 60 * 1000; // Tiempo que una tarea queda reservada mientras se ejecuta
+const LOTE = 50;
+
+const ESTADOS_TAREA = {
+  PENDIENTE: 'pendiente',
+  EJECUTANDO: 'ejecutando',
+  COMPLETADA: 'completada',
+  FALLIDA: 'fallida',
+  CANCELADA: 'cancelada',
+};
+
+// Funciones que ejecutan cada tipo de tarea, registradas por los servicios que las usan
+const manejadores = {};
+
+let procesando = false;
+let intervalo = null;
+
+/**
+ * Registra la función que ejecuta las tareas de un tipo. Recibe los `datos` de la tarea y su id.
+ */
+function registrarManejador(tipo, manejador) {
+  manejadores[tipo] = manejador;
+}
+
+/**
+ * Guarda una tarea en la colección TAREA_PROGRAMADA para ejecutarla en la fecha indicada.
+ * Al quedar guardada en Firestore, la tarea se ejecuta aunque el servidor se reinicie antes de tiempo.
+ * Las tareas que ya vencieron se intentan de inmediato, sin esperar al siguiente ciclo.
+ * Con `batch`, la tarea se agrega al batch para guardarla junto con otros documentos; quien hace el
+ * commit debe llamar a adelantarTareasVencidas si la tarea ya venció.
+ */
+async function programarTarea(tipo, datos, ejecutarEn, { batch = null } = {}) {
+  const tareaRef = db.collection('TAREA_PROGRAMADA').doc();
+  const fechaEjecucion = ejecutarEn instanceof Date ? ejecutarEn.getTime() : ejecutarEn;
+
+  const tarea = {
+    id_tarea: tareaRef.id,
+    tipo,
+    datos,
+    estado: ESTADOS_TAREA.PENDIENTE,
+    ejecutar_en: admin.firestore.Timestamp.fromMillis(fechaEjecucion),
+    intentos: 0,
+    ultimo_error: null,
+    fecha_creacion: admin.firestore.Timestamp.now(),
+    fecha_ejecucion: null,
+  };
+
+  if (batch) {
+    batch.set(tareaRef, tarea);
+    return tareaRef.id;
+  }
+
+  await tareaRef.set(tarea);
+
+  if (fechaEjecucion <= Date.now()) {
+    adelantarTareasVencidas();
+  }
+
+  return tareaRef.id;
+}
+
+/**
+ * Ejecuta en segundo plano las tareas vencidas, sin esperar al siguiente ciclo del programador.
+ */
+function adelantarTareasVencidas() {
+  setImmediate(() => procesarTareasVencidas().catch(error => console.error("Error en el programador de tareas:", error)));
+}
+
+/**
+ * Cancela una tarea que aún no se ha ejecutado. Retorna false si ya no estaba pendiente.
+ */
+async function cancelarTarea(id_tarea) {
+  const tareaRef = db.collection('TAREA_PROGRAMADA').doc(id_tarea);
+
+  return db.runTransaction(async (transaction) => {
+    const tareaDoc = await transaction.get(tareaRef);
+    if (!tareaDoc.exists || tareaDoc.data().estado !== ESTADOS_TAREA.PENDIENTE) return false;
+
+    transaction.update(tareaRef, { estado: ESTADOS_TAREA.CANCELADA });
+    return true;
+  });
+}
+
+/**
+ * Reserva una tarea dentro de una transacción para que no se ejecute dos veces.
+ * Retorna los datos de la tarea o null si ya no está disponible.
+ */
+async function reservarTarea(tareaRef) {
+  return db.runTransaction(async (transaction) => {
+    const tareaDoc = await transaction.get(tareaRef);
+    if (!tareaDoc.exists) return null;
+
+    const tarea = tareaDoc.data();
+    const ahora = Date.now();
+
+    const disponible =
+      (tarea.estado === ESTADOS_TAREA.PENDIENTE && tarea.ejecutar_en.toMillis() <= ahora) ||
+      (tarea.estado === ESTADOS_TAREA.EJECUTANDO && tarea.bloqueado_hasta.toMillis() <= ahora);
+
+    if (!disponible) return null;
+
+    transaction.update(tareaRef, {
+      estado: ESTADOS_TAREA.EJECUTANDO,
+      bloqueado_hasta: admin.firestore.Timestamp.fromMillis(ahora + BLOQUEO_MS),
+    });
+
+    return tarea;
+  });
+}
+
+/**
+ * Ejecuta una tarea y registra el resultado. Si falla, se reintenta hasta alcanzar el máximo de intentos.
+ */
+async function ejecutarTarea(tareaRef) {
+  const tarea = await reservarTarea(tareaRef);
+  if (!tarea) return;
+
+  const intentos = tarea.intentos + 1;
+
+  try {
+    const manejador = manejadores[tarea.tipo];
+    if (!manejador) {
+      throw new Error(`No hay un manejador registrado para las tareas de tipo '${tarea.tipo}'.`);
+    }
+
+    await manejador(tarea.datos, tarea.id_tarea);
+
+    await tareaRef.update({
+      estado: ESTADOS_TAREA.COMPLETADA,
+      intentos,
+      fecha_ejecucion: admin.firestore.Timestamp.now(),
+      ultimo_error: null,
+    });
+  } catch (error) {
+    console.error(`Error al ejecutar la tarea ${tareaRef.id} (${tarea.tipo}):`, error.message);
+
+    const agotado = intentos >= MAX_INTENTOS;
+
+    await tareaRef.update({
+      estado: agotado ? ESTADOS_TAREA.FALLIDA : ESTADOS_TAREA.PENDIENTE,
+      intentos,
+      ejecutar_en: admin.firestore.Timestamp.fromMillis(Date.now() + REINTENTO_MS * intentos),
+      ultimo_error: error.message,
+    });
+  }
+}
+
+/**
+ * Ejecuta las tareas pendientes cuya fecha ya llegó, además de las que quedaron reservadas
+ * por un proceso que se detuvo a mitad de la ejecución. Las consultas filtran por fecha para que
+ * las tareas programadas a futuro no ocupen el lote; requieren los índices compuestos de
+ * TAREA_PROGRAMADA definidos en firestore.indexes.json.
+ */
+async function procesarTareasVencidas() {
+  if (procesando) return;
+  procesando = true;
+
+  try {
+    const ahora = admin.firestore.Timestamp.now();
+
+    const [pendientesSnapshot, ejecutandoSnapshot] = await Promise.all([
+      db.collection('TAREA_PROGRAMADA')
+        .where('estado', '==', ESTADOS_TAREA.PENDIENTE)
+        .where('ejecutar_en', '<=', ahora)
+        .orderBy('ejecutar_en')
+        .limit(LOTE)
+        .get(),
+      db.collection('TAREA_PROGRAMADA')
+        .where('estado', '==', ESTADOS_TAREA.EJECUTANDO)
+        .where('bloqueado_hasta', '<=', ahora)
+        .orderBy('bloqueado_hasta')
+        .limit(LOTE)
+        .get(),
+    ]);
+
+    const vencidas = [...pendientesSnapshot.docs, ...ejecutandoSnapshot.docs];
+
+    // Las tareas se ejecutan una a una, en el orden en que vencieron
+    vencidas.sort((a, b) => a.data().ejecutar_en.toMillis() - b.data().ejecutar_en.toMillis());
+    for (const doc of vencidas) {
+      await ejecutarTarea(doc.ref);
+    }
+  } finally {
+    procesando = false;
+  }
+}
+
+/**
+ * Inicia el ciclo periódico del programador de tareas.
+ */
+function iniciarProgramador() {
+  if (intervalo) return;
+
+  intervalo = setInterval(() => {
+    procesarTareasVencidas().catch(error => console.error("Error en el programador de tareas:", error));
+  }, INTERVALO_MS);
+
+  console.log(`Programador de tareas iniciado (cada ${INTERVALO_MS} ms)`);
+}
+
+module.exports = {
+  ESTADOS_TAREA,
+  registrarManejador,
+  programarTarea,
+  adelantarTareasVencidas,
+  cancelarTarea,
+  procesarTareasVencidas,
+  iniciarProgramador,
+};
@@ -0,0 +1,429 @@
+require('dotenv').config();
+const { admin, db } = require('../config/firebase');
+const { derivarAlerta } = require('./derivacion');
+const { normalizarTexto } = require('../utils/texto');
+
+// Zona horaria en que se evalúan los horarios de las reglas
+const ZONA_HORARIA = process.env.ZONA_HORARIA || 'America/Santiago';
+
+// Documento con el departamento al que se derivan las alertas que no cumplen ninguna regla
+const REF_CONFIGURACION = () => db.collection('CONFIGURACION').doc('derivacion');
+
+// Límites de /probar-regla-derivacion
+const DIAS_PRUEBA_POR_DEFECTO = 30;
+const MAX_DIAS_PRUEBA = 180;
+const MAX_ALERTAS_PRUEBA = 1000;
+const MAX_ALERTAS_RESPUESTA = 100;
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+function minutosDeHora(hora) {
+  const [horas, minutos] = hora.split(':').map(Number);
+  return horas * 60 + minutos;
+}
+
+/**
+ * Minutos transcurridos desde la medianoche en ZONA_HORARIA.
+ */
+function minutosDelDia(fecha) {
+  const partes = new Intl.DateTimeFormat('es-CL', {
+    timeZone: ZONA_HORARIA,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(fecha);
+  const valor = tipo => Number(partes.find(parte => parte.type === tipo).value);
+  return valor('hour') * 60 + valor('minute');
+}
+
+function validarListaTextos(valor, campo) {
+  if (!Array.isArray(valor) || valor.length === 0 || valor.some(item => typeof item !== 'string' || !item.trim())) {
+    throw crearError(`El campo '${campo}' debe ser una lista de textos no vacía.`, 400);
+  }
+  return [...new Set(valor.map(item => item.trim()))];
+}
+
+/**
+ * Valida las condiciones de una regla y retorna solo las informadas. Todas las condiciones deben
+ * cumplirse; dentro de cada lista basta con que coincida un elemento.
+ *   - id_comunas: comunas de la alerta (COMUNA)
+ *   - id_gravedades: gravedades de la alerta (GRAVEDAD)
+ *   - horario: { desde, hasta } en formato HH:MM; si `desde` es mayor que `hasta`, el horario cruza la medianoche
+ *   - palabras_clave: palabras o frases que deben aparecer en el mensaje del usuario, sin distinguir mayúsculas,
+ *     tildes ni signos de puntuación
+ */
+async function validarCondiciones(condiciones) {
+  if (!condiciones || typeof condiciones !== 'object' || Array.isArray(condiciones)) {
+    throw crearError("El campo 'condiciones' es obligatorio.", 400);
+  }
+
+  const validadas = {};
+
+  if (condiciones.id_comunas !== undefined) {
+    validadas.id_comunas = validarListaTextos(condiciones.id_comunas, 'id_comunas');
+  }
+  if (condiciones.id_gravedades !== undefined) {
+    validadas.id_gravedades = validarListaTextos(condiciones.id_gravedades, 'id_gravedades');
+  }
+  if (condiciones.palabras_clave !== undefined) {
+    validadas.palabras_clave = validarListaTextos(condiciones.palabras_clave, 'palabras_clave');
+    if (validadas.palabras_clave.some(palabra => !normalizarTexto(palabra))) {
+      throw crearError("Las palabras clave deben tener letras o números.", 400);
+    }
+  }
+  if (condiciones.horario !== undefined) {
+    const { desde, hasta } = condiciones.horario || {};
+    if (!FORMATO_HORA.test(desde) || !FORMATO_HORA.test(hasta) || desde === hasta) {
+      throw crearError("El campo 'horario' debe tener 'desde' y 'hasta' distintos, en formato HH:MM.", 400);
+    }
+    validadas.horario = { desde, hasta };
+  }
+
+  if (Object.keys(validadas).length === 0) {
+    throw crearError("La regla debe tener al menos una condición. Para derivar todas las alertas se usa el departamento por defecto.", 400);
+  }
+
+  await validarExistentes('COMUNA', validadas.id_comunas, 'la comuna');
+  await validarExistentes('GRAVEDAD', validadas.id_gravedades, 'la gravedad');
+
+  return validadas;
+}
+
+async function validarExistentes(coleccion, ids, descripcion) {
+  if (!ids) return;
+  const docs = await db.getAll(...ids.map(id => db.collection(coleccion).doc(id)));
+  const faltante = docs.find(doc => !doc.exists);
+  if (faltante) {
+    throw crearError(`No se encontró ${descripcion} con el id: ${faltante.id}`, 404);
+  }
+}
+
+async function validarDepartamento(id_departamento) {
+  if (!id_departamento || typeof id_departamento !== 'string') {
+    throw crearError("El campo 'id_departamento' es obligatorio.", 400);
+  }
+  const departamentoDoc = await db.collection('DEPARTAMENTO').doc(id_departamento).get();
+  if (!departamentoDoc.exists) {
+    throw crearError(`No se encontró el departamento con el id: ${id_departamento}`, 404);
+  }
+  if (departamentoDoc.data().estado === false) {
+    throw crearError("El departamento está desactivado.", 400);
+  }
+}
+
+function validarPrioridad(prioridad) {
+  if (!Number.isInteger(prioridad) || prioridad < 1) {
+    throw crearError("El campo 'prioridad' debe ser un número entero mayor o igual a 1.", 400);
+  }
+  return prioridad;
+}
+
+/**
+ * Valida los datos de una regla enviados por un administrador y retorna los campos a guardar.
+ */
+async function validarRegla({ nombre, id_departamento, prioridad, condiciones }) {
+  if (typeof nombre !== 'string' || !nombre.trim()) {
+    throw crearError("El campo 'nombre' es obligatorio.", 400);
+  }
+  validarPrioridad(prioridad);
+  await validarDepartamento(id_departamento);
+
+  return {
+    nombre: nombre.trim(),
+    id_departamento,
+    prioridad,
+    condiciones: await validarCondiciones(condiciones),
+  };
+}
+
+/**
+ * Crea una regla de derivación activa.
+ */
+async function crearRegla(datos) {
+  const regla = await validarRegla(datos);
+  const reglaRef = db.collection('REGLA_DERIVACION').doc();
+  const fecha = admin.firestore.Timestamp.now();
+
+  const nuevaRegla = {
+    id_regla: reglaRef.id,
+    ...regla,
+    estado: true,
+    veces_aplicada: 0,
+    fecha_ultima_aplicacion: null,
+    fecha_creacion: fecha,
+    fecha_actualizacion: fecha,
+  };
+  await reglaRef.set(nuevaRegla);
+  return nuevaRegla;
+}
+
+/**
+ * Reemplaza el nombre, departamento, prioridad y condiciones de una regla. Lanza 404 si no existe.
+ */
+async function editarRegla(id_regla, datos) {
+  const reglaRef = db.collection('REGLA_DERIVACION').doc(id_regla);
+  const reglaDoc = await reglaRef.get();
+  if (!reglaDoc.exists) {
+    throw crearError(`No se encontró la regla con el id: ${id_regla}`, 404);
+  }
+
+  const regla = await validarRegla(datos);
+  const cambios = { ...regla, fecha_actualizacion: admin.firestore.Timestamp.now() };
+  await reglaRef.update(cambios);
+  return { ...reglaDoc.data(), ...cambios };
+}
+
+/**
+ * Activa o desactiva una regla. Lanza 404 si no existe.
+ */
+async function cambiarEstadoRegla(id_regla, estado) {
+  if (typeof estado !== 'boolean') {
+    throw crearError("El campo 'estado' debe ser true o false.", 400);
+  }
+
+  const reglaRef = db.collection('REGLA_DERIVACION').doc(id_regla);
+  const reglaDoc = await reglaRef.get();
+  if (!reglaDoc.exists) {
+    throw crearError(`No se encontró la regla con el id: ${id_regla}`, 404);
+  }
+
+  await reglaRef.update({ estado, fecha_actualizacion: admin.firestore.Timestamp.now() });
+}
+
+/**
+ * Todas las reglas, activas e inactivas, en el orden en que se evalúan.
+ */
+async function listarReglas() {
+  const reglasSnapshot = await db.collection('REGLA_DERIVACION').get();
+  return ordenarReglas(reglasSnapshot.docs.map(doc => doc.data()));
+}
+
+/**
+ * Indica si la alerta cumple todas las condiciones de la regla. El horario se evalúa con la fecha de la alerta.
+ */
+function cumpleRegla(regla, alerta) {
+  const { id_comunas, id_gravedades, horario, palabras_clave } = regla.condiciones || {};
+
+  if (id_comunas && !id_comunas.includes(alerta.id_comuna)) return false;
+  if (id_gravedades && !id_gravedades.includes(alerta.id_gravedad)) return false;
+
+  if (horario) {
+    const minutos = minutosDelDia(alerta.fecha.toDate());
+    const desde = minutosDeHora(horario.desde);
+    const hasta = minutosDeHora(horario.hasta);
+    const dentro = desde < hasta
+      ? minutos >= desde && minutos < hasta
+      : minutos >= desde || minutos < hasta;
+    if (!dentro) return false;
+  }
+
+  if (palabras_clave) {
+    // Se comparan palabras completas: 'robo' no coincide con 'robot'. Las alertas anteriores a
+    // `mensaje_usuario` solo tienen el mensaje enviado a los contactos
+    const mensaje = ` ${normalizarTexto(alerta.mensaje_usuario || alerta.mensaje)} `;
+    const coincide = palabras_clave.some(palabra => mensaje.includes(` ${normalizarTexto(palabra)} `));
+    if (!coincide) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Ordena las reglas por prioridad (1 es la primera en evaluarse); a igual prioridad, la más antigua primero.
+ */
+function ordenarReglas(reglas) {
+  return [...reglas].sort((a, b) => (
+    a.prioridad - b.prioridad || a.fecha_creacion.toMillis() - b.fecha_creacion.toMillis()
+  ));
+}
+
+/**
+ * Reglas activas cuyo departamento sigue activo, en el orden en que se evalúan.
+ */
+async function obtenerReglasActivas() {
+  const [reglasSnapshot, departamentosSnapshot] = await Promise.all([
+    db.collection('REGLA_DERIVACION').where('estado', '==', true).get(),
+    db.collection('DEPARTAMENTO').get(),
+  ]);
+
+  const departamentosActivos = new Set(departamentosSnapshot.docs
+    .filter(doc => doc.data().estado !== false)
+    .map(doc => doc.id));
+
+  return ordenarReglas(reglasSnapshot.docs
+    .map(doc => doc.data())
+    .filter(regla => departamentosActivos.has(regla.id_departamento)));
+}
+
+/**
+ * Departamento al que se derivan las alertas que no cumplen ninguna regla, o null si no hay uno configurado
+ * o está desactivado.
+ */
+async function obtenerDepartamentoPorDefecto() {
+  const configuracionDoc = await REF_CONFIGURACION().get();
+  const id_departamento = configuracionDoc.exists ? configuracionDoc.data().id_departamento_por_defecto : null;
+  if (!id_departamento) return null;
+
+  const departamentoDoc = await db.collection('DEPARTAMENTO').doc(id_departamento).get();
+  return departamentoDoc.exists && departamentoDoc.data().estado !== false ? id_departamento : null;
+}
+
+/**
+ * Configura el departamento por defecto. Con null se quita y las alertas que no cumplen ninguna regla
+ * siguen el escalamiento normal.
+ */
+async function configurarDepartamentoPorDefecto(id_departamento) {
+  if (id_departamento !== null) {
+    await validarDepartamento(id_departamento);
+  }
+  await REF_CONFIGURACION().set({
+    id_departamento_por_defecto: id_departamento,
+    fecha_actualizacion: admin.firestore.Timestamp.now(),
+  }, { merge: true });
+  return id_departamento;
+}
+
+/**
+ * Primera regla que cumple la alerta, o null.
+ */
+function seleccionarRegla(reglas, alerta) {
+  return reglas.find(regla => cumpleRegla(regla, alerta)) || null;
+}
+
+/**
+ * Deriva una alerta recién creada según las reglas activas: al departamento de la primera regla que
+ * cumple o, si no cumple ninguna, al departamento por defecto. La derivación registra la regla aplicada
+ * (`regla` en ALERTA_DERIVADA y en el historial del caso). Si no hay regla ni departamento por defecto,
+ * la alerta sigue el escalamiento normal. Retorna la derivación o null.
+ */
+async function aplicarReglasDerivacion(alerta) {
+  const regla = seleccionarRegla(await obtenerReglasActivas(), alerta);
+  const id_departamento = regla ? regla.id_departamento : await obtenerDepartamentoPorDefecto();
+  if (!id_departamento) return null;
+
+  const reglaAplicada = regla
+    ? { id_regla: regla.id_regla, nombre: regla.nombre }
+    : { id_regla: null, nombre: 'Departamento por defecto' };
+
+  let derivacion;
+  try {
+    derivacion = await derivarAlerta({
+      id_alerta: alerta.id_alerta,
+      id_departamento,
+      motivo: regla
+        ? `Derivación automática por la regla '${regla.nombre}'.`
+        : 'Derivación automática al departamento por defecto: ninguna regla coincidió.',
+      regla: reglaAplicada,
+    });
+  } catch (error) {
+    // La alerta cambió de estado antes de aplicar las reglas
+    if (error.status === 409) return null;
+    throw error;
+  }
+
+  if (regla) {
+    await db.collection('REGLA_DERIVACION').doc(regla.id_regla).update({
+      veces_aplicada: admin.firestore.FieldValue.increment(1),
+      fecha_ultima_aplicacion: derivacion.fecha_derivacion,
+    });
+  }
+
+  console.log(`Alerta ${alerta.id_alerta} derivada al departamento ${id_departamento} (${reglaAplicada.nombre}).`);
+  return derivacion;
+}
+
+/**
+ * Prueba una regla contra las alertas de los últimos `dias` días (hasta MAX_ALERTAS_PRUEBA, las más
+ * recientes) sin derivar nada. `coincidencias` cuenta las alertas que cumplen las condiciones;
+ * `aplicaria` cuenta las que se derivarían con esta regla, considerando las reglas activas de mayor
+ * prioridad. Para una regla guardada (`id_regla`) se reemplaza su versión actual en la evaluación.
+ */
+async function probarRegla({ id_regla = null, condiciones, prioridad, dias = DIAS_PRUEBA_POR_DEFECTO }) {
+  if (!Number.isInteger(dias) || dias < 1 || dias > MAX_DIAS_PRUEBA) {
+    throw crearError(`El campo 'dias' debe ser un número entero entre 1 y ${MAX_DIAS_PRUEBA}.`, 400);
+  }
+
+  let candidata;
+  if (id_regla) {
+    const reglaDoc = await db.collection('REGLA_DERIVACION').doc(id_regla).get();
+    if (!reglaDoc.exists) {
+      throw crearError(`No se encontró la regla con el id: ${id_regla}`, 404);
+    }
+    candidata = reglaDoc.data();
+  } else {
+    candidata = {
+      id_regla: null,
+      nombre: 'Regla de prueba',
+      condiciones: await validarCondiciones(condiciones),
+      prioridad: prioridad === undefined ? Number.MAX_SAFE_INTEGER : validarPrioridad(prioridad),
+      fecha_creacion: admin.firestore.Timestamp.now(),
+    };
+  }
+
+  const reglas = ordenarReglas([
+    ...(await obtenerReglasActivas()).filter(regla => regla.id_regla !== candidata.id_regla),
+    candidata,
+  ]);
+
+  const desde = admin.firestore.Timestamp.fromMillis(Date.now() - dias * 24 * 60 * 60 * 1000);
+  const alertasSnapshot = await db.collection('ALERTA')
+    .where('fecha', '>=', desde)
+    .orderBy('fecha', 'desc')
+    .limit(MAX_ALERTAS_PRUEBA)
+    .get();
+
+  let aplicaria = 0;
+  const alertas = [];
+
+  for (const doc of alertasSnapshot.docs) {
+    const alerta = { id_alerta: doc.id, ...doc.data() };
+    if (!alerta.fecha || !cumpleRegla(candidata, alerta)) continue;
+
+    const ganadora = seleccionarRegla(reglas, alerta);
+    const seAplica = ganadora === candidata;
+    if (seAplica) aplicaria++;
+
+    alertas.push({
+      id_alerta: alerta.id_alerta,
+      fecha: alerta.fecha,
+      id_comuna: alerta.id_comuna || null,
+      comuna: alerta.comuna || null,
+      id_gravedad: alerta.id_gravedad || null,
+      mensaje_usuario: alerta.mensaje_usuario || null,
+      aplicaria: seAplica,
+      // Regla de mayor prioridad que se aplicaría en lugar de la probada
+      id_regla_previa: seAplica ? null : ganadora.id_regla,
+    });
+  }
+
+  return {
+    dias,
+    zona_horaria: ZONA_HORARIA,
+    alertas_evaluadas: alertasSnapshot.size,
+    limite_alcanzado: alertasSnapshot.size === MAX_ALERTAS_PRUEBA,
+    coincidencias: alertas.length,
+    aplicaria,
+    alertas: alertas.slice(0, MAX_ALERTAS_RESPUESTA),
+  };
+}
+
+module.exports = {
+  ZONA_HORARIA,
+  DIAS_PRUEBA_POR_DEFECTO,
+  MAX_DIAS_PRUEBA,
+  crearRegla,
+  editarRegla,
+  cambiarEstadoRegla,
+  listarReglas,
+  cumpleRegla,
+  obtenerDepartamentoPorDefecto,
+  configurarDepartamentoPorDefecto,
+  aplicarReglasDerivacion,
+  probarRegla,
+};
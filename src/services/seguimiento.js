@@ -0,0 +1,192 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { PUBLIC_BASE_URL } = require('../config/url_publica');
+const { estadoDeAlerta, ESTADOS_FINALES, registrarAlCerrarAlerta } = require('./estado_alerta');
+
+// Horas durante las que el enlace de seguimiento es válido
+const DURACION_HORAS = parseInt(process.env.SEGUIMIENTO_DURACION_HORAS, 10) || 12;
+
+// Cantidad máxima de puntos del recorrido que se devuelven al visor
+const MAX_PUNTOS_RECORRIDO = 500;
+
+const ESTADOS_SEGUIMIENTO = {
+  ACTIVO: 'activo',
+  FINALIZADO: 'finalizado',
+};
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Construye la URL pública del visor de seguimiento, o null si no está definida PUBLIC_BASE_URL.
+ */
+function urlSeguimiento(token) {
+  return PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/api/seguimiento/${token}` : null;
+}
+
+/**
+ * Crea la sesión de seguimiento de una alerta con un token aleatorio que vence a las DURACION_HORAS.
+ * La ubicación inicial queda como primer punto del recorrido. Con `batch`, los documentos se agregan
+ * al batch para guardarlos junto con la alerta.
+ */
+async function crearSeguimiento({ id_alerta, id_usuario, latitud, longitud }, { batch = null } = {}) {
+  const seguimientoRef = db.collection('SEGUIMIENTO').doc();
+  const ahora = admin.firestore.Timestamp.now();
+  const posicion = { latitud, longitud, precision: null, fecha: ahora };
+
+  const seguimiento = {
+    id_seguimiento: seguimientoRef.id,
+    id_alerta,
+    id_usuario,
+    token: crypto.randomBytes(24).toString('hex'),
+    estado: ESTADOS_SEGUIMIENTO.ACTIVO,
+    fecha_inicio: ahora,
+    expira_en: admin.firestore.Timestamp.fromMillis(ahora.toMillis() + DURACION_HORAS * 60 * 60 * 1000),
+    fecha_fin: null,
+    ultima_posicion: posicion,
+  };
+
+  const recorridoRef = db.collection('ALERTA').doc(id_alerta).collection('RECORRIDO').doc();
+
+  if (batch) {
+    batch.set(seguimientoRef, seguimiento);
+    batch.set(recorridoRef, posicion);
+  } else {
+    await seguimientoRef.set(seguimiento);
+    await recorridoRef.set(posicion);
+  }
+
+  return seguimiento;
+}
+
+/**
+ * Obtiene la sesión de seguimiento de una alerta, o null si la alerta no tiene una.
+ */
+async function obtenerSeguimientoAlerta(id_alerta) {
+  const seguimientoSnapshot = await db.collection('SEGUIMIENTO')
+    .where('id_alerta', '==', id_alerta)
+    .limit(1)
+    .get();
+
+  return seguimientoSnapshot.empty ? null : seguimientoSnapshot.docs[0];
+}
+
+/**
+ * Finaliza la sesión de seguimiento de una alerta. Desde ese momento no se aceptan más posiciones
+ * y el enlace deja de mostrar la ubicación.
+ */
+async function finalizarSeguimiento(id_alerta) {
+  const seguimientoDoc = await obtenerSeguimientoAlerta(id_alerta);
+  if (!seguimientoDoc || seguimientoDoc.data().estado !== ESTADOS_SEGUIMIENTO.ACTIVO) return false;
+
+  await seguimientoDoc.ref.update({
+    estado: ESTADOS_SEGUIMIENTO.FINALIZADO,
+    fecha_fin: admin.firestore.Timestamp.now(),
+  });
+
+  return true;
+}
+
+/**
+ * Agrega una posición al recorrido de la alerta. Lanza un error con `status` 404 si la alerta
+ * no tiene seguimiento, 403 si no pertenece al usuario y 409 si la sesión ya terminó.
+ */
+async function registrarPosicion({ id_alerta, id_usuario, latitud, longitud, precision = null }) {
+  const seguimientoDoc = await obtenerSeguimientoAlerta(id_alerta);
+  if (!seguimientoDoc) {
+    throw crearError(`La alerta ${id_alerta} no tiene una sesión de seguimiento.`, 404);
+  }
+
+  const seguimiento = seguimientoDoc.data();
+  if (seguimiento.id_usuario !== id_usuario) {
+    throw crearError("Solo el usuario que generó la alerta puede enviar su ubicación.", 403);
+  }
+
+  if (seguimiento.estado !== ESTADOS_SEGUIMIENTO.ACTIVO || seguimiento.expira_en.toMillis() <= Date.now()) {
+    throw crearError("La sesión de seguimiento de esta alerta ya terminó.", 409);
+  }
+
+  // La alerta pudo cerrarse sin que la sesión alcanzara a finalizar
+  const alertaDoc = await db.collection('ALERTA').doc(id_alerta).get();
+  if (ESTADOS_FINALES.includes(estadoDeAlerta(alertaDoc.data()))) {
+    await finalizarSeguimiento(id_alerta);
+    throw crearError("La sesión de seguimiento de esta alerta ya terminó.", 409);
+  }
+
+  const posicion = { latitud, longitud, precision, fecha: admin.firestore.Timestamp.now() };
+
+  await db.collection('ALERTA').doc(id_alerta).collection('RECORRIDO').doc().set(posicion);
+  await seguimientoDoc.ref.update({ ultima_posicion: posicion });
+
+  return posicion;
+}
+
+/**
+ * Obtiene la última posición y el recorrido de la sesión asociada al token.
+ * Lanza un error con `status` 404 si el token no existe y 410 si la sesión terminó o venció.
+ */
+async function obtenerRecorridoPorToken(token) {
+  const seguimientoSnapshot = await db.collection('SEGUIMIENTO')
+    .where('token', '==', token)
+    .limit(1)
+    .get();
+
+  if (seguimientoSnapshot.empty) {
+    throw crearError("El enlace de seguimiento no existe.", 404);
+  }
+
+  const seguimiento = seguimientoSnapshot.docs[0].data();
+  const alertaDoc = await db.collection('ALERTA').doc(seguimiento.id_alerta).get();
+  const estadoAlerta = estadoDeAlerta(alertaDoc.data());
+
+  if (ESTADOS_FINALES.includes(estadoAlerta)) {
+    await finalizarSeguimiento(seguimiento.id_alerta);
+  }
+
+  if (
+    seguimiento.estado !== ESTADOS_SEGUIMIENTO.ACTIVO ||
+    ESTADOS_FINALES.includes(estadoAlerta) ||
+    seguimiento.expira_en.toMillis() <= Date.now()
+  ) {
+    throw crearError("El seguimiento de esta alerta terminó.", 410);
+  }
+
+  const recorridoSnapshot = await db.collection('ALERTA').doc(seguimiento.id_alerta)
+    .collection('RECORRIDO')
+    .orderBy('fecha', 'desc')
+    .limit(MAX_PUNTOS_RECORRIDO)
+    .get();
+
+  const recorrido = recorridoSnapshot.docs
+    .map(doc => doc.data())
+    .reverse()
+    .map(punto => ({
+      latitud: punto.latitud,
+      longitud: punto.longitud,
+      precision: punto.precision,
+      fecha: punto.fecha.toDate(),
+    }));
+
+  return {
+    estado_alerta: estadoAlerta,
+    expira_en: seguimiento.expira_en.toDate(),
+    ultima_posicion: recorrido[recorrido.length - 1] || null,
+    recorrido,
+  };
+}
+
+// Al cerrar la alerta, el enlace deja de compartir la ubicación
+registrarAlCerrarAlerta(finalizarSeguimiento);
+
+module.exports = {
+  ESTADOS_SEGUIMIENTO,
+  urlSeguimiento,
+  crearSeguimiento,
+  finalizarSeguimiento,
+  registrarPosicion,
+  obtenerRecorridoPorToken,
+};
@@ -0,0 +1,281 @@
+const { admin, db } = require('../config/firebase');
+
+// Período por defecto de las métricas y período máximo que se puede consultar
+const DIAS_POR_DEFECTO = 30;
+const MAX_DIAS_PERIODO = 366;
+
+const TIPOS_INCUMPLIMIENTO = {
+  PRIMERA_ACCION: 'primera_accion',
+  CIERRE: 'cierre',
+};
+
+const FORMATO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+const MS_POR_MINUTO = 60 * 1000;
+const MS_POR_DIA = 24 * 60 * MS_POR_MINUTO;
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Valida el período de consulta (`desde` y `hasta` en formato AAAA-MM-DD, ambos incluidos). Por
+ * defecto se consultan los últimos DIAS_POR_DEFECTO días. Retorna los límites como Date.
+ */
+function obtenerPeriodo({ desde, hasta } = {}) {
+  for (const [campo, valor] of Object.entries({ desde, hasta })) {
+    if (valor !== undefined && (!FORMATO_FECHA.test(valor) || Number.isNaN(Date.parse(valor)))) {
+      throw crearError(`El campo '${campo}' debe tener el formato AAAA-MM-DD.`, 400);
+    }
+  }
+
+  const fin = hasta ? new Date(Date.parse(hasta) + MS_POR_DIA) : new Date();
+  const inicio = desde ? new Date(Date.parse(desde)) : new Date(fin.getTime() - DIAS_POR_DEFECTO * MS_POR_DIA);
+
+  if (inicio >= fin) {
+    throw crearError("El campo 'desde' debe ser anterior o igual a 'hasta'.", 400);
+  }
+  if (fin - inicio > MAX_DIAS_PERIODO * MS_POR_DIA) {
+    throw crearError(`El período no puede superar los ${MAX_DIAS_PERIODO} días.`, 400);
+  }
+
+  return { inicio, fin };
+}
+
+/**
+ * Percentil `p` (0 a 100) por el método del rango más cercano, redondeado a un decimal, o null si no hay valores.
+ */
+function percentil(valores, p) {
+  if (valores.length === 0) return null;
+  const ordenados = [...valores].sort((a, b) => a - b);
+  const indice = Math.max(0, Math.ceil((p / 100) * ordenados.length) - 1);
+  return Math.round(ordenados[indice] * 10) / 10;
+}
+
+function minutosEntre(inicio, fin) {
+  return (fin.toMillis() - inicio.toMillis()) / MS_POR_MINUTO;
+}
+
+/**
+ * Metas de SLA de cada gravedad: { [id_gravedad]: { primera_accion, cierre } } en minutos (null si no tiene).
+ */
+async function obtenerMetasSla() {
+  const gravedadesSnapshot = await db.collection('GRAVEDAD').get();
+  const metas = {};
+  for (const doc of gravedadesSnapshot.docs) {
+    const gravedad = doc.data();
+    metas[doc.id] = {
+      descripcion: gravedad.descripcion || null,
+      primera_accion: gravedad.sla_minutos_primera_accion ?? null,
+      cierre: gravedad.sla_minutos_cierre ?? null,
+    };
+  }
+  return metas;
+}
+
+/**
+ * Tiempos de una derivación y si cumple las metas de su gravedad. La respuesta del departamento termina
+ * con su primera acción sobre el caso, o con el cierre o la rederivación si no hubo acción. Las
+ * derivaciones que pasaron a otro departamento no se evalúan por tiempo de cierre. Las que siguen
+ * pendientes se evalúan con el tiempo transcurrido hasta `ahora`.
+ */
+function evaluarDerivacion(derivacion, metas, ahora) {
+  const { fecha_alerta, fecha_derivacion, fecha_primera_accion, fecha_cierre, fecha_rederivacion } = derivacion;
+  const meta = metas[derivacion.id_gravedad] || {};
+
+  const finRespuesta = fecha_primera_accion || fecha_cierre || fecha_rederivacion || null;
+  const minutosRespuesta = minutosEntre(fecha_derivacion, finRespuesta || ahora);
+  const minutosCierre = fecha_rederivacion ? null : minutosEntre(fecha_derivacion, fecha_cierre || ahora);
+
+  return {
+    minutos_derivacion: fecha_alerta ? minutosEntre(fecha_alerta, fecha_derivacion) : null,
+    minutos_primera_accion: fecha_primera_accion ? minutosEntre(fecha_derivacion, fecha_primera_accion) : null,
+    minutos_cierre: fecha_cierre && !fecha_rederivacion ? minutosEntre(fecha_derivacion, fecha_cierre) : null,
+    pendiente_primera_accion: !finRespuesta,
+    pendiente_cierre: !fecha_cierre && !fecha_rederivacion,
+    incumple_primera_accion: meta.primera_accion != null && minutosRespuesta > meta.primera_accion,
+    incumple_cierre: meta.cierre != null && minutosCierre !== null && minutosCierre > meta.cierre,
+    meta_primera_accion: meta.primera_accion ?? null,
+    meta_cierre: meta.cierre ?? null,
+    minutos_respuesta: minutosRespuesta,
+    minutos_abierta: minutosCierre,
+  };
+}
+
+/**
+ * Derivaciones del período (según `fecha_derivacion`) con sus tiempos evaluados. Se pueden filtrar
+ * por departamento, gravedad y comuna.
+ */
+async function obtenerDerivacionesEvaluadas({ desde, hasta, id_departamento, id_gravedad, id_comuna } = {}) {
+  const { inicio, fin } = obtenerPeriodo({ desde, hasta });
+
+  const [derivacionesSnapshot, metas] = await Promise.all([
+    db.collection('ALERTA_DERIVADA')
+      .where('fecha_derivacion', '>=', admin.firestore.Timestamp.fromDate(inicio))
+      .where('fecha_derivacion', '<', admin.firestore.Timestamp.fromDate(fin))
+      .get(),
+    obtenerMetasSla(),
+  ]);
+
+  const ahora = admin.firestore.Timestamp.now();
+  const derivaciones = derivacionesSnapshot.docs
+    .map(doc => ({ id_alerta_derivada: doc.id, ...doc.data() }))
+    .filter(derivacion => (
+      (!id_departamento || derivacion.id_departamento === id_departamento) &&
+      (!id_gravedad || derivacion.id_gravedad === id_gravedad) &&
+      (!id_comuna || derivacion.id_comuna === id_comuna)
+    ))
+    .map(derivacion => ({ ...derivacion, tiempos: evaluarDerivacion(derivacion, metas, ahora) }));
+
+  return { inicio, fin, metas, derivaciones };
+}
+
+/**
+ * Resumen de un grupo de derivaciones: mediana y p90 (en minutos) de cada tiempo, pendientes e incumplimientos.
+ */
+function resumirDerivaciones(derivaciones) {
+  const estadisticas = (campo) => {
+    const valores = derivaciones.map(derivacion => derivacion.tiempos[campo]).filter(valor => valor !== null);
+    return { cantidad: valores.length, mediana_minutos: percentil(valores, 50), p90_minutos: percentil(valores, 90) };
+  };
+  const contar = campo => derivaciones.filter(derivacion => derivacion.tiempos[campo]).length;
+
+  return {
+    total_derivaciones: derivaciones.length,
+    alerta_a_derivacion: estadisticas('minutos_derivacion'),
+    derivacion_a_primera_accion: estadisticas('minutos_primera_accion'),
+    derivacion_a_cierre: estadisticas('minutos_cierre'),
+    pendientes_primera_accion: contar('pendiente_primera_accion'),
+    pendientes_cierre: contar('pendiente_cierre'),
+    incumplimientos_primera_accion: contar('incumple_primera_accion'),
+    incumplimientos_cierre: contar('incumple_cierre'),
+  };
+}
+
+function agruparPor(derivaciones, obtenerClave) {
+  const grupos = new Map();
+  for (const derivacion of derivaciones) {
+    const clave = obtenerClave(derivacion);
+    if (!grupos.has(clave)) grupos.set(clave, []);
+    grupos.get(clave).push(derivacion);
+  }
+  return grupos;
+}
+
+async function nombresDepartamentos() {
+  const departamentosSnapshot = await db.collection('DEPARTAMENTO').get();
+  return new Map(departamentosSnapshot.docs.map(doc => [doc.id, doc.data().nombre_departamento || null]));
+}
+
+/**
+ * Métricas de tiempos de respuesta del período: generales, por departamento y por comuna.
+ */
+async function obtenerMetricasSla(filtros) {
+  const [{ inicio, fin, metas, derivaciones }, departamentos] = await Promise.all([
+    obtenerDerivacionesEvaluadas(filtros),
+    nombresDepartamentos(),
+  ]);
+
+  const por_departamento = [...agruparPor(derivaciones, derivacion => derivacion.id_departamento)]
+    .map(([id_departamento, grupo]) => ({
+      id_departamento,
+      nombre_departamento: departamentos.get(id_departamento) || null,
+      ...resumirDerivaciones(grupo),
+    }))
+    .sort((a, b) => b.total_derivaciones - a.total_derivaciones);
+
+  const por_comuna = [...agruparPor(derivaciones, derivacion => derivacion.id_comuna || null)]
+    .map(([id_comuna, grupo]) => ({
+      id_comuna,
+      comuna: grupo[0].comuna || null,
+      ...resumirDerivaciones(grupo),
+    }))
+    .sort((a, b) => b.total_derivaciones - a.total_derivaciones);
+
+  return {
+    desde: inicio,
+    hasta: fin,
+    metas,
+    general: resumirDerivaciones(derivaciones),
+    por_departamento,
+    por_comuna,
+  };
+}
+
+/**
+ * Derivaciones del período que no cumplieron (o ya no pueden cumplir) la meta de su gravedad, de la que
+ * más excedió la meta a la que menos. `tipo` limita el listado a un tipo de incumplimiento.
+ */
+async function listarIncumplimientosSla({ tipo, ...filtros } = {}) {
+  if (tipo && !Object.values(TIPOS_INCUMPLIMIENTO).includes(tipo)) {
+    throw crearError(`El campo 'tipo' debe ser uno de: ${Object.values(TIPOS_INCUMPLIMIENTO).join(', ')}.`, 400);
+  }
+
+  const [{ inicio, fin, derivaciones }, departamentos] = await Promise.all([
+    obtenerDerivacionesEvaluadas(filtros),
+    nombresDepartamentos(),
+  ]);
+
+  const incumplimientos = [];
+  for (const derivacion of derivaciones) {
+    const { tiempos } = derivacion;
+    const base = {
+      id_alerta: derivacion.id_alerta,
+      id_caso: derivacion.id_alerta,
+      id_alerta_derivada: derivacion.id_alerta_derivada,
+      id_departamento: derivacion.id_departamento,
+      nombre_departamento: departamentos.get(derivacion.id_departamento) || null,
+      id_comuna: derivacion.id_comuna || null,
+      comuna: derivacion.comuna || null,
+      id_gravedad: derivacion.id_gravedad || null,
+      fecha_derivacion: derivacion.fecha_derivacion,
+    };
+
+    if (tiempos.incumple_primera_accion && (!tipo || tipo === TIPOS_INCUMPLIMIENTO.PRIMERA_ACCION)) {
+      incumplimientos.push({
+        ...base,
+        tipo: TIPOS_INCUMPLIMIENTO.PRIMERA_ACCION,
+        pendiente: tiempos.pendiente_primera_accion,
+        meta_minutos: tiempos.meta_primera_accion,
+        minutos: Math.round(tiempos.minutos_respuesta * 10) / 10,
+      });
+    }
+    if (tiempos.incumple_cierre && (!tipo || tipo === TIPOS_INCUMPLIMIENTO.CIERRE)) {
+      incumplimientos.push({
+        ...base,
+        tipo: TIPOS_INCUMPLIMIENTO.CIERRE,
+        pendiente: tiempos.pendiente_cierre,
+        meta_minutos: tiempos.meta_cierre,
+        minutos: Math.round(tiempos.minutos_abierta * 10) / 10,
+      });
+    }
+  }
+
+  for (const incumplimiento of incumplimientos) {
+    incumplimiento.minutos_excedidos = Math.round((incumplimiento.minutos - incumplimiento.meta_minutos) * 10) / 10;
+  }
+  incumplimientos.sort((a, b) => b.minutos_excedidos - a.minutos_excedidos);
+
+  const contarPor = campo => Object.fromEntries([...agruparPor(incumplimientos, incumplimiento => incumplimiento[campo] || 'sin_dato')]
+    .map(([clave, grupo]) => [clave, grupo.length]));
+
+  return {
+    desde: inicio,
+    hasta: fin,
+    total: incumplimientos.length,
+    por_departamento: contarPor('id_departamento'),
+    por_comuna: contarPor('id_comuna'),
+    incumplimientos,
+  };
+}
+
+module.exports = {
+  TIPOS_INCUMPLIMIENTO,
+  DIAS_POR_DEFECTO,
+  MAX_DIAS_PERIODO,
+  percentil,
+  evaluarDerivacion,
+  obtenerMetricasSla,
+  listarIncumplimientosSla,
+};
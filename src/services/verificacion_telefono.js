@@ -0,0 +1,342 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { enviarMensaje } = require('./mensajeria');
+const { ESTADOS_CONSENTIMIENTO, estadoConsentimiento } = require('./consentimiento');
+const { MENSAJE_TELEFONO_INVALIDO, normalizarTelefono, enmascararTelefono } = require('../utils/telefono');
+
+// Minutos durante los que un código es válido
+const DURACION_MINUTOS = parseInt(process.env.VERIFICACION_TELEFONO_MINUTOS, 10) || 10;
+
+// Intentos fallidos permitidos antes de bloquear el código
+const MAX_INTENTOS = 5;
+
+// Segundos de espera entre dos solicitudes de código para el mismo número
+const ESPERA_REENVIO_SEGUNDOS = 60;
+
+// Códigos que se pueden pedir por hora para un mismo número
+const MAX_SOLICITUDES_HORA = 5;
+
+// Los códigos se envían por SMS; WhatsApp queda como respaldo
+const CANALES_CODIGO = ['sms', 'whatsapp'];
+
+const TIPOS_VERIFICACION = {
+  PERSONA: 'persona',
+  CONTACTO: 'contacto',
+};
+
+const ESTADOS_VERIFICACION = {
+  PENDIENTE: 'pendiente',
+  VERIFICADA: 'verificada',
+  REEMPLAZADA: 'reemplazada',
+  BLOQUEADA: 'bloqueada',
+  FALLIDA: 'fallida',
+};
+
+function crearError(mensaje, status) {
+  const error = new Error(mensaje);
+  error.status = status;
+  return error;
+}
+
+/**
+ * En VERIFICACION_TELEFONO solo se guarda el hash del código, combinado con el ID de la verificación.
+ */
+function hashCodigo(id_verificacion, codigo) {
+  return crypto.createHash('sha256').update(`${id_verificacion}:${codigo}`).digest('hex');
+}
+
+/**
+ * Obtiene las verificaciones de un número de PERSONA o CONTACTO, de la más reciente a la más antigua.
+ */
+async function obtenerVerificaciones(tipo, id_referencia) {
+  const verificacionesSnapshot = await db.collection('VERIFICACION_TELEFONO')
+    .where('id_referencia', '==', id_referencia)
+    .get();
+
+  return verificacionesSnapshot.docs
+    .filter(doc => doc.data().tipo === tipo)
+    .sort((a, b) => b.data().fecha_creacion.toMillis() - a.data().fecha_creacion.toMillis());
+}
+
+/**
+ * Genera un código de 6 dígitos para el número y lo envía por SMS. Invalida los códigos pendientes
+ * anteriores y limita la frecuencia de las solicitudes.
+ * `mensaje` recibe el código y retorna el texto a enviar.
+ */
+async function enviarCodigo({ tipo, id_referencia, telefono, mensaje }) {
+  const verificaciones = await obtenerVerificaciones(tipo, id_referencia);
+  const ahora = Date.now();
+
+  const recientes = verificaciones.filter(doc => doc.data().fecha_creacion.toMillis() > ahora - 60 * 60 * 1000);
+  if (recientes.length >= MAX_SOLICITUDES_HORA) {
+    throw crearError("Se alcanzó el máximo de códigos por hora para este número. Intenta más tarde.", 429);
+  }
+  if (recientes.length > 0 && recientes[0].data().fecha_creacion.toMillis() > ahora - ESPERA_REENVIO_SEGUNDOS * 1000) {
+    throw crearError(`Debes esperar ${ESPERA_REENVIO_SEGUNDOS} segundos antes de pedir otro código.`, 429);
+  }
+
+  const pendientes = verificaciones.filter(doc => doc.data().estado === ESTADOS_VERIFICACION.PENDIENTE);
+  if (pendientes.length > 0) {
+    const batch = db.batch();
+    pendientes.forEach(doc => batch.update(doc.ref, { estado: ESTADOS_VERIFICACION.REEMPLAZADA }));
+    await batch.commit();
+  }
+
+  const codigo = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const verificacionRef = db.collection('VERIFICACION_TELEFONO').doc();
+  const fecha_creacion = admin.firestore.Timestamp.now();
+  const expira_en = admin.firestore.Timestamp.fromMillis(fecha_creacion.toMillis() + DURACION_MINUTOS * 60 * 1000);
+
+  await verificacionRef.set({
+    id_verificacion: verificacionRef.id,
+    tipo,
+    id_referencia,
+    telefono,
+    codigo_hash: hashCodigo(verificacionRef.id, codigo),
+    intentos: 0,
+    estado: ESTADOS_VERIFICACION.PENDIENTE,
+    fecha_creacion,
+    expira_en,
+    fecha_verificacion: null,
+  });
+
+  try {
+    await enviarMensaje(telefono, mensaje(codigo), { canales: CANALES_CODIGO });
+  } catch (error) {
+    console.error(`No se pudo enviar el código de verificación a ${enmascararTelefono(telefono)}:`, error.message);
+    await verificacionRef.update({ estado: ESTADOS_VERIFICACION.FALLIDA });
+    throw crearError("No se pudo enviar el código de verificación. Revisa el número e intenta nuevamente.", 502);
+  }
+
+  return { telefono: enmascararTelefono(telefono), expira_en };
+}
+
+/**
+ * Comprueba el código ingresado contra la verificación pendiente del número. Cada intento fallido
+ * se descuenta; al llegar a MAX_INTENTOS el código se bloquea y hay que pedir uno nuevo.
+ */
+async function comprobarCodigo({ tipo, id_referencia, telefono, codigo }) {
+  const pendiente = (await obtenerVerificaciones(tipo, id_referencia))
+    .find(doc => doc.data().estado === ESTADOS_VERIFICACION.PENDIENTE);
+
+  if (!pendiente) {
+    throw crearError("No hay un código pendiente para este número. Solicita uno nuevo.", 404);
+  }
+  if (pendiente.data().telefono !== telefono) {
+    await pendiente.ref.update({ estado: ESTADOS_VERIFICACION.REEMPLAZADA });
+    throw crearError("El número cambió después de solicitar el código. Solicita uno nuevo.", 409);
+  }
+  if (pendiente.data().expira_en.toMillis() <= Date.now()) {
+    throw crearError("El código venció. Solicita uno nuevo.", 410);
+  }
+
+  const codigoHash = Buffer.from(hashCodigo(pendiente.id, String(codigo).trim()));
+
+  const resultado = await db.runTransaction(async transaction => {
+    const verificacion = (await transaction.get(pendiente.ref)).data();
+    if (verificacion.estado !== ESTADOS_VERIFICACION.PENDIENTE) {
+      return { estado: verificacion.estado };
+    }
+
+    if (crypto.timingSafeEqual(codigoHash, Buffer.from(verificacion.codigo_hash))) {
+      transaction.update(pendiente.ref, {
+        estado: ESTADOS_VERIFICACION.VERIFICADA,
+        fecha_verificacion: admin.firestore.Timestamp.now(),
+      });
+      return { estado: ESTADOS_VERIFICACION.VERIFICADA };
+    }
+
+    const intentos = verificacion.intentos + 1;
+    const bloqueada = intentos >= MAX_INTENTOS;
+    transaction.update(pendiente.ref, {
+      intentos,
+      estado: bloqueada ? ESTADOS_VERIFICACION.BLOQUEADA : ESTADOS_VERIFICACION.PENDIENTE,
+    });
+    return { estado: bloqueada ? ESTADOS_VERIFICACION.BLOQUEADA : ESTADOS_VERIFICACION.PENDIENTE, restantes: MAX_INTENTOS - intentos };
+  });
+
+  if (resultado.estado === ESTADOS_VERIFICACION.PENDIENTE) {
+    throw crearError(`El código no es correcto. Te quedan ${resultado.restantes} intentos.`, 400);
+  }
+  if (resultado.estado !== ESTADOS_VERIFICACION.VERIFICADA) {
+    throw crearError("El código se bloqueó por demasiados intentos fallidos. Solicita uno nuevo.", 429);
+  }
+}
+
+/**
+ * Indica si otra persona ya verificó el número. Un número verificado identifica a una sola persona
+ * en la búsqueda de /invitar-usuario.
+ */
+async function telefonoVerificadoPorOtraPersona(telefono, id_persona) {
+  const personasSnapshot = await db.collection('PERSONA')
+    .where('numero_telefono', '==', telefono)
+    .get();
+
+  return personasSnapshot.docs.some(doc => doc.id !== id_persona && doc.data().telefono_verificado === true);
+}
+
+/**
+ * Campos de PERSONA a guardar cuando la persona informa un número: el número normalizado y, si cambió,
+ * `telefono_verificado` en false. Lanza 400 si el número no es válido.
+ */
+function datosTelefonoPersona(persona, numero_telefono) {
+  const telefono = normalizarTelefono(numero_telefono);
+  if (!telefono) {
+    throw crearError(MENSAJE_TELEFONO_INVALIDO, 400);
+  }
+  if (persona && persona.numero_telefono === telefono) {
+    return { numero_telefono: telefono };
+  }
+  return { numero_telefono: telefono, telefono_verificado: false };
+}
+
+/**
+ * Campos de CONTACTO a guardar cuando se informa un celular: el número normalizado y, si cambió,
+ * `celular_verificado` en false. Lanza 400 si el número no es válido.
+ */
+function datosTelefonoContacto(contacto, celular) {
+  const telefono = normalizarTelefono(celular);
+  if (!telefono) {
+    throw crearError(MENSAJE_TELEFONO_INVALIDO, 400);
+  }
+  if (contacto && contacto.celular === telefono) {
+    return { celular: telefono };
+  }
+  return { celular: telefono, celular_verificado: false };
+}
+
+async function obtenerPersona(id_persona) {
+  const personaDoc = await db.collection('PERSONA').doc(id_persona).get();
+  if (!personaDoc.exists) {
+    throw crearError("No se encontró a la persona.", 404);
+  }
+  return personaDoc;
+}
+
+/**
+ * Envía un código al número de la persona. Si se indica `numero_telefono`, primero lo guarda como
+ * su nuevo número (sin verificar).
+ */
+async function solicitarVerificacionPersona(id_persona, numero_telefono) {
+  const personaDoc = await obtenerPersona(id_persona);
+  const persona = personaDoc.data();
+
+  const numero = numero_telefono || persona.numero_telefono;
+  if (!numero) {
+    throw crearError("No tienes un número de teléfono registrado.", 400);
+  }
+
+  const datosTelefono = datosTelefonoPersona(persona, numero);
+  const telefono = datosTelefono.numero_telefono;
+
+  if (persona.numero_telefono === telefono && persona.telefono_verificado === true) {
+    throw crearError("El número de teléfono ya está verificado.", 409);
+  }
+  if (await telefonoVerificadoPorOtraPersona(telefono, id_persona)) {
+    throw crearError("El número de teléfono ya está verificado por otra cuenta.", 409);
+  }
+
+  await personaDoc.ref.update(datosTelefono);
+
+  return enviarCodigo({
+    tipo: TIPOS_VERIFICACION.PERSONA,
+    id_referencia: id_persona,
+    telefono,
+    mensaje: codigo =>
+      `Tu código de verificación de Women Security App es ${codigo}. Vence en ${DURACION_MINUTOS} minutos. No lo compartas con nadie.`,
+  });
+}
+
+/**
+ * Marca como verificado el número de la persona si el código es correcto.
+ */
+async function verificarTelefonoPersona(id_persona, codigo) {
+  const personaDoc = await obtenerPersona(id_persona);
+  const telefono = personaDoc.data().numero_telefono;
+
+  await comprobarCodigo({ tipo: TIPOS_VERIFICACION.PERSONA, id_referencia: id_persona, telefono, codigo });
+
+  if (await telefonoVerificadoPorOtraPersona(telefono, id_persona)) {
+    throw crearError("El número de teléfono ya está verificado por otra cuenta.", 409);
+  }
+
+  await personaDoc.ref.update({
+    telefono_verificado: true,
+    fecha_verificacion_telefono: admin.firestore.Timestamp.now(),
+  });
+
+  return { numero_telefono: telefono };
+}
+
+async function obtenerContactoPropio(id_usuario, id_contacto) {
+  const contactoDoc = await db.collection('CONTACTO').doc(id_contacto).get();
+  if (!contactoDoc.exists) {
+    throw crearError(`No se encontró el contacto con id: ${id_contacto}`, 404);
+  }
+  if (contactoDoc.data().id_usuario !== id_usuario) {
+    throw crearError("El contacto no pertenece al usuario.", 403);
+  }
+  return contactoDoc;
+}
+
+/**
+ * Envía un código al celular del contacto. El contacto debe entregarle el código al usuario, lo que
+ * confirma que el número existe. Recibir alertas depende además del consentimiento del contacto
+ * (ver services/consentimiento.js); a los contactos que respondieron STOP no se les envía el código.
+ */
+async function solicitarVerificacionContacto(id_usuario, id_contacto) {
+  const contactoDoc = await obtenerContactoPropio(id_usuario, id_contacto);
+  const contacto = contactoDoc.data();
+
+  if (estadoConsentimiento(contacto) === ESTADOS_CONSENTIMIENTO.DETENIDO) {
+    throw crearError("El contacto pidió no recibir más mensajes (STOP).", 409);
+  }
+
+  const datosTelefono = datosTelefonoContacto(contacto, contacto.celular);
+  if (contacto.celular_verificado === true && !('celular_verificado' in datosTelefono)) {
+    throw crearError("El celular del contacto ya está verificado.", 409);
+  }
+
+  // Los contactos guardados antes de la normalización se actualizan al formato E.164
+  await contactoDoc.ref.update(datosTelefono);
+
+  const personaDoc = await db.collection('PERSONA').doc(id_usuario).get();
+  const nombre = personaDoc.exists ? `${personaDoc.data().nombre} ${personaDoc.data().apellido}` : 'Una persona';
+
+  return enviarCodigo({
+    tipo: TIPOS_VERIFICACION.CONTACTO,
+    id_referencia: id_contacto,
+    telefono: datosTelefono.celular,
+    mensaje: codigo =>
+      `${nombre} te agregó como contacto de emergencia en Women Security App. Para confirmar tu número, entrégale este código: ${codigo}. Vence en ${DURACION_MINUTOS} minutos.`,
+  });
+}
+
+/**
+ * Marca como verificado el celular del contacto si el código es correcto.
+ */
+async function verificarTelefonoContacto(id_usuario, id_contacto, codigo) {
+  const contactoDoc = await obtenerContactoPropio(id_usuario, id_contacto);
+  const telefono = contactoDoc.data().celular;
+
+  await comprobarCodigo({ tipo: TIPOS_VERIFICACION.CONTACTO, id_referencia: id_contacto, telefono, codigo });
+
+  await contactoDoc.ref.update({
+    celular_verificado: true,
+    fecha_verificacion_celular: admin.firestore.Timestamp.now(),
+  });
+
+  return { celular: telefono };
+}
+
+module.exports = {
+  TIPOS_VERIFICACION,
+  ESTADOS_VERIFICACION,
+  datosTelefonoPersona,
+  datosTelefonoContacto,
+  solicitarVerificacionPersona,
+  verificarTelefonoPersona,
+  solicitarVerificacionContacto,
+  verificarTelefonoContacto,
+};
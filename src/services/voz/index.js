@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { vozTwilio, IDIOMA_VOZ } = require('./twilio');
+const { vozMock } = require('./mock');
+const { formatearTelefono } = require('../mensajeria');
+
+// Proveedor a utilizar: 'twilio' o 'mock'. Por defecto, el mismo de la mensajería
+const VOZ_PROVEEDOR = process.env.VOZ_PROVEEDOR || process.env.MENSAJERIA_PROVEEDOR || 'twilio';
+
+const proveedores = { twilio: vozTwilio, mock: vozMock };
+
+/**
+ * Devuelve el proveedor de llamadas configurado.
+ */
+function obtenerProveedorVoz() {
+  const proveedor = proveedores[VOZ_PROVEEDOR];
+  if (!proveedor) {
+    throw new Error(`No existe el proveedor de llamadas '${VOZ_PROVEEDOR}'.`);
+  }
+  return proveedor;
+}
+
+/**
+ * Realiza una llamada que ejecuta el TwiML indicado. Retorna el identificador de la llamada y el
+ * proveedor usado; lanza un error si no se pudo realizar.
+ */
+async function realizarLlamada({ telefono, twiml, statusCallback }) {
+  const proveedor = obtenerProveedorVoz();
+  const { sid } = await proveedor.llamar({ telefono: formatearTelefono(telefono), twiml, statusCallback });
+  console.log(`Llamada realizada a ${telefono}`);
+  return { sid, proveedor: proveedor.nombre };
+}
+
+module.exports = { IDIOMA_VOZ, obtenerProveedorVoz, realizarLlamada };
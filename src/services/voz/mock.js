@@ -0,0 +1,60 @@
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Llamadas "realizadas" por el proveedor de prueba, en memoria
+const llamadas = [];
+
+// Teléfonos a los que la llamada debe fallar (p. ej. VOZ_MOCK_FALLAR=+56911111111,+56922222222; '*' para todos)
+const fallos = new Set(
+  (process.env.VOZ_MOCK_FALLAR || '').split(',').map(valor => valor.trim()).filter(Boolean)
+);
+
+/**
+ * Proveedor de llamadas de prueba. No llama a nadie: guarda el TwiML de cada llamada en memoria y,
+ * si se define VOZ_MOCK_ARCHIVO, lo agrega como líneas JSON a ese archivo. Las respuestas del
+ * destinatario se simulan llamando a los webhooks /twilio/estado-llamada y /twilio/llamada-respuesta.
+ */
+const vozMock = {
+  nombre: 'mock',
+
+  async llamar({ telefono, twiml, statusCallback }) {
+    if (fallos.has(telefono) || fallos.has('*')) {
+      throw new Error(`Fallo simulado al llamar a ${telefono}.`);
+    }
+
+    const registro = {
+      sid: `CAMOCK${crypto.randomBytes(12).toString('hex')}`,
+      telefono,
+      twiml,
+      statusCallback: statusCallback || null,
+      fecha: new Date().toISOString(),
+    };
+
+    llamadas.push(registro);
+
+    if (process.env.VOZ_MOCK_ARCHIVO) {
+      fs.appendFileSync(process.env.VOZ_MOCK_ARCHIVO, `${JSON.stringify(registro)}\n`);
+    }
+
+    console.log(`[mock] Llamada a ${telefono}`);
+    return { sid: registro.sid };
+  },
+};
+
+/**
+ * Hace que las llamadas a `telefono` fallen ('*' aplica a todos los teléfonos).
+ */
+function simularFallo(telefono = '*') {
+  fallos.add(telefono);
+}
+
+/**
+ * Limpia las llamadas registradas y los fallos simulados.
+ */
+function limpiar() {
+  llamadas.length = 0;
+  fallos.clear();
+}
+
+module.exports = { vozMock, llamadas, simularFallo, limpiar };
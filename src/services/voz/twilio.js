@@ -0,0 +1,34 @@
+require('dotenv').config();
+const { obtenerClienteTwilio } = require('../mensajeria/cliente_twilio');
+
+// Idioma de la voz que lee los mensajes en las llamadas
+const IDIOMA_VOZ = process.env.TWILIO_VOZ_IDIOMA || 'es-MX';
+
+// Eventos de la llamada que Twilio informa en el statusCallback
+const EVENTOS_ESTADO = ['initiated', 'ringing', 'answered', 'completed'];
+
+/**
+ * Proveedor de llamadas de voz a través de Twilio. La llamada ejecuta el TwiML recibido.
+ * Usa como remitente TWILIO_VOZ_FROM o, si no está definida, TWILIO_SMS_FROM.
+ */
+const vozTwilio = {
+  nombre: 'twilio',
+
+  async llamar({ telefono, twiml, statusCallback }) {
+    const from = process.env.TWILIO_VOZ_FROM || process.env.TWILIO_SMS_FROM;
+    if (!from) {
+      throw new Error('TWILIO_VOZ_FROM no está definida. No es posible realizar llamadas.');
+    }
+
+    const opciones = { from, to: telefono, twiml };
+    if (statusCallback) {
+      opciones.statusCallback = statusCallback;
+      opciones.statusCallbackEvent = EVENTOS_ESTADO;
+    }
+
+    const llamada = await obtenerClienteTwilio().calls.create(opciones);
+    return { sid: llamada.sid };
+  },
+};
+
+module.exports = { vozTwilio, IDIOMA_VOZ };
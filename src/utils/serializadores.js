@@ -0,0 +1,18 @@
+// Campos de PERFIL que nunca se devuelven al cliente. Las credenciales solo existen en Firebase Authentication,
+// pero los perfiles antiguos pueden conservar la contraseña hasta que se ejecute la migración.
+const CAMPOS_SENSIBLES_PERFIL = ['password'];
+
+/**
+ * Retorna una copia del perfil sin los campos sensibles. Acepta null o undefined.
+ */
+function serializarPerfil(perfil) {
+  if (!perfil) return perfil;
+
+  const perfilSerializado = { ...perfil };
+  for (const campo of CAMPOS_SENSIBLES_PERFIL) {
+    delete perfilSerializado[campo];
+  }
+  return perfilSerializado;
+}
+
+module.exports = { CAMPOS_SENSIBLES_PERFIL, serializarPerfil };
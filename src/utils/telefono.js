@@ -0,0 +1,50 @@
+// Código de país de Chile
+const CODIGO_PAIS_CHILE = '56';
+
+// Número nacional chileno: 9 dígitos, el primero es 9 para celulares o el código de área para teléfonos fijos
+const NUMERO_NACIONAL_CHILE = /^[2-9]\d{8}$/;
+
+// Formato E.164 de otros países: '+', código de país y hasta 15 dígitos en total
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+const MENSAJE_TELEFONO_INVALIDO =
+  "El número de teléfono no es válido. Usa un número chileno de 9 dígitos (p. ej. 912345678) o un número internacional con '+' y el código de país.";
+
+/**
+ * Normaliza un número de teléfono al formato E.164 (p. ej. '+56912345678').
+ * Los números sin código de país se interpretan como chilenos; se aceptan espacios, guiones, puntos,
+ * paréntesis y los prefijos '56', '+56' y '0056'. Los números de otros países deben incluir '+'.
+ * Retorna null si el número no es válido.
+ */
+function normalizarTelefono(telefono) {
+  if (telefono === undefined || telefono === null) return null;
+
+  let limpio = String(telefono).trim().replace(/[\s\-.()]/g, '');
+  if (limpio.startsWith('00')) limpio = `+${limpio.slice(2)}`;
+
+  if (limpio.startsWith('+')) {
+    if (limpio.startsWith(`+${CODIGO_PAIS_CHILE}`)) {
+      const nacional = limpio.slice(CODIGO_PAIS_CHILE.length + 1);
+      return NUMERO_NACIONAL_CHILE.test(nacional) ? `+${CODIGO_PAIS_CHILE}${nacional}` : null;
+    }
+    return E164.test(limpio) ? limpio : null;
+  }
+
+  if (!/^\d+$/.test(limpio)) return null;
+
+  if (limpio.length === 11 && limpio.startsWith(CODIGO_PAIS_CHILE)) {
+    limpio = limpio.slice(CODIGO_PAIS_CHILE.length);
+  }
+
+  return NUMERO_NACIONAL_CHILE.test(limpio) ? `+${CODIGO_PAIS_CHILE}${limpio}` : null;
+}
+
+/**
+ * Oculta los dígitos centrales de un número para mostrarlo en respuestas y registros (p. ej. '+569****5678').
+ */
+function enmascararTelefono(telefono) {
+  if (!telefono || telefono.length < 8) return telefono;
+  return `${telefono.slice(0, 4)}${'*'.repeat(telefono.length - 8)}${telefono.slice(-4)}`;
+}
+
+module.exports = { CODIGO_PAIS_CHILE, MENSAJE_TELEFONO_INVALIDO, normalizarTelefono, enmascararTelefono };
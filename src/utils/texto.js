@@ -0,0 +1,41 @@
+/**
+ * Pasa el texto a minúsculas, sin tildes, signos de puntuación ni espacios repetidos.
+ */
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Distancia de Levenshtein: cantidad mínima de inserciones, eliminaciones o reemplazos
+ * para transformar un texto en otro.
+ */
+function distanciaLevenshtein(a, b) {
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+      actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+    }
+    anterior = actual;
+  }
+
+  return anterior[b.length];
+}
+
+/**
+ * Similitud entre 0 y 1 de dos textos, basada en la distancia de Levenshtein.
+ */
+function similitud(a, b) {
+  const largo = Math.max(a.length, b.length);
+  return largo === 0 ? 1 : 1 - distanciaLevenshtein(a, b) / largo;
+}
+
+module.exports = { normalizarTexto, distanciaLevenshtein, similitud };
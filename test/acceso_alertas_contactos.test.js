@@ -0,0 +1,84 @@
+process.env.AUTH_MODO = 'stub';
+process.env.MENSAJERIA_PROVEEDOR = 'mock';
+process.env.CORREO_PROVEEDOR = 'mock';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const { iniciarServidor } = require('./helpers/http');
+const { ROLES, TIPOS_USUARIO } = require('../src/config/roles');
+const app = require('../src/app');
+
+describe('acceso a alertas y contactos de otro usuario', () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor(app);
+  });
+
+  after(() => servidor.cerrar());
+
+  beforeEach(() => {
+    firebase.limpiar();
+    firebase.guardar('PERFIL', 'duena', { tipo_usuario: TIPOS_USUARIO[ROLES.USUARIO], estado: true });
+    firebase.guardar('PERFIL', 'otra', { tipo_usuario: TIPOS_USUARIO[ROLES.USUARIO], estado: true });
+    firebase.guardar('PERFIL', 'funcionario1', { tipo_usuario: TIPOS_USUARIO[ROLES.FUNCIONARIO], estado: true });
+    firebase.guardar('ALERTA', 'alerta1', { id_alerta: 'alerta1', id_usuario: 'duena', estado: 'activa' });
+    firebase.guardar('CONTACTO', 'contacto1', { id_usuario: 'duena', nombres: 'Ana', apellidos: 'Pérez', celular: '+56912345678' });
+  });
+
+  it('rechaza ver una alerta de quien no comparte un grupo con el usuario', async () => {
+    const respuesta = await servidor.solicitar('GET', '/api/obtener-alertas?id_alerta=alerta1', { uid: 'otra' });
+    assert.strictEqual(respuesta.status, 403);
+  });
+
+  it('rechaza listar las alertas de un grupo al que el usuario no pertenece', async () => {
+    firebase.guardar('GRUPO_PERSONA', 'miembro1', { id_grupo: 'grupo1', id_usuario: 'duena' });
+
+    const respuesta = await servidor.solicitar('GET', '/api/obtener-alertas?id_grupo=grupo1', { uid: 'otra' });
+    assert.strictEqual(respuesta.status, 403);
+  });
+
+  it('rechaza cancelar una alerta ajena sin cambiar su estado', async () => {
+    const respuesta = await servidor.solicitar('POST', '/api/cancelar-alerta', { uid: 'otra', body: { id_alerta: 'alerta1' } });
+
+    assert.strictEqual(respuesta.status, 403);
+    assert.strictEqual(firebase.leer('ALERTA', 'alerta1').estado, 'activa');
+  });
+
+  it('rechaza ver las confirmaciones y la entrega de una alerta ajena', async () => {
+    for (const ruta of ['/api/confirmaciones-alerta', '/api/entrega-alerta']) {
+      const respuesta = await servidor.solicitar('GET', `${ruta}?id_alerta=alerta1`, { uid: 'otra' });
+      assert.strictEqual(respuesta.status, 403, ruta);
+    }
+  });
+
+  it('permite a la dueña y a un funcionario ver la entrega de la alerta', async () => {
+    for (const uid of ['duena', 'funcionario1']) {
+      const respuesta = await servidor.solicitar('GET', '/api/entrega-alerta?id_alerta=alerta1', { uid });
+      assert.strictEqual(respuesta.status, 200, uid);
+    }
+  });
+
+  it('rechaza que un usuario use la lista global de alertas de los funcionarios', async () => {
+    const respuesta = await servidor.solicitar('GET', '/api/listar-alertas', { uid: 'otra' });
+    assert.strictEqual(respuesta.status, 403);
+  });
+
+  it('rechaza editar un contacto ajeno sin modificarlo', async () => {
+    const respuesta = await servidor.solicitar('PUT', '/api/editar-contacto', {
+      uid: 'otra',
+      body: { id_contacto: 'contacto1', nombres: 'Otro', apellidos: 'Nombre', celular: '+56987654321', email: 'otro@correo.cl' },
+    });
+
+    assert.strictEqual(respuesta.status, 403);
+    assert.strictEqual(firebase.leer('CONTACTO', 'contacto1').celular, '+56912345678');
+  });
+
+  it('rechaza borrar un contacto ajeno', async () => {
+    const respuesta = await servidor.solicitar('DELETE', '/api/borrar-contacto', { uid: 'otra', body: { id_contacto: 'contacto1' } });
+
+    assert.strictEqual(respuesta.status, 403);
+    assert.ok(firebase.leer('CONTACTO', 'contacto1'));
+  });
+});
@@ -0,0 +1,116 @@
+process.env.MENSAJERIA_PROVEEDOR = 'mock';
+process.env.COMUNAS_GEOJSON = '/ruta/inexistente/comunas.geojson';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const { crearAlerta } = require('../src/services/alertas');
+const { procesarTareasVencidas } = require('../src/services/programador');
+require('../src/services/acompanamiento');
+
+describe('crearAlerta', () => {
+  beforeEach(() => firebase.limpiar());
+
+  it('guarda la ubicación, el seguimiento, la alerta y la tarea que avisa a los contactos', async () => {
+    const { id_alerta, id_ubicacion } = await crearAlerta({
+      id_usuario: 'usuario1', latitud: -33.45, longitud: -70.66, id_gravedad: 'gravedad1', mensaje: 'Ayuda',
+    });
+
+    const alerta = firebase.leer('ALERTA', id_alerta);
+    assert.strictEqual(alerta.estado, 'activa');
+    assert.strictEqual(alerta.mensaje_usuario, 'Ayuda');
+    assert.ok(firebase.leer('UBICACION', id_ubicacion));
+    assert.ok(firebase.leer('SEGUIMIENTO', alerta.id_seguimiento));
+    assert.strictEqual(firebase.listar(`ALERTA/${id_alerta}/RECORRIDO`).length, 1);
+
+    const tareas = firebase.listar('TAREA_PROGRAMADA').filter(tarea => tarea.tipo === 'escalamiento_contactos');
+    assert.deepStrictEqual(tareas.map(tarea => tarea.datos.id_alerta), [id_alerta]);
+  });
+
+  it('no incluye un enlace de seguimiento relativo si no está definida PUBLIC_BASE_URL', async () => {
+    const { id_alerta, url_seguimiento } = await crearAlerta({
+      id_usuario: 'usuario1', latitud: -33.45, longitud: -70.66, id_gravedad: 'gravedad1', mensaje: 'Ayuda',
+    });
+
+    assert.strictEqual(url_seguimiento, null);
+    assert.ok(!firebase.leer('ALERTA', id_alerta).mensaje.includes('/api/seguimiento/'));
+  });
+
+  it('no deja ningún documento guardado si falla el batch', async () => {
+    firebase.fallarCommit();
+
+    await assert.rejects(crearAlerta({
+      id_usuario: 'usuario1', latitud: -33.45, longitud: -70.66, id_gravedad: 'gravedad1', mensaje: 'Ayuda',
+    }));
+
+    for (const coleccion of ['UBICACION', 'SEGUIMIENTO', 'ALERTA', 'TAREA_PROGRAMADA']) {
+      assert.deepStrictEqual(firebase.listar(coleccion), [], coleccion);
+    }
+  });
+});
+
+describe('acompañamiento vencido', () => {
+  beforeEach(() => {
+    firebase.limpiar();
+    const haceUnMinuto = firebase.Timestamp.fromMillis(Date.now() - 60 * 1000);
+    firebase.guardar('ACOMPANAMIENTO', 'acompanamiento1', {
+      id_usuario: 'usuario1',
+      estado: 'activo',
+      fecha_limite: haceUnMinuto,
+      id_gravedad: 'gravedad1',
+      ubicacion_inicial: { latitud: -33.45, longitud: -70.66 },
+    });
+    firebase.guardar('TAREA_PROGRAMADA', 'tarea1', {
+      id_tarea: 'tarea1',
+      tipo: 'acompanamiento_vencido',
+      datos: { id_acompanamiento: 'acompanamiento1' },
+      estado: 'pendiente',
+      ejecutar_en: haceUnMinuto,
+      intentos: 0,
+    });
+  });
+
+  function reintentarTarea() {
+    firebase.guardar('TAREA_PROGRAMADA', 'tarea1', {
+      ...firebase.leer('TAREA_PROGRAMADA', 'tarea1'),
+      estado: 'pendiente',
+      ejecutar_en: firebase.Timestamp.fromMillis(Date.now() - 1000),
+    });
+    return procesarTareasVencidas();
+  }
+
+  it('genera una sola alerta, con su aviso a los contactos, aunque la tarea se reintente', async () => {
+    await procesarTareasVencidas();
+    await reintentarTarea();
+
+    const { id_alerta } = firebase.leer('ACOMPANAMIENTO', 'acompanamiento1');
+    assert.deepStrictEqual(firebase.listar('ALERTA').map(alerta => alerta._id), [id_alerta]);
+    assert.strictEqual(firebase.leer('ALERTA', id_alerta).origen, 'acompanamiento');
+    assert.strictEqual(
+      firebase.listar('TAREA_PROGRAMADA').filter(tarea => tarea.tipo === 'escalamiento_contactos').length,
+      1
+    );
+  });
+
+  it('crea la alerta reservada en el reintento si el intento anterior no alcanzó a guardarla', async () => {
+    firebase.guardar('ACOMPANAMIENTO', 'acompanamiento1', {
+      ...firebase.leer('ACOMPANAMIENTO', 'acompanamiento1'),
+      estado: 'alerta_generada',
+      id_alerta: 'alerta1',
+    });
+
+    // El primer commit reserva la tarea; el segundo es el batch de la alerta
+    firebase.fallarCommit(2);
+    await procesarTareasVencidas();
+
+    for (const coleccion of ['UBICACION', 'SEGUIMIENTO', 'ALERTA']) {
+      assert.deepStrictEqual(firebase.listar(coleccion), [], coleccion);
+    }
+
+    await reintentarTarea();
+
+    assert.deepStrictEqual(firebase.listar('ALERTA').map(alerta => alerta._id), ['alerta1']);
+    assert.strictEqual(firebase.listar('UBICACION').length, 1);
+    assert.strictEqual(firebase.listar('SEGUIMIENTO').length, 1);
+  });
+});
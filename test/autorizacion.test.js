@@ -0,0 +1,90 @@
+process.env.AUTH_MODO = 'stub';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const firebase = require('./helpers/firebase_memoria');
+const { iniciarServidor } = require('./helpers/http');
+const { autenticar } = require('../src/middlewares/autenticacion');
+const { autorizar } = require('../src/middlewares/autorizacion');
+const { ROLES, TIPOS_USUARIO, GRUPOS_RUTAS } = require('../src/config/roles');
+
+/**
+ * Aplicación con una ruta por grupo que responde con el rol que dejó el middleware.
+ */
+function crearApp() {
+  const routers = {};
+  for (const grupo of Object.values(GRUPOS_RUTAS)) {
+    routers[grupo] = express.Router();
+    routers[grupo].get(`/ruta-${grupo}`, (req, res) => res.status(200).json({ rol: req.user.rol }));
+  }
+
+  const app = express();
+  app.use('/api', autenticar, autorizar({
+    [GRUPOS_RUTAS.USUARIO]: [routers[GRUPOS_RUTAS.USUARIO]],
+    [GRUPOS_RUTAS.FUNCIONARIO]: [routers[GRUPOS_RUTAS.FUNCIONARIO]],
+    [GRUPOS_RUTAS.ADMIN]: [routers[GRUPOS_RUTAS.ADMIN]],
+  }));
+  for (const router of Object.values(routers)) app.use('/api', router);
+  return app;
+}
+
+describe('autorizar', () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor(crearApp());
+  });
+
+  after(() => servidor.cerrar());
+
+  beforeEach(() => {
+    firebase.limpiar();
+    firebase.guardar('PERFIL', 'usuario1', { tipo_usuario: TIPOS_USUARIO[ROLES.USUARIO], estado: true });
+    firebase.guardar('PERFIL', 'funcionario1', { tipo_usuario: TIPOS_USUARIO[ROLES.FUNCIONARIO], estado: true });
+    firebase.guardar('PERFIL', 'admin1', { tipo_usuario: TIPOS_USUARIO[ROLES.ADMIN], estado: true });
+  });
+
+  it('responde 401 sin token', async () => {
+    const respuesta = await servidor.solicitar('GET', '/api/ruta-usuario');
+    assert.strictEqual(respuesta.status, 401);
+  });
+
+  it('permite a cada rol solo los grupos de rutas definidos en PERMISOS', async () => {
+    const esperados = {
+      usuario1: { usuario: 200, funcionario: 403, admin: 403 },
+      funcionario1: { usuario: 200, funcionario: 200, admin: 403 },
+      admin1: { usuario: 200, funcionario: 200, admin: 200 },
+    };
+
+    for (const [uid, porGrupo] of Object.entries(esperados)) {
+      for (const [grupo, status] of Object.entries(porGrupo)) {
+        const respuesta = await servidor.solicitar('GET', `/api/ruta-${grupo}`, { uid });
+        assert.strictEqual(respuesta.status, status, `${uid} en /ruta-${grupo}`);
+      }
+    }
+  });
+
+  it('deja el rol del usuario en req.user.rol', async () => {
+    const respuesta = await servidor.solicitar('GET', '/api/ruta-usuario', { uid: 'funcionario1' });
+    assert.deepStrictEqual(respuesta.body, { rol: ROLES.FUNCIONARIO });
+  });
+
+  it('responde 403 si el usuario no tiene perfil o su tipo de usuario no es un rol', async () => {
+    firebase.guardar('PERFIL', 'desconocido1', { tipo_usuario: 'otro', estado: true });
+
+    for (const uid of ['sin_perfil', 'desconocido1']) {
+      const respuesta = await servidor.solicitar('GET', '/api/ruta-usuario', { uid });
+      assert.strictEqual(respuesta.status, 403);
+      assert.strictEqual(respuesta.body.message, "El usuario no tiene un rol válido para acceder a la plataforma.");
+    }
+  });
+
+  it('responde 403 si el usuario está desactivado, aunque sea administrador', async () => {
+    firebase.guardar('PERFIL', 'admin1', { tipo_usuario: TIPOS_USUARIO[ROLES.ADMIN], estado: false });
+
+    const respuesta = await servidor.solicitar('GET', '/api/ruta-usuario', { uid: 'admin1' });
+    assert.strictEqual(respuesta.status, 403);
+    assert.strictEqual(respuesta.body.message, "El usuario tiene restringido el acceso a la plataforma.");
+  });
+});
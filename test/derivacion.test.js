@@ -0,0 +1,123 @@
+process.env.MENSAJERIA_PROVEEDOR = 'mock';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const { ROLES, TIPOS_USUARIO } = require('../src/config/roles');
+const { derivarAlerta } = require('../src/services/derivacion');
+const { cambiarEstadoCaso } = require('../src/services/casos');
+const { cambiarEstadoAlerta } = require('../src/services/estado_alerta');
+
+describe('derivarAlerta', () => {
+  beforeEach(() => {
+    firebase.limpiar();
+    firebase.guardar('ALERTA', 'alerta1', {
+      id_alerta: 'alerta1', id_usuario: 'usuario1', estado: 'activa', id_gravedad: 'gravedad1', fecha: firebase.Timestamp.now(),
+    });
+  });
+
+  it('deja la alerta derivada con su derivación y su caso', async () => {
+    const derivacion = await derivarAlerta({ id_alerta: 'alerta1', id_departamento: 'departamento1' });
+
+    const alerta = firebase.leer('ALERTA', 'alerta1');
+    assert.strictEqual(alerta.estado, 'derivada');
+    assert.strictEqual(alerta.historial_estados.length, 1);
+
+    assert.strictEqual(firebase.leer('ALERTA_DERIVADA', derivacion.id_alerta_derivada).id_gravedad, 'gravedad1');
+
+    const caso = firebase.leer('CASO', 'alerta1');
+    assert.strictEqual(caso.estado, 'abierto');
+    assert.strictEqual(caso.id_alerta_derivada, derivacion.id_alerta_derivada);
+    assert.strictEqual(caso.historial[0].automatica, true);
+  });
+
+  it('no deriva la alerta a medias si falla la transacción, y el reintento la deriva', async () => {
+    firebase.fallarCommit();
+    await assert.rejects(derivarAlerta({ id_alerta: 'alerta1', id_departamento: 'departamento1' }));
+
+    assert.strictEqual(firebase.leer('ALERTA', 'alerta1').estado, 'activa');
+    assert.deepStrictEqual(firebase.listar('ALERTA_DERIVADA'), []);
+    assert.deepStrictEqual(firebase.listar('CASO'), []);
+
+    await derivarAlerta({ id_alerta: 'alerta1', id_departamento: 'departamento1' });
+
+    assert.strictEqual(firebase.leer('ALERTA', 'alerta1').estado, 'derivada');
+    assert.strictEqual(firebase.listar('ALERTA_DERIVADA').length, 1);
+    assert.ok(firebase.leer('CASO', 'alerta1'));
+  });
+
+  it('responde 409 sin crear la derivación si la alerta ya está cerrada', async () => {
+    firebase.guardar('ALERTA', 'alerta1', { ...firebase.leer('ALERTA', 'alerta1'), estado: 'cancelada' });
+
+    await assert.rejects(
+      derivarAlerta({ id_alerta: 'alerta1', id_departamento: 'departamento1' }),
+      error => error.status === 409
+    );
+    assert.deepStrictEqual(firebase.listar('ALERTA_DERIVADA'), []);
+    assert.deepStrictEqual(firebase.listar('CASO'), []);
+  });
+});
+
+describe('cierre del caso y de la alerta', () => {
+  beforeEach(async () => {
+    firebase.limpiar();
+    firebase.guardar('PERFIL', 'funcionario1', {
+      tipo_usuario: TIPOS_USUARIO[ROLES.FUNCIONARIO], estado: true, id_departamento: 'departamento1',
+    });
+    firebase.guardar('ALERTA', 'alerta1', { id_alerta: 'alerta1', id_usuario: 'usuario1', estado: 'activa' });
+    await derivarAlerta({ id_alerta: 'alerta1', id_departamento: 'departamento1' });
+  });
+
+  it('cerrar el caso resuelve la alerta', async () => {
+    const caso = await cambiarEstadoCaso({
+      id_caso: 'alerta1', id_funcionario: 'funcionario1', estado: 'cerrado', motivo_cierre: 'Se contactó a la usuaria.',
+    });
+
+    assert.strictEqual(caso.estado, 'cerrado');
+    const alerta = firebase.leer('ALERTA', 'alerta1');
+    assert.strictEqual(alerta.estado, 'resuelta');
+    assert.strictEqual(alerta.historial_estados.at(-1).id_usuario, 'funcionario1');
+    assert.strictEqual(firebase.listar('ALERTA_DERIVADA')[0].origen_cierre, 'caso');
+  });
+
+  it('cerrar la alerta cierra el caso con una entrada del sistema en el historial', async () => {
+    await cambiarEstadoAlerta('alerta1', 'cancelada', { id_usuario: 'usuario1' });
+
+    const caso = firebase.leer('CASO', 'alerta1');
+    assert.strictEqual(caso.estado, 'cerrado');
+    assert.ok(caso.fecha_cierre);
+    assert.deepStrictEqual(
+      { ...caso.historial.at(-1), fecha: undefined },
+      {
+        accion: 'estado',
+        estado_anterior: 'abierto',
+        estado: 'cerrado',
+        motivo_cierre: "La alerta pasó a 'cancelada'.",
+        id_funcionario: null,
+        automatica: true,
+        fecha: undefined,
+      }
+    );
+    assert.strictEqual(firebase.listar('ALERTA_DERIVADA')[0].origen_cierre, 'alerta_cancelada');
+  });
+
+  it('cierra el caso aunque la alerta ya estuviera cerrada', async () => {
+    firebase.guardar('ALERTA', 'alerta1', { ...firebase.leer('ALERTA', 'alerta1'), estado: 'falsa_alarma' });
+
+    await cambiarEstadoCaso({ id_caso: 'alerta1', id_funcionario: 'funcionario1', estado: 'cerrado', motivo_cierre: 'Falsa alarma.' });
+
+    assert.strictEqual(firebase.leer('CASO', 'alerta1').estado, 'cerrado');
+    assert.strictEqual(firebase.leer('ALERTA', 'alerta1').estado, 'falsa_alarma');
+  });
+
+  it('no cierra el caso si falla la transacción que resuelve la alerta', async () => {
+    firebase.fallarCommit();
+
+    await assert.rejects(cambiarEstadoCaso({
+      id_caso: 'alerta1', id_funcionario: 'funcionario1', estado: 'cerrado', motivo_cierre: 'Se contactó a la usuaria.',
+    }));
+
+    assert.strictEqual(firebase.leer('CASO', 'alerta1').estado, 'abierto');
+    assert.strictEqual(firebase.leer('ALERTA', 'alerta1').estado, 'derivada');
+  });
+});
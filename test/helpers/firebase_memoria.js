@@ -0,0 +1,386 @@
+/**
+ * Firestore en memoria para las pruebas. Reemplaza src/config/firebase.js en la caché de require, por lo
+ * que debe cargarse antes que cualquier módulo que use Firebase. Implementa lo que usan los servicios
+ * probados: documentos y subcolecciones, consultas con filtros, orden, límite y paginación, batches,
+ * transacciones (sin reintentos por conflicto) y los FieldValue más comunes.
+ */
+const path = require('path');
+
+const RUTA_CONFIG_FIREBASE = path.join(__dirname, '../../src/config/firebase.js');
+
+// Documentos guardados, por ruta ('COLECCION/id' o 'COLECCION/id/SUBCOLECCION/id')
+const documentos = new Map();
+let contadorIds = 0;
+// Cantidad de commits con escrituras que faltan para el que debe fallar (0: ninguno)
+let commitsHastaFallo = 0;
+
+const ID_DOCUMENTO = '__id__';
+
+class Timestamp {
+  constructor(milisegundos) {
+    this.milisegundos = milisegundos;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromMillis(milisegundos) {
+    return new Timestamp(milisegundos);
+  }
+
+  static fromDate(fecha) {
+    return new Timestamp(fecha.getTime());
+  }
+
+  toMillis() {
+    return this.milisegundos;
+  }
+
+  toDate() {
+    return new Date(this.milisegundos);
+  }
+
+  isEqual(otro) {
+    return otro instanceof Timestamp && otro.milisegundos === this.milisegundos;
+  }
+}
+
+class ValorEspecial {
+  constructor(tipo, valor) {
+    this.tipo = tipo;
+    this.valor = valor;
+  }
+}
+
+const FieldValue = {
+  arrayUnion: (...valores) => new ValorEspecial('arrayUnion', valores),
+  arrayRemove: (...valores) => new ValorEspecial('arrayRemove', valores),
+  increment: cantidad => new ValorEspecial('increment', cantidad),
+  delete: () => new ValorEspecial('delete'),
+  serverTimestamp: () => new ValorEspecial('serverTimestamp'),
+};
+
+function copiar(valor) {
+  if (valor instanceof Timestamp) return new Timestamp(valor.milisegundos);
+  if (Array.isArray(valor)) return valor.map(copiar);
+  if (valor && typeof valor === 'object' && !(valor instanceof ValorEspecial)) {
+    return Object.fromEntries(Object.entries(valor).map(([clave, elemento]) => [clave, copiar(elemento)]));
+  }
+  return valor;
+}
+
+function iguales(a, b) {
+  if (a instanceof Timestamp || b instanceof Timestamp) return a instanceof Timestamp && a.isEqual(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function aplicarValor(actual, valor) {
+  if (!(valor instanceof ValorEspecial)) return copiar(valor);
+
+  switch (valor.tipo) {
+    case 'arrayUnion': {
+      const lista = Array.isArray(actual) ? [...actual] : [];
+      for (const elemento of valor.valor) {
+        if (!lista.some(existente => iguales(existente, elemento))) lista.push(copiar(elemento));
+      }
+      return lista;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(actual) ? actual : []).filter(existente => !valor.valor.some(elemento => iguales(existente, elemento)));
+    case 'increment':
+      return (actual || 0) + valor.valor;
+    case 'serverTimestamp':
+      return Timestamp.now();
+    default:
+      throw new Error(`FieldValue no soportado en las pruebas: ${valor.tipo}`);
+  }
+}
+
+function asignarCampo(datos, campo, valor) {
+  const partes = campo.split('.');
+  let objeto = datos;
+  for (const parte of partes.slice(0, -1)) {
+    if (!objeto[parte] || typeof objeto[parte] !== 'object') objeto[parte] = {};
+    objeto = objeto[parte];
+  }
+
+  const ultima = partes[partes.length - 1];
+  if (valor instanceof ValorEspecial && valor.tipo === 'delete') {
+    delete objeto[ultima];
+  } else {
+    objeto[ultima] = aplicarValor(objeto[ultima], valor);
+  }
+}
+
+function leerCampo(datos, campo) {
+  return campo.split('.').reduce((objeto, parte) => (objeto == null ? undefined : objeto[parte]), datos);
+}
+
+function comparar(a, b) {
+  const valorA = a instanceof Timestamp ? a.toMillis() : a;
+  const valorB = b instanceof Timestamp ? b.toMillis() : b;
+  if (valorA === valorB) return 0;
+  if (valorA === undefined || valorA === null) return -1;
+  if (valorB === undefined || valorB === null) return 1;
+  return valorA < valorB ? -1 : 1;
+}
+
+function cumpleFiltro(valor, operador, esperado) {
+  switch (operador) {
+    case '==': return iguales(valor, esperado);
+    case '!=': return valor !== undefined && !iguales(valor, esperado);
+    case 'in': return esperado.some(elemento => iguales(valor, elemento));
+    case 'not-in': return valor !== undefined && !esperado.some(elemento => iguales(valor, elemento));
+    case 'array-contains': return Array.isArray(valor) && valor.some(elemento => iguales(elemento, esperado));
+    case 'array-contains-any': return Array.isArray(valor) && valor.some(elemento => esperado.some(otro => iguales(elemento, otro)));
+    case '<': return valor !== undefined && comparar(valor, esperado) < 0;
+    case '<=': return valor !== undefined && comparar(valor, esperado) <= 0;
+    case '>': return valor !== undefined && comparar(valor, esperado) > 0;
+    case '>=': return valor !== undefined && comparar(valor, esperado) >= 0;
+    default: throw new Error(`Operador no soportado en las pruebas: ${operador}`);
+  }
+}
+
+function crearSnapshot(referencia) {
+  const datos = documentos.get(referencia.path);
+  return {
+    id: referencia.id,
+    ref: referencia,
+    exists: datos !== undefined,
+    data: () => copiar(datos),
+    get: campo => copiar(leerCampo(datos, campo)),
+  };
+}
+
+function crearReferencia(ruta) {
+  const referencia = {
+    id: ruta.split('/').pop(),
+    path: ruta,
+    collection: nombre => crearConsulta(`${ruta}/${nombre}`),
+    async get() {
+      return crearSnapshot(referencia);
+    },
+    async set(datos, { merge = false } = {}) {
+      const actual = merge && documentos.has(ruta) ? documentos.get(ruta) : {};
+      for (const [campo, valor] of Object.entries(datos)) {
+        if (merge && valor && typeof valor === 'object' && !(valor instanceof ValorEspecial) && !(valor instanceof Timestamp) && !Array.isArray(valor)) {
+          actual[campo] = { ...(actual[campo] || {}), ...copiar(valor) };
+        } else {
+          asignarCampo(actual, campo, valor);
+        }
+      }
+      documentos.set(ruta, actual);
+    },
+    async create(datos) {
+      if (documentos.has(ruta)) {
+        throw Object.assign(new Error(`Ya existe el documento ${ruta}.`), { code: 6 });
+      }
+      await referencia.set(datos);
+    },
+    async update(datos) {
+      if (!documentos.has(ruta)) {
+        throw Object.assign(new Error(`No existe el documento ${ruta}.`), { code: 5 });
+      }
+      const actual = documentos.get(ruta);
+      for (const [campo, valor] of Object.entries(datos)) asignarCampo(actual, campo, valor);
+    },
+    async delete() {
+      documentos.delete(ruta);
+    },
+  };
+  return referencia;
+}
+
+function crearConsulta(coleccion, { filtros = [], orden = [], limite = null, despuesDe = null } = {}) {
+  const configuracion = { filtros, orden, limite, despuesDe };
+  const derivar = cambios => crearConsulta(coleccion, { ...configuracion, ...cambios });
+
+  return {
+    doc: (id = `id${String(++contadorIds).padStart(6, '0')}`) => crearReferencia(`${coleccion}/${id}`),
+    async add(datos) {
+      const referencia = this.doc();
+      await referencia.set(datos);
+      return referencia;
+    },
+    where: (campo, operador, valor) => derivar({ filtros: [...filtros, [campo, operador, valor]] }),
+    orderBy: (campo, direccion = 'asc') => derivar({ orden: [...orden, [campo, direccion]] }),
+    limit: cantidad => derivar({ limite: cantidad }),
+    startAfter: snapshot => derivar({ despuesDe: snapshot }),
+    async get() {
+      const profundidad = coleccion.split('/').length + 1;
+      let docs = [...documentos.keys()]
+        .filter(ruta => ruta.startsWith(`${coleccion}/`) && ruta.split('/').length === profundidad)
+        .map(ruta => crearSnapshot(crearReferencia(ruta)));
+
+      const valorDe = (snapshot, campo) => (campo === ID_DOCUMENTO ? snapshot.id : leerCampo(documentos.get(snapshot.ref.path), campo));
+
+      docs = docs.filter(snapshot => filtros.every(([campo, operador, valor]) => cumpleFiltro(valorDe(snapshot, campo), operador, valor)));
+
+      const criterios = orden.length > 0 ? orden : [[ID_DOCUMENTO, 'asc']];
+      docs.sort((a, b) => {
+        for (const [campo, direccion] of criterios) {
+          const resultado = comparar(valorDe(a, campo), valorDe(b, campo));
+          if (resultado !== 0) return direccion === 'desc' ? -resultado : resultado;
+        }
+        return 0;
+      });
+
+      if (despuesDe) docs = docs.slice(docs.findIndex(snapshot => snapshot.id === despuesDe.id) + 1);
+      if (limite !== null) docs = docs.slice(0, limite);
+
+      return { docs, empty: docs.length === 0, size: docs.length, forEach: funcion => docs.forEach(funcion) };
+    },
+  };
+}
+
+/**
+ * Acumula escrituras y las aplica juntas. Si el commit debe fallar (ver fallarCommit), no se aplica
+ * ninguna. Las transacciones que solo leen no cuentan como commit.
+ */
+function crearEscrituras() {
+  const operaciones = [];
+  return {
+    operaciones,
+    set: (referencia, datos, opciones) => operaciones.push(() => referencia.set(datos, opciones)),
+    create: (referencia, datos) => operaciones.push(() => referencia.create(datos)),
+    update: (referencia, datos) => operaciones.push(() => referencia.update(datos)),
+    delete: referencia => operaciones.push(() => referencia.delete()),
+    async aplicar() {
+      if (operaciones.length === 0) return;
+      if (commitsHastaFallo > 0 && --commitsHastaFallo === 0) {
+        throw new Error('Fallo simulado al guardar en Firestore.');
+      }
+
+      // Si una escritura falla, se restauran los documentos para que no quede ninguna aplicada
+      const respaldo = new Map([...documentos].map(([ruta, datos]) => [ruta, copiar(datos)]));
+      try {
+        for (const operacion of operaciones) await operacion();
+      } catch (error) {
+        documentos.clear();
+        for (const [ruta, datos] of respaldo) documentos.set(ruta, datos);
+        throw error;
+      }
+    },
+  };
+}
+
+const db = {
+  collection: nombre => crearConsulta(nombre),
+  doc: ruta => crearReferencia(ruta),
+  getAll: (...referencias) => Promise.all(referencias.map(referencia => referencia.get())),
+  batch() {
+    const escrituras = crearEscrituras();
+    return { ...escrituras, commit: () => escrituras.aplicar() };
+  },
+  async runTransaction(funcion) {
+    const escrituras = crearEscrituras();
+    const transaction = {
+      get: referencia => referencia.get(),
+      getAll: (...referencias) => db.getAll(...referencias),
+      set: (...argumentos) => { escrituras.set(...argumentos); return transaction; },
+      create: (...argumentos) => { escrituras.create(...argumentos); return transaction; },
+      update: (...argumentos) => { escrituras.update(...argumentos); return transaction; },
+      delete: (...argumentos) => { escrituras.delete(...argumentos); return transaction; },
+    };
+    const resultado = await funcion(transaction);
+    await escrituras.aplicar();
+    return resultado;
+  },
+};
+
+// Usuarios de Firebase Authentication, por uid
+const usuariosAuth = new Map();
+
+const auth = {
+  async createUser({ email, password, ...datos }) {
+    if ([...usuariosAuth.values()].some(usuario => usuario.email === email)) {
+      throw Object.assign(new Error('El correo ya está registrado.'), { code: 'auth/email-already-exists' });
+    }
+    const uid = `uid${String(++contadorIds).padStart(6, '0')}`;
+    usuariosAuth.set(uid, { uid, email, ...datos });
+    return usuariosAuth.get(uid);
+  },
+  async getUser(uid) {
+    if (!usuariosAuth.has(uid)) throw Object.assign(new Error('No existe el usuario.'), { code: 'auth/user-not-found' });
+    return usuariosAuth.get(uid);
+  },
+  async getUserByEmail(email) {
+    const usuario = [...usuariosAuth.values()].find(existente => existente.email === email);
+    if (!usuario) throw Object.assign(new Error('No existe el usuario.'), { code: 'auth/user-not-found' });
+    return usuario;
+  },
+  async updateUser(uid, datos) {
+    Object.assign(await auth.getUser(uid), datos);
+    return usuariosAuth.get(uid);
+  },
+  async deleteUser(uid) {
+    usuariosAuth.delete(uid);
+  },
+  async setCustomUserClaims(uid, claims) {
+    (await auth.getUser(uid)).customClaims = claims;
+  },
+  async verifyIdToken() {
+    throw new Error('Las pruebas usan AUTH_MODO=stub: no se verifican tokens de Firebase.');
+  },
+};
+
+const firestore = () => db;
+firestore.Timestamp = Timestamp;
+firestore.FieldValue = FieldValue;
+firestore.FieldPath = { documentId: () => ID_DOCUMENTO };
+
+const admin = {
+  firestore,
+  auth: () => auth,
+};
+
+require.cache[RUTA_CONFIG_FIREBASE] = {
+  id: RUTA_CONFIG_FIREBASE,
+  filename: RUTA_CONFIG_FIREBASE,
+  loaded: true,
+  exports: { admin, db, bucket: null },
+};
+
+/**
+ * Guarda un documento en la ruta indicada ('COLECCION', 'id' o 'COLECCION/id/SUBCOLECCION', 'id').
+ */
+function guardar(coleccion, id, datos) {
+  documentos.set(`${coleccion}/${id}`, copiar(datos));
+}
+
+/**
+ * Obtiene los datos de un documento, o undefined si no existe.
+ */
+function leer(coleccion, id) {
+  return copiar(documentos.get(`${coleccion}/${id}`));
+}
+
+/**
+ * Lista los documentos de una colección, con su id en `_id`.
+ */
+function listar(coleccion) {
+  const profundidad = coleccion.split('/').length + 1;
+  return [...documentos.entries()]
+    .filter(([ruta]) => ruta.startsWith(`${coleccion}/`) && ruta.split('/').length === profundidad)
+    .map(([ruta, datos]) => ({ ...copiar(datos), _id: ruta.split('/').pop() }));
+}
+
+/**
+ * Hace que falle, sin aplicar ninguna escritura, el commit de batch o transacción número `numero`
+ * contado desde ahora (1: el próximo).
+ */
+function fallarCommit(numero = 1) {
+  commitsHastaFallo = numero;
+}
+
+/**
+ * Elimina todos los documentos y usuarios.
+ */
+function limpiar() {
+  documentos.clear();
+  usuariosAuth.clear();
+  commitsHastaFallo = 0;
+}
+
+module.exports = { admin, db, auth, Timestamp, guardar, leer, listar, fallarCommit, limpiar };
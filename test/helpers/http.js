@@ -0,0 +1,29 @@
+/**
+ * Inicia la aplicación de Express en un puerto libre y retorna una función para hacerle solicitudes.
+ * Las solicitudes usan tokens de AUTH_MODO=stub (`stub:<uid>`).
+ */
+async function iniciarServidor(app) {
+  const servidor = await new Promise(resolve => {
+    const instancia = app.listen(0, () => resolve(instancia));
+  });
+  const url = `http://127.0.0.1:${servidor.address().port}`;
+
+  async function solicitar(metodo, ruta, { uid = null, body = null } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (uid) headers.Authorization = `Bearer stub:${uid}`;
+
+    const respuesta = await fetch(`${url}${ruta}`, {
+      method: metodo,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: respuesta.status, body: await respuesta.json() };
+  }
+
+  return {
+    solicitar,
+    cerrar: () => new Promise(resolve => servidor.close(resolve)),
+  };
+}
+
+module.exports = { iniciarServidor };
@@ -0,0 +1,91 @@
+process.env.CORREO_PROVEEDOR = 'mock';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const correoMock = require('../src/services/correo/mock');
+const { ROLES, TIPOS_USUARIO } = require('../src/config/roles');
+const { crearInvitacion, aceptarInvitacion } = require('../src/services/invitaciones');
+
+const CORREO = 'funcionaria@municipalidad.cl';
+
+const DATOS_PERSONA = {
+  password: 'clave-segura',
+  nombre: 'Ana',
+  apellido: 'Pérez',
+  fecha_nacimiento: '1990-01-01',
+  direccion: 'Av. Siempre Viva 123',
+  id_comuna: 'comuna1',
+  id_genero: 'genero1',
+};
+
+/**
+ * Crea una invitación de funcionario y retorna el token del enlace enviado por correo.
+ */
+async function invitar() {
+  await crearInvitacion({
+    correo: CORREO, rol: ROLES.FUNCIONARIO, id_municipalidad: 'municipalidad1', creado_por: 'admin1', baseUrl: 'https://api.ejemplo.cl',
+  });
+  return correoMock.correos.at(-1).texto.match(/invitacion-personal\/([0-9a-f]{64})/)[1];
+}
+
+function invitacion() {
+  return firebase.listar('INVITACION_PERSONAL')[0];
+}
+
+describe('aceptar una invitación', () => {
+  beforeEach(() => {
+    firebase.limpiar();
+    correoMock.limpiar();
+    firebase.guardar('MUNICIPALIDAD', 'municipalidad1', { nombre_municipalidad: 'Santiago', estado: true });
+  });
+
+  it('crea la cuenta con el rol y la municipalidad de la invitación y la marca aceptada', async () => {
+    const token = await invitar();
+
+    const { uid, rol } = await aceptarInvitacion(token, DATOS_PERSONA);
+
+    assert.strictEqual(rol, ROLES.FUNCIONARIO);
+    assert.strictEqual(firebase.leer('PERFIL', uid).tipo_usuario, TIPOS_USUARIO[ROLES.FUNCIONARIO]);
+    assert.strictEqual(firebase.leer('PERSONA', uid).id_municipalidad, 'municipalidad1');
+    assert.strictEqual((await firebase.auth.getUserByEmail(CORREO)).emailVerified, true);
+    assert.strictEqual(invitacion().estado, 'aceptada');
+    assert.strictEqual(invitacion().id_persona, uid);
+  });
+
+  it('no permite usar dos veces el mismo enlace', async () => {
+    const token = await invitar();
+    await aceptarInvitacion(token, DATOS_PERSONA);
+
+    await assert.rejects(aceptarInvitacion(token, DATOS_PERSONA), error => error.status === 410);
+  });
+
+  it('si falla el registro, elimina la cuenta creada y deja la invitación pendiente para reintentar', async () => {
+    const token = await invitar();
+
+    // El primer commit reserva la invitación; el segundo guarda PERSONA, PERFIL y MENSAJE
+    firebase.fallarCommit(2);
+    await assert.rejects(aceptarInvitacion(token, DATOS_PERSONA));
+
+    assert.strictEqual(invitacion().estado, 'pendiente');
+    assert.strictEqual(invitacion().fecha_aceptacion, null);
+    await assert.rejects(firebase.auth.getUserByEmail(CORREO), error => error.code === 'auth/user-not-found');
+    for (const coleccion of ['PERSONA', 'PERFIL', 'MENSAJE']) {
+      assert.deepStrictEqual(firebase.listar(coleccion), [], coleccion);
+    }
+
+    const { uid } = await aceptarInvitacion(token, DATOS_PERSONA);
+    assert.ok(firebase.leer('PERFIL', uid));
+    assert.strictEqual(invitacion().estado, 'aceptada');
+  });
+
+  it('deja la invitación pendiente y responde 409 si el correo ya tiene una cuenta', async () => {
+    const token = await invitar();
+    await firebase.auth.createUser({ email: CORREO, password: 'otra-clave' });
+
+    await assert.rejects(aceptarInvitacion(token, DATOS_PERSONA), error => error.status === 409);
+
+    assert.strictEqual(invitacion().estado, 'pendiente');
+    assert.deepStrictEqual(firebase.listar('PERSONA'), []);
+  });
+});
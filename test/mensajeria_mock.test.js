@@ -0,0 +1,81 @@
+process.env.MENSAJERIA_PROVEEDOR = 'mock';
+process.env.MENSAJERIA_PREFIJO_PAIS = '+56';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { crearProveedorMock, mensajes, simularFallo, limpiar } = require('../src/services/mensajeria/mock');
+const { enviarMensaje } = require('../src/services/mensajeria');
+
+describe('proveedor de mensajería de prueba', () => {
+  beforeEach(() => limpiar());
+
+  it('guarda el mensaje en memoria y retorna un sid', async () => {
+    const proveedor = crearProveedorMock('sms');
+
+    const { sid } = await proveedor.enviar({ telefono: '+56912345678', mensaje: 'Hola' });
+
+    assert.match(sid, /^MOCK[0-9a-f]{24}$/);
+    assert.strictEqual(mensajes.length, 1);
+    assert.deepStrictEqual(
+      { sid: mensajes[0].sid, canal: mensajes[0].canal, telefono: mensajes[0].telefono, mensaje: mensajes[0].mensaje },
+      { sid, canal: 'sms', telefono: '+56912345678', mensaje: 'Hola' }
+    );
+  });
+
+  it('falla solo para el canal y el teléfono simulados', async () => {
+    simularFallo('whatsapp', '+56911111111');
+    const proveedor = crearProveedorMock('whatsapp');
+
+    await assert.rejects(
+      proveedor.enviar({ telefono: '+56911111111', mensaje: 'Hola' }),
+      /Fallo simulado al enviar por whatsapp a \+56911111111/
+    );
+    await proveedor.enviar({ telefono: '+56922222222', mensaje: 'Hola' });
+    await crearProveedorMock('sms').enviar({ telefono: '+56911111111', mensaje: 'Hola' });
+
+    assert.deepStrictEqual(mensajes.map(mensaje => `${mensaje.canal}:${mensaje.telefono}`), [
+      'whatsapp:+56922222222',
+      'sms:+56911111111',
+    ]);
+  });
+
+  it('limpiar borra los mensajes y los fallos simulados', async () => {
+    simularFallo('sms');
+    await crearProveedorMock('whatsapp').enviar({ telefono: '+56912345678', mensaje: 'Hola' });
+
+    limpiar();
+
+    assert.strictEqual(mensajes.length, 0);
+    await crearProveedorMock('sms').enviar({ telefono: '+56912345678', mensaje: 'Hola' });
+    assert.strictEqual(mensajes.length, 1);
+  });
+});
+
+describe('enviarMensaje con el proveedor de prueba', () => {
+  beforeEach(() => limpiar());
+
+  it('envía por WhatsApp y agrega el prefijo del país', async () => {
+    const resultado = await enviarMensaje('912345678', 'Alerta');
+
+    assert.strictEqual(resultado.canal, 'whatsapp');
+    assert.strictEqual(resultado.proveedor, 'mock');
+    assert.strictEqual(mensajes[0].telefono, '+56912345678');
+  });
+
+  it('recurre a SMS cuando WhatsApp falla', async () => {
+    simularFallo('whatsapp');
+
+    const resultado = await enviarMensaje('+56912345678', 'Alerta');
+
+    assert.strictEqual(resultado.canal, 'sms');
+    assert.deepStrictEqual(mensajes.map(mensaje => mensaje.canal), ['sms']);
+  });
+
+  it('lanza un error con el detalle de cada canal cuando todos fallan', async () => {
+    simularFallo('whatsapp');
+    simularFallo('sms');
+
+    await assert.rejects(enviarMensaje('+56912345678', 'Alerta'), /whatsapp: Fallo simulado.*sms: Fallo simulado/);
+    assert.strictEqual(mensajes.length, 0);
+  });
+});
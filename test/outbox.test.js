@@ -0,0 +1,89 @@
+process.env.MENSAJERIA_PROVEEDOR = 'mock';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const mock = require('../src/services/mensajeria/mock');
+const { procesarPendientes, obtenerDestinatariosNotificados } = require('../src/services/outbox');
+
+/**
+ * Guarda una notificación de la alerta1 lista para enviarse.
+ */
+function guardarNotificacion(id_notificacion, { tipo = 'alerta', telefono = '+56911111111', estado = 'pendiente' } = {}) {
+  const ahora = firebase.Timestamp.now();
+  firebase.guardar('NOTIFICACION', id_notificacion, {
+    id_notificacion,
+    id_alerta: 'alerta1',
+    tipo,
+    telefono,
+    nombre_destinatario: null,
+    origen: 'contacto',
+    id_referencia: null,
+    prioridad: null,
+    canales: ['sms'],
+    mensaje: tipo === 'alerta' ? 'Ayuda' : 'Estoy a salvo',
+    estado,
+    intentos: 0,
+    proximo_intento: firebase.Timestamp.fromMillis(ahora.toMillis() - 1000),
+    ultimo_error: null,
+    fecha_creacion: ahora,
+    fecha_envio: null,
+    estado_entrega: null,
+    historial_entrega: [],
+  });
+}
+
+describe('worker de notificaciones', () => {
+  beforeEach(() => {
+    firebase.limpiar();
+    mock.limpiar();
+  });
+
+  it('envía el aviso de una alerta abierta', async () => {
+    firebase.guardar('ALERTA', 'alerta1', { id_alerta: 'alerta1', estado: 'activa' });
+    guardarNotificacion('notificacion1');
+
+    await procesarPendientes();
+
+    assert.strictEqual(firebase.leer('NOTIFICACION', 'notificacion1').estado, 'enviado');
+    assert.strictEqual(mock.mensajes.length, 1);
+  });
+
+  it('descarta sin enviar el aviso de una alerta que se cerró antes del envío', async () => {
+    for (const estado of ['resuelta', 'cancelada', 'falsa_alarma']) {
+      firebase.limpiar();
+      firebase.guardar('ALERTA', 'alerta1', { id_alerta: 'alerta1', estado });
+      guardarNotificacion('notificacion1');
+
+      await procesarPendientes();
+
+      const notificacion = firebase.leer('NOTIFICACION', 'notificacion1');
+      assert.strictEqual(notificacion.estado, 'descartado', estado);
+      assert.match(notificacion.motivo_descarte, new RegExp(estado));
+    }
+    assert.strictEqual(mock.mensajes.length, 0);
+  });
+
+  it('envía el aviso de cancelación de una alerta cerrada', async () => {
+    firebase.guardar('ALERTA', 'alerta1', { id_alerta: 'alerta1', estado: 'cancelada' });
+    guardarNotificacion('notificacion1', { tipo: 'cancelacion' });
+
+    await procesarPendientes();
+
+    assert.strictEqual(firebase.leer('NOTIFICACION', 'notificacion1').estado, 'enviado');
+    assert.deepStrictEqual(mock.mensajes.map(mensaje => mensaje.mensaje), ['Estoy a salvo']);
+  });
+
+  it('avisa la cancelación solo a quienes recibieron o están recibiendo la alerta', async () => {
+    guardarNotificacion('notificacion1', { telefono: '+56911111111', estado: 'enviado' });
+    guardarNotificacion('notificacion2', { telefono: '+56922222222', estado: 'enviando' });
+    guardarNotificacion('notificacion3', { telefono: '+56933333333', estado: 'pendiente' });
+    guardarNotificacion('notificacion4', { telefono: '+56944444444', estado: 'descartado' });
+
+    const todos = await obtenerDestinatariosNotificados('alerta1');
+    const enviados = await obtenerDestinatariosNotificados('alerta1', { soloEnviados: true });
+
+    assert.strictEqual(todos.length, 4);
+    assert.deepStrictEqual(enviados.map(destinatario => destinatario.telefono).sort(), ['+56911111111', '+56922222222']);
+  });
+});
@@ -0,0 +1,43 @@
+process.env.AUTH_MODO = 'stub';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const { iniciarServidor } = require('./helpers/http');
+const { ROLES, TIPOS_USUARIO } = require('../src/config/roles');
+const app = require('../src/app');
+
+const DATOS_REGISTRO = {
+  nombre: 'Ana',
+  apellido: 'Pérez',
+  password: 'clave-segura',
+  fecha_nacimiento: '1990-01-01',
+  direccion: 'Av. Siempre Viva 123',
+  id_comuna: 'comuna1',
+  id_genero: 'genero1',
+};
+
+describe('registro público', () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor(app);
+  });
+
+  after(() => servidor.cerrar());
+
+  beforeEach(() => firebase.limpiar());
+
+  it('siempre crea un usuario estándar, sin importar el tipo_usuario recibido', async () => {
+    const tipos = [undefined, 1, '1', TIPOS_USUARIO[ROLES.ADMIN], TIPOS_USUARIO[ROLES.FUNCIONARIO]];
+
+    for (const [indice, tipo_usuario] of tipos.entries()) {
+      const respuesta = await servidor.solicitar('POST', '/api/register', {
+        body: { ...DATOS_REGISTRO, correo: `ana${indice}@correo.cl`, tipo_usuario },
+      });
+
+      assert.strictEqual(respuesta.status, 201, String(tipo_usuario));
+      assert.strictEqual(firebase.leer('PERFIL', respuesta.body.uid).tipo_usuario, TIPOS_USUARIO[ROLES.USUARIO]);
+    }
+  });
+});
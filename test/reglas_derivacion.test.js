@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const { cumpleRegla } = require('../src/services/reglas_derivacion');
+
+describe('cumpleRegla con palabras clave', () => {
+  const regla = { condiciones: { palabras_clave: ['robo', 'violencia intrafamiliar'] } };
+  const fecha = firebase.Timestamp.now();
+
+  it('busca las palabras clave en el mensaje del usuario, sin tildes ni mayúsculas', () => {
+    assert.strictEqual(cumpleRegla(regla, { fecha, mensaje_usuario: 'Me están intentando ROBO' }), true);
+    assert.strictEqual(cumpleRegla(regla, { fecha, mensaje_usuario: 'Violencia intrafamiliar, ayuda' }), true);
+  });
+
+  it('compara palabras completas', () => {
+    assert.strictEqual(cumpleRegla(regla, { fecha, mensaje_usuario: 'Hay un robot en la calle' }), false);
+  });
+
+  it('usa el mensaje de la alerta si no tiene mensaje del usuario', () => {
+    const alerta = { fecha, mensaje: 'Robo. Mi ubicación actual es Av. Siempre Viva 123 (latitud: -33.45, longitud: -70.66).' };
+    assert.strictEqual(cumpleRegla(regla, alerta), true);
+    assert.strictEqual(cumpleRegla(regla, { fecha, mensaje: 'Ayuda. Mi ubicación actual es Av. Siempre Viva 123.' }), false);
+  });
+
+  it('prefiere el mensaje del usuario al mensaje completo de la alerta', () => {
+    assert.strictEqual(cumpleRegla(regla, { fecha, mensaje_usuario: 'Ayuda', mensaje: 'Ayuda. Enlace: https://robo.cl' }), false);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const { percentil, evaluarDerivacion } = require('../src/services/sla');
+
+const INICIO = Date.parse('2026-03-02T12:00:00Z');
+
+/**
+ * Timestamp a `minutos` minutos de INICIO.
+ */
+function minuto(minutos) {
+  return firebase.Timestamp.fromMillis(INICIO + minutos * 60 * 1000);
+}
+
+describe('percentil', () => {
+  it('retorna null sin valores', () => {
+    assert.strictEqual(percentil([], 50), null);
+  });
+
+  it('usa el método del rango más cercano', () => {
+    const valores = [10, 1, 9, 2, 8, 3, 7, 4, 6, 5];
+
+    assert.strictEqual(percentil(valores, 0), 1);
+    assert.strictEqual(percentil(valores, 50), 5);
+    assert.strictEqual(percentil(valores, 90), 9);
+    assert.strictEqual(percentil(valores, 95), 10);
+    assert.strictEqual(percentil(valores, 100), 10);
+    assert.strictEqual(percentil([7], 90), 7);
+  });
+
+  it('redondea a un decimal y no modifica los valores recibidos', () => {
+    const valores = [3.14159, 1.26];
+
+    assert.strictEqual(percentil(valores, 50), 1.3);
+    assert.deepStrictEqual(valores, [3.14159, 1.26]);
+  });
+});
+
+describe('evaluarDerivacion', () => {
+  const metas = { gravedad1: { primera_accion: 15, cierre: 120 } };
+  const base = { id_gravedad: 'gravedad1', fecha_alerta: minuto(-5), fecha_derivacion: minuto(0) };
+
+  it('mide los tiempos de una derivación cerrada dentro de las metas', () => {
+    const resultado = evaluarDerivacion({ ...base, fecha_primera_accion: minuto(10), fecha_cierre: minuto(90) }, metas, minuto(500));
+
+    assert.deepStrictEqual(resultado, {
+      minutos_derivacion: 5,
+      minutos_primera_accion: 10,
+      minutos_cierre: 90,
+      pendiente_primera_accion: false,
+      pendiente_cierre: false,
+      incumple_primera_accion: false,
+      incumple_cierre: false,
+      meta_primera_accion: 15,
+      meta_cierre: 120,
+      minutos_respuesta: 10,
+      minutos_abierta: 90,
+    });
+  });
+
+  it('evalúa una derivación sin acciones con la hora actual', () => {
+    const resultado = evaluarDerivacion(base, metas, minuto(20));
+
+    assert.strictEqual(resultado.pendiente_primera_accion, true);
+    assert.strictEqual(resultado.pendiente_cierre, true);
+    assert.strictEqual(resultado.minutos_primera_accion, null);
+    assert.strictEqual(resultado.minutos_respuesta, 20);
+    assert.strictEqual(resultado.incumple_primera_accion, true);
+    assert.strictEqual(resultado.incumple_cierre, false);
+  });
+
+  it('considera el cierre como respuesta si no hubo una primera acción', () => {
+    const resultado = evaluarDerivacion({ ...base, fecha_cierre: minuto(150) }, metas, minuto(500));
+
+    assert.strictEqual(resultado.pendiente_primera_accion, false);
+    assert.strictEqual(resultado.minutos_respuesta, 150);
+    assert.strictEqual(resultado.incumple_primera_accion, true);
+    assert.strictEqual(resultado.incumple_cierre, true);
+  });
+
+  it('no evalúa el tiempo de cierre de una derivación que pasó a otro departamento', () => {
+    const resultado = evaluarDerivacion({ ...base, fecha_rederivacion: minuto(300) }, metas, minuto(500));
+
+    assert.strictEqual(resultado.minutos_cierre, null);
+    assert.strictEqual(resultado.minutos_abierta, null);
+    assert.strictEqual(resultado.pendiente_cierre, false);
+    assert.strictEqual(resultado.incumple_cierre, false);
+    assert.strictEqual(resultado.minutos_respuesta, 300);
+    assert.strictEqual(resultado.incumple_primera_accion, true);
+  });
+
+  it('no marca incumplimientos si la gravedad no tiene metas', () => {
+    const resultado = evaluarDerivacion({ ...base, id_gravedad: 'sin_metas', fecha_alerta: null }, metas, minuto(1000));
+
+    assert.strictEqual(resultado.minutos_derivacion, null);
+    assert.strictEqual(resultado.incumple_primera_accion, false);
+    assert.strictEqual(resultado.incumple_cierre, false);
+    assert.strictEqual(resultado.meta_primera_accion, null);
+    assert.strictEqual(resultado.meta_cierre, null);
+  });
+});
@@ -0,0 +1,118 @@
+process.env.MENSAJERIA_PROVEEDOR = 'mock';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const firebase = require('./helpers/firebase_memoria');
+const mock = require('../src/services/mensajeria/mock');
+const { solicitarVerificacionPersona, verificarTelefonoPersona } = require('../src/services/verificacion_telefono');
+
+const TELEFONO = '+56912345678';
+
+/**
+ * Código de 6 dígitos del último mensaje enviado; en VERIFICACION_TELEFONO solo queda su hash.
+ */
+function ultimoCodigo() {
+  return mock.mensajes.at(-1).mensaje.match(/\b(\d{6})\b/)[1];
+}
+
+function codigoIncorrecto(codigo) {
+  return codigo === '000000' ? '111111' : '000000';
+}
+
+/**
+ * Retrocede la fecha de creación de las verificaciones guardadas, como si se hubieran pedido antes.
+ */
+function retrocederVerificaciones(milisegundos) {
+  for (const verificacion of firebase.listar('VERIFICACION_TELEFONO')) {
+    const { _id, ...datos } = verificacion;
+    firebase.guardar('VERIFICACION_TELEFONO', _id, {
+      ...datos,
+      fecha_creacion: firebase.Timestamp.fromMillis(datos.fecha_creacion.toMillis() - milisegundos),
+    });
+  }
+}
+
+describe('verificación del teléfono de una persona', () => {
+  beforeEach(() => {
+    firebase.limpiar();
+    mock.limpiar();
+    firebase.guardar('PERSONA', 'persona1', { nombre: 'Ana', apellido: 'Pérez', numero_telefono: TELEFONO });
+  });
+
+  it('descuenta los intentos fallidos y verifica el número con el código correcto', async () => {
+    await solicitarVerificacionPersona('persona1');
+    const codigo = ultimoCodigo();
+
+    await assert.rejects(
+      verificarTelefonoPersona('persona1', codigoIncorrecto(codigo)),
+      error => error.status === 400 && /Te quedan 4 intentos/.test(error.message)
+    );
+    assert.strictEqual(firebase.listar('VERIFICACION_TELEFONO')[0].intentos, 1);
+
+    await verificarTelefonoPersona('persona1', codigo);
+
+    assert.strictEqual(firebase.leer('PERSONA', 'persona1').telefono_verificado, true);
+    assert.strictEqual(firebase.listar('VERIFICACION_TELEFONO')[0].estado, 'verificada');
+  });
+
+  it('bloquea el código al llegar al máximo de intentos, aunque después se ingrese el correcto', async () => {
+    await solicitarVerificacionPersona('persona1');
+    const codigo = ultimoCodigo();
+
+    for (let intento = 1; intento < 5; intento++) {
+      await assert.rejects(verificarTelefonoPersona('persona1', codigoIncorrecto(codigo)), error => error.status === 400);
+    }
+    await assert.rejects(verificarTelefonoPersona('persona1', codigoIncorrecto(codigo)), error => error.status === 429);
+
+    assert.strictEqual(firebase.listar('VERIFICACION_TELEFONO')[0].estado, 'bloqueada');
+    await assert.rejects(verificarTelefonoPersona('persona1', codigo), error => error.status === 404);
+    assert.notStrictEqual(firebase.leer('PERSONA', 'persona1').telefono_verificado, true);
+  });
+
+  it('exige esperar antes de reenviar el código y reemplaza el código anterior', async () => {
+    await solicitarVerificacionPersona('persona1');
+
+    await assert.rejects(solicitarVerificacionPersona('persona1'), error => error.status === 429 && /esperar/.test(error.message));
+    assert.strictEqual(mock.mensajes.length, 1);
+
+    retrocederVerificaciones(61 * 1000);
+    await solicitarVerificacionPersona('persona1');
+
+    const estados = firebase.listar('VERIFICACION_TELEFONO').map(verificacion => verificacion.estado).sort();
+    assert.deepStrictEqual(estados, ['pendiente', 'reemplazada']);
+    assert.strictEqual(mock.mensajes.length, 2);
+  });
+
+  it('limita los códigos que se pueden pedir por hora', async () => {
+    for (let solicitud = 0; solicitud < 5; solicitud++) {
+      await solicitarVerificacionPersona('persona1');
+      retrocederVerificaciones(61 * 1000);
+    }
+
+    await assert.rejects(solicitarVerificacionPersona('persona1'), error => error.status === 429 && /por hora/.test(error.message));
+    assert.strictEqual(mock.mensajes.length, 5);
+
+    // Pasada la hora se puede pedir otro código
+    retrocederVerificaciones(60 * 60 * 1000);
+    await solicitarVerificacionPersona('persona1');
+    assert.strictEqual(mock.mensajes.length, 6);
+  });
+
+  it('rechaza un número que otra cuenta ya verificó', async () => {
+    firebase.guardar('PERSONA', 'persona2', { numero_telefono: TELEFONO, telefono_verificado: true });
+
+    await assert.rejects(
+      solicitarVerificacionPersona('persona1'),
+      error => error.status === 409 && /otra cuenta/.test(error.message)
+    );
+    assert.strictEqual(mock.mensajes.length, 0);
+  });
+
+  it('no verifica el número si otra cuenta lo verificó después de pedir el código', async () => {
+    await solicitarVerificacionPersona('persona1');
+    firebase.guardar('PERSONA', 'persona2', { numero_telefono: TELEFONO, telefono_verificado: true });
+
+    await assert.rejects(verificarTelefonoPersona('persona1', ultimoCodigo()), error => error.status === 409);
+    assert.notStrictEqual(firebase.leer('PERSONA', 'persona1').telefono_verificado, true);
+  });
+});